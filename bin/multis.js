@@ -4,6 +4,7 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const net = require('net');
 const crypto = require('crypto');
 
 const { PATHS, getMultisDir, saveConfig, roleLabel, normalizeRole, ROLE_BY_CHOICE, applyRoleTransport, reconcileChatModes, enableKeptTelegram } = require('../src/config');
@@ -43,9 +44,13 @@ async function runCommand(cmd) {
     case 'restart': await runRestart(); break;
     case 'status':  runStatus(); break;
     case 'doctor':  await runDoctor(); break;
+    case 'chat':    runChat(); break;
+    case 'backup':  await runBackup(process.argv.slice(3)); break;
+    case 'restore': await runRestore(process.argv.slice(3)); break;
+    case 'config':  runConfig(process.argv.slice(3)); break;
     default:
       console.log(`\x1b[31mUnknown command: ${cmd}\x1b[0m\n`);
-      console.log('Usage: multis <init|start|stop|restart|status|doctor>');
+      console.log('Usage: multis <init|start|stop|restart|status|doctor|chat|backup|restore|config>');
       console.log('   or: multis  (interactive menu)');
       process.exit(1);
   }
@@ -80,12 +85,13 @@ async function runMenu() {
   console.log('  3) stop      Stop running daemon');
   console.log('  4) restart   Stop + start (or just start if not running)');
   console.log('  5) doctor    Run diagnostic checks');
+  console.log('  6) chat      Talk to the running daemon from this terminal');
   console.log('  0) exit      Quit this menu\n');
 
-  const choice = (await ask('Choose (0-5): ')).trim();
+  const choice = (await ask('Choose (0-6): ')).trim();
   rl.close();
 
-  const commands = { '1': 'init', '2': 'start', '3': 'stop', '4': 'restart', '5': 'doctor' };
+  const commands = { '1': 'init', '2': 'start', '3': 'stop', '4': 'restart', '5': 'doctor', '6': 'chat' };
   if (choice === '0' || choice === '') {
     console.log('Bye.');
     process.exit(0);
@@ -760,6 +766,12 @@ async function runStart() {
     process.exit(1);
   }
 
+  // The daemon only logs config problems to its log file — show them here too.
+  const { checkConfigFiles } = require('../src/config');
+  for (const [file, issues] of Object.entries(checkConfigFiles())) {
+    for (const i of issues) console.log(`${i.level === 'error' ? '\x1b[31m✗\x1b[0m' : '\x1b[33m!\x1b[0m'}  ${file}${i.path ? ` ${i.path}` : ''} — ${i.message}`);
+  }
+
   const logPath = PATHS.daemonLog();
   fs.mkdirSync(path.dirname(logPath), { recursive: true });
   const logFd = fs.openSync(logPath, 'a');
@@ -997,6 +1009,17 @@ async function runDoctor() {
     return { ok: true, detail: `owner: ${config.owner_id}, ${config.allowed_users?.length || 0} user(s)` };
   });
 
+  // Schema — config.json, governance.json and tools.json against src/schema
+  check('Schema', () => {
+    const { checkConfigFiles } = require('../src/config');
+    const all = Object.entries(checkConfigFiles()).flatMap(([file, issues]) => issues.map((i) => ({ file, ...i })));
+    const line = (i) => `${i.file}${i.path ? ` ${i.path}` : ''} — ${i.message}`;
+    const errors = all.filter((i) => i.level === 'error');
+    const warnings = all.filter((i) => i.level !== 'error').map(line);
+    if (errors.length > 0) return { ok: false, detail: errors.map(line).join('; '), warnings };
+    return { ok: true, detail: warnings.length ? `${warnings.length} unknown key(s)` : 'valid', warnings };
+  });
+
   // Database
   check('Database', () => {
     const dbPath = PATHS.db();
@@ -1062,7 +1085,7 @@ async function runDoctor() {
     const govPath = PATHS.governance();
     if (!fs.existsSync(govPath)) return { ok: false, detail: 'governance.json not found' };
     const gov = JSON.parse(fs.readFileSync(govPath, 'utf-8'));
-    return { ok: true, detail: `allowlist: ${gov.allowlist?.length || 0}, denylist: ${gov.denylist?.length || 0}` };
+    return { ok: true, detail: `allowlist: ${gov.commands?.allowlist?.length || 0}, denylist: ${gov.commands?.denylist?.length || 0}` };
   });
 
   // Tools
@@ -1145,9 +1168,277 @@ async function runDoctor() {
   if (issues.length > 0) process.exit(1);
 }
 
+// ---------------------------------------------------------------------------
+// chat
+// ---------------------------------------------------------------------------
+// Attach to the running daemon's terminal platform (src/platforms/terminal.js)
+// over its Unix socket and chat as the owner: slash commands, the agent loop,
+// PIN prompts (read without echo). /quit or Ctrl-D detaches; the daemon and
+// the conversation carry on.
+function runChat() {
+  if (!isRunning()) {
+    console.log('multis is not running. Start it first: multis start');
+    process.exit(1);
+  }
+
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const socket = net.connect(PATHS.chatSocket());
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+  let muted = false;
+  // readline echoes as it goes; while a PIN is typed, echo nothing but the line end.
+  rl._writeToOutput = (s) => { if (!muted || s === '\r\n' || s === '\n') rl.output.write(s); };
+
+  // Print a line from the daemon above the prompt, without losing what's typed.
+  const show = (text) => {
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    console.log(text);
+    rl.prompt(true);
+  };
+
+  let buf = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buf += chunk;
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      let frame;
+      try { frame = JSON.parse(buf.slice(0, nl)); } catch { frame = null; }
+      buf = buf.slice(nl + 1);
+      if (!frame) continue;
+      if (frame.type === 'hello') {
+        console.log(dim(`Connected to ${frame.name}. /help for commands, /quit to leave.`));
+        rl.prompt();
+      } else if (frame.type === 'message') {
+        show(frame.text);
+      } else if (frame.type === 'prompt') {
+        muted = frame.input === 'pin';
+        show(frame.text);
+      } else if (frame.type === 'file') {
+        show(`${frame.caption ? frame.caption + '\n' : ''}File: ${frame.path}`);
+      }
+    }
+  });
+  socket.on('error', (err) => {
+    console.log(`Cannot reach the daemon's chat socket (${err.message}).`);
+    console.log('Is platforms.terminal disabled? Otherwise try: multis restart');
+    process.exit(1);
+  });
+  socket.on('close', () => {
+    console.log(dim('\nDisconnected.'));
+    process.exit(0);
+  });
+
+  rl.on('line', (line) => {
+    muted = false;
+    const text = line.trim();
+    if (text === '/quit' || text === '/exit') { rl.close(); return; }
+    if (text) socket.write(JSON.stringify({ type: 'message', text }) + '\n');
+    rl.prompt();
+  });
+  rl.on('close', () => socket.end());
+}
+
+// ---------------------------------------------------------------------------
+// config
+// ---------------------------------------------------------------------------
+// multis config get [path] | set <path> <value> [--force] | validate | diff [file]
+// Works on config.json as written; see src/cli/config.js for the path syntax.
+function runConfig(args) {
+  const cli = require('../src/cli/config');
+  const { checkConfigFiles, backupConfig } = require('../src/config');
+  const usage = () => {
+    console.log('Usage: multis config get [path]');
+    console.log('       multis config set <path> <value> [--force]');
+    console.log('       multis config validate');
+    console.log('       multis config diff [file]');
+    process.exit(1);
+  };
+  const issueLine = (i) => `${i.path || '(file)'} — ${i.message}`;
+  const [sub, ...rest] = args;
+  if (sub !== 'validate' && !fs.existsSync(CONFIG_PATH)) {
+    console.log('No config found. Run: multis init');
+    process.exit(1);
+  }
+
+  try {
+    switch (sub) {
+      case 'get': {
+        const config = cli.readConfigFile();
+        if (!rest[0]) {
+          console.log(JSON.stringify(cli.redact(config), null, 2));
+          return;
+        }
+        const segments = cli.parsePath(rest[0]);
+        const value = cli.getPath(config, segments);
+        if (value === undefined) {
+          console.log(`${rest[0]} is not set in config.json (multis uses its default).`);
+          process.exit(1);
+        }
+        // Asked for by exact path, a secret is shown; inside a section it is not.
+        console.log(typeof value === 'string' ? value : JSON.stringify(cli.redact(value), null, 2));
+        return;
+      }
+
+      case 'set': {
+        const force = rest.includes('--force');
+        const [key, raw] = rest.filter((a) => a !== '--force');
+        if (!key || raw === undefined) usage();
+        // The daemon writes config.json back from memory (chat metadata, /mode,
+        // pairing), so a change made under it would be lost before any restart.
+        if (isRunning()) {
+          console.log('multis is running. Stop it first: multis stop');
+          process.exit(1);
+        }
+        const segments = cli.parsePath(key);
+        const reason = cli.managedReason(segments);
+        if (reason) {
+          console.log(`${key} can't be set here — ${reason}.`);
+          process.exit(1);
+        }
+        const before = cli.readConfigFile();
+        const after = cli.setPath(structuredClone(before), segments, cli.parseValue(raw));
+        const added = cli.newIssues(before, after);
+        for (const i of added) console.log(`${i.level === 'error' ? '✗' : '!'}  ${issueLine(i)}`);
+        if (added.some((i) => i.level === 'error') || (added.length > 0 && !force)) {
+          console.log(added.some((i) => i.level === 'error') ? 'Not saved.' : 'Not saved — check the key, or add --force to keep it anyway.');
+          process.exit(1);
+        }
+        backupConfig();
+        saveConfig(after);
+        const shown = cli.SECRET_KEYS.has(segments[segments.length - 1]) ? '••••' : JSON.stringify(cli.getPath(after, segments));
+        console.log(`${key} = ${shown}`);
+        return;
+      }
+
+      case 'validate': {
+        let errors = 0;
+        for (const [file, issues] of Object.entries(checkConfigFiles())) {
+          if (!fs.existsSync(path.join(MULTIS_DIR, file))) {
+            console.log(`-  ${file} (not created yet)`);
+            continue;
+          }
+          if (issues.length === 0) {
+            console.log(`✓  ${file}`);
+            continue;
+          }
+          console.log(`${issues.some((i) => i.level === 'error') ? '✗' : '!'}  ${file}`);
+          for (const i of issues) console.log(`     ${i.level === 'error' ? 'error' : 'warning'}  ${issueLine(i)}`);
+          errors += issues.filter((i) => i.level === 'error').length;
+        }
+        if (errors > 0) process.exit(1);
+        return;
+      }
+
+      case 'diff': {
+        // Against the fresh-install template by default, or another config (e.g. config.json.bak).
+        const base = rest[0] ? JSON.parse(fs.readFileSync(path.resolve(rest[0]), 'utf-8')) : cli.templateConfig();
+        const changes = cli.diffConfig(base, cli.readConfigFile());
+        if (changes.length === 0) {
+          console.log(rest[0] ? `No differences from ${rest[0]}.` : 'Same as the defaults.');
+          return;
+        }
+        const show = (d, v) => JSON.stringify(cli.redact(v, cli.parsePath(d.path).pop()));
+        for (const d of changes) {
+          if (d.kind === 'added') console.log(`+ ${d.path} = ${show(d, d.after)}`);
+          else if (d.kind === 'removed') console.log(`- ${d.path} (was ${show(d, d.before)})`);
+          else console.log(`~ ${d.path}: ${show(d, d.before)} → ${show(d, d.after)}`);
+        }
+        return;
+      }
+
+      default:
+        usage();
+    }
+  } catch (err) {
+    console.error(`Config ${sub} failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// backup / restore
+// ---------------------------------------------------------------------------
+// multis backup [--out <file>] [--encrypt]
+// Safe while the daemon runs: SQLite stores are copied with the online backup
+// API. The passphrase comes from MULTIS_BACKUP_PASSPHRASE, else a prompt.
+async function runBackup(args) {
+  const { createBackup } = require('../src/maintenance/backup');
+  const outAt = args.indexOf('--out');
+  const out = outAt !== -1 ? args[outAt + 1] : undefined;
+  if (outAt !== -1 && !out) {
+    console.log('Usage: multis backup [--out <file>] [--encrypt]');
+    process.exit(1);
+  }
+  let passphrase;
+  if (args.includes('--encrypt')) {
+    passphrase = process.env.MULTIS_BACKUP_PASSPHRASE || await askHidden('Passphrase: ');
+    if (!process.env.MULTIS_BACKUP_PASSPHRASE && passphrase !== await askHidden('Again: ')) {
+      console.log('Passphrases do not match.');
+      process.exit(1);
+    }
+    if (!passphrase) {
+      console.log('An empty passphrase would not protect anything.');
+      process.exit(1);
+    }
+  }
+  try {
+    const { file, files, bytes } = await createBackup({ out: out && path.resolve(out), passphrase });
+    console.log(`Backed up ${files} files to ${file} (${(bytes / 1024).toFixed(0)} KB${passphrase ? ', encrypted' : ''}).`);
+  } catch (err) {
+    console.error(`Backup failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// multis restore <file> [--force]
+// The daemon must be stopped; the current ~/.multis is kept beside the restored one.
+async function runRestore(args) {
+  const { restoreBackup } = require('../src/maintenance/backup');
+  const file = args.find((a) => !a.startsWith('--'));
+  if (!file) {
+    console.log('Usage: multis restore <file> [--force]');
+    process.exit(1);
+  }
+  if (isRunning()) {
+    console.log('multis is running. Stop it first: multis stop');
+    process.exit(1);
+  }
+  const opts = { force: args.includes('--force'), passphrase: process.env.MULTIS_BACKUP_PASSPHRASE || undefined };
+  try {
+    let result;
+    try {
+      result = restoreBackup(path.resolve(file), opts);
+    } catch (err) {
+      if (opts.passphrase || !/passphrase is needed/.test(err.message)) throw err;
+      result = restoreBackup(path.resolve(file), { ...opts, passphrase: await askHidden('Passphrase: ') });
+    }
+    const { manifest, files, previous, warning } = result;
+    console.log(`Restored ${files} files from a backup made ${manifest.created_at} by multis ${manifest.multis_version}.`);
+    if (previous) console.log(`The previous ${MULTIS_DIR} is kept at ${previous}.`);
+    if (warning) console.log(`Warning: ${warning} — run multis doctor.`);
+    console.log('Start it with: multis start');
+  } catch (err) {
+    console.error(`Restore failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // helpers
 // ---------------------------------------------------------------------------
+
+// Read one line without echoing it (a passphrase).
+function askHidden(label) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  let muted = false;
+  rl._writeToOutput = (s) => { if (!muted || s === '\r\n' || s === '\n') rl.output.write(s); };
+  return new Promise((resolve) => {
+    rl.question(label, (answer) => { rl.close(); resolve(answer); });
+    muted = true;
+  });
+}
+
 function isRunning() {
   if (!fs.existsSync(PID_PATH)) return false;
   const pid = parseInt(fs.readFileSync(PID_PATH, 'utf-8').trim(), 10);
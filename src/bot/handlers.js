@@ -1,9 +1,13 @@
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { logAudit } = require('../governance/audit');
+const { emitWebhook } = require('../governance/webhooks');
+const metrics = require('../metrics');
 const { addAllowedUser, isOwner, saveConfig, backupConfig, updateChatMeta, getMultisDir, PATHS, defaultModeForRole, allowedModesForRole, roleLabel } = require('../config');
 const { listSkills } = require('../skills/executor');
 const context = require('../context');
-const { createProvider } = require('../llm/provider-adapter');
+const { createProvider, streamingGenerate } = require('../llm/provider-adapter');
 const { buildRAGPrompt, buildMemorySystemPrompt, buildBusinessPrompt, buildContactPrompt } = require('../llm/prompts');
 const { getMemoryManager } = require('../memory/manager');
 const { rememberWithSupersede } = require('../memory/supersede');
@@ -15,13 +19,20 @@ const { adaptTools } = require('../tools/adapter');
 const { getPlatform } = require('../tools/platform');
 const { Loop, Retry, CircuitBreaker, HaltError, unitAssembler } = require('bare-agent');
 const { getScheduler, parseRemind, parseCron, formatJob } = require('./scheduler');
+const { transcribeAudio, isAudioAttachment, VOICE_MARKER } = require('./transcribe');
+const { isImageAttachment, supportsVision, sniffImageType, imageUserMessage, ocrImage, IMAGE_MARKER, IMAGE_TEXT_MARKER } = require('../llm/vision');
 const { createGate } = require('../governance/gate');
 const { createHumanPrompt, createCeremonyPrompt, createVerifyPin } = require('../governance/human-channel');
 const { PendingRegistry } = require('./pending');
+const { ReplyStream } = require('./reply-stream');
 const { ASK_KIND, openAsk, resumeAsk, expireAsk } = require('./ask-dispatcher');
 const { runGovernedAction, RESULT } = require('../capabilities/govern');
 const { buildGovernDeps } = require('../capabilities/deps');
-const { getCapabilityForTool, SEVERITY } = require('../capabilities/registry');
+const { getCapability, getCapabilityForTool, SEVERITY } = require('../capabilities/registry');
+const { formatDeadLetter } = require('../platforms/outbox');
+const { formatSyncResult, formatWatchedFolders } = require('../context/watch');
+const { formatHistory, formatDocuments } = require('../context/catalog');
+const { citeChunk, pageLabel, sectionLabel } = require('../context/citation');
 
 // Picker / wizard lifetimes, single-sourced from config (see config.js
 // `interaction` block). Quick numeric pickers expire fast; the multi-step
@@ -29,7 +40,15 @@ const { getCapabilityForTool, SEVERITY } = require('../capabilities/registry');
 const pickerTtlMs = (config) => (config.interaction?.picker_ttl_minutes ?? 5) * 60_000;
 const wizardTtlMs = (config) => (config.interaction?.wizard_ttl_minutes ?? 30) * 60_000;
 const PKG_VERSION = require('../../package.json').version;
-const { looksLikeCommand } = require('../platforms/message');
+const { looksLikeCommand, quotedContext } = require('../platforms/message');
+const { sendPrompt, canEditMessages, canSendFiles, platformKind, MAX_ASSET_BYTES, assetTooLarge } = require('../platforms/base');
+
+// A numbered picker's choices for sendPrompt: the button shows the line, the
+// answer is the number — exactly what a typed reply would have been.
+const numberedChoices = (labels) => labels.map((label, i) => ({ label: `${i + 1}) ${label}`, value: String(i + 1) }));
+
+// Photos per message handed to the model — an album beyond this is truncated.
+const MAX_IMAGES = 4;
 
 // ---------------------------------------------------------------------------
 // Admin presence pause — when owner messages in a business chat, bot pauses
@@ -57,8 +76,10 @@ function clearAdminPauses() {
 /**
  * Notify the owner/admin channels. Mirrors the escalate tool's routing so
  * non-LLM events (e.g. a rate-limit trip) can reach a human. Best-effort.
+ * @param {object} [from] - the platform the event happened on; a Beeper endpoint
+ *   with its own admin_chats is told there instead of on every channel
  */
-async function notifyAdmins(platformRegistry, config, text) {
+async function notifyAdmins(platformRegistry, config, text, from = null) {
   let sent = 0;
   const override = config?.business?.escalation?.admin_chat;
   if (override) {
@@ -67,11 +88,18 @@ async function notifyAdmins(platformRegistry, config, text) {
     }
     return sent;
   }
+  const own = from?.getEscalationChatIds?.() || [];
+  if (own.length) {
+    for (const chatId of own) {
+      try { await from.send(chatId, text); sent++; } catch { /* best-effort notify */ }
+    }
+    return sent;
+  }
   for (const [name, plat] of platformRegistry || []) {
     try {
       if (name === 'telegram' && config?.owner_id) {
         await plat.send(config.owner_id, text); sent++;
-      } else if (name === 'beeper' && plat.getAdminChatIds) {
+      } else if (plat.getAdminChatIds) { // Beeper/Matrix note-to-self owner channels
         for (const chatId of plat.getAdminChatIds()) { await plat.send(chatId, text); sent++; }
       }
     } catch { /* best-effort notify */ }
@@ -151,11 +179,14 @@ function createGovernanceCarrier(config, opts = {}) {
 
 /**
  * Build agent registry from config.agents.
- * Each agent: { llm, persona, model }. Reuses globalLlm when model matches.
+ * Each agent: { provider, persona, model, llmConfig } — llmConfig is the config the
+ * provider was actually built from, so a per-agent model that failed to init (and
+ * runs on the global provider) isn't mistaken for the one configured. Reuses the
+ * global provider when the model matches.
  * Falls back to single-entry map with no persona if config.agents is missing/invalid.
  */
 function buildAgentRegistry(config, globalProvider) {
-  const fallback = new Map([['default', { provider: globalProvider, persona: null, model: config.llm?.model }]]);
+  const fallback = new Map([['default', { provider: globalProvider, persona: null, model: config.llm?.model, llmConfig: config.llm }]]);
 
   if (!config.agents) return fallback;
 
@@ -178,15 +209,17 @@ function buildAgentRegistry(config, globalProvider) {
     }
 
     let agentProvider = globalProvider;
+    let llmConfig = config.llm;
     if (agent.model && agent.model !== globalModel && globalProvider) {
       try {
         agentProvider = createProvider({ ...config.llm, model: agent.model });
+        llmConfig = { ...config.llm, model: agent.model };
       } catch (err) {
         console.warn(`Agent "${name}" LLM init failed (${err.message}) — using global.`);
       }
     }
 
-    registry.set(name, { provider: agentProvider, persona: agent.persona, model: agent.model || globalModel });
+    registry.set(name, { provider: agentProvider, persona: agent.persona, model: agent.model || globalModel, llmConfig });
   }
 
   if (registry.size === 0) {
@@ -201,7 +234,7 @@ function buildAgentRegistry(config, globalProvider) {
  * Resolve which agent handles a message.
  * Order: @name prefix → per-chat assignment → mode default → first agent.
  */
-function resolveAgent(text, chatId, config, agentRegistry) {
+function resolveAgent(text, chatId, config, agentRegistry, platform) {
   // 1. @name prefix
   const mentionMatch = text.match(/^@(\S+)\s+([\s\S]*)$/);
   if (mentionMatch) {
@@ -219,7 +252,7 @@ function resolveAgent(text, chatId, config, agentRegistry) {
   }
 
   // 3. Mode-based default
-  const mode = getChatMode(config, chatId);
+  const mode = getChatMode(config, chatId, platform);
   const modeDefault = config.defaults?.[mode];
   if (modeDefault && agentRegistry.has(modeDefault)) {
     return { agent: agentRegistry.get(modeDefault), name: modeDefault, text };
@@ -253,6 +286,26 @@ function isPaired(msgOrCtx, config) {
 // `meta.turns` carries the role-tagged turns so the agent's message history reconstructs
 // from litectx recency (no recent.json). Daily logs are written separately (ChatMemoryManager). ---
 const memScopeFor = (admin, chatId) => (admin ? 'admin' : `user:${chatId}`);
+// Does this message's turn belong to the owner's admin scope? Not in a Telegram group:
+// every member reads the room, so even the owner's turns there are fenced to the
+// group's own user:<chatId> tenant (memory, recall, and the contact-facing prompt).
+const isAdminTurn = (msg, config) => !msg.isGroup && isOwner(msg.senderId, config, msg);
+
+// Slash commands that never run from a group, even the owner's: the whole room reads
+// the reply — a shell's output, a file, the PIN prompt a ceremony parks. That is
+// every owner-only capability, every one that can ceremony, and /pin itself. /exec,
+// /read and `/show <n> file` reach the host capabilities run_shell, read_file and
+// send_file. /mode is left to routeMode, which already keeps `off` out of a group.
+function refusedInGroup(command, args) {
+  if (command === 'pin') return true;
+  if (command === 'mode') return false;
+  let cap;
+  if (command === 'exec') cap = getCapabilityForTool('exec');
+  else if (command === 'read') cap = getCapabilityForTool('read_file');
+  else if (command === 'show' && /(^|\s)file$/i.test((args || '').trim())) cap = getCapabilityForTool('send_file');
+  else cap = getCapability(command);
+  return !!cap && (cap.ownerOnly || cap.severity !== SEVERITY.BENIGN);
+}
 // turns: [{role:'user'|'assistant', content}]. body = the readable transcript (for recall/promotion);
 // meta.turns = the structured turns (for faithful window reconstruction — litectx never parses the body).
 const fmtTurns = (turns) => turns.map((t) => `${t.role === 'assistant' ? 'Assistant' : 'User'}: ${t.content}`).join('\n');
@@ -290,6 +343,12 @@ function createMessageRouter(config, deps = {}) {
   // pin-change, and — as later phases migrate — gate challenges and pickers).
   // Keyed by chatId:senderId, TTL-expiring, announce-on-expiry.
   const pending = deps.pending || new PendingRegistry();
+  // Outbound queue (src/platforms/outbox.js) — the daemon passes one in, and every
+  // registered platform's sends go through it. Without one, sends go straight out.
+  const outbox = deps.outbox || null;
+  // Watched folders (src/context/watch.js) — the daemon passes one in; without
+  // one, /watch says folder watching isn't running.
+  const watcher = deps.watcher || null;
   // Business-mode inbound limiter (per-sender). Disabled only if explicitly off.
   const rlCfg = config.security?.rate_limit || {};
   const rateLimiter = deps.rateLimiter
@@ -358,6 +417,8 @@ function createMessageRouter(config, deps = {}) {
   const loggedTelegramRejects = new Set();
 
   const router = async (msg, platform) => {
+    metrics.inc('multis_messages_received_total', { platform: msg.platformName || msg.platform, mode: msg.routeAs || 'direct' });
+
     // Telegram is owner-only (personal-bot role). Reject every non-owner message —
     // even a paired one, even /start, even a file upload — before any routing, so
     // admin-scoped content, the owner's tool-oriented base prompt, and customer
@@ -368,11 +429,11 @@ function createMessageRouter(config, deps = {}) {
     // before an owner exists there is nothing to protect. The reject reveals
     // nothing: no content, no "owner", no pairing hint.
     //
-    // Scoped to un-routed traffic (`!routeAs`): a real Telegram message is never
-    // mode-classified (Telegram sets no routeAs — only Beeper's adapter does), so
-    // this fires for 100% of genuine Telegram traffic — the command / implicit-ask
-    // / upload path that leaked. A message carrying a routeAs was classified by a
-    // platform adapter and is governed by its own owner/customer logic below.
+    // Scoped to un-routed traffic (`!routeAs`): a Telegram DM is never
+    // mode-classified (only group chatter carries a routeAs), so this fires for
+    // every DM and every group slash command — the command / implicit-ask / upload
+    // path that leaked. A message carrying a routeAs was classified by a platform
+    // adapter and is governed by its own owner/customer logic below.
     if (msg.platform === 'telegram' && !msg.routeAs && config.owner_id && !isOwner(msg.senderId, config, msg)) {
       // Audit the FIRST reject per sender so probing is visible, but dedupe so a
       // spammer can't flood the append-only log (one line per sender, not per msg).
@@ -380,13 +441,24 @@ function createMessageRouter(config, deps = {}) {
         loggedTelegramRejects.add(msg.senderId);
         logAudit({ action: 'telegram_reject', user_id: msg.senderId, sender_name: msg.senderName, chatId: msg.chatId, platform: 'telegram' });
       }
-      await platform.send(msg.chatId, 'This is a private assistant.');
+      // In a group a member's /command is just ignored — answering each one is noise,
+      // and so is a reaction or an edit.
+      if (!msg.isGroup && msg.event === 'message') await platform.send(msg.chatId, 'This is a private assistant.');
+      return;
+    }
+
+    // Reactions and edits are not new messages. A reaction can answer a parked
+    // Approve/Deny prompt; an edit goes to the daily log, or — a contact's edited
+    // business question — on through routing to be answered again.
+    if (msg.event === 'reaction') {
+      answerWithReaction(msg, pending);
       return;
     }
+    if (msg.event === 'edit' && !recordEdit(msg, config, getMem)) return;
 
     // Handle Telegram document uploads
     if (msg._document) {
-      if (isOwner(msg.senderId, config, msg)) {
+      if (isAdminTurn(msg, config)) {
         await handleDocumentUpload(msg, platform, config, indexer);
       } else {
         await handleSilentAttachment(msg, platform, config, indexer, 'telegram');
@@ -394,7 +466,24 @@ function createMessageRouter(config, deps = {}) {
       return;
     }
 
-    // Handle Beeper file attachments
+    // Voice notes are set aside here, not transcribed: whisper runs only once routing
+    // has decided the message is heard — past off, the admin pause and the rate
+    // limit — and the transcript then flows through the same silent/business/ask
+    // paths (daily log + episode) as a typed message.
+    if (msg._attachments?.some(isAudioAttachment) && config.transcription?.enabled) {
+      setAsideVoiceNote(msg);
+    }
+
+    // Photos → the agent loop: fetched here and carried on msg._images to routeAsk,
+    // which shows them to a vision model or falls back to their OCR text. Only for a
+    // turn that will be answered — a silent/off chat or a stranger never fetches them.
+    if (msg._attachments?.some(isImageAttachment) && config.vision?.enabled !== false
+        && answersImages(msg, config) && !looksLikeCommand(msg.text)) {
+      await collectImages(msg, platform, config);
+      if (!msg.text.trim() && !msg._attachments) return; // unreadable, nothing else to route
+    }
+
+    // Handle Beeper/Matrix file attachments
     if (msg._attachments?.length > 0) {
       if (msg.routeAs === 'silent') {
         // silent mode: silently index supported docs, no reply
@@ -465,12 +554,21 @@ function createMessageRouter(config, deps = {}) {
       }
     }
 
+    // A tapped prompt button (Telegram inline keyboard) whose prompt is no longer
+    // parked — answered, cancelled, expired, or displaced. Its payload is a bare
+    // "1"/"yes", meaningless outside that prompt: never route it as a query.
+    if (msg.promptReply) {
+      await platform.send(msg.chatId, 'That prompt is no longer active.');
+      return;
+    }
+
     // Off mode: defense-in-depth — no logging, no processing
     if (msg.routeAs === 'off') return;
 
     // Silent mode: observe only — log + record as a memory episode, no response.
     if (msg.routeAs === 'silent') {
-      const admin = isOwner(msg.senderId, config, msg);
+      if (msg._voice && !(await transcribeVoiceNote(msg, platform, config))) return;
+      const admin = isAdminTurn(msg, config);
       const mem = getMem(msg.chatId, { isAdmin: admin });
       if (mem) {
         const role = msg.isSelf ? 'user' : 'contact';
@@ -478,7 +576,7 @@ function createMessageRouter(config, deps = {}) {
 
         // Persist chat metadata to config.chats
         if (msg.chatName || msg.network) {
-          const fields = { platform: msg.platform };
+          const fields = { platform: msg.platformName };
           if (msg.chatName) fields.name = msg.chatName;
           if (msg.network) fields.network = msg.network;
           updateChatMeta(config, msg.chatId, fields);
@@ -501,7 +599,7 @@ function createMessageRouter(config, deps = {}) {
       // Silently ignore empty / media-only messages in business chats
       if (msg.routeAs === 'business') {
         const trimmed = (msg.text || '').trim();
-        if (!trimmed) return;
+        if (!trimmed && !msg._voice) return;
       }
 
       // Admin presence pause for business chats
@@ -511,10 +609,12 @@ function createMessageRouter(config, deps = {}) {
           // Owner typing in business chat → pause bot, archive message
           const pauseMin = config.business?.escalation?.admin_pause_minutes ?? 30;
           setAdminPause(msg.chatId, pauseMin);
-          const mem = getMem(msg.chatId, { isAdmin: true });
+          if (msg._voice && !(await transcribeVoiceNote(msg, platform, config))) return;
+          const archiveAdmin = isAdminTurn(msg, config);
+          const mem = getMem(msg.chatId, { isAdmin: archiveAdmin });
           if (mem) {
             mem.appendToLog('user', msg.text);
-            await rememberEpisode(true, msg.chatId, [{ role: 'user', content: msg.text }]);
+            await rememberEpisode(archiveAdmin, msg.chatId, [{ role: 'user', content: msg.text }]);
           }
           return;
         }
@@ -522,7 +622,7 @@ function createMessageRouter(config, deps = {}) {
           // Customer messages while admin is active → silently archive, no LLM
           const mem = getMem(msg.chatId, { isAdmin: false });
           if (mem) {
-            mem.appendToLog('user', msg.text);
+            mem.appendToLog('user', msg.text, { edited: msg.event === 'edit' });
             await rememberEpisode(false, msg.chatId, [{ role: 'user', content: msg.text }]);
           }
           return;
@@ -535,11 +635,15 @@ function createMessageRouter(config, deps = {}) {
       // the message, hand off to a human, and stop the LLM — degrade, don't refuse (#1).
       if (msg.routeAs === 'business' || msg.routeAs === 'personal') {
         if (rateLimiter) {
-          const verdict = rateLimiter.consume(msg.senderId);
+          // A Beeper network policy may set its own caps (platforms.beeper.networks.<net>.rate_limit).
+          const netLimit = platform.networkPolicy?.(msg.chatId)?.rate_limit;
+          const verdict = rateLimiter.consume(msg.senderId, netLimit
+            ? { burstPerMin: netLimit.burst_per_min, dailyPerSender: netLimit.daily_per_sender }
+            : {});
           if (!verdict.allowed) {
             const mem = getMem(msg.chatId, { isAdmin: false });
             if (mem) {
-              mem.appendToLog('user', msg.text);
+              mem.appendToLog('user', msg.text, { edited: msg.event === 'edit' });
               await rememberEpisode(false, msg.chatId, [{ role: 'user', content: msg.text }]);
             }
             if (verdict.notify) {
@@ -548,18 +652,29 @@ function createMessageRouter(config, deps = {}) {
               await platform.send(msg.chatId, note);
               const who = config.chats?.[msg.chatId]?.name || msg.chatId;
               await notifyAdmins(platformRegistry, config,
-                `[Rate limit] ${who} hit the ${verdict.scope} limit — bot paused for this contact; please follow up.`);
+                `[Rate limit] ${who} hit the ${verdict.scope} limit — bot paused for this contact; please follow up.`, platform);
               logAudit({ action: 'rate_limit', user_id: msg.senderId, chatId: msg.chatId, scope: verdict.scope });
+              emitWebhook('rate_limit', { chat_id: msg.chatId, chat_name: who, sender_id: msg.senderId, platform: msg.platformName, scope: verdict.scope });
+              metrics.inc('multis_rate_limit_trips_total', { scope: verdict.scope });
             }
             return;
           }
         }
       }
 
+      if (msg._voice && !(await transcribeVoiceNote(msg, platform, config))) return;
       await routeAsk(msg, platform, config, indexer, provider, msg.text, getMem, memCfg, agentRegistry, { allTools, toolsConfig, runtimePlatform, maxToolRounds, platformRegistry, gov, pending });
       return;
     }
 
+    // Un-routed traffic — the owner's Telegram DM, a self-sent Beeper/Matrix note:
+    // the transcript goes on to the command / implicit-ask path as typed text. Only
+    // a paired sender's note is worth transcribing; anyone else is turned away below.
+    if (msg._voice) {
+      if (!isPaired(msg, config) && !isOwner(msg.senderId, config, msg)) msg._voice = undefined;
+      else if (!(await transcribeVoiceNote(msg, platform, config))) return;
+    }
+
     if (!msg.isCommand()) return;
 
     const parsed = msg.parseCommand();
@@ -581,19 +696,128 @@ function createMessageRouter(config, deps = {}) {
       return;
     }
 
+    // Owner commands typed in a group: nothing goes back to the room. On Telegram the
+    // owner's private chat is their user id, so the refusal is sent there instead.
+    if (msg.isGroup && refusedInGroup(command, args)) {
+      logAudit({ action: 'group_command_refused', user_id: msg.senderId, chatId: msg.chatId, command, platform: msg.platform });
+      if (msg.platform === 'telegram' && isOwner(msg.senderId, config, msg)) {
+        await platform.send(msg.senderId, `/${command} doesn't run in a group — everyone there would read the reply. Send it here instead.`);
+      }
+      return;
+    }
+
     // No router-level PIN gate here any more. The M9 governed core
     // (runGovernedAction) is the single floor + ceremony: exec ceremonies by
     // command severity, read/index by the owner floor — all at dispatch time,
     // with one PendingRegistry. The old PIN_PROTECTED double-path is retired.
 
-    await executeCommand(command, args, msg, platform, config, indexer, provider, getMem, memCfg, pinManager, agentRegistry, { indexer, provider, memCfg, allTools, toolsConfig, runtimePlatform, maxToolRounds, platformRegistry, gov, pending });
+    await executeCommand(command, args, msg, platform, config, indexer, provider, getMem, memCfg, pinManager, agentRegistry, { indexer, provider, memCfg, allTools, toolsConfig, runtimePlatform, maxToolRounds, platformRegistry, gov, pending, outbox, watcher });
   };
 
   router.registerPlatform = (name, instance) => {
+    if (outbox) outbox.attach(name, instance);
     platformRegistry.set(name, instance);
     gov.platformRegistry.set(name, instance);
   };
 
+  /**
+   * Escalate to the owner/admin channels from outside a chat (the HTTP API):
+   * the same routing as a contact's escalation, plus its webhook.
+   * @returns {Promise<number>} how many admin channels were notified
+   */
+  router.escalate = async ({ reason, urgency = 'normal', source = 'api' }) => {
+    const tag = urgency === 'urgent' ? '[URGENT] ' : '';
+    const sent = await notifyAdmins(platformRegistry, config, `${tag}[Escalation] ${source}: ${reason}`);
+    logAudit({ action: 'escalate', source, reason, urgency, notified: sent });
+    emitWebhook('escalation', { reason, urgency, source });
+    metrics.inc('multis_escalations_total', { via: 'api' });
+    return sent;
+  };
+
+  /** Scheduled jobs (/remind, /cron), for callers that want them as data. */
+  router.listJobs = () => getScheduler().list();
+
+  /**
+   * Health for /healthz: every beeperbox endpoint answers, litectx answers,
+   * and the LLM provider's circuit breaker is not open.
+   * @returns {Promise<{ok: boolean, checks: object}>}
+   */
+  router.health = async () => {
+    const checks = {};
+    for (const [name, p] of platformRegistry) {
+      if (platformKind(name) !== 'beeper') continue;
+      checks[name] = await probe(async () => {
+        if (!p.mcp) throw new Error('not started');
+        await p.mcp.listAccounts();
+        return { url: p.mcpUrl };
+      });
+    }
+    checks.litectx = await probe(async () => ({ items: indexer.stats().total }));
+    const circuit = circuitState(getCircuitBreaker(config), config?.llm?.provider || 'default');
+    checks.llm = { ok: circuit !== 'open', provider: config?.llm?.provider || null, circuit };
+    return { ok: Object.values(checks).every((c) => c.ok), checks };
+  };
+
+  /**
+   * Every chat in config.chats with its effective mode and where it comes from,
+   * and the modes its account may set — for the dashboard.
+   */
+  router.listChats = () => Object.entries(config.chats || {}).map(([id, c]) => {
+    const platform = platformRegistry.get(c.platform) || null;
+    const { mode, source } = chatModeWithSource(config, id, platform, c.network);
+    return {
+      id, name: c.name || id, platform: c.platform || null, network: c.network || null,
+      mode, source, agent: config.chat_agents?.[id] || null, lastActive: c.lastActive || null,
+      modes: allowedModesForRole(accountRole(config, platform)),
+    };
+  });
+
+  /** Asks waiting on a reply (PIN prompts, pickers, gate approvals), without their callbacks. */
+  router.pendingAsks = () => pending.list().map((e) => ({
+    chatId: e.chatId ?? null,
+    senderId: e.senderId ?? null,
+    kind: e.kind === ASK_KIND ? e.ask?.kind || ASK_KIND : e.kind,
+    label: e.label ?? null,
+    createdAt: new Date(e.createdAt).toISOString(),
+    expiresAt: new Date(e.createdAt + e.ttlMs).toISOString(),
+  }));
+
+  /**
+   * Live KB documents for the dashboard, one row per document and scope, from
+   * the catalog — the same list /docs reads — with the live version's details.
+   */
+  router.listDocuments = () => indexer.listDocuments().map((d) => {
+    const live = d.versions[d.versions.length - 1];
+    return {
+      filename: d.name, scope: d.scope, version: live.version, chunks: live.chunks ?? null,
+      source: live.source || null, indexedAt: live.indexed_at || null,
+    };
+  }).sort((a, b) => String(b.indexedAt).localeCompare(String(a.indexedAt)));
+
+  /**
+   * Set a chat's mode as the owner from outside a chat (the dashboard), through
+   * the governed core like /mode: `off` needs the PIN, passed as `pin` on a
+   * second call once the first answers needs_pin.
+   * @returns {Promise<{ok: boolean, mode?: string, needsPin?: boolean, echo?: string, reason?: string}>}
+   */
+  router.setChatMode = async ({ chatId, mode, pin }) => {
+    const platform = platformRegistry.get(config.chats?.[chatId]?.platform) || null;
+    const role = accountRole(config, platform);
+    if (!allowedModesForRole(role).includes(mode)) {
+      return { ok: false, reason: `A ${roleLabel(role)} account can't set a chat to "${mode}".` };
+    }
+    if ((mode === 'silent' || mode === 'off') && platform?._personalChats?.has(chatId)) {
+      return { ok: false, reason: 'Personal/note-to-self chats cannot be set to silent or off.' };
+    }
+    const bundle = await gov.resolve();
+    const deps = buildSlashDeps(bundle, config, { indexer, getMem, provider, memCfg });
+    const ctx = { senderId: config.owner_id, chatId: 'dashboard', isOwner: true, isGroup: false, platform: 'dashboard', platformName: 'dashboard' };
+    const r = await runGovernedAction({ capability: 'set_mode', args: { target: chatId, mode }, ctx, deps, ceremonyReply: pin });
+    if (r.kind === RESULT.OK) return { ok: true, mode };
+    if (r.kind === RESULT.NEEDS_CEREMONY) return { ok: false, needsPin: true, echo: r.echo };
+    return { ok: false, reason: r.message || r.reason };
+  };
+
   // Initialize scheduler with centralized tick handler (call after platforms registered)
   router.initScheduler = () => {
     const tick = createSchedulerTick({
@@ -624,8 +848,20 @@ async function executeCommand(command, args, msg, platform, config, indexer, pro
       case 'search':
         await routeSearch(msg, platform, config, indexer, args);
         break;
+      case 'show':
+        await routeShow(msg, platform, config, indexer, args, toolDeps);
+        break;
+      case 'watch':
+        await routeWatch(msg, platform, config, indexer, args, toolDeps);
+        break;
+      case 'unwatch':
+        await routeUnwatch(msg, platform, config, indexer, args, toolDeps);
+        break;
       case 'docs':
-        await routeDocs(msg, platform, config, indexer);
+        await routeDocs(msg, platform, config, indexer, toolDeps.watcher, args);
+        break;
+      case 'unindex':
+        await routeUnindex(msg, platform, config, indexer, args, toolDeps);
         break;
       case 'skills':
         await platform.send(msg.chatId, `Available skills:\n${listSkills()}`);
@@ -669,6 +905,9 @@ async function executeCommand(command, args, msg, platform, config, indexer, pro
       case 'cancel':
         await routeCancel(msg, platform, config, args);
         break;
+      case 'outbox':
+        await routeOutbox(msg, platform, config, args, toolDeps.outbox);
+        break;
       case 'plan':
         await routePlan(msg, platform, config, provider, args, toolDeps);
         break;
@@ -711,7 +950,7 @@ function makePinChangeAsk({ msg, platform, config, pinManager, step }) {
           return result.locked ? { done: true, summary: null } : { retry: true };
         }
         ask.step = 'new';
-        await platform.send(msg.chatId, 'Enter your new PIN (4-6 digits):');
+        await sendPrompt(platform, msg.chatId, 'Enter your new PIN (4-6 digits):', { input: 'pin' });
         return { next: ask };
       }
       // step 'new' — `match` already guaranteed a 4–6 digit PIN.
@@ -732,9 +971,9 @@ async function routePinChange(msg, platform, config, pinManager, pending) {
   }
 
   const step = pinManager.isEnabled() ? 'verify' : 'new';
-  await platform.send(msg.chatId, step === 'verify'
+  await sendPrompt(platform, msg.chatId, step === 'verify'
     ? 'Enter your current PIN:'
-    : 'No PIN set. Enter a new PIN (4-6 digits):');
+    : 'No PIN set. Enter a new PIN (4-6 digits):', { input: 'pin' });
   await openAsk(makePinChangeAsk({ msg, platform, config, pinManager, step }),
     { pending, chatId: msg.chatId, senderId: msg.senderId });
 }
@@ -801,6 +1040,9 @@ async function dispatchCapability(capName, args, msg, config, toolDeps = {}, cer
   const bundle = gov ? await gov.resolve() : {};
   const deps = buildSlashDeps(bundle, config, toolDeps);
   const ctx = buildGovernCtx(msg, config);
+  // A host tool that answers into the chat (send_file) needs the adapter, as
+  // its ctx carries on the agent path.
+  if (toolDeps.adapter) ctx.platform = toolDeps.adapter;
   return runGovernedAction({ capability: capName, args, ctx, deps, ceremonyReply });
 }
 
@@ -811,20 +1053,23 @@ function buildGovernCtx(msg, config) {
     senderId: msg.senderId,
     chatId: msg.chatId,
     isOwner: isOwner(msg.senderId, config, msg),
+    isGroup: msg.isGroup,
     platform: msg.platform,
+    platformName: msg.platformName,
   };
 }
 
 // The governed-action deps for the slash door (full floor + appExec + ceremony).
 // verifyPin = park-and-resume (no inline await → no serial-poll deadlock).
 function buildSlashDeps(bundle, config, toolDeps) {
-  const { indexer, getMem, provider, memCfg } = toolDeps;
+  const { indexer, getMem, provider, memCfg, watcher } = toolDeps;
   return buildGovernDeps({
     verifyPin: bundle.verifyPin,
     pinConfigured: bundle.pinConfigured,
     floorPolicy: bundle.floorPolicy,
     denylist: bundle.denylist,
     indexer,
+    watcher,
     appExec: buildAppExec(config, getMem, indexer, provider, memCfg),
   });
 }
@@ -880,8 +1125,8 @@ function makeCeremonyAsk({ capability, args, ctx, deps, ceremonyPrompt, echo, re
  * pass getMem in toolDeps (forget/remember/memory), so the closures are safe.
  */
 function buildAppExec(config, getMem, indexer, provider, memCfg) {
-  const mem = (ctx) => getMem(ctx.chatId, { isAdmin: ctx.isOwner });
-  const scopeOf = (ctx) => (ctx.isOwner ? 'admin' : `user:${ctx.chatId}`);
+  const mem = (ctx) => getMem(ctx.chatId, { isAdmin: ctx.isOwner && !ctx.isGroup });
+  const scopeOf = (ctx) => (ctx.isOwner && !ctx.isGroup ? 'admin' : `user:${ctx.chatId}`);
   return {
     // set_mode commits the resolved (chatId, mode) — off ceremonies via the core.
     set_mode: (args) => { setChatMode(config, args.target, args.mode); return { target: args.target, mode: args.mode }; },
@@ -929,12 +1174,6 @@ function friendlyFloorDeny(raw) {
   return '⛔ Blocked by safety policy.';
 }
 
-/**
- * Render a governed-core result to the user. `format(result)` shapes the OK
- * text; `usage` shows when a required arg is missing/invalid (the picker
- * stand-in for the slash door). DENIED maps the owner floor and a declined
- * ceremony to plain language.
- */
 // A command that succeeded with no stdout (executor.js renders that as
 // "(no output)") needs no result line after a "PIN accepted." — the confirmation
 // already says it ran. Standalone benign exec still shows "(no output)" (there it's
@@ -944,10 +1183,59 @@ function isSilentSuccess(result) {
   return s === '' || s === '(no output)';
 }
 
+// Command output longer than this is sent as a file where the platform takes
+// one, or as a code block the platform splits into parts — never truncated.
+const INLINE_OUTPUT_MAX = 4000;
+
+/**
+ * Send long command output whole: attached as `fileName` with a one-line
+ * caption, or (no file support, or the upload failed) fenced as code, which the
+ * platform's send() splits at line boundaries into numbered parts.
+ */
+async function sendLongOutput(platform, chatId, text, fileName) {
+  if (canSendFiles(platform)) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'multis-out-'));
+    try {
+      const file = path.join(dir, fileName);
+      await fs.promises.writeFile(file, text);
+      const lines = text.split('\n').length;
+      const kb = Math.max(1, Math.round(Buffer.byteLength(text) / 1024));
+      await platform.sendFile(chatId, file, `Output was ${kb} KB (${lines} lines) — attached as ${fileName}.`);
+      return;
+    } catch (err) {
+      console.error(`Send output as file failed (${err.message}) — sending inline`);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+  await platform.send(chatId, codeBlock(text));
+}
+
+/**
+ * Fence raw output (a shell's stdout, a file's bytes) so the adapter's Markdown
+ * conversion leaves it alone: `__init__.py` stays itself and a leading `# comment`
+ * isn't a heading. A line of the output that would close the fence early gets a
+ * zero-width space in front.
+ */
+function codeBlock(text) {
+  const body = String(text).replace(/\n+$/, '').replace(/^```/gm, '\u200b```');
+  return `\`\`\`\n${body}\n\`\`\``;
+}
+
+/**
+ * Render a governed-core result to the user. `format(result)` shapes the OK
+ * text; `usage` shows when a required arg is missing/invalid (the picker
+ * stand-in for the slash door); `asFile` names the attachment for output too
+ * long to send inline; `raw` marks the OK text as command/file output, sent as
+ * a code block rather than Markdown. DENIED maps the owner floor and a declined
+ * ceremony to plain language.
+ */
 async function sendCapabilityResult(r, platform, msg, opts = {}) {
   if (r.kind === RESULT.OK) {
     const text = opts.format ? opts.format(r.result) : String(r.result ?? '(done)');
-    await platform.send(msg.chatId, text);
+    if (opts.asFile && text.length > INLINE_OUTPUT_MAX) await sendLongOutput(platform, msg.chatId, text, opts.asFile);
+    else if (opts.raw && !isSilentSuccess(text)) await platform.send(msg.chatId, codeBlock(text));
+    else await platform.send(msg.chatId, text);
     return;
   }
   if (r.kind === RESULT.NEEDS_ARG) {
@@ -1038,14 +1326,14 @@ async function routeExec(msg, platform, config, command, toolDeps = {}) {
   // benign runs free, destructive → PIN, catastrophic → PIN+CONFIRM.
   const args = { command: command || '' };
   const r = await dispatchCapability('run_shell', args, msg, config, toolDeps);
-  await handleCeremonyOrSend(r, platform, msg, config, toolDeps, { capName: 'run_shell', args, usage: 'Usage: /exec <command>' });
+  await handleCeremonyOrSend(r, platform, msg, config, toolDeps, { capName: 'run_shell', args, usage: 'Usage: /exec <command>', asFile: 'exec-output.txt', raw: true });
 }
 
 async function routeRead(msg, platform, config, filePath, toolDeps = {}) {
   // read_file: owner-floor only (benign — no ceremony). The old router-level PIN
   // on /read is retired; the core is the single floor.
   const r = await dispatchCapability('read_file', { path: filePath || '' }, msg, config, toolDeps);
-  await sendCapabilityResult(r, platform, msg, { usage: 'Usage: /read <path>' });
+  await sendCapabilityResult(r, platform, msg, { usage: 'Usage: /read <path>', asFile: path.basename(filePath || '') || 'file.txt', raw: true });
 }
 
 // Parse `/index <path> <public|admin>` into the registry's scope vocab.
@@ -1058,9 +1346,17 @@ async function routeRead(msg, platform, config, filePath, toolDeps = {}) {
 // One renderer for an ingest outcome so a 0-chunk / blob result reads as "stored
 // but not searchable" instead of a misleading "Indexed 0 chunks". Takes litectx's
 // {chunks, mode} ('chunked' = searchable; 'blob' = stored-only, not recallable).
-function indexOutcomeMsg({ chunks, mode }, name, scope) {
-  if (mode === 'blob' || !chunks) return `Stored ${name} [${scope}] — saved but not searchable (no text chunks).`;
-  return `Indexed ${chunks} chunk${chunks === 1 ? '' : 's'} from ${name} [${scope}]`;
+// A KB document indexed again carries the catalog's {version, replaced, unchanged}
+// (src/context/catalog.js), so the owner sees "v2, replaces v1" rather than
+// wondering whether the old copy is still answering.
+// A spreadsheet also reports its tables (src/context/tables.js), so the owner
+// knows query_table can answer from it exactly.
+function indexOutcomeMsg({ chunks, mode, version, replaced, unchanged, tables }, name, scope) {
+  if (unchanged) return `${name} [${scope}] is already indexed (v${version}) — unchanged, nothing to do.`;
+  const ver = replaced ? ` — v${version}, replaces v${replaced}` : '';
+  const tbl = (tables || []).map((t) => `\n${t.sheet ? `${t.sheet}: ` : 'Table: '}${t.rows} row${t.rows === 1 ? '' : 's'} × ${t.columns.length} columns (${t.columns.slice(0, 8).join(', ')}${t.columns.length > 8 ? ', …' : ''})`).join('');
+  if (mode === 'blob' || !chunks) return `Stored ${name} [${scope}] — saved but not searchable (no text chunks)${ver}.${tbl}`;
+  return `Indexed ${chunks} chunk${chunks === 1 ? '' : 's'} from ${name} [${scope}]${ver}${tbl}`;
 }
 
 function parseIndexArgs(args) {
@@ -1080,9 +1376,10 @@ function parseIndexArgs(args) {
 }
 
 async function routeIndex(msg, platform, config, indexer, args, toolDeps = {}) {
+  if (/^\s*https?:\/\//i.test(args || '')) return routeIndexUrl(msg, platform, config, indexer, args, toolDeps);
   const parsed = parseIndexArgs(args);
   if (!parsed) {
-    await platform.send(msg.chatId, 'Usage: /index <path> <public|admin>');
+    await platform.send(msg.chatId, 'Usage: /index <path|url> <public|admin>');
     return;
   }
   if (!parsed.scope) {
@@ -1102,19 +1399,72 @@ async function routeIndex(msg, platform, config, indexer, args, toolDeps = {}) {
     await platform.send(msg.chatId, `Index error: ${err.message}`);
     return;
   }
+  if (r.kind === RESULT.OK) {
+    logAudit({ action: 'index', user_id: msg.senderId, filename: parsed.path, chunks: r.result.count, scope: r.result.role });
+  }
   await sendCapabilityResult(r, platform, msg, {
-    format: (res) => indexOutcomeMsg({ chunks: res.count, mode: res.mode }, parsed.display, res.role),
+    format: (res) => indexOutcomeMsg({ ...res, chunks: res.count }, parsed.display, res.role),
     ownerOnly: 'Owner only command.',
   });
 }
 
+// /index <url> [--depth N] <public|admin> — a web page into the KB (src/context/web.js).
+// Only hosts on documents.web.allowDomains are fetched; --depth follows same-site
+// links, up to documents.web.maxDepth and maxPages. Each page is a KB document
+// named by its URL, so /index on it again replaces it and answers cite it.
+async function routeIndexUrl(msg, platform, config, indexer, args, toolDeps = {}) {
+  let depth = 0;
+  const rest = args.replace(/\s--depth[=\s]+(\d+)\b/i, (m, n) => { depth = Number(n); return ''; });
+  const parsed = parseIndexArgs(rest);
+  if (!parsed.scope) {
+    await platform.send(msg.chatId, 'Please specify role: public (knowledge base) or admin (owner-only).\nExample: /index https://example.com/faq public');
+    return;
+  }
+  if (isOwner(msg.senderId, config, msg)) {
+    await platform.send(msg.chatId, `Fetching: ${parsed.display}${depth ? ` and linked pages (depth ${depth})` : ''} (${parsed.scope === 'admin' ? 'admin' : 'public'})...`);
+  }
+  let r;
+  try {
+    r = await dispatchCapability('index_url', { url: parsed.display, scope: parsed.scope, depth }, msg, config, { ...toolDeps, indexer });
+  } catch (err) {
+    await platform.send(msg.chatId, `Index error: ${err.message}`);
+    return;
+  }
+  if (r.kind === RESULT.OK) {
+    const ok = r.result.pages.filter((p) => p.result);
+    logAudit({ action: 'index', user_id: msg.senderId, url: parsed.display, pages: ok.length, failed: r.result.pages.length - ok.length,
+      chunks: ok.reduce((n, p) => n + (p.result.chunks || 0), 0), scope: r.result.role });
+  }
+  await sendCapabilityResult(r, platform, msg, {
+    format: (res) => formatUrlOutcome(res, res.role),
+    ownerOnly: 'Owner only command.',
+  });
+}
+
+// One line per page: the indexOutcomeMsg wording, or why the page was left out.
+function formatUrlOutcome({ pages, truncated }, scope) {
+  if (pages.length === 1) {
+    const [p] = pages;
+    return p.error ? `Could not index ${p.url}: ${p.error}` : indexOutcomeMsg(p.result, p.url, scope);
+  }
+  const ok = pages.filter((p) => p.result).length;
+  const lines = [`Indexed ${ok} of ${pages.length} pages [${scope}]:`];
+  for (const p of pages) {
+    if (p.error) lines.push(`  ${p.url} — not indexed: ${p.error}`);
+    else if (p.result.unchanged) lines.push(`  ${p.url} — unchanged (v${p.result.version})`);
+    else lines.push(`  ${p.url} — ${p.result.chunks} chunk${p.result.chunks === 1 ? '' : 's'}${p.result.replaced ? `, v${p.result.version} replaces v${p.result.replaced}` : ''}`);
+  }
+  if (truncated) lines.push(`Stopped at documents.web.maxPages (${pages.length}); the rest of the site was not fetched.`);
+  return lines.join('\n');
+}
+
 async function routeSearch(msg, platform, config, indexer, query) {
   if (!query) {
     await platform.send(msg.chatId, 'Usage: /search <query>');
     return;
   }
 
-  const admin = isOwner(msg.senderId, config, msg);
+  const admin = isAdminTurn(msg, config);
   // Owner /search recalls admin ∪ global-KB; a customer recalls own ∪ global-KB.
   // litectx recall(scope) returns scope ∪ null-global, so a customer (user:*) chunk
   // can never enter another customer's or the owner's results (#6).
@@ -1128,15 +1478,100 @@ async function routeSearch(msg, platform, config, indexer, query) {
 
   const formatted = results.map((r, i) => {
     const preview = r.content.slice(0, 200).replace(/\n/g, ' ');
-    return `${i + 1}. ${r.name}\n${preview}...`;
+    return `${i + 1}. ${citeChunk(r)}\n${preview}...`;
   });
 
-  await platform.send(msg.chatId, formatted.join('\n\n'));
+  rememberSearch(msg.chatId, { scope, results });
+  await platform.send(msg.chatId, `${formatted.join('\n\n')}\n\n/show <n> for the whole passage`);
   logAudit({ action: 'search', user_id: msg.senderId, query, results: results.length });
   // litectx self-tracks recall demand-signal; no manual access recording needed.
 }
 
-async function routeDocs(msg, platform, config, indexer) {
+// The last /search per chat, so /show can expand one of its results. In memory
+// only and capped: it is a convenience for the next message or two, and each
+// entry keeps the scope it was searched in, so /show never widens it.
+const MAX_REMEMBERED_SEARCHES = 100;
+const _lastSearch = new Map(); // chatId → {scope, results}
+
+function rememberSearch(chatId, entry) {
+  _lastSearch.delete(chatId);
+  _lastSearch.set(chatId, entry);
+  if (_lastSearch.size > MAX_REMEMBERED_SEARCHES) _lastSearch.delete(_lastSearch.keys().next().value);
+}
+
+// /show <n|citation> [file] — one result of the last /search in full: the whole
+// chunk it came from, under its citation. `file` (owner) sends the document the
+// passage is from through send_file — the copy that version was indexed from —
+// captioned with the page and section to look at. A passage on one page of a
+// PDF sends just that page, as an image (send_file's `page`); a passage across
+// pages, or from any other file, sends the whole document.
+async function routeShow(msg, platform, config, indexer, args, toolDeps = {}) {
+  const raw = (args || '').trim();
+  const wantFile = /\s+file$/i.test(raw) || /^file$/i.test(raw);
+  const q = raw.replace(/(^|\s+)file$/i, '').trim();
+  if (!q) {
+    await platform.send(msg.chatId, 'Usage: /show <n> [file] — a result number from your last /search');
+    return;
+  }
+  const last = _lastSearch.get(msg.chatId);
+  if (!last) {
+    await platform.send(msg.chatId, 'Nothing to show yet — /search first, then /show <n>.');
+    return;
+  }
+  const hit = findSearchResult(last.results, q);
+  if (!hit) {
+    await platform.send(msg.chatId, `No result "${q}" in your last /search — /show takes its number (1–${last.results.length}) or citation.`);
+    return;
+  }
+  const cite = citeChunk(hit);
+  if (!wantFile) {
+    const trail = (hit.sectionPath || []).filter(Boolean);
+    const head = [cite, trail.length > 1 ? trail.join(' > ') : null, hit.url || null].filter(Boolean).join('\n');
+    const text = `${head}\n\n${hit.content}`;
+    if (text.length > INLINE_OUTPUT_MAX) await sendLongOutput(platform, msg.chatId, text, 'passage.txt');
+    else await platform.send(msg.chatId, text);
+    logAudit({ action: 'show', user_id: msg.senderId, citation: cite });
+    return;
+  }
+  if (!isOwner(msg.senderId, config, msg)) {
+    await platform.send(msg.chatId, 'Only the owner can ask for the source file.');
+    return;
+  }
+  if (hit.url) {
+    await platform.send(msg.chatId, `${cite} is a web page: ${hit.url}`);
+    return;
+  }
+  const file = hit.versionId && indexer.documentFile ? indexer.documentFile(hit.versionId, last.scope) : null;
+  if (!file) {
+    await platform.send(msg.chatId, `No copy of the file behind ${cite} as it was indexed is kept — it predates versioning, or has changed on disk since.`);
+    return;
+  }
+  const where = [pageLabel(hit), sectionLabel(hit)].filter(Boolean).join(', ');
+  const caption = `${path.basename(file.name)} v${file.version}${where ? ` — see ${where}` : ''}`;
+  const onePage = /\.pdf$/i.test(file.path) && hit.pageStart != null && (hit.pageEnd ?? hit.pageStart) === hit.pageStart;
+  const cmdArgs = { path: file.path, caption, ...(onePage ? { page: hit.pageStart } : {}) };
+  const r = await dispatchCapability('send_file', cmdArgs, msg, config, { ...toolDeps, adapter: platform });
+  if (r.kind === RESULT.OK && /^Sent:/.test(String(r.result))) {
+    const whole = /\((the whole document: .*)\)$/.exec(String(r.result));
+    if (whole) await platform.send(msg.chatId, `Sent ${whole[1]}`);
+    logAudit({ action: 'show_file', user_id: msg.senderId, citation: cite, filename: file.name, version: file.version });
+    return;
+  }
+  await sendCapabilityResult(r, platform, msg, { ownerOnly: 'Only the owner can ask for the source file.' });
+}
+
+// A result by its number, or by (the start of) its citation, case-insensitively.
+function findSearchResult(results, q) {
+  if (/^\d+$/.test(q)) return results[Number(q) - 1] || null;
+  const want = q.toLowerCase().replace(/^\(|\)$/g, '');
+  const cites = results.map((r) => citeChunk(r).toLowerCase());
+  const i = cites.findIndex((c) => c === want);
+  if (i >= 0) return results[i];
+  const partial = results.filter((r, j) => cites[j].startsWith(want));
+  return partial.length === 1 ? partial[0] : null;
+}
+
+async function routeDocs(msg, platform, config, indexer, watcher, args) {
   // stats() is a process-wide count across ALL scopes (docs + memory for every
   // tenant). litectx exposes no per-scope count, so the figure is global — gate it
   // to the owner rather than leak the cross-tenant total to a customer.
@@ -1144,9 +1579,139 @@ async function routeDocs(msg, platform, config, indexer) {
     await platform.send(msg.chatId, 'Owner only command.');
     return;
   }
+  // /docs <doc> history — every version of one document, removed ones included.
+  const q = (args || '').trim().replace(/\s+history$/i, '');
+  if (q) {
+    const docs = indexer.findDocuments(q, { removed: true });
+    await platform.send(msg.chatId, docs.length
+      ? docs.map(formatHistory).join('\n\n')
+      : `No document called "${q}" — /docs lists them.`);
+    return;
+  }
   const stats = indexer.stats();
-  const line = `Indexed items: ${stats.total}`;
-  await platform.send(msg.chatId, stats.total ? line : 'No documents indexed yet.');
+  const folders = watcher ? watcher.list() : [];
+  // Watched files are listed under their folder, not twice.
+  const docs = indexer.listDocuments().filter((d) => d.versions[d.versions.length - 1].source !== 'watch');
+  if (!stats.total && folders.length === 0 && docs.length === 0) {
+    await platform.send(msg.chatId, 'No documents indexed yet.');
+    return;
+  }
+  const lines = [`Indexed items: ${stats.total}`];
+  if (docs.length) lines.push('', 'Documents:', formatDocuments(docs));
+  if (folders.length) lines.push('', 'Watched folders:', formatWatchedFolders(folders));
+  if (docs.length || folders.length) lines.push('', '/docs <doc> history · /unindex <doc>');
+  await platform.send(msg.chatId, lines.join('\n'));
+}
+
+// /unindex <doc> [public|admin] — take a KB document out for good: its live
+// chunks and every archived version. Destructive, so it goes through the PIN
+// ceremony like /forget. The name is matched against the catalog first so the
+// echo names exactly what will go; a name in both scopes needs the scope.
+async function routeUnindex(msg, platform, config, indexer, args, toolDeps = {}) {
+  const parts = (args || '').trim().split(/\s+/).filter(Boolean);
+  const roleToken = { public: 'public', kb: 'public', admin: 'admin' };
+  let scope = null;
+  if (parts.length >= 2 && roleToken[parts[parts.length - 1].toLowerCase()]) {
+    scope = roleToken[parts.pop().toLowerCase()];
+  }
+  const q = parts.join(' ').replace(/^~/, process.env.HOME || process.env.USERPROFILE);
+  if (!q) {
+    await platform.send(msg.chatId, 'Usage: /unindex <doc> [public|admin]');
+    return;
+  }
+  // Listing the catalog is itself owner-only information.
+  if (!isOwner(msg.senderId, config, msg)) {
+    await platform.send(msg.chatId, 'Owner only command.');
+    return;
+  }
+  const matches = indexer.findDocuments(q, { scope });
+  if (!matches.length) {
+    await platform.send(msg.chatId, `"${q}" is not in the document list — /docs shows what is indexed.`);
+    return;
+  }
+  if (matches.length > 1) {
+    const list = matches.map((d) => `  ${d.name} [${d.scope}]`).join('\n');
+    await platform.send(msg.chatId, `Several documents match "${q}":\n${list}\nSay which: /unindex <doc> <public|admin>, or use the full name.`);
+    return;
+  }
+  const doc = matches[0];
+  const n = doc.versions.length;
+  const cmdArgs = { doc: doc.name, scope: doc.scope === 'admin' ? 'admin' : 'kb' };
+  const r = await dispatchCapability('unindex', cmdArgs, msg, config, { ...toolDeps, indexer });
+  await handleCeremonyOrSend(r, platform, msg, config, { ...toolDeps, indexer }, {
+    capName: 'unindex', args: cmdArgs,
+    echo: `remove "${doc.name}" [${doc.scope}] and its ${n} version${n === 1 ? '' : 's'} from the knowledge base — this cannot be undone`,
+    format: (res) => {
+      logAudit({ action: 'unindex', user_id: msg.senderId, filename: res.name, scope: res.scope, versions: res.versions });
+      return `Removed ${res.name} [${res.scope}] from the knowledge base. /docs ${path.basename(res.name)} history still shows what it was.`;
+    },
+    ownerOnly: 'Owner only command.',
+  });
+}
+
+// /watch <dir> <public|admin> — index a folder now and re-index it as it changes
+// (src/context/watch.js). Bare /watch lists the watched folders. Owner-only for
+// the same reason as /index: it reads the host filesystem into the KB.
+async function routeWatch(msg, platform, config, indexer, args, toolDeps = {}) {
+  const { watcher } = toolDeps;
+  if (!args || !args.trim()) {
+    if (!isOwner(msg.senderId, config, msg)) {
+      await platform.send(msg.chatId, 'Owner only command.');
+      return;
+    }
+    const folders = watcher ? watcher.list() : [];
+    await platform.send(msg.chatId, folders.length
+      ? `Watched folders:\n${formatWatchedFolders(folders, 0)}\n\n/watch <folder> <public|admin> · /unwatch <folder>`
+      : 'Usage: /watch <folder> <public|admin>');
+    return;
+  }
+  const parsed = parseIndexArgs(args);
+  if (!parsed.scope) {
+    await platform.send(msg.chatId, 'Please specify role: public (knowledge base) or admin (owner-only).\nExample: /watch ~/prices public');
+    return;
+  }
+  if (isOwner(msg.senderId, config, msg)) {
+    await platform.send(msg.chatId, `Watching ${parsed.display} (${parsed.scope === 'admin' ? 'admin' : 'public'}) — indexing what is there now...`);
+  }
+  let r;
+  try {
+    r = await dispatchCapability('watch', { path: parsed.path, scope: parsed.scope }, msg, config, { ...toolDeps, indexer });
+  } catch (err) {
+    await platform.send(msg.chatId, `Watch error: ${err.message}`);
+    return;
+  }
+  if (r.kind === RESULT.OK) {
+    logAudit({ action: 'watch', user_id: msg.senderId, dir: r.result.dir, scope: r.result.role, added: r.result.added, failed: r.result.failed });
+  }
+  await sendCapabilityResult(r, platform, msg, {
+    format: (res) => `Watching ${parsed.display} [${res.role}]: ${formatSyncResult(res)}. Changes are picked up automatically; /docs shows the files.`,
+    ownerOnly: 'Owner only command.',
+  });
+}
+
+// /unwatch <dir> — stop following a folder and drop its documents from the KB.
+// That removes them for good, like /unindex, so it asks for the PIN the same way.
+async function routeUnwatch(msg, platform, config, indexer, args, toolDeps = {}) {
+  const display = (args || '').trim();
+  if (!display) {
+    await platform.send(msg.chatId, 'Usage: /unwatch <folder>');
+    return;
+  }
+  const dir = display.replace(/^~/, process.env.HOME || process.env.USERPROFILE);
+  const n = Object.keys(toolDeps.watcher?.find(dir)?.files || {}).length;
+  let r;
+  try {
+    r = await dispatchCapability('unwatch', { path: dir }, msg, config, { ...toolDeps, indexer });
+  } catch (err) {
+    await platform.send(msg.chatId, `Unwatch error: ${err.message}`);
+    return;
+  }
+  await handleCeremonyOrSend(r, platform, msg, config, { ...toolDeps, indexer }, {
+    capName: 'unwatch', args: { path: dir },
+    echo: `stop watching "${display}" and remove its ${n} document${n === 1 ? '' : 's'} from the knowledge base — this cannot be undone`,
+    format: (res) => `Stopped watching ${display} — removed ${res.removed} document${res.removed === 1 ? '' : 's'} from the knowledge base.`,
+    ownerOnly: 'Owner only command.',
+  });
 }
 
 // Shared circuit breaker (one per process, resets on provider recovery)
@@ -1162,6 +1727,34 @@ function getCircuitBreaker(config) {
   return _circuitBreaker;
 }
 
+// The breaker's state for one provider key: closed, open or half-open
+// ('unknown' if this bare-agent has no getState).
+function circuitState(cb, key) {
+  try {
+    return typeof cb.getState === 'function' ? String(cb.getState(key)) : 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+const HEALTH_PROBE_MS = 5000;
+
+// One health check: ok with whatever `check` returns, or not ok with its error.
+// A check that hangs counts as failed after HEALTH_PROBE_MS.
+async function probe(check) {
+  let timer;
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`no answer in ${HEALTH_PROBE_MS / 1000}s`)), HEALTH_PROBE_MS);
+    });
+    return { ok: true, ...(await Promise.race([check(), timeout])) };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 /**
  * Agent loop — uses bareagent Loop to call LLM with tools.
  * Includes retry (429/5xx) and circuit breaker for resilience.
@@ -1258,7 +1851,7 @@ async function runAgentLoop(agentProvider, messages, tools, opts = {}) {
   // maxRounds removed in bare-agent 0.10 — round caps live in the bareguard
   // Gate as limits.maxToolRounds, derived from config.llm.max_tool_rounds.
   // Don't accept maxRounds here so callers don't think it has any effect.
-  const { system, ctx, config, gov } = opts;
+  const { system, ctx, config, gov, stream } = opts;
   const adapted = adaptTools(tools, ctx);
 
   // Resolve governance lazily on first call (ESM bareguard requires await import)
@@ -1302,7 +1895,40 @@ async function runAgentLoop(agentProvider, messages, tools, opts = {}) {
     timeout: retryCfg.timeout || 30000,
   });
   const cb = getCircuitBreaker(config);
-  const wrappedProvider = cb.wrapProvider(agentProvider, config?.llm?.provider || 'default');
+  // A streaming reply takes each round's text as the model writes it, where the
+  // provider can stream; the final round's tokens then type out the answer.
+  const roundProvider = stream ? streamingGenerate(agentProvider, (text) => stream.interim(text)) : agentProvider;
+  const breakerProvider = cb.wrapProvider(roundProvider, config?.llm?.provider || 'default');
+  // Every round the loop asks the model for is counted and timed (/metrics).
+  const roundLabels = { provider: config?.llm?.provider || 'default' };
+  const wrappedProvider = Object.assign(Object.create(breakerProvider), {
+    generate: async (...args) => {
+      try {
+        const result = await metrics.timed('multis_llm_round_seconds', roundLabels, () => breakerProvider.generate(...args));
+        metrics.inc('multis_llm_rounds_total', { ...roundLabels, outcome: 'ok' });
+        return result;
+      } catch (err) {
+        metrics.inc('multis_llm_rounds_total', { ...roundLabels, outcome: 'error' });
+        throw err;
+      }
+    },
+  });
+
+  // The rest of a streaming reply is fed from the outside of the loop: each tool
+  // call as it starts, and the text of a round that went on to call tools (all a
+  // provider without stream() shows). The caller delivers the final answer.
+  const loopTools = stream
+    ? governed.map((t) => ({ ...t, execute: (...args) => { stream.tool(t.name); return t.execute(...args); } }))
+    : governed;
+  const loopProvider = stream
+    ? Object.assign(Object.create(wrappedProvider), {
+        generate: async (...args) => {
+          const result = await wrappedProvider.generate(...args);
+          if (result?.toolCalls?.length) stream.interim(result.text);
+          return result;
+        },
+      })
+    : wrappedProvider;
 
   // A tool that parks a PIN ceremony throws HaltError straight from its execute
   // body (wrapToolThroughCore); bare-agent ≥0.18.0 re-throws it out of the per-tool
@@ -1332,7 +1958,7 @@ async function runAgentLoop(agentProvider, messages, tools, opts = {}) {
   // flags primitive inside `policy`, routed through the single humanChannel —
   // no separate Checkpoint. governance = bareguard, one path.
   const loop = new Loop({
-    provider: wrappedProvider,
+    provider: loopProvider,
     system,
     retry,
     policy,
@@ -1351,7 +1977,7 @@ async function runAgentLoop(agentProvider, messages, tools, opts = {}) {
   });
 
   // Pass _ctx through so humanChannel can route prompts back via platformRegistry.
-  const result = await loop.run(messages, governed, {
+  const result = await loop.run(messages, loopTools, {
     ctx: govCtx,
   });
   if (result.error) {
@@ -1384,6 +2010,51 @@ async function runAgentLoop(agentProvider, messages, tools, opts = {}) {
   return result.text || '(no response)';
 }
 
+// Reactions that answer an Approve/Deny prompt. A PIN ceremony is never answered
+// by a reaction — the PIN has to be typed.
+const REACTION_ANSWERS = { '👍': 'yes', '👌': 'yes', '✅': 'yes', '👎': 'no', '❌': 'no' };
+
+/**
+ * A reaction from the prompted user on their parked approval prompt answers it,
+ * as the matching button would. Any other reaction is ignored — and so is every
+ * reaction when the platform gave back no id for the prompt, since there is then
+ * no telling a 👍 on the prompt from a 👍 on anything else.
+ */
+function answerWithReaction(msg, pending) {
+  // Skin tones and the emoji presentation selector don't change the answer.
+  const answer = REACTION_ANSWERS[msg.reaction.replace(/[\u{1F3FB}-\u{1F3FF}\uFE0F]/gu, '')];
+  // peek, not get: a stray reaction must not use up an expired prompt's notice.
+  const entry = answer && pending.peek(msg.chatId, msg.senderId);
+  if (!entry || entry.kind !== 'gate_reply') return;
+  if (entry.promptId == null || String(entry.promptId) !== String(msg.targetId)) return;
+  entry.resolve(answer);
+}
+
+/**
+ * An edited message. A contact's edited question in a business chat is answered
+ * again: returns true to route it on like a new message (routeAsk logs it as
+ * edited). Any other edit is only written to the chat's daily log.
+ */
+function recordEdit(msg, config, getMem) {
+  if (msg.routeAs === 'off' || !msg.text.trim()) return false;
+  if (msg.routeAs === 'business' && !isOwner(msg.senderId, config, msg)) return true;
+  const mem = getMem(msg.chatId, { isAdmin: isAdminTurn(msg, config) });
+  if (mem) mem.appendToLog(msg.routeAs === 'silent' && !msg.isSelf ? 'contact' : 'user', msg.text, { edited: true });
+  return false;
+}
+
+/**
+ * How an agent answer is sent: back into the thread it was asked in, and as a
+ * reply to the asking message where config.replies.quote_trigger says so.
+ */
+function answerSendOpts(msg, config) {
+  const opts = {};
+  if (msg.threadId) opts.threadId = msg.threadId;
+  const when = config.replies?.quote_trigger || 'groups';
+  if (msg.id != null && !msg.promptReply && (when === 'always' || (when === 'groups' && msg.isGroup))) opts.replyTo = msg.id;
+  return opts;
+}
+
 async function routeAsk(msg, platform, config, indexer, provider, question, getMem, memCfg, agentRegistry, toolDeps = {}) {
   if (!question) {
     if (msg.routeAs !== 'business') {
@@ -1397,7 +2068,41 @@ async function routeAsk(msg, platform, config, indexer, provider, question, getM
     return;
   }
 
-  const admin = isOwner(msg.senderId, config, msg);
+  const admin = isAdminTurn(msg, config);
+
+  // Resolve agent for @mention stripping + per-chat provider only. The persona
+  // layer is DEFERRED (obedient-bot-first; constitution/persona returns with the
+  // memory module — see dispatch-rewrite-decision). A configured persona must
+  // NOT replace the obedient base prompt, or the model loses "use your tools"
+  // and deflects. So owner/natural chats run the base prompt with NO persona.
+  const resolved = agentRegistry && agentRegistry.size > 0
+    ? resolveAgent(question, msg.chatId, config, agentRegistry, platform)
+    : { agent: { provider }, name: 'default', text: question };
+  const agentProvider = resolved.agent.provider || resolved.agent.llm || provider;
+
+  // Photos (msg._images, set by the router): a vision-capable model sees them on
+  // the live turn below. Any other model gets their OCR text instead, joined to the
+  // question here — before the injection scan and the search, so text read off an
+  // image is treated exactly like typed text. "Vision-capable" is judged on the
+  // config the resolved agent's provider was built from, not the global one.
+  const images = msg._images || [];
+  const llmCfg = resolved.agent.llmConfig || { ...config.llm, model: resolved.agent.model || config.llm?.model };
+  const seesImages = images.length > 0 && supportsVision(llmCfg);
+  if (images.length > 0 && !seesImages) {
+    const read = await readImagesText(msg, images, config);
+    if (read) {
+      question = `${question}\n${IMAGE_TEXT_MARKER} ${read}`;
+      resolved.text = `${resolved.text}\n${IMAGE_TEXT_MARKER} ${read}`;
+    }
+  }
+
+  // A reply carries the message it answers ("what about this one?"), in front of
+  // the question — before the injection scan, since a quote is untrusted text too.
+  const quote = quotedContext(msg.replyTo);
+  if (quote) {
+    question = `${quote}\n${question}`;
+    resolved.text = `${quote}\n${resolved.text}`;
+  }
 
   // Prompt injection detection for non-admin chats
   if (!admin && config.security?.prompt_injection_detection) {
@@ -1416,6 +2121,14 @@ async function routeAsk(msg, platform, config, indexer, provider, question, getM
 
   const mem = getMem ? getMem(msg.chatId, { isAdmin: admin }) : null;
 
+  // The owner's own turns stream in where the platform can edit a sent message
+  // (config.streaming). Contact-facing replies never do: the progress lines name
+  // tools, and those stay out of anything a contact reads.
+  const sendOpts = answerSendOpts(msg, config);
+  const stream = admin && config.streaming?.enabled !== false && canEditMessages(platform)
+    ? new ReplyStream(platform, msg.chatId, { intervalMs: config.streaming?.edit_interval_ms, sendOpts })
+    : null;
+
   try {
     // Persist chat metadata. The user message is NOT appended here (M10 §5 rule 1):
     // a turn enters recent.json only when it COMPLETES, paired with its outcome. The
@@ -1423,7 +2136,7 @@ async function routeAsk(msg, platform, config, indexer, provider, question, getM
     // ceremony, the dispatcher records (request → outcome) at the PIN reply — so a
     // parked turn never dangles in recent.json and the model can't replay it.
     if (mem && (msg.chatName || msg.network)) {
-      const fields = { platform: msg.platform };
+      const fields = { platform: msg.platformName };
       if (msg.chatName) fields.name = msg.chatName;
       if (msg.network) fields.network = msg.network;
       updateChatMeta(config, msg.chatId, fields);
@@ -1436,16 +2149,6 @@ async function routeAsk(msg, platform, config, indexer, provider, question, getM
     const scope = admin ? 'admin' : `user:${msg.chatId}`;
     const chunks = await indexer.search(question, { scope, n: 5 });
 
-    // Resolve agent for @mention stripping + per-chat provider only. The persona
-    // layer is DEFERRED (obedient-bot-first; constitution/persona returns with the
-    // memory module — see dispatch-rewrite-decision). A configured persona must
-    // NOT replace the obedient base prompt, or the model loses "use your tools"
-    // and deflects. So owner/natural chats run the base prompt with NO persona.
-    const resolved = agentRegistry && agentRegistry.size > 0
-      ? resolveAgent(question, msg.chatId, config, agentRegistry)
-      : { agent: { provider }, name: 'default', text: question };
-    const agentProvider = resolved.agent.provider || resolved.agent.llm || provider;
-
     // Persona selection. A CONTACT (non-owner, business OR personal) must NEVER receive the owner
     // base prompt — it advertises full host access and treats messages as the owner's orders, which
     // on a contact path leaks that such tooling exists and pushes the model toward tools it can't use
@@ -1455,7 +2158,8 @@ async function routeAsk(msg, platform, config, indexer, provider, question, getM
     let agentPersona = null;
     if (msg.routeAs === 'business' && !admin && config.business?.name) {
       agentPersona = buildBusinessPrompt(config);
-    } else if (!admin && (msg.routeAs === 'personal' || msg.routeAs === 'business')) {
+    } else if (!admin && (msg.routeAs === 'personal' || msg.routeAs === 'business' || msg.isGroup)) {
+      // (A Telegram group counts as contact-facing even for the owner's own /ask — the room reads it.)
       agentPersona = buildContactPrompt(config.assistant_name);
     }
     const cleanQuestion = resolved.text;
@@ -1483,20 +2187,27 @@ async function routeAsk(msg, platform, config, indexer, provider, question, getM
     // outcome (below, or via the dispatcher if a ceremony parks). cleanQuestion is
     // the @mention-stripped text the model sees; the original `question` is what's
     // recorded, for parity with the non-tool path.
-    messages.push({ role: 'user', content: cleanQuestion });
+    // supportsVision is false for a provider imageUserMessage has no shape for, so
+    // seesImages implies a turn; the text-only turn is the floor regardless.
+    messages.push((seesImages && imageUserMessage(llmCfg.provider, cleanQuestion, images))
+      || { role: 'user', content: cleanQuestion });
 
     // --- Agent loop with tool calling ---
     const { allTools = [], toolsConfig: tCfg, runtimePlatform, maxToolRounds = 5, platformRegistry, gov, pending } = toolDeps;
-    const userTools = getToolsForUser(allTools, admin, tCfg);
+    let userTools = getToolsForUser(allTools, admin, tCfg);
+    // A contact's network policy can narrow the tools further, never widen them.
+    const netTools = !admin && platform.networkPolicy?.(msg.chatId)?.tools;
+    if (Array.isArray(netTools)) userTools = userTools.filter((t) => netTools.includes(t.name));
     // pending: the shared PendingRegistry, so a destructive tool on the LLM door can
     // park its PIN ceremony (park-and-resume) instead of blocking the loop.
-    const ctx = { senderId: msg.senderId, chatId: msg.chatId, isOwner: admin, runtimePlatform, indexer, provider, memoryManager: mem, platform, platformName: msg.platform, config, platformRegistry, pending, requestText: question };
+    const ctx = { senderId: msg.senderId, chatId: msg.chatId, isOwner: admin, runtimePlatform, indexer, provider, memoryManager: mem, platform, platformName: msg.platformName, config, platformRegistry, pending, requestText: question };
 
     const answer = await runAgentLoop(agentProvider, messages, userTools, {
       system,
       ctx,
       config,
       gov,
+      stream,
     });
 
     // Empty answer = a destructive tool parked its PIN ceremony and halted the turn
@@ -1504,14 +2215,17 @@ async function routeAsk(msg, platform, config, indexer, provider, question, getM
     // the only thing to say — don't post an empty bubble or record anything here. The
     // turn isn't complete: the dispatcher records (request → outcome) on the PIN reply
     // (M10 §5), so recent.json holds NOTHING about this turn while it's pending.
-    if (!answer) return;
+    if (!answer) {
+      if (stream) await stream.finish('');
+      return;
+    }
 
     // Reply prefix. M8 §525: CONTACT-facing replies (business + personal) carry a [Name] bot-disclosure
     // so the other party knows it's the bot, not the owner — an honest human/bot boundary. Owner/natural
     // replies are not disclosed (the owner knows their own assistant). Cosmetic only: echo-guard stays
     // client_tag (source:'api'), never the text — so this prefix can't be mistaken for the removed
     // [multis] echo marker. Owner-facing multi-agent keeps the which-agent-answered tag.
-    const contactFacing = msg.routeAs === 'business' || msg.routeAs === 'personal';
+    const contactFacing = msg.routeAs === 'business' || msg.routeAs === 'personal' || msg.isGroup;
     let prefixed;
     if (contactFacing) {
       prefixed = `[${config.assistant_name || 'multis'}] ${answer}`;
@@ -1521,13 +2235,14 @@ async function routeAsk(msg, platform, config, indexer, provider, question, getM
       prefixed = answer;
     }
 
-    await platform.send(msg.chatId, prefixed);
+    if (stream) await stream.finish(prefixed);
+    else await platform.send(msg.chatId, prefixed, sendOpts);
 
     // Record the COMPLETED exchange as a paired (request → answer) turn (M10 §5
     // rule 2). Written only now — never eagerly — so a turn that instead parked a
     // ceremony leaves no dangling request for the model to replay.
     if (mem) {
-      mem.appendToLog('user', question);
+      mem.appendToLog('user', question, { edited: msg.event === 'edit' });
       mem.appendToLog('assistant', answer);
       // The completed exchange → one memory episode (combined body = a coherent recall unit; meta.turns =
       // the role-tagged turns for window replay); then sweep hot episodes → durable facts (fire-and-forget).
@@ -1538,6 +2253,7 @@ async function routeAsk(msg, platform, config, indexer, provider, question, getM
     logAudit({ action: 'ask', user_id: msg.senderId, question, chunks: chunks.length, routeAs: msg.routeAs, agent: resolved.name });
     // litectx self-tracks recall demand-signal; no manual access recording needed.
   } catch (err) {
+    if (stream) await stream.finish('');
     await platform.send(msg.chatId, `LLM error: ${err.message || err}`);
   }
 }
@@ -1564,7 +2280,7 @@ async function routeForget(msg, platform, config, getMem, query, toolDeps = {})
   const td = { ...toolDeps, getMem };
   const { indexer, gov, pending } = td;
   const q = String(query || '').trim();
-  const scope = isOwner(msg.senderId, config, msg) ? 'admin' : `user:${msg.chatId}`;
+  const scope = isAdminTurn(msg, config) ? 'admin' : `user:${msg.chatId}`;
   const noteCount = async () => indexer.countMemory(scope, { kind: 'fact' }).catch(() => null);
 
   // bare /forget → options, NO destruction.
@@ -1626,7 +2342,8 @@ async function routeForget(msg, platform, config, getMem, query, toolDeps = {})
   // N matches → a read-only numbered picker (no PIN yet — listing destroys nothing). The pick chains
   // into the SAME per-note ceremony via the dispatcher's {next}, so there is exactly ONE ceremony.
   const list = matches.map((m, i) => `${i + 1}) ${m.text}`).join('\n');
-  await platform.send(msg.chatId, `${matches.length} notes match "${q}" — reply with the number to forget (or "cancel"):\n${list}`);
+  await sendPrompt(platform, msg.chatId, `${matches.length} notes match "${q}" — reply with the number to forget (or "cancel"):\n${list}`,
+    { choices: numberedChoices(matches.map((m) => m.text)) });
   const ttlMs = (config?.security?.pin_prompt_timeout || 300) * 1000;
   const pickerAsk = {
     kind: 'picker',
@@ -1702,12 +2419,12 @@ function modeDescriptions(config) {
     off: 'off      — excluded (no capture, no response)',
   };
 }
-function modeUsageMessage(config) {
-  const allowed = allowedModesForRole(config.bot_mode);
+function modeUsageMessage(config, role = config.bot_mode) {
+  const allowed = allowedModesForRole(role);
   const desc = modeDescriptions(config);
   const lines = allowed.map((m) => `  ${desc[m]}`).join('\n');
   return `Usage: /mode <${allowed.join('|')}> [chat name]\n\n`
-    + `Modes for your account (${roleLabel(config.bot_mode)}):\n${lines}\n\n`
+    + `Modes for your account (${roleLabel(role)}):\n${lines}\n\n`
     + `Per-chat /mode only steps a chat down to silent/off or back to the default. `
     + `To change how the bot engages ALL chats, change your account type.`;
 }
@@ -1729,9 +2446,10 @@ async function commitMode({ chatId, mode, agent, displayName }, msg, platform, c
   // may only be set to a mode on the account's ladder { engaged-default, silent, off }. So a business
   // account can't set one chat to `personal`, and a personal account can't set one chat to `business`
   // — to change the engaged style you change the account type (the no-target /mode business menu).
-  if (!allowedModesForRole(config.bot_mode).includes(mode)) {
+  const role = accountRole(config, platform);
+  if (!allowedModesForRole(role).includes(mode)) {
     await platform.send(msg.chatId,
-      `A ${roleLabel(config.bot_mode)} account can't set a chat to "${mode}".\n\n${modeUsageMessage(config)}`);
+      `A ${roleLabel(role)} account can't set a chat to "${mode}".\n\n${modeUsageMessage(config, role)}`);
     return false;
   }
 
@@ -1773,7 +2491,6 @@ async function commitMode({ chatId, mode, agent, displayName }, msg, platform, c
 // An out-of-range number re-prompts (stays parked); commandCancels preserves the
 // "issue another /command to abandon the picker" escape.
 function makeModeAsk({ mode, matches, agent, msg, platform, config, toolDeps }) {
-  const { platformRegistry } = toolDeps;
   return {
     kind: 'mode',
     request: null, // a picker is not conversation — record nothing
@@ -1791,8 +2508,8 @@ function makeModeAsk({ mode, matches, agent, msg, platform, config, toolDeps })
         return { retry: true }; // stay parked; owner picks again
       }
       const chat = matches[idx];
-      const beeperPlat = platformRegistry?.get('beeper');
-      if ((mode === 'silent' || mode === 'off') && beeperPlat?._personalChats?.has(chat.id)) {
+      // The matches are this endpoint's chats (listBeeperChats / findBeeperChat).
+      if ((mode === 'silent' || mode === 'off') && platform._personalChats?.has(chat.id)) {
         await platform.send(msg.chatId, 'Personal/note-to-self chats cannot be set to silent or off.');
         return { done: true }; // consumed; nothing set
       }
@@ -1845,6 +2562,25 @@ async function routeMode(msg, platform, config, args, agentRegistry, toolDeps =
   const parts = (args || '').trim().split(/\s+/);
   const mode = parts[0] ? parts[0].toLowerCase() : '';
 
+  // A Telegram group is the one Telegram chat with a mode, set by the owner from
+  // inside it (there is no chat list to pick from). `off` needs the PIN, which must
+  // never be typed where the whole room reads it — so it isn't offered here.
+  if (msg.platform === 'telegram' && msg.isGroup) {
+    if (!mode) {
+      const current = platform._getChatMode ? platform._getChatMode(msg.chatId) : getChatMode(config, msg.chatId);
+      await platform.send(msg.chatId,
+        `This group: ${current}\n\nChange it: /mode <mode>\nmodes: ${allowedModesForRole(config.bot_mode).filter((m) => m !== 'off').join(' · ')}`);
+      return;
+    }
+    if (mode === 'off') {
+      await platform.send(msg.chatId,
+        'Turning a group off needs your PIN — not something to type here. Set it to silent, or remove me from the group.');
+      return;
+    }
+    await commitMode({ chatId: msg.chatId, mode, agent: null, displayName: msg.chatName || 'This group' }, msg, platform, config, toolDeps);
+    return;
+  }
+
   // Telegram is the personal-bot transport (owner-only, PRD §3g): it is bound 1:1
   // to the personal-bot role and NEVER reaches into Beeper. It has no contact chats
   // to manage, so /mode only reports the account role and points role changes at the
@@ -1866,15 +2602,15 @@ async function routeMode(msg, platform, config, args, agentRegistry, toolDeps =
         await platform.send(msg.chatId, 'No chats found.');
         return;
       }
-      await platform.send(msg.chatId, `${formatChatOverview(allChats, config)}\n\n${modeFooter(config)}`);
+      await platform.send(msg.chatId, `${formatChatOverview(allChats, config, platform)}\n\n${modeFooter(config, accountRole(config, platform))}`);
     } else {
-      await platform.send(msg.chatId, modeUsageMessage(config));
+      await platform.send(msg.chatId, modeUsageMessage(config, accountRole(config, platform)));
     }
     return;
   }
 
   if (!KNOWN_MODES.includes(mode)) {
-    await platform.send(msg.chatId, modeUsageMessage(config));
+    await platform.send(msg.chatId, modeUsageMessage(config, accountRole(config, platform)));
     return;
   }
 
@@ -1900,7 +2636,8 @@ async function routeMode(msg, platform, config, args, agentRegistry, toolDeps =
     if (match.length > 1) {
       const labels = disambiguateTitles(match, config);
       const list = match.map((c, i) => `  ${i + 1}) ${labels.get(c.id)}`).join('\n');
-      await platform.send(msg.chatId, `Multiple matches:\n${list}\n\nReply with a number:`);
+      await sendPrompt(platform, msg.chatId, `Multiple matches:\n${list}\n\nReply with a number:`,
+        { choices: numberedChoices(match.map((c) => labels.get(c.id))) });
       await openAsk(makeModeAsk({ mode, matches: match, agent: agentArg, msg, platform, config, toolDeps }),
         { pending, chatId: msg.chatId, senderId: msg.senderId });
       return;
@@ -1938,9 +2675,9 @@ async function routeMode(msg, platform, config, args, agentRegistry, toolDeps =
   // per-chat tweak. Reject it and point at re-init (the one place a role changes —
   // re-init reconciles per-chat modes) instead of the old dead-end picker that offered
   // a mode commitMode would then refuse. silent/off + the current engaged mode fall through.
-  if (msg.isSelf && !allowedModesForRole(config.bot_mode).includes(mode)) {
+  if (msg.isSelf && !allowedModesForRole(accountRole(config, platform)).includes(mode)) {
     await platform.send(msg.chatId,
-      `A ${roleLabel(config.bot_mode)} account can't engage chats in "${mode}" mode.\n` +
+      `A ${roleLabel(accountRole(config, platform))} account can't engage chats in "${mode}" mode.\n` +
       'To change your account type, run `multis init`.');
     return;
   }
@@ -1956,10 +2693,11 @@ async function routeMode(msg, platform, config, args, agentRegistry, toolDeps =
     const chats = allChats.filter(c => c.id !== msg.chatId);
     const labels = disambiguateTitles(chats, config);
     const list = chats.map((c, i) => {
-      const currentMode = getChatMode(config, c.id);
-      return `  ${i + 1}) ${labels.get(c.id)} [${currentMode}]`;
+      const current = chatModeWithSource(config, c.id, platform, c.network);
+      return `  ${i + 1}) ${labels.get(c.id)} [${current.mode} · ${current.source}]`;
     }).join('\n');
-    await platform.send(msg.chatId, `Pick a chat to set to ${mode}:\n${list}\n\nReply with a number:`);
+    await sendPrompt(platform, msg.chatId, `Pick a chat to set to ${mode}:\n${list}\n\nReply with a number:`,
+      { choices: numberedChoices(chats.map((c) => labels.get(c.id))) });
     await openAsk(makeModeAsk({ mode, matches: chats, agent: agentArg, msg, platform, config, toolDeps }),
       { pending, chatId: msg.chatId, senderId: msg.senderId });
     return;
@@ -1977,15 +2715,39 @@ function setChatMode(config, chatId, mode) {
   saveConfig(config);
 }
 
-function getChatMode(config, chatId) {
+/**
+ * The role a chat's account plays: a Beeper endpoint's own bot_mode, else the
+ * daemon's (config.bot_mode).
+ */
+function accountRole(config, platform) {
+  return platform?.botMode || config.bot_mode;
+}
+
+/**
+ * A chat's mode and where it comes from — the chat's own setting, its network's
+ * policy, the account default or the role — for routing and the /mode listings.
+ * @param {string} [network] - the chat's network when the caller knows it;
+ *   else the one recorded in config.chats
+ * @returns {{ mode: string, source: string }}
+ */
+function chatModeWithSource(config, chatId, platform, network) {
   const stored = config.chats?.[chatId]?.mode;
   // M8: `personal` is a real ladder rung now, so a stored per-chat mode (including `personal`) is
   // honored. Mirrors beeper.js `_getChatMode` — the two must agree or routing and the /mode overview drift.
-  if (stored) return stored;
-  if (config.platforms?.beeper?.default_mode) return config.platforms.beeper.default_mode;
-  // Default mode for a non-owner chat is derived from the owner's role (§3g):
+  if (stored) return { mode: stored, source: 'set for this chat' };
+  const net = String(network || config.chats?.[chatId]?.network || '').toLowerCase();
+  const networks = platform && 'networks' in platform ? platform.networks : config.platforms?.beeper?.networks;
+  const byNetwork = net && Object.entries(networks || {}).find(([k]) => k.toLowerCase() === net)?.[1]?.default_mode;
+  if (byNetwork) return { mode: byNetwork, source: `${net} policy` };
+  const defaultMode = platform && 'defaultMode' in platform ? platform.defaultMode : config.platforms?.beeper?.default_mode;
+  if (defaultMode) return { mode: defaultMode, source: 'account default' };
+  // Default mode for a non-owner chat is derived from the account's role (§3g):
   // business→business, personal-assistant(+legacy 'personal')→personal, personal-bot→off.
-  return defaultModeForRole(config.bot_mode);
+  return { mode: defaultModeForRole(accountRole(config, platform)), source: 'role default' };
+}
+
+function getChatMode(config, chatId, platform, network) {
+  return chatModeWithSource(config, chatId, platform, network).mode;
 }
 
 /**
@@ -2012,10 +2774,12 @@ async function listBeeperChats(platform, config) {
   }
 
   // Merge in configured beeper chats not in the live window — one that fell out of
-  // the recent ~24 but still has a mode set stays visible with its mode.
+  // the recent ~24 but still has a mode set stays visible with its mode. Only this
+  // endpoint's: each Beeper account lists and sets its own chats.
+  const own = platform?.name || 'beeper';
   if (config?.chats) {
     for (const [id, c] of Object.entries(config.chats)) {
-      if (c.platform !== 'beeper' || id === botChatId || byId.has(id)) continue;
+      if (c.platform !== own || id === botChatId || byId.has(id)) continue;
       byId.set(id, { id, title: c.name || '', network: c.network || '' });
     }
   }
@@ -2055,26 +2819,27 @@ function disambiguateTitles(chats, config) {
 // not LOOK selectable. To act you use one of these forms.
 // Role-aware so the listed modes match what THIS account can actually set (M8 §514) — a personal
 // account shows personal/silent/off, a business account business/silent/off. Both call sites have config.
-function modeFooter(config) {
+function modeFooter(config, role = config.bot_mode) {
   return 'Change a chat:\n' +
     ' /mode <mode> <name>   — set one by name\n' +
     ' /mode <mode>          — pick from a list\n' +
-    `modes: ${allowedModesForRole(config.bot_mode).join(' · ')}`;
+    `modes: ${allowedModesForRole(role).join(' · ')}`;
 }
 
 /**
  * Read-only `/mode` overview body. Leads with the chats the bot is actually
  * engaging (business/personal/silent) and collapses the off ones to a count — a 40-row
  * dump of mostly-off chats is noise, not status. De-numbered on purpose (the
- * overview is not a picker; browse/act via `/mode <mode>` or `… <name>`).
+ * overview is not a picker; browse/act via `/mode <mode>` or `… <name>`). Each line
+ * says where its mode comes from (the chat, its network policy, the account or role).
  */
-function formatChatOverview(allChats, config) {
+function formatChatOverview(allChats, config, platform) {
   const labels = disambiguateTitles(allChats, config);
-  const withMode = allChats.map((c) => ({ c, mode: getChatMode(config, c.id) }));
+  const withMode = allChats.map((c) => ({ c, ...chatModeWithSource(config, c.id, platform, c.network) }));
   const engaged = withMode.filter((x) => x.mode !== 'off');
   const offCount = withMode.length - engaged.length;
   if (engaged.length === 0) return `No chats engaged (all ${withMode.length} off).`;
-  let body = 'Engaged chats:\n' + engaged.map((x) => ` – ${labels.get(x.c.id)} — ${x.mode}`).join('\n');
+  let body = 'Engaged chats:\n' + engaged.map((x) => ` – ${labels.get(x.c.id)} — ${x.mode} (${x.source})`).join('\n');
   if (offCount > 0) body += `\n (${offCount} other${offCount !== 1 ? 's' : ''}: off)`;
   return body;
 }
@@ -2085,11 +2850,12 @@ function formatChatOverview(allChats, config) {
  */
 async function findBeeperChat(platform, search, config) {
   const q = search.toLowerCase();
+  const own = platform?.name || 'beeper';
 
-  // Search config.chats first
+  // Search config.chats first (this endpoint's)
   if (config?.chats) {
     const matches = Object.entries(config.chats)
-      .filter(([id, c]) => c.platform === 'beeper')
+      .filter(([id, c]) => c.platform === own)
       .filter(([id, c]) =>
         (c.name && c.name.toLowerCase().includes(q)) ||
         id.toLowerCase().includes(q)
@@ -2128,7 +2894,7 @@ async function findBeeperChat(platform, search, config) {
       let changed = false;
       for (const c of matches) {
         if (!config.chats[c.id]) {
-          config.chats[c.id] = { name: c.title, network: c.network, platform: 'beeper', lastActive: new Date().toISOString() };
+          config.chats[c.id] = { name: c.title, network: c.network, platform: own, lastActive: new Date().toISOString() };
           changed = true;
         }
       }
@@ -2200,14 +2966,24 @@ function createSchedulerTick({ platformRegistry, config, provider, indexer, getM
       return;
     }
 
+    const done = (status, result) => {
+      metrics.inc('multis_scheduler_runs_total', { type: job.type, agentic: !!job.agentic, status });
+      emitWebhook('job_completed', {
+        job_id: job.id, type: job.type, schedule: job.schedule, action: job.action,
+        agentic: !!job.agentic, chat_id: job.chatId, platform: job.platformName, status, result,
+      });
+    };
+
     if (!job.agentic) {
       await platform.send(job.chatId, `Reminder: ${job.action}`);
+      done('ok', `Reminder: ${job.action}`);
       return;
     }
 
     // Agentic path — run full agent loop as owner
     if (!provider) {
       await platform.send(job.chatId, `Job [${job.id}] failed: LLM not configured.`);
+      done('failed', 'LLM not configured.');
       return;
     }
 
@@ -2231,9 +3007,11 @@ function createSchedulerTick({ platformRegistry, config, provider, indexer, getM
       });
       await platform.send(job.chatId, answer);
       logAudit({ action: 'agentic_tick', jobId: job.id, jobAction: job.action });
+      done('ok', answer);
     } catch (err) {
       await platform.send(job.chatId, `Job [${job.id}] failed: ${err.message}`);
       console.error(`[scheduler] Agentic job ${job.id} error: ${err.message}`);
+      done('failed', err.message);
     }
   };
 }
@@ -2256,7 +3034,7 @@ async function routeRemind(msg, platform, config, provider, toolDeps) {
     type: 'one-shot',
     agentic: parsed.agentic || false,
     chatId: String(msg.chatId),
-    platformName: msg.platform
+    platformName: msg.platformName
   });
   const tag = parsed.agentic ? ' [agent]' : '';
   await platform.send(msg.chatId, `Reminder set: "${parsed.action}" in ${parsed.schedule}${tag} [${job.id}]`);
@@ -2281,7 +3059,7 @@ async function routeCron(msg, platform, config, provider, toolDeps) {
     type: 'recurring',
     agentic: parsed.agentic || false,
     chatId: String(msg.chatId),
-    platformName: msg.platform
+    platformName: msg.platformName
   });
   const tag = parsed.agentic ? ' [agent]' : '';
   await platform.send(msg.chatId, `Cron job added: "${parsed.action}"${tag} [${job.id}]`);
@@ -2322,6 +3100,51 @@ async function routeCancel(msg, platform, config, jobId) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Outbox: /outbox — sends that failed for good
+// ---------------------------------------------------------------------------
+
+async function routeOutbox(msg, platform, config, args, outbox) {
+  if (!isOwner(msg.senderId, config, msg)) {
+    await platform.send(msg.chatId, 'Owner only command.');
+    return;
+  }
+  if (!outbox) {
+    await platform.send(msg.chatId, 'The outbox is not running.');
+    return;
+  }
+  const [sub, which] = (args || '').trim().toLowerCase().split(/\s+/);
+  if (sub === 'resend') {
+    const n = which === 'all' ? undefined : Number(which);
+    if (n !== undefined && !Number.isInteger(n)) {
+      await platform.send(msg.chatId, 'Usage: /outbox resend <n|all>');
+      return;
+    }
+    const count = outbox.resend(n);
+    logAudit({ action: 'outbox_resend', user_id: msg.senderId, which: which || null, count });
+    await platform.send(msg.chatId, count ? `Resending ${count} message${count === 1 ? '' : 's'}.` : `No undelivered message ${which}.`);
+    return;
+  }
+  if (sub === 'clear') {
+    const count = outbox.clear();
+    logAudit({ action: 'outbox_clear', user_id: msg.senderId, count });
+    await platform.send(msg.chatId, `Cleared ${count} undelivered message${count === 1 ? '' : 's'}.`);
+    return;
+  }
+  const { pending, dead } = outbox.list();
+  if (pending.length === 0 && dead.length === 0) {
+    await platform.send(msg.chatId, 'Outbox is empty — everything was delivered.');
+    return;
+  }
+  const lines = [];
+  if (pending.length) lines.push(`${pending.length} waiting to be retried.`);
+  if (dead.length) {
+    lines.push(`Undelivered (${dead.length}):`, ...dead.map((d, i) => formatDeadLetter(d, i + 1)));
+    lines.push('', '/outbox resend <n|all> · /outbox clear');
+  }
+  await platform.send(msg.chatId, lines.join('\n'));
+}
+
 // ---------------------------------------------------------------------------
 // Planner command: /plan
 // ---------------------------------------------------------------------------
@@ -2364,7 +3187,7 @@ async function routePlan(msg, platform, config, provider, goal, toolDeps) {
     for (const step of steps) {
       try {
         const answer = await runAgentLoop(provider, [{ role: 'user', content: step.action }], userTools, {
-          ctx: { senderId: msg.senderId, chatId: msg.chatId, isOwner: admin, runtimePlatform, platform, platformName: msg.platform, config, platformRegistry },
+          ctx: { senderId: msg.senderId, chatId: msg.chatId, isOwner: admin, runtimePlatform, platform, platformName: msg.platformName, config, platformRegistry },
           config,
           gov,
         });
@@ -2387,14 +3210,12 @@ async function routePlan(msg, platform, config, provider, goal, toolDeps) {
 
 async function showBusinessMenu(msg, platform, config, deps = {}) {
   const { toolDeps = {} } = deps;
-  await platform.send(msg.chatId,
+  const items = ['Setup persona', 'Show persona', 'Clear persona', 'Set as global default', 'Assign chats'];
+  await sendPrompt(platform, msg.chatId,
     'Business Mode\n' +
-    '1) Setup persona\n' +
-    '2) Show persona\n' +
-    '3) Clear persona\n' +
-    '4) Set as global default\n' +
-    '5) Assign chats\n\n' +
-    'Reply with a number:'
+    items.map((item, i) => `${i + 1}) ${item}\n`).join('') + '\n' +
+    'Reply with a number:',
+    { choices: numberedChoices(items) },
   );
   await openAsk(
     makeBusinessMenuAsk({ msg, platform, config, platformRegistry: toolDeps.platformRegistry, toolDeps }),
@@ -2422,6 +3243,8 @@ function makeBusinessMenuAsk({ msg, platform, config, platformRegistry, toolDeps
   };
 }
 
+const SAVE_CHOICES = { choices: [{ label: 'Save', value: 'yes' }, { label: 'Discard', value: 'no' }] };
+
 async function runBusinessMenuChoice(choice, msg, platform, config, platformRegistry, toolDeps) {
   switch (choice) {
     case 1: {
@@ -2484,7 +3307,10 @@ async function runBusinessMenuChoice(choice, msg, platform, config, platformRegi
     }
     case 5: {
       // Assign chats — delegate to the mode picker (another owner-ask).
-      const beeperPlatform = platformRegistry?.get('beeper');
+      // The Beeper account the menu was opened from; failing that, the first one running.
+      const beeperPlatform = platformKind(platform.name) === 'beeper'
+        ? platform
+        : [...(platformRegistry?.values() || [])].find((p) => platformKind(p.name) === 'beeper');
       const hasBeeperChats = beeperPlatform && config.platforms?.beeper?.enabled;
       if (!hasBeeperChats) {
         await platform.send(msg.chatId, 'No Beeper chats available. Connect Beeper first.');
@@ -2498,10 +3324,11 @@ async function runBusinessMenuChoice(choice, msg, platform, config, platformRegi
       const chats = allChats.filter(c => c.id !== msg.chatId);
       const labels = disambiguateTitles(chats, config);
       const list = chats.map((c, i) => {
-        const currentMode = getChatMode(config, c.id);
-        return `  ${i + 1}) ${labels.get(c.id)} [${currentMode}]`;
+        const current = chatModeWithSource(config, c.id, beeperPlatform, c.network);
+        return `  ${i + 1}) ${labels.get(c.id)} [${current.mode} · ${current.source}]`;
       }).join('\n');
-      await platform.send(msg.chatId, `Pick a chat to set to business:\n${list}\n\nReply with a number:`);
+      await sendPrompt(platform, msg.chatId, `Pick a chat to set to business:\n${list}\n\nReply with a number:`,
+        { choices: numberedChoices(chats.map((c) => labels.get(c.id))) });
       await openAsk(makeModeAsk({ mode: 'business', matches: chats, agent: null, msg, platform, config, toolDeps }),
         { pending: toolDeps.pending, chatId: msg.chatId, senderId: msg.senderId });
       return;
@@ -2629,13 +3456,13 @@ async function runBusinessWizardStep(input, state, msg, platform, config) {
       if (lower === 'done') {
         pending.step = 'confirm';
         const summary = formatBusinessSummary(pending.data);
-        await platform.send(msg.chatId, `Step 5/5 — Review & Save\n${summary}\n\nSave this? (yes/no)`);
+        await sendPrompt(platform, msg.chatId, `Step 5/5 — Review & Save\n${summary}\n\nSave this? (yes/no)`, SAVE_CHOICES);
         break;
       }
       if (lower === 'skip') {
         pending.step = 'confirm';
         const summary = formatBusinessSummary(pending.data);
-        await platform.send(msg.chatId, `Step 5/5 — Review & Save\n${summary}\n\nSave this? (yes/no)`);
+        await sendPrompt(platform, msg.chatId, `Step 5/5 — Review & Save\n${summary}\n\nSave this? (yes/no)`, SAVE_CHOICES);
         break;
       }
       if (lower === 'clear') {
@@ -2701,14 +3528,22 @@ const HELP_COMMANDS = [
   // ASK
   { name: 'ask',      group: 'ASK',      role: 'all',   usage: '/ask <question>',                 summary: 'ask about your documents & chats (or just type)' },
   { name: 'search',   group: 'ASK',      role: 'all',   usage: '/search <query>',                 summary: 'keyword-search the index' },
-  { name: 'docs',     group: 'ASK',      role: 'all',   usage: '/docs',                           summary: 'show what is indexed' },
+  { name: 'show',     group: 'ASK',      role: 'all',   usage: '/show <n> [file]',                summary: 'show a /search result in full',
+    detail: 'Prints the whole passage behind result n of your last /search, under its citation (e.g. contract.pdf p.14, §3.2). A citation works in place of the number. `/show <n> file` (owner) sends the document the passage is from, captioned with the page and section to look at.' },
+  { name: 'docs',     group: 'ASK',      role: 'all',   usage: '/docs [<doc> history]',           summary: 'show what is indexed',
+    detail: 'Lists the KB documents with their current version, and the watched folders. `/docs <doc> history` shows every version of one document — when it was indexed, by whom, and when it was replaced or removed.' },
   { name: 'skills',   group: 'ASK',      role: 'all',   usage: '/skills',                         summary: 'list available skills' },
   // REMEMBER
   { name: 'remember', group: 'REMEMBER', role: 'all',   usage: '/remember <note>',                summary: 'save a note to memory' },
   { name: 'memory',   group: 'REMEMBER', role: 'all',   usage: '/memory',                         summary: 'show what I remember here' },
   { name: 'forget',   group: 'REMEMBER', role: 'all',   usage: '/forget <topic> | /forget all',    summary: 'remove specific notes (or everything)' },
-  { name: 'index',    group: 'REMEMBER', role: 'owner', usage: '/index <path> <public|admin>',    summary: 'add a document to the knowledge base',
-    detail: 'Adds a file to the searchable KB. Scope: public (everyone) or admin (owner-only knowledge — owner only). On Telegram/Beeper you can also just send a file to index it.' },
+  { name: 'index',    group: 'REMEMBER', role: 'owner', usage: '/index <path|url> <public|admin>', summary: 'add a document or web page to the knowledge base',
+    detail: 'Adds a file to the searchable KB. Scope: public (everyone) or admin (owner-only knowledge — owner only). On Telegram/Beeper you can also just send a file to index it. A URL fetches the page (its site must be in `documents.web.allowDomains`); `--depth N` also follows same-site links N levels deep. Answers cite the page\'s URL.' },
+  { name: 'unindex',  group: 'REMEMBER', role: 'owner', usage: '/unindex <doc> [public|admin]',   summary: 'remove a document from the knowledge base (PIN)',
+    detail: 'Removes the document and all its earlier versions from the KB; its history stays in `/docs <doc> history`. Indexing a document again does not need this — it replaces the old version. A name in both scopes needs the scope.' },
+  { name: 'watch',    group: 'REMEMBER', role: 'owner', usage: '/watch <folder> <public|admin>',  summary: 'keep a folder indexed as it changes',
+    detail: 'Indexes every supported file in the folder now, then follows it: an edited file is re-indexed and a deleted one is removed from the KB. Changes made while multis was stopped are caught at start. Bare `/watch` lists watched folders; `/docs` shows each file and when it was last synced.' },
+  { name: 'unwatch',  group: 'REMEMBER', role: 'owner', usage: '/unwatch <folder>',               summary: 'stop watching a folder and remove its documents (PIN)' },
   // SCHEDULE
   { name: 'remind',   group: 'SCHEDULE', role: 'owner', usage: '/remind <when> <action> [--agent]', summary: 'set a one-off reminder' },
   { name: 'cron',     group: 'SCHEDULE', role: 'owner', usage: '/cron <expr> <action> [--agent]', summary: 'recurring scheduled task' },
@@ -2726,6 +3561,8 @@ const HELP_COMMANDS = [
   { name: 'agent',    group: 'MANAGE',   role: 'owner', usage: '/agent [name]',                   summary: "show or set this chat's agent" },
   { name: 'agents',   group: 'MANAGE',   role: 'owner', usage: '/agents',                         summary: 'list all agents' },
   { name: 'pin',      group: 'MANAGE',   role: 'owner', usage: '/pin',                            summary: 'set or change your PIN' },
+  { name: 'outbox',   group: 'MANAGE',   role: 'owner', usage: '/outbox [resend <n|all> | clear]', summary: "messages that couldn't be delivered",
+    detail: 'A send that fails is retried with backoff; one that still fails lands here. Bare `/outbox` lists them. `/outbox resend 2` (or `all`) tries again; `/outbox clear` drops them.' },
   { name: 'status',   group: 'MANAGE',   role: 'all',   usage: '/status',                         summary: 'bot info & status' },
   { name: 'help',     group: 'MANAGE',   role: 'all',   usage: '/help [command]',                 summary: 'this menu — add a command for details' },
 ];
@@ -2796,9 +3633,9 @@ function makeIndexAsk({ fileName, srcURL, platform, indexer, msg, config }) {
       try {
         await platform.send(msg.chatId, `Downloading and indexing: ${fileName} (${scope})...`);
         const buffer = await platform.downloadAsset(srcURL);
-        const res = await indexer.indexBuffer(buffer, fileName, scope);
+        const res = await indexer.indexBuffer(buffer, fileName, scope, { source: 'upload', by: msg.senderId });
         await platform.send(msg.chatId, indexOutcomeMsg(res, fileName, scope));
-        logAudit({ action: 'index_upload', user_id: msg.senderId, filename: fileName, chunks: res.chunks, scope, platform: 'beeper' });
+        logAudit({ action: 'index_upload', user_id: msg.senderId, filename: fileName, chunks: res.chunks, scope, platform: msg.platform });
       } catch (err) {
         await platform.send(msg.chatId, `Index error: ${err.message}`);
       }
@@ -2843,9 +3680,9 @@ async function handleBeeperFileIndex(msg, platform, config, indexer, pending) {
   try {
     await platform.send(msg.chatId, `Downloading and indexing: ${fileName} (${scope})...`);
     const buffer = await platform.downloadAsset(srcURL);
-    const res = await indexer.indexBuffer(buffer, fileName, scope);
+    const res = await indexer.indexBuffer(buffer, fileName, scope, { source: 'upload', by: msg.senderId });
     await platform.send(msg.chatId, indexOutcomeMsg(res, fileName, scope));
-    logAudit({ action: 'index_upload', user_id: msg.senderId, filename: fileName, chunks: res.chunks, scope, platform: 'beeper' });
+    logAudit({ action: 'index_upload', user_id: msg.senderId, filename: fileName, chunks: res.chunks, scope, platform: msg.platform });
   } catch (err) {
     await platform.send(msg.chatId, `Index error: ${err.message}`);
   }
@@ -2876,7 +3713,7 @@ async function handleDocumentUpload(msg, platform, config, indexer) {
     const response = await fetch(fileLink.href);
     const buffer = Buffer.from(await response.arrayBuffer());
 
-    const res = await indexer.indexBuffer(buffer, filename, 'kb');
+    const res = await indexer.indexBuffer(buffer, filename, 'kb', { source: 'upload', by: msg.senderId });
     await platform.send(msg.chatId, indexOutcomeMsg(res, filename, 'kb'));
     logAudit({ action: 'index_upload', user_id: msg.senderId, filename, chunks: res.chunks });
   } catch (err) {
@@ -2885,6 +3722,114 @@ async function handleDocumentUpload(msg, platform, config, indexer) {
   }
 }
 
+/**
+ * Move a message's voice note off `_attachments` onto `msg._voice`, so the
+ * attachment paths never index it and routing can decide whether it is worth
+ * transcribing. One voice note per message — the first audio attachment.
+ */
+function setAsideVoiceNote(msg) {
+  const audio = msg._attachments.find(isAudioAttachment);
+  const rest = msg._attachments.filter((a) => a !== audio);
+  msg._attachments = rest.length ? rest : undefined;
+  msg._voice = audio;
+}
+
+/**
+ * Transcribe the voice note set aside on `msg._voice` (config.transcription): the
+ * text becomes `[voice] <transcript>` (after any caption), so the rest of the route
+ * sees an ordinary text message. The audio is consumed even on failure (it is not
+ * a document to index); only the owner's own channel is told (a contact just goes
+ * unanswered, like any other media-only message), and every attempt is audited.
+ * @returns {Promise<boolean>} whether the message has any text left to route
+ */
+async function transcribeVoiceNote(msg, platform, config) {
+  const audio = msg._voice;
+  msg._voice = undefined;
+  const started = Date.now();
+  try {
+    const buffer = await platform.downloadAsset(audio.srcURL);
+    const transcript = await transcribeAudio(buffer, audio.fileName, config.transcription);
+    if (!transcript) throw new Error('no speech recognized');
+    msg.text = [msg.text.trim(), `${VOICE_MARKER} ${transcript}`].filter(Boolean).join('\n');
+    logAudit({ action: 'transcribe', user_id: msg.senderId, chatId: msg.chatId, platform: msg.platform, chars: transcript.length, ms: Date.now() - started });
+  } catch (err) {
+    console.error(`Transcription error (${msg.platform}): ${err.message}`);
+    logAudit({ action: 'transcribe', user_id: msg.senderId, chatId: msg.chatId, platform: msg.platform, status: 'error', error: err.message });
+    if (!msg.routeAs || msg.routeAs === 'natural') {
+      await platform.send(msg.chatId, `Couldn't transcribe that voice note: ${err.message}`);
+    }
+  }
+  return !!msg.text.trim();
+}
+
+/**
+ * Does this message's route end in an answer, so its photos are worth fetching?
+ * Business/personal contacts are answered; a natural or unrouted turn only for the
+ * paired/owner (the same gates the ask paths apply); silent/off never.
+ */
+function answersImages(msg, config) {
+  if (msg.routeAs === 'business' || msg.routeAs === 'personal') return true;
+  if (msg.routeAs && msg.routeAs !== 'natural') return false;
+  return isPaired(msg, config) || isOwner(msg.senderId, config, msg);
+}
+
+/**
+ * Move a message's photos from `_attachments` onto `msg._images` (`{ mimeType,
+ * data }`, for routeAsk) and mark the text `[image] <caption>`. At most MAX_IMAGES
+ * per message; each is bounded by MAX_ASSET_BYTES — the declared size before
+ * fetching, the streamed bytes in downloadAsset — and must sniff as a format the
+ * providers accept. Failures go the way of a voice note's: only the owner's own
+ * channel is told, and every attempt is audited.
+ */
+async function collectImages(msg, platform, config) {
+  const photos = msg._attachments.filter(isImageAttachment);
+  const rest = msg._attachments.filter((a) => !isImageAttachment(a));
+  msg._attachments = rest.length ? rest : undefined;
+  const images = [];
+  const errors = [];
+  for (const photo of photos.slice(0, MAX_IMAGES)) {
+    try {
+      if (photo.size > MAX_ASSET_BYTES) throw assetTooLarge(photo.size);
+      const data = await platform.downloadAsset(photo.srcURL);
+      const mimeType = sniffImageType(data);
+      if (!mimeType) throw new Error(`unsupported image format: ${photo.fileName || 'image'}`);
+      images.push({ mimeType, data });
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  if (errors.length) {
+    console.error(`Image error (${msg.platform}): ${errors.join('; ')}`);
+    logAudit({ action: 'image', user_id: msg.senderId, chatId: msg.chatId, platform: msg.platform, status: 'error', error: errors.join('; ') });
+    if (!msg.routeAs || msg.routeAs === 'natural') {
+      await platform.send(msg.chatId, `Couldn't read that image: ${errors[0]}`);
+    }
+  }
+  if (images.length === 0) return;
+  msg._images = images;
+  msg.text = `${IMAGE_MARKER} ${msg.text.trim()}`.trim();
+  logAudit({ action: 'image', user_id: msg.senderId, chatId: msg.chatId, platform: msg.platform, images: images.length, bytes: images.reduce((n, i) => n + i.data.length, 0) });
+}
+
+/**
+ * The OCR fallback for a model that can't see images: the text tesseract reads off
+ * each one (config.vision), joined. An image that fails or holds no text adds
+ * nothing — the model still sees the [image] marker.
+ */
+async function readImagesText(msg, images, config) {
+  const parts = [];
+  for (const img of images) {
+    try {
+      const text = await ocrImage(img.data, config.vision);
+      if (text) parts.push(text);
+    } catch (err) {
+      console.error(`OCR error (${msg.platform}): ${err.message}`);
+      logAudit({ action: 'ocr', user_id: msg.senderId, chatId: msg.chatId, platform: msg.platform, status: 'error', error: err.message });
+    }
+  }
+  return parts.join('\n');
+}
+
 /**
  * Silently handle non-admin attachments: index supported docs, ignore the rest.
  * Never sends a reply to the user.
@@ -2920,7 +3865,7 @@ async function handleSilentAttachment(msg, platform, config, indexer, source) {
       const scope = `user:${msg.chatId}`;
       const buffer = await platform.downloadAsset(attachment.srcURL);
       const res = await indexer.indexBuffer(buffer, attachment.fileName, scope);
-      logAudit({ action: 'silent_index', user_id: msg.senderId, filename: attachment.fileName, chunks: res.chunks, scope, platform: 'beeper' });
+      logAudit({ action: 'silent_index', user_id: msg.senderId, filename: attachment.fileName, chunks: res.chunks, scope, platform: msg.platform });
     } catch (err) {
       console.error(`Silent index error (beeper): ${err.message}`);
     }
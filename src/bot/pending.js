@@ -106,6 +106,14 @@ class PendingRegistry {
     this.entries.delete(PendingRegistry.key(chatId, senderId));
   }
 
+  /** Live entries (not yet past their TTL), oldest first. Does not expire anything. */
+  list() {
+    const now = this._now();
+    return [...this.entries.entries()]
+      .filter(([, e]) => now - e.createdAt <= e.ttlMs)
+      .map(([key, e]) => ({ key, ...e }));
+  }
+
   get size() {
     return this.entries.size;
   }
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * ReplyStream — one agent reply that grows in place while the loop works.
+ *
+ * The loop reports progress as it goes: a line per tool call ("searching
+ * docs…") and the model's text — token by token where the provider streams
+ * (streamingGenerate in ../llm/provider-adapter), so the answer types itself
+ * out, else once per round. The first update sends a message; later ones edit
+ * it, no more often than `intervalMs` (Telegram rate-limits edits per chat),
+ * coalescing whatever arrived in between. finish() swaps in the final answer —
+ * by one more edit, or a plain send when the edit can't be made — so a reply
+ * that finished before any progress is a single send, exactly as without
+ * streaming.
+ *
+ * Only built for platforms that can edit (canEditMessages); everywhere else the
+ * router sends the finished reply once.
+ */
+
+const DEFAULT_EDIT_INTERVAL_MS = 1500;
+const MAX_PROGRESS_LINES = 5; // the newest tool lines shown under the interim text
+
+// What a tool call looks like from the chat while it runs. Unlisted tools read
+// "running <name>…".
+const TOOL_PROGRESS = {
+  search_docs: 'searching docs…',
+  query_table: 'checking a table…',
+  recall_memory: 'checking memory…',
+  grep_files: 'searching files…',
+  find_files: 'looking for files…',
+  read_file: 'reading a file…',
+  open_url: 'opening a link…',
+};
+
+function toolProgressLine(name) {
+  return TOOL_PROGRESS[name] || `running ${name}…`;
+}
+
+class ReplyStream {
+  /**
+   * @param {object} platform - must have editMessage (see canEditMessages)
+   * @param {string} chatId
+   * @param {object} [opts]
+   * @param {number} [opts.intervalMs] - minimum gap between two edits
+   * @param {object} [opts.sendOpts] - passed to platform.send (reply-to, thread)
+   */
+  constructor(platform, chatId, { intervalMs, sendOpts } = {}) {
+    this.platform = platform;
+    this.chatId = chatId;
+    this.intervalMs = intervalMs ?? DEFAULT_EDIT_INTERVAL_MS;
+    this.sendOpts = sendOpts || {};
+    this._interim = '';
+    this._lines = [];
+    this._messageId = null;
+    this._shown = '';
+    this._lastEditAt = 0;
+    this._timer = null;
+    this._chain = Promise.resolve();
+    this._closed = false;
+    this._broken = false;
+  }
+
+  /** A tool call started. */
+  tool(name) {
+    this._lines.push(toolProgressLine(name));
+    this._schedule();
+  }
+
+  /** The model's text for the round in progress — all of it so far, not a delta. */
+  interim(text) {
+    if (!text || !text.trim()) return;
+    this._interim = text.trim();
+    this._schedule();
+  }
+
+  /**
+   * Deliver the final reply: edit the progress message into it, or send it when
+   * nothing was shown yet (or the edit failed). An empty `text` just stops the
+   * stream — e.g. a turn that parked a PIN ceremony, whose prompt is the reply.
+   * @param {string} text
+   */
+  async finish(text) {
+    this._closed = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    await this._chain;
+    if (!text) return;
+    if (this._messageId != null && !this._broken) {
+      try {
+        if (text !== this._shown) await this.platform.editMessage(this.chatId, this._messageId, text);
+        return;
+      } catch (err) {
+        console.error(`Reply stream: final edit failed (${err.message}) — sending instead`);
+      }
+    }
+    await this.platform.send(this.chatId, text, this.sendOpts);
+  }
+
+  _render() {
+    const lines = this._lines.slice(-MAX_PROGRESS_LINES);
+    return [this._interim, lines.join('\n')].filter(Boolean).join('\n\n');
+  }
+
+  _schedule() {
+    if (this._closed || this._broken || this._timer) return;
+    const wait = Math.max(0, this._lastEditAt + this.intervalMs - Date.now());
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._chain = this._chain.then(() => this._flush());
+    }, wait);
+  }
+
+  async _flush() {
+    if (this._closed) return;
+    const text = this._render();
+    if (text === this._shown) return;
+    try {
+      if (this._messageId == null) {
+        this._messageId = await this.platform.send(this.chatId, text, this.sendOpts);
+        // No id back: nothing to edit, so the rest of the turn arrives in finish().
+        if (this._messageId == null) this._broken = true;
+      } else {
+        await this.platform.editMessage(this.chatId, this._messageId, text);
+      }
+      this._shown = text;
+    } catch (err) {
+      // A failed progress update is cosmetic: stop updating, keep the turn going.
+      console.error(`Reply stream: update failed (${err.message})`);
+      this._broken = true;
+    }
+    this._lastEditAt = Date.now();
+  }
+}
+
+module.exports = { ReplyStream, toolProgressLine, DEFAULT_EDIT_INTERVAL_MS };
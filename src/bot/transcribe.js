@@ -0,0 +1,64 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { scrubbedEnv } = require('../skills/executor');
+
+const execFileAsync = promisify(execFile);
+
+// Prefixed to a transcript so the model, the daily log and the owner all see the
+// text came from a voice note (and may carry recognition errors), not typing.
+const VOICE_MARKER = '[voice]';
+
+/**
+ * Is this attachment audio we should transcribe? The platform's voice-note flag,
+ * or an audio/* MIME type (a forwarded recording, a Matrix m.audio).
+ * @param {{ isVoiceNote?: boolean, mimeType?: string }} a
+ */
+function isAudioAttachment(a) {
+  return !!a && (a.isVoiceNote === true || /^audio\//i.test(a.mimeType || ''));
+}
+
+/**
+ * Transcribe an audio buffer with the local whisper.cpp binary (config.transcription).
+ * Voice notes arrive as OGG/Opus or M4A, which whisper.cpp does not read, so by default
+ * ffmpeg first converts to the 16 kHz mono WAV it expects (`ffmpeg: ""` skips that,
+ * for a build that decodes the input itself). Both run as argv with no shell and the
+ * bot's secrets scrubbed from their env. Throws on a missing binary, a non-zero exit,
+ * or a timeout; the temp files are always removed.
+ * @param {Buffer} buffer - the audio bytes
+ * @param {string} fileName - original name (only its extension is used)
+ * @param {object} cfg - config.transcription
+ * @returns {Promise<string>} the transcript, whitespace-collapsed ('' for silence)
+ */
+async function transcribeAudio(buffer, fileName, cfg = {}) {
+  if (!cfg.model) throw new Error('transcription.model is not set');
+  const timeout = cfg.timeout_ms || 120000;
+  const opts = { encoding: 'utf8', timeout, maxBuffer: 1024 * 1024, env: scrubbedEnv() };
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'multis-voice-'));
+  try {
+    const ext = (path.extname(fileName || '') || '.audio').replace(/[^.\w]/g, '');
+    const input = path.join(dir, `input${ext}`);
+    await fs.promises.writeFile(input, buffer);
+
+    let audio = input;
+    const ffmpeg = cfg.ffmpeg ?? 'ffmpeg';
+    if (ffmpeg) {
+      audio = path.join(dir, 'audio.wav');
+      await execFileAsync(ffmpeg, ['-nostdin', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', audio], opts);
+    }
+
+    // -nt: plain text, no timestamps; -np: no progress/system lines on stdout.
+    const args = ['-m', cfg.model, '-f', audio, '-nt', '-np', '-l', cfg.language || 'auto'];
+    const { stdout } = await execFileAsync(cfg.binary || 'whisper-cli', args, opts);
+    return stdout.replace(/\s+/g, ' ').trim();
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = { transcribeAudio, isAudioAttachment, VOICE_MARKER };
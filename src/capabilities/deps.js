@@ -8,7 +8,8 @@
  *
  * `execute` is the one place a declared capability actually runs:
  *   - host capability  → its own tool.execute (reuses src/tools/definitions.js)
- *   - app  capability  → `index` is bound here (needs only the injected indexer);
+ *   - app  capability  → `index`, `index_url`, `unindex`, `watch` and `unwatch` are bound here (they need
+ *                        only the injected indexer / folder watcher);
  *                        the config/memory-coupled verbs (set_mode, forget,
  *                        remember, memory) are passed in as a pre-bound `appExec`
  *                        map by the caller, where config/getMem are in scope. That
@@ -17,6 +18,8 @@
  */
 
 const { logAudit } = require('../governance/audit');
+const { emitWebhook } = require('../governance/webhooks');
+const metrics = require('../metrics');
 
 /**
  * Build the `deps` bundle for runGovernedAction.
@@ -25,6 +28,7 @@ const { logAudit } = require('../governance/audit');
  * @param {Function} [p.floorPolicy]       bareguard Axis-A policy: async (toolName, args, ctx) => true|denyString
  * @param {string[]} [p.denylist]          command denylist (shell severity classifier)
  * @param {Object}   [p.indexer]           litectx policy wrapper (for the `index` verb)
+ * @param {Object}   [p.watcher]           FolderWatcher (for the `watch`/`unwatch` verbs)
  * @param {Object}   [p.appExec]           name → (args, ctx) => result, for the
  *                                          config/memory-coupled app-verbs
  *                                          (set_mode, forget, remember, memory)
@@ -35,14 +39,16 @@ const { logAudit } = require('../governance/audit');
  *                                          tool_call audit) instead of calling
  *                                          cap.tool.execute directly.
  */
-function buildGovernDeps({ verifyPin, pinConfigured, floorPolicy, denylist = [], indexer, appExec, execute } = {}) {
+function buildGovernDeps({ verifyPin, pinConfigured, floorPolicy, denylist = [], indexer, watcher, appExec, execute } = {}) {
   return {
     verifyPin,
     pinConfigured,
     denylist,
     floor: makeFloor({ floorPolicy }),
-    execute: execute || makeExecute({ indexer, appExec }),
+    execute: execute || makeExecute({ indexer, watcher, appExec }),
     audit: async (intentLine, meta = {}) => {
+      const status = meta.status || (meta.blocked ? 'blocked' : 'executed');
+      metrics.inc('multis_governed_actions_total', { capability: meta.capability, outcome: status });
       logAudit({
         action: 'govern',
         intent: intentLine,
@@ -54,8 +60,18 @@ function buildGovernDeps({ verifyPin, pinConfigured, floorPolicy, denylist = [],
         // The core records a catastrophic WALL (blocked:true) and now also owner /
         // declined-ceremony denials (explicit meta.status) via this same dep — none
         // may read as 'executed'. Honor an explicit status, else reflect blocked/ran.
-        status: meta.status || (meta.blocked ? 'blocked' : 'executed'),
+        status,
       });
+      // A floor deny already went out from the gate's policy; the core's own
+      // refusals (owner floor, wall, declined ceremony) go out from here.
+      const refused = meta.blocked || meta.status === 'denied-owner' || meta.status === 'denied-ceremony';
+      if (refused) {
+        metrics.inc('multis_gate_denials_total', { tool: meta.capability });
+        emitWebhook('gate_denied', {
+          capability: meta.capability, tier: meta.tier, reason: meta.status || 'blocked', intent: intentLine,
+          chat_id: meta.ctx?.chatId, sender_id: meta.ctx?.senderId, platform: meta.ctx?.platformName,
+        });
+      }
     },
   };
 }
@@ -82,7 +98,7 @@ function makeFloor({ floorPolicy } = {}) {
 }
 
 /** The single execution dispatcher: capability descriptor + concrete args → result. */
-function makeExecute({ indexer, appExec = {} } = {}) {
+function makeExecute({ indexer, watcher, appExec = {} } = {}) {
   return async function execute(cap, args, ctx) {
     // Host capabilities carry their source tool definition — reuse its execute
     // verbatim (governance now lives in the core wrapping this call, not the tool).
@@ -100,8 +116,24 @@ function makeExecute({ indexer, appExec = {} } = {}) {
         // Registry scope vocab: 'kb' = the public KB, 'admin' = owner-private.
         // indexFile's role vocab is 'public' | 'admin'.
         const role = args.scope === 'admin' ? 'admin' : 'public';
-        const { chunks, mode } = await indexer.indexFile(args.path, role);
-        return { count: chunks, mode, path: args.path, role };
+        const { chunks, mode, version, replaced, unchanged, tables } = await indexer.indexFile(args.path, role, { by: ctx?.senderId });
+        return { count: chunks, mode, path: args.path, role, version, replaced, unchanged, tables };
+      }
+      case 'index_url': {
+        const role = args.scope === 'admin' ? 'admin' : 'public';
+        const r = await indexer.indexUrl(args.url, role, { depth: args.depth || 0, by: ctx?.senderId });
+        return { ...r, url: args.url, role };
+      }
+      case 'unindex':
+        return indexer.removeDocument(args.doc, args.scope === 'admin' ? 'admin' : 'public', { by: ctx?.senderId });
+      case 'watch': {
+        if (!watcher) throw new Error('folder watching is not running');
+        const role = args.scope === 'admin' ? 'admin' : 'public';
+        return { ...(await watcher.add(args.path, role)), role };
+      }
+      case 'unwatch': {
+        if (!watcher) throw new Error('folder watching is not running');
+        return { dir: args.path, removed: await watcher.remove(args.path) };
       }
       default:
         throw new Error(`No execute bound for app capability: ${cap.name}`);
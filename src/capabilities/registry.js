@@ -48,6 +48,7 @@ const HOST_META = {
   grep_files:    { scope: 'host.fs.read',  severity: SEVERITY.BENIGN },
   send_file:     { scope: 'host.fs.read',  severity: SEVERITY.BENIGN },
   search_docs:   { scope: 'kb.read',       severity: SEVERITY.BENIGN },
+  query_table:   { scope: 'kb.read',       severity: SEVERITY.BENIGN },
   recall_memory: { scope: 'memory.read',   severity: SEVERITY.BENIGN },
   remember:      { scope: 'memory.write',  severity: SEVERITY.BENIGN },
   escalate:      { scope: 'escalate',      severity: SEVERITY.BENIGN },
@@ -110,6 +111,9 @@ const APP_VERBS = [
   { name: 'jobs',    scope: 'app.read',   severity: SEVERITY.BENIGN, ownerOnly: false, args: null },
   { name: 'search',  scope: 'kb.read',    severity: SEVERITY.BENIGN, ownerOnly: false,
     args: schema({ query: str('What to search for') }, ['query']) },
+  // show prints a /search result in full; sending its source file goes through send_file.
+  { name: 'show',    scope: 'kb.read',    severity: SEVERITY.BENIGN, ownerOnly: false,
+    args: schema({ citation: str('A /search result number, or its citation') }, ['citation']) },
   { name: 'ask',     scope: 'kb.read',    severity: SEVERITY.BENIGN, ownerOnly: false,
     args: schema({ question: str('The question to answer from context') }, ['question']) },
   { name: 'memory',  scope: 'memory.read', severity: SEVERITY.BENIGN, ownerOnly: false, args: null },
@@ -136,6 +140,32 @@ const APP_VERBS = [
       path: str('Path to the document to index'),
       scope: enumStr(['kb', 'admin'], 'kb=public, admin=owner-private'),
     }, ['path', 'scope']) },
+  // index_url fetches a web page (and, with depth, its same-site links) into the
+  // KB. Only hosts on documents.web.allowDomains are reachable, but it still puts
+  // outside text in the world-readable KB → owner-only, like index.
+  { name: 'index_url', scope: 'kb.write', severity: SEVERITY.BENIGN, ownerOnly: true,
+    args: schema({
+      url: str('The http(s) URL of the page to index'),
+      scope: enumStr(['kb', 'admin'], 'kb=public, admin=owner-private'),
+      depth: { type: 'integer', minimum: 0, description: 'Same-site link levels to follow (0 = just the page)' },
+    }, ['url', 'scope']) },
+  // watch/unwatch: a folder the KB follows (re-ingest on change) — same host-FS read
+  // as index, so owner-only. Unwatch removes the folder's documents from the KB —
+  // live chunks and archived versions, like unindex — so it is destructive too.
+  { name: 'watch',   scope: 'kb.write',   severity: SEVERITY.BENIGN, ownerOnly: true,
+    args: schema({
+      path: str('Path to the folder to watch'),
+      scope: enumStr(['kb', 'admin'], 'kb=public, admin=owner-private'),
+    }, ['path', 'scope']) },
+  { name: 'unwatch', scope: 'kb.write',   severity: SEVERITY.DESTRUCTIVE, ownerOnly: true,
+    args: schema({ path: str('Path to the watched folder') }, ['path']) },
+  // unindex takes a document out of the KB for good (live chunks + archived
+  // versions) → destructive, PIN ceremony like forget.
+  { name: 'unindex', scope: 'kb.write',   severity: SEVERITY.DESTRUCTIVE, ownerOnly: true,
+    args: schema({
+      doc: str('The document to remove, as /docs lists it'),
+      scope: enumStr(['kb', 'admin'], 'kb=public, admin=owner-private'),
+    }, ['doc', 'scope']) },
   { name: 'admin',   scope: 'app.admin',  severity: SEVERITY.BENIGN, ownerOnly: true, args: null },
   { name: 'pin',     scope: 'app.auth',   severity: SEVERITY.BENIGN, ownerOnly: false, args: null },
   { name: 'remind',  scope: 'app.schedule', severity: SEVERITY.BENIGN, ownerOnly: false,
@@ -144,6 +174,7 @@ const APP_VERBS = [
   { name: 'cancel',  scope: 'app.schedule', severity: SEVERITY.BENIGN, ownerOnly: false,
     args: schema({ id: str('The job id to cancel') }, ['id']) },
   { name: 'plan',    scope: 'app.read',   severity: SEVERITY.BENIGN, ownerOnly: false, args: null },
+  { name: 'outbox',  scope: 'app.admin',  severity: SEVERITY.BENIGN, ownerOnly: true, args: null },
   // NOTE: no `unpair` verb. A paired account is only ever the owner's, so a
   // self-unpair would risk orphaning the bot (no owner left). Full teardown is a
   // CLI action (`multis stop` → rm -rf ~/.multis), not a chat command.
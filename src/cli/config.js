@@ -0,0 +1,142 @@
+/**
+ * Helpers behind `multis config get|set|validate|diff` — reading and changing
+ * ~/.multis/config.json by key path instead of hand-editing the JSON. Paths
+ * use the same syntax the schema messages print: `memory.recent_window`,
+ * `webhooks[0].url`, `chats["!abc:beeper.local"].mode`.
+ *
+ * Everything here works on the file as written (after migrations), not on
+ * loadConfig's result, so defaults and .env values never get saved by a `set`.
+ */
+const fs = require('fs');
+const path = require('path');
+const { PATHS, configIssues, migrateConfig } = require('../config');
+const { parsePath, formatPath } = require('../schema');
+
+const TEMPLATE = path.join(__dirname, '..', '..', '.multis-template', 'config.json');
+
+// Keys whose values are credentials. Shown as •••• unless asked for by exact path.
+const SECRET_KEYS = new Set(['apiKey', 'token', 'bot_token', 'telegram_bot_token', 'access_token', 'guest_token', 'mcp_token', 'pin_hash', 'secret', 'password']);
+
+// Set by multis itself; `set` refuses them with a pointer to the right command.
+const MANAGED = {
+  config_version: 'it records migrations and is set by multis',
+  'security.pin_hash': 'change the PIN with multis init',
+};
+
+/** config.json as written, migrated in memory to this version. */
+function readConfigFile(file = PATHS.config()) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  migrateConfig(config);
+  return config;
+}
+
+/** The config a fresh install starts from (.multis-template/config.json). */
+function templateConfig() {
+  return JSON.parse(fs.readFileSync(TEMPLATE, 'utf8'));
+}
+
+/**
+ * The value at a key path, or undefined.
+ * @param {object} obj
+ * @param {Array<string|number>} segments - from parsePath
+ */
+function getPath(obj, segments) {
+  let cur = obj;
+  for (const s of segments) {
+    if (cur === null || typeof cur !== 'object' || !Object.prototype.hasOwnProperty.call(cur, s)) return undefined;
+    cur = cur[s];
+  }
+  return cur;
+}
+
+/**
+ * Set the value at a key path, creating objects (or lists, for a numeric
+ * segment) on the way. Throws when the path runs through a non-object.
+ */
+function setPath(obj, segments, value) {
+  let cur = obj;
+  segments.forEach((s, i) => {
+    if (i === segments.length - 1) {
+      cur[s] = value;
+      return;
+    }
+    if (cur[s] === undefined || cur[s] === null) cur[s] = typeof segments[i + 1] === 'number' ? [] : {};
+    if (typeof cur[s] !== 'object') throw new Error(`${formatPath(segments.slice(0, i + 1))} is ${JSON.stringify(cur[s])}, not an object`);
+    cur = cur[s];
+  });
+  return obj;
+}
+
+/**
+ * A command-line value: JSON when it parses (numbers, true/false, null,
+ * lists, objects, "quoted strings"), otherwise the text itself.
+ */
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/** A copy with every non-empty secret value replaced by ••••. */
+function redact(value, key = null) {
+  if (Array.isArray(value)) return value.map((v) => redact(v));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  }
+  return SECRET_KEYS.has(key) && value ? '••••' : value;
+}
+
+/**
+ * Why a path can't be set with `multis config set`, or null.
+ * @param {Array<string|number>} segments
+ */
+function managedReason(segments) {
+  return MANAGED[formatPath(segments)] || null;
+}
+
+/**
+ * The schema errors and unknown keys a change adds — the ones in `after` that
+ * `before` didn't already have, so an old problem elsewhere doesn't block
+ * an unrelated fix.
+ */
+function newIssues(before, after) {
+  const key = (i) => `${i.path}\u0000${i.message}`;
+  const had = new Set(configIssues(before).map(key));
+  return configIssues(after).filter((i) => !had.has(key(i)));
+}
+
+/**
+ * Leaf-level differences between two configs.
+ * @returns {Array<{path: string, kind: 'added'|'removed'|'changed', before?: *, after?: *}>}
+ */
+function diffConfig(before, after, at = []) {
+  const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (isObj(before) && isObj(after)) {
+    const out = [];
+    for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (k.startsWith('_')) continue;
+      if (!(k in after)) out.push({ path: formatPath([...at, k]), kind: 'removed', before: before[k] });
+      else if (!(k in before)) out.push({ path: formatPath([...at, k]), kind: 'added', after: after[k] });
+      else out.push(...diffConfig(before[k], after[k], [...at, k]));
+    }
+    return out;
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path: formatPath(at), kind: 'changed', before, after }];
+}
+
+module.exports = {
+  readConfigFile,
+  templateConfig,
+  getPath,
+  setPath,
+  parseValue,
+  redact,
+  managedReason,
+  newIssues,
+  diffConfig,
+  parsePath,
+  SECRET_KEYS,
+};
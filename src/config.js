@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { validate, validateFile, SCHEMAS } = require('./schema');
 
 // MULTIS_HOME env var overrides default ~/.multis (used by tests and multi-instance setups)
 // Getter functions allow tests to override paths at runtime.
@@ -20,9 +21,20 @@ const PATHS = {
   pinSessions:  () => path.join(getMultisDir(), 'auth', 'pin_sessions.json'),
   auditLog:     () => path.join(getMultisDir(), 'logs', 'audit.log'),
   injectionLog: () => path.join(getMultisDir(), 'logs', 'injection.log'),
+  gateLog:      () => path.join(getMultisDir(), 'logs', 'gate.jsonl'),
   daemonLog:    () => path.join(getMultisDir(), 'logs', 'daemon.log'),
   pid:          () => path.join(getMultisDir(), 'run', 'multis.pid'),
-  beeperCursor: () => path.join(getMultisDir(), 'run', 'beeper-cursor.json'),
+  beeperCursor: (endpoint) => path.join(getMultisDir(), 'run', endpoint ? `beeper-cursor-${endpoint}.json` : 'beeper-cursor.json'),
+  matrixSince:  () => path.join(getMultisDir(), 'run', 'matrix-since.json'),
+  emailState:   () => path.join(getMultisDir(), 'run', 'email-state.json'),
+  outbox:       () => path.join(getMultisDir(), 'data', 'outbox.json'),
+  watches:      () => path.join(getMultisDir(), 'data', 'watches.json'),
+  kbCatalog:    () => path.join(getMultisDir(), 'data', 'kb.json'),
+  kbVersions:   () => path.join(getMultisDir(), 'data', 'kb-versions'),
+  kbTables:     () => path.join(getMultisDir(), 'data', 'kb-tables.json'),
+  kbTablesDir:  () => path.join(getMultisDir(), 'data', 'kb-tables'),
+  chatSocket:   () => path.join(getMultisDir(), 'run', 'chat.sock'),
+  backups:      () => path.join(getMultisDir(), 'backups'),
 };
 
 // Legacy constants — point to default location. Prefer PATHS for new code.
@@ -121,7 +133,7 @@ function ensureMultisDir() {
  * scrub, audit-log redaction) import this list so the two enforcement points
  * can never drift. Add a new provider/token key here and both inherit it.
  */
-const SECRET_ENV_KEYS = ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'GEMINI_API_KEY', 'TELEGRAM_BOT_TOKEN', 'MCP_AUTH_TOKEN'];
+const SECRET_ENV_KEYS = ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'GEMINI_API_KEY', 'TELEGRAM_BOT_TOKEN', 'MCP_AUTH_TOKEN', 'MATRIX_ACCESS_TOKEN', 'MULTIS_WEB_TOKEN', 'MULTIS_EMAIL_PASSWORD', 'MULTIS_API_TOKEN', 'MULTIS_DASHBOARD_TOKEN', 'MULTIS_METRICS_TOKEN', 'MULTIS_BACKUP_PASSPHRASE'];
 
 /**
  * Load .env file into process.env (simple key=value parser)
@@ -151,6 +163,112 @@ function generatePairingCode() {
   return crypto.randomBytes(3).toString('hex').toUpperCase();
 }
 
+/**
+ * Versioned config.json migrations. `config_version` in the file records the
+ * last one applied; a file without it is version 0. loadConfig runs every
+ * step above the file's version, in order, then stamps CONFIG_VERSION. A new
+ * step goes at the end with the next number, and its `up` must accept any
+ * config an older multis could have written (sections may be missing).
+ * File-layout moves are migrateLegacy's job; the idempotent reconciles in
+ * loadConfig (stale `personal` modes, owner from allowed_users) stay there
+ * because they also repair hand edits.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'platforms.beeper.chat_modes → chats[id].mode',
+    up(config) {
+      const oldModes = config.platforms?.beeper?.chat_modes;
+      if (!oldModes || typeof oldModes !== 'object') return;
+      if (!config.chats) config.chats = {};
+      for (const [chatId, mode] of Object.entries(oldModes)) {
+        if (!config.chats[chatId]) config.chats[chatId] = {};
+        if (!config.chats[chatId].mode) config.chats[chatId].mode = mode;
+      }
+      delete config.platforms.beeper.chat_modes;
+    },
+  },
+  {
+    version: 2,
+    description: 'documents.allowedTypes += tsv, xlsx',
+    up(config) {
+      const types = config.documents?.allowedTypes;
+      if (!Array.isArray(types)) return; // unset → the defaults, which have them
+      for (const t of ['tsv', 'xlsx']) if (!types.includes(t)) types.push(t);
+    },
+  },
+];
+const CONFIG_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring a parsed config.json up to CONFIG_VERSION in place. A config from a
+ * newer multis is left alone (configIssues reports it).
+ * @returns {string[]} descriptions of the steps applied, empty when current
+ */
+function migrateConfig(config) {
+  const from = Number.isInteger(config.config_version) ? config.config_version : 0;
+  if (from >= CONFIG_VERSION) return [];
+  const applied = [];
+  for (const step of MIGRATIONS) {
+    if (step.version <= from) continue;
+    step.up(config);
+    applied.push(step.description);
+  }
+  config.config_version = CONFIG_VERSION;
+  return applied;
+}
+
+/**
+ * Schema problems in a parsed config.json (see src/schema), plus a
+ * config_version this multis doesn't know yet.
+ * @returns {Array<{path: string, level: 'error'|'warning', message: string}>}
+ */
+function configIssues(config) {
+  const issues = validate(config, SCHEMAS.config);
+  if (Number.isInteger(config?.config_version) && config.config_version > CONFIG_VERSION) {
+    issues.unshift({ path: 'config_version', level: 'error', message: `${config.config_version} was written by a newer multis (this one knows up to ${CONFIG_VERSION}) — upgrade multis` });
+  }
+  return issues;
+}
+
+/**
+ * Schema problems in each file under ~/.multis that is edited by hand, keyed
+ * by its name there. A missing file has none.
+ * @returns {{'config.json': Array, 'auth/governance.json': Array, 'tools.json': Array}}
+ */
+function checkConfigFiles() {
+  const issues = {};
+  try {
+    const config = fs.existsSync(PATHS.config()) ? JSON.parse(fs.readFileSync(PATHS.config(), 'utf8')) : null;
+    if (config) migrateConfig(config); // judged as loadConfig will see it, not as an older multis wrote it
+    issues['config.json'] = config ? configIssues(config) : [];
+  } catch (err) {
+    issues['config.json'] = [{ path: '', level: 'error', message: `not valid JSON — ${err.message}` }];
+  }
+  issues['auth/governance.json'] = validateFile('governance', PATHS.governance());
+  issues['tools.json'] = validateFile('tools', PATHS.tools());
+  return issues;
+}
+
+// Each problem is logged once per process — loadConfig runs on every save path.
+const _reported = new Set();
+
+/**
+ * Log schema problems from loading a file: errors to stderr, unknown keys as
+ * warnings. multis carries on either way; `multis config validate` and
+ * `multis doctor` are where they're fixed.
+ * @param {string} file - its name under ~/.multis
+ * @param {Array<{path: string, level: string, message: string}>} issues
+ */
+function reportIssues(file, issues) {
+  for (const { path: at, level, message } of issues) {
+    const line = `Config: ${file}${at ? ` ${at}` : ''} — ${message}`;
+    if (_reported.has(line)) continue;
+    _reported.add(line);
+    (level === 'error' ? console.error : console.warn)(line);
+  }
+}
+
 /**
  * Load and merge configuration from ~/.multis/config.json and .env
  * .env values override config.json values
@@ -162,10 +280,20 @@ function loadConfig() {
   const configPath = PATHS.config();
   const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
 
+  // Versioned migrations run on the file as written, before any defaults are
+  // merged in, so the check below sees what the owner actually has.
+  if (migrateConfig(config).length > 0) saveConfig(config);
+  reportIssues('config.json', configIssues(config));
+
   // Ensure platforms block exists
   if (!config.platforms) config.platforms = {};
   if (!config.platforms.telegram) config.platforms.telegram = { enabled: true };
   if (!config.platforms.beeper) config.platforms.beeper = { enabled: false };
+  if (!config.platforms.matrix) config.platforms.matrix = { enabled: false };
+  if (!config.platforms.web) config.platforms.web = { enabled: false };
+  if (!config.platforms.email) config.platforms.email = { enabled: false };
+  if (!config.platforms.api) config.platforms.api = { enabled: false };
+  if (!config.platforms.terminal) config.platforms.terminal = { enabled: true };
 
   // .env fills gaps — config.json (set by init) is source of truth
   if (process.env.TELEGRAM_BOT_TOKEN && !config.telegram_bot_token) {
@@ -249,17 +377,6 @@ function loadConfig() {
   // Ensure config.chats block exists (single source of truth for chat metadata)
   if (!config.chats) config.chats = {};
 
-  // Migrate chat_modes → config.chats (one-time, backward compatible)
-  const oldModes = config.platforms?.beeper?.chat_modes;
-  if (oldModes && typeof oldModes === 'object') {
-    for (const [chatId, mode] of Object.entries(oldModes)) {
-      if (!config.chats[chatId]) config.chats[chatId] = {};
-      if (!config.chats[chatId].mode) config.chats[chatId].mode = mode;
-    }
-    delete config.platforms.beeper.chat_modes;
-    saveConfig(config);
-  }
-
   // M8 migration: pre-M8, `personal` in chats[].mode was a stale profile-rename artifact that
   // getChatMode IGNORED (it fell through to the role default) — it was never a settable mode.
   // M8 makes `personal` a real rung, so a stale `personal` would now be honored, silently
@@ -277,6 +394,64 @@ function loadConfig() {
     if (migrated > 0) saveConfig(config);
   }
 
+  // Voice-note transcription (src/bot/transcribe.js): a local whisper.cpp binary, no cloud call.
+  // Off until the owner installs it and points `model` at a ggml model file. `ffmpeg` converts voice
+  // notes (OGG/Opus, M4A) to the 16 kHz WAV whisper.cpp reads — "" for a build that decodes them itself.
+  if (!config.transcription) config.transcription = {};
+  config.transcription = {
+    enabled: false,
+    binary: 'whisper-cli',
+    model: '',
+    language: 'auto',
+    ffmpeg: 'ffmpeg',
+    timeout_ms: 120000,
+    ...config.transcription
+  };
+
+  // Streaming replies (src/bot/reply-stream.js): the owner's agent turns show tool progress and
+  // interim text as edits of one message, on platforms that can edit (Telegram). Edits are spaced at
+  // least edit_interval_ms apart to stay under the platform's rate limit.
+  if (!config.streaming) config.streaming = {};
+  config.streaming = {
+    enabled: true,
+    edit_interval_ms: 1500,
+    ...config.streaming
+  };
+
+  // Reply threading: an agent answer is sent as a reply to the message that asked — in groups only
+  // (where it's otherwise unclear who is being answered), 'always', or 'never'. An answer always goes
+  // back to the thread (Telegram forum topic) it was asked in, whatever this says.
+  if (!config.replies) config.replies = {};
+  config.replies = {
+    quote_trigger: 'groups',
+    ...config.replies
+  };
+
+  // Outbound queue (src/platforms/outbox.js): a send that fails for a temporary reason is retried
+  // with exponential backoff (base_delay_ms doubling up to max_delay_ms, or longer when the platform
+  // says Retry-After) until max_attempts, then kept as a dead letter for /outbox. rate_per_minute
+  // spaces sends per platform; a platform not listed is not spaced.
+  if (!config.outbox) config.outbox = {};
+  config.outbox = {
+    max_attempts: 8,
+    base_delay_ms: 2000,
+    max_delay_ms: 600000,
+    ...config.outbox,
+    rate_per_minute: { telegram: 1200, beeper: 120, matrix: 120, email: 30, ...config.outbox.rate_per_minute }
+  };
+
+  // Inbound photos (src/llm/vision.js): shown to a vision-capable model as-is; for any other model,
+  // a local tesseract binary reads their text instead (a missing binary just means no text).
+  // `llm.vision: true|false` overrides the per-model guess of which models can see.
+  if (!config.vision) config.vision = {};
+  config.vision = {
+    enabled: true,
+    ocr_binary: 'tesseract',
+    ocr_language: 'eng',
+    timeout_ms: 30000,
+    ...config.vision
+  };
+
   // Merge defaults for memory section
   if (!config.memory) config.memory = {};
   config.memory = {
@@ -330,7 +505,7 @@ function loadConfig() {
     // / null to disable (send full context, pre-M5 behavior). Fail-open: an assemble error sends full
     // context, never halts. Does NOT touch the relevance-ranked doc/memory injection (top-5, unbudgeted).
     // FLOOR (live-verified 2026-07-04): must comfortably exceed ONE turn's tool working set — up to
-    // max_tool_rounds tool results, each ≤ MAX_OUTPUT(4000 chars ≈ 1000 tok) → ~5-6k here. Set it below
+    // max_tool_rounds tool results, each ≤ adapter MAX_OUTPUT(4000 chars ≈ 1000 tok) → ~5-6k here. Set it below
     // that and the model loses its own tool results mid-turn, keeps re-searching, and hits the round cap
     // (a silent "too many tool steps" halt). Default 24000 is generous on purpose: at current caps the
     // transcript tops out ~12-15k so it's a dormant safety net, and a LOW default would be a footgun.
@@ -351,7 +526,7 @@ function loadConfig() {
     maxSize: 10485760,
     maxPdfPages: 2000,
     parseTimeoutMs: 30000,
-    allowedTypes: ['pdf', 'docx', 'txt', 'text', 'md', 'log', 'csv'],
+    allowedTypes: ['pdf', 'docx', 'txt', 'text', 'md', 'log', 'csv', 'tsv', 'xlsx'],
     ...config.documents
   };
 
@@ -513,8 +688,11 @@ function allowedModesForRole(botMode) {
 function reconcileChatModes(config, newRole) {
   const allowed = allowedModesForRole(newRole);
   const fallback = defaultModeForRole(newRole);
+  // A Beeper endpoint with its own bot_mode keeps its role through an account switch.
+  const ownRole = new Set(beeperEndpoints(config).filter((e) => e.bot_mode).map((e) => e.platformName));
   let remapped = 0;
   for (const chat of Object.values(config.chats || {})) {
+    if (chat && ownRole.has(chat.platform)) continue;
     if (chat && chat.mode && !allowed.includes(chat.mode)) {
       chat.mode = fallback;
       remapped++;
@@ -523,6 +701,28 @@ function reconcileChatModes(config, newRole) {
   return remapped;
 }
 
+/**
+ * The beeperbox endpoints to run. `platforms.beeper.endpoints` lists named ones
+ * (one beeperbox per account), each taking the shared `platforms.beeper` keys it
+ * doesn't set itself; without it, platforms.beeper is the one endpoint. An
+ * endpoint registers with the router as `beeper:<name>`, or plain `beeper` when
+ * unnamed, and that is the `platform` its chats are recorded under.
+ * @param {object} config
+ * @returns {Array<object>} endpoint configs, each with its `platformName`
+ */
+function beeperEndpoints(config) {
+  const { endpoints, ...shared } = config.platforms?.beeper || {};
+  if (!Array.isArray(endpoints) || endpoints.length === 0) return [{ ...shared, name: '', platformName: 'beeper' }];
+  const seen = new Set();
+  return endpoints.map((ep) => {
+    const name = ep.name || '';
+    if (name && !/^[\w-]+$/.test(name)) throw new Error(`platforms.beeper.endpoints: name "${name}" may only use letters, digits, - and _`);
+    if (seen.has(name)) throw new Error(`platforms.beeper.endpoints: ${name ? `"${name}" is listed twice` : 'only one endpoint may be unnamed'}`);
+    seen.add(name);
+    return { ...shared, ...ep, name, platformName: name ? `beeper:${name}` : 'beeper' };
+  });
+}
+
 /**
  * Init connect step, keep-token path (M8 fix): enable the bound Telegram transport.
  * `applyRoleTransport` only DISABLES the non-selected transport — enabling the selected one
@@ -594,7 +794,13 @@ module.exports = {
   ROLE_BY_CHOICE,
   transportForRole,
   applyRoleTransport,
+  beeperEndpoints,
   generatePairingCode,
+  migrateConfig,
+  configIssues,
+  checkConfigFiles,
+  reportIssues,
+  CONFIG_VERSION,
   ensureMultisDir,
   getMultisDir,
   setMultisDir,
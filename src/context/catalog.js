@@ -0,0 +1,294 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * DocumentCatalog — the KB's list of documents and their versions.
+ *
+ * litectx stores chunks; it has no notion of "the same document, indexed
+ * again". The catalog adds that for the shared KB and the owner's admin scope.
+ * A document is a (scope, name) pair. Each ingest of it is a version with its
+ * own litectx doc id. Indexing a document that is already there makes a new
+ * version and retires the previous one. Its chunks stay in litectx, but
+ * they're out of recall: litectx has no way to hold rows back, so the catalog
+ * is the tombstone — search drops every hit from a retired version
+ * (isRetired), and recall only ever sees the live one. The retired version's
+ * chunks, source file and details (hash, chunk count, who indexed it and when)
+ * are kept for the audit trail — `/docs <doc> history`. Re-indexing identical
+ * bytes is a no-op.
+ *
+ * A document that was in litectx before the catalog existed is adopted the
+ * first time it is indexed again (`adopt`): its old rows are deleted once the
+ * new version is live. They aren't a version, so there is nothing to keep
+ * them under, and left in place they would answer twice.
+ *
+ * Removing a document is the destructive step: every version's chunks go, and
+ * so do the archived sources. Its history entry stays, marked removed, so the
+ * audit trail still says what was there.
+ *
+ * The catalog is handed litectx's primitives (ingest by id, remove by id) and
+ * owns only the bookkeeping, so it runs without litectx in tests.
+ */
+
+const DEFAULT_KEEP_VERSIONS = 5;
+const normScope = (scope) => (scope === 'kb' ? 'public' : scope);
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+const docKey = (scope, name) => crypto.createHash('sha256').update(`${scope}\u0000${name}`).digest('hex').slice(0, 16);
+
+class DocumentCatalog {
+  /**
+   * @param {object} opts
+   * @param {string} opts.file - the catalog (PATHS.kbCatalog())
+   * @param {string} opts.archiveDir - where retired versions' sources are kept (PATHS.kbVersions())
+   * @param {(buffer: Buffer, filename: string, scope: string, id: string) => Promise<{chunks: number, mode: string}>} opts.ingest
+   * @param {(scope: string, id: string) => Promise<number>|number} opts.remove
+   * @param {number} [opts.keepVersions] - archived sources kept per document (config.documents.keepVersions)
+   * @param {() => number} [opts.now]
+   */
+  constructor({ file, archiveDir, ingest, remove, keepVersions, now } = {}) {
+    this.file = file;
+    this.archiveDir = archiveDir;
+    this._ingest = ingest;
+    this._remove = remove;
+    this.keepVersions = keepVersions ?? DEFAULT_KEEP_VERSIONS;
+    this._now = now || (() => Date.now());
+    this._queue = Promise.resolve();
+    this.docs = this._load();
+  }
+
+  /**
+   * Index a document, as a new version when it is already in the KB.
+   * @param {Buffer} buffer
+   * @param {object} opts
+   * @param {string} opts.name - what the document is called (its file name, or a watched file's path)
+   * @param {string} [opts.filename] - the name litectx parses by (extension → format); defaults to basename(name)
+   * @param {string} opts.scope - 'public' | 'kb' | 'admin'
+   * @param {string} [opts.source] - how it came in: 'index', 'upload', 'watch'
+   * @param {string} [opts.by] - who indexed it (a user id)
+   * @param {{buffer: Buffer, filename: string}} [opts.ingest] - what litectx gets, when it can't
+   *   parse the file itself (a spreadsheet rendered as text); the file is still what is hashed and archived
+   * @param {string} [opts.adopt] - the litectx doc id of a copy indexed before the catalog existed;
+   *   removed once this, the document's first catalog version, is live
+   * @returns {Promise<{name: string, scope: string, version: number, chunks: number, mode: string, replaced: number|null, unchanged: boolean}>}
+   */
+  add(buffer, { name, filename, scope, source = null, by = null, ingest = null, adopt = null }) {
+    return this._serial(async () => {
+      scope = normScope(scope);
+      const hash = sha256(buffer);
+      let doc = this.get(name, scope);
+      const live = doc && doc.status === 'live' ? doc.versions[doc.versions.length - 1] : null;
+      if (live && live.sha256 === hash) {
+        return { name, scope, version: live.version, chunks: live.chunks, mode: live.mode, replaced: null, unchanged: true };
+      }
+      if (!doc) {
+        doc = { name, scope, key: docKey(scope, name), status: 'live', versions: [] };
+        this.docs.push(doc);
+      }
+      const version = (doc.versions.length ? doc.versions[doc.versions.length - 1].version : 0) + 1;
+      const id = `kb-${doc.key}-v${version}`;
+      const displayName = filename || path.basename(name);
+      // Ingest first: if litectx rejects the new version, the old one stays live.
+      const r = await this._ingest(ingest ? ingest.buffer : buffer, ingest ? ingest.filename : displayName, scope, id);
+      const at = new Date(this._now()).toISOString();
+      if (live) live.retired_at = at;
+      else if (adopt && !doc.versions.length) await this._remove(scope, adopt);
+      const entry = { version, id, sha256: hash, size: buffer.length, chunks: r.chunks, mode: r.mode, indexed_at: at, retired_at: null, source, by, archived: null };
+      entry.archived = this._archive(doc, entry, displayName, buffer);
+      doc.versions.push(entry);
+      doc.status = 'live';
+      delete doc.removed_at;
+      delete doc.removed_by;
+      this._prune(doc);
+      this._save();
+      return { name, scope, version, chunks: r.chunks, mode: r.mode, replaced: live ? live.version : null, unchanged: false };
+    });
+  }
+
+  /**
+   * Take a document out of the KB: every version's chunks and every archived
+   * source. The history entry stays, marked removed.
+   * @param {object} [opts]
+   * @param {string} [opts.by] - who removed it
+   * @param {boolean} [opts.missingOk] - resolve null, instead of throwing, when it isn't in the KB
+   * @returns {Promise<{name: string, scope: string, versions: number}|null>}
+   */
+  remove(name, scope, { by = null, missingOk = false } = {}) {
+    return this._serial(async () => {
+      scope = normScope(scope);
+      const doc = this.get(name, scope);
+      if (!doc || doc.status !== 'live') {
+        if (missingOk) return null;
+        throw new Error(`${name} [${scope}] is not in the knowledge base`);
+      }
+      for (const v of doc.versions) await this._remove(scope, v.id);
+      const at = new Date(this._now()).toISOString();
+      doc.versions[doc.versions.length - 1].retired_at = at;
+      for (const v of doc.versions) {
+        if (v.archived) fs.rmSync(path.join(this.archiveDir, v.archived), { force: true });
+        v.archived = null;
+      }
+      fs.rmSync(path.join(this.archiveDir, doc.key), { recursive: true, force: true });
+      doc.status = 'removed';
+      doc.removed_at = at;
+      doc.removed_by = by;
+      this._save();
+      return { name, scope, versions: doc.versions.length };
+    });
+  }
+
+  /** The catalog entry for (name, scope), live or removed, or null. */
+  get(name, scope) {
+    scope = normScope(scope);
+    return this.docs.find((d) => d.name === name && d.scope === scope) || null;
+  }
+
+  /** The document a litectx version id (`kb-<key>-v<n>`) belongs to, or null. */
+  byVersionId(id) {
+    return this.docs.find((d) => d.versions.some((v) => v.id === id)) || null;
+  }
+
+  /**
+   * Whether a litectx version id belongs to a retired version, or to a removed
+   * document — a row search must not return. An id the catalog doesn't know
+   * isn't retired.
+   */
+  isRetired(id) {
+    const doc = this.byVersionId(id);
+    if (!doc) return false;
+    return doc.status !== 'live' || Boolean(doc.versions.find((v) => v.id === id).retired_at);
+  }
+
+  /** The retired versions' chunk count: the most rows a search can have to skip. */
+  retiredChunks() {
+    return this.docs.reduce((n, d) => d.versions.reduce((m, v) => m + (v.retired_at ? v.chunks || 0 : 0), n), 0);
+  }
+
+  /**
+   * The file a version was indexed from: its archived copy, else — for the live
+   * version of a file named by its path — the file there, as long as it still
+   * has that version's bytes (it may have been edited since, ahead of the next
+   * sync). Null when neither is there, or when the document is admin and
+   * `scope` isn't.
+   * @param {string} id - a litectx version id
+   * @param {string} scope - the caller's scope ('admin' sees admin and public)
+   * @returns {{path: string, name: string, scope: string, version: number}|null}
+   */
+  sourceFile(id, scope) {
+    const doc = this.byVersionId(id);
+    if (!doc || (doc.scope === 'admin' && scope !== 'admin')) return null;
+    const v = doc.versions.find((x) => x.id === id);
+    const found = (file) => ({ path: file, name: doc.name, scope: doc.scope, version: v.version });
+    if (v.archived && fs.existsSync(path.join(this.archiveDir, v.archived))) return found(path.join(this.archiveDir, v.archived));
+    const live = doc.status === 'live' && doc.versions[doc.versions.length - 1] === v;
+    if (live && path.isAbsolute(doc.name) && sameBytes(doc.name, v.sha256)) return found(doc.name);
+    return null;
+  }
+
+  /** Documents currently in the KB. */
+  list() {
+    return this.docs.filter((d) => d.status === 'live');
+  }
+
+  /**
+   * Documents a user-typed name refers to: an exact name, else the file name
+   * of a longer one (a watched file's path), case-insensitively.
+   * @param {string} query
+   * @param {object} [opts]
+   * @param {string} [opts.scope] - only this scope
+   * @param {boolean} [opts.removed] - include removed documents (for history)
+   */
+  find(query, { scope, removed = false } = {}) {
+    const pool = this.docs.filter((d) => (removed || d.status === 'live') && (!scope || d.scope === normScope(scope)));
+    const exact = pool.filter((d) => d.name === query);
+    if (exact.length) return exact;
+    const q = query.toLowerCase();
+    return pool.filter((d) => d.name.toLowerCase() === q || path.basename(d.name).toLowerCase() === q);
+  }
+
+  // A copy of each version's source, so a retired version is still there to
+  // look at. Returns the path relative to archiveDir, or null when it couldn't
+  // be written (the version is indexed either way).
+  _archive(doc, entry, filename, buffer) {
+    const rel = path.join(doc.key, `v${entry.version}-${filename.replace(/[^\w.-]+/g, '_')}`);
+    try {
+      fs.mkdirSync(path.join(this.archiveDir, doc.key), { recursive: true });
+      fs.writeFileSync(path.join(this.archiveDir, rel), buffer, { mode: 0o600 });
+      return rel;
+    } catch (err) {
+      console.warn(`Catalog: could not archive ${doc.name} v${entry.version} — ${err.message}`);
+      return null;
+    }
+  }
+
+  // Drop archived sources beyond the newest keepVersions; their details stay.
+  _prune(doc) {
+    const archived = doc.versions.filter((v) => v.archived);
+    for (const v of archived.slice(0, Math.max(0, archived.length - this.keepVersions))) {
+      fs.rmSync(path.join(this.archiveDir, v.archived), { force: true });
+      v.archived = null;
+    }
+  }
+
+  _serial(fn) {
+    const run = this._queue.then(fn);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Array.isArray(data.documents) ? data.documents : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Catalog: could not read ${this.file} — ${err.message}`);
+      return [];
+    }
+  }
+
+  // Write-then-rename, so a crash mid-write leaves the previous catalog intact.
+  _save() {
+    const tmp = `${this.file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify({ documents: this.docs }, null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (err) {
+      console.error(`Catalog: persist failed — ${err.message}`);
+    }
+  }
+}
+
+function sameBytes(file, hash) {
+  try {
+    return sha256(fs.readFileSync(file)) === hash;
+  } catch {
+    return false;
+  }
+}
+
+const when = (iso) => (iso ? iso.slice(0, 16).replace('T', ' ') : '—');
+
+/** `/docs <doc> history`: one line per version, newest first. */
+function formatHistory(doc) {
+  const n = doc.versions.length;
+  const head = `${doc.name} [${doc.scope}] — ${n} version${n === 1 ? '' : 's'}${doc.status === 'removed' ? `, removed ${when(doc.removed_at)}` : ''}`;
+  const lines = [head];
+  for (const v of [...doc.versions].reverse()) {
+    const state = v.retired_at ? `retired ${when(v.retired_at)}` : 'live';
+    const by = [v.source, v.by].filter(Boolean).join(' by ');
+    lines.push(`v${v.version} — ${state} · indexed ${when(v.indexed_at)} · ${v.chunks ?? 0} chunk${v.chunks === 1 ? '' : 's'}${by ? ` · ${by}` : ''} · sha256 ${v.sha256.slice(0, 12)}`);
+  }
+  return lines.join('\n');
+}
+
+/** `/docs`: one line per document with its live version. */
+function formatDocuments(docs) {
+  return docs.map((d) => {
+    const v = d.versions[d.versions.length - 1];
+    return `${d.name} [${d.scope}] — v${v.version}, ${v.chunks ?? 0} chunk${v.chunks === 1 ? '' : 's'}, indexed ${when(v.indexed_at)}`;
+  }).join('\n');
+}
+
+module.exports = { DocumentCatalog, formatHistory, formatDocuments, normScope };
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Citations for document chunks — "contract.pdf p.14, §3.2" — the one format
+ * the RAG prompts, search_docs, /search and /show all use, so the source an
+ * answer names is one the owner can type back into /show.
+ *
+ * A chunk carries its document's display name, the heading trail it sits under
+ * (sectionPath) and, for a PDF, its page span (pageStart/pageEnd) — see
+ * mapDocHit in ./index.js. Any of them may be missing; the citation is then
+ * shorter, never wrong.
+ */
+
+// "3.2 Termination" / "§3.2" / "3.2." → "3.2"
+const SECTION_NUMBER = /^§?\s*(\d+(?:\.\d+)*)\.?(?=\s|$)/;
+
+/** The page part of a citation: "p.14", "pp.14–15", or ''. */
+function pageLabel({ pageStart, pageEnd } = {}) {
+  if (pageStart == null) return '';
+  return pageEnd != null && pageEnd !== pageStart ? `pp.${pageStart}–${pageEnd}` : `p.${pageStart}`;
+}
+
+/** The section part: "§3.2" for a numbered heading, else the heading itself, or ''. */
+function sectionLabel({ sectionPath } = {}) {
+  const heading = (sectionPath || []).filter(Boolean).at(-1);
+  if (!heading) return '';
+  const m = SECTION_NUMBER.exec(heading.trim());
+  return m ? `§${m[1]}` : heading.trim();
+}
+
+/**
+ * @param {{name?: string, sectionPath?: string[], pageStart?: number, pageEnd?: number}} chunk
+ * @returns {string} e.g. "contract.pdf p.14, §3.2" or "faq.md, Returns"
+ */
+function citeChunk(chunk = {}) {
+  const where = [chunk.name || 'unknown', pageLabel(chunk)].filter(Boolean).join(' ');
+  const section = sectionLabel(chunk);
+  return section ? `${where}, ${section}` : where;
+}
+
+module.exports = { citeChunk, pageLabel, sectionLabel };
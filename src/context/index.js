@@ -24,13 +24,20 @@
 const path = require('path');
 const fs = require('fs');
 const { PATHS } = require('../config');
+const { DocumentCatalog } = require('./catalog');
+const { crawl } = require('./web');
+const { TableStore, isTableFile, readTables, tablesToText } = require('./tables');
 
 let _ctx = null;
 let _initP = null;
 let _bounds = {};
+let _web = {};         // config.documents.web — /index <url> allowlist and crawl limits
 let _GLOBAL = null;
 let _memSeq = 0;
 let _assemble = null;  // litectx's pure `assemble(units, ctx)` verb (M5 budget-fit), captured at init
+let _catalog = null;
+let _tables = null;
+let _keepVersions;    // config.documents.keepVersions — archived sources kept per KB document
 
 /**
  * Map a multis-native scope → the litectx scope value for a `scoped()` handle.
@@ -74,6 +81,7 @@ async function init(opts = {}) {
     if (opts.episodeWindowDays != null) cfg.episodeWindowDays = opts.episodeWindowDays;
     if (opts.writeGate) cfg.writeGate = opts.writeGate;
     if (opts.writeAudit) cfg.writeAudit = opts.writeAudit;
+    _keepVersions = opts.documents?.keepVersions;
     _ctx = new LiteCtx(cfg);
     return _ctx;
   })();
@@ -109,6 +117,7 @@ function setBounds(documents = {}) {
   if (documents.maxSize != null) _bounds.maxSize = documents.maxSize;
   if (documents.maxPdfPages != null) _bounds.maxPages = documents.maxPdfPages;
   if (documents.parseTimeoutMs != null) _bounds.parseTimeoutMs = documents.parseTimeoutMs;
+  _web = documents.web || {};
 }
 
 /** Process-unique memory row id (Date.now() + seq survives a restart without collision). */
@@ -122,7 +131,21 @@ let _lastOccurred = 0;
  */
 const nextOccurredAt = () => { _lastOccurred = Math.max(Date.now(), _lastOccurred + 1); return _lastOccurred; };
 const toU8 = (b) => (b instanceof Uint8Array ? b : new Uint8Array(b));
-const mapDocHit = (h) => ({ name: h.path, content: h.body || '', chunkId: h.path, format: h.format, score: h.score });
+// Where a chunk sits in its document, for the citation (./citation.js). litectx
+// keeps the heading trail a chunk was split under and a PDF chunk's page span,
+// on the hit or in its meta. A chunk without a trail still opens with the
+// heading the markdown chunker split it at, so that heading is the fallback.
+function chunkLocation(h) {
+  const meta = h.meta || {};
+  let sectionPath = h.sectionPath ?? meta.sectionPath ?? null;
+  if (!sectionPath?.length) {
+    const heading = /^\s*#{1,6}\s+(.+)/.exec(h.body || '');
+    sectionPath = heading ? [heading[1].replace(/\s+#+\s*$/, '').trim()] : [];
+  }
+  const pageStart = h.pageStart ?? meta.pageStart ?? null;
+  return { sectionPath, pageStart, pageEnd: h.pageEnd ?? meta.pageEnd ?? pageStart };
+}
+const mapDocHit = (h) => ({ name: h.path, content: h.body || '', chunkId: h.path, format: h.format, score: h.score, ...chunkLocation(h) });
 // Native memory hits carry `occurredAt` (epoch ms, episodes) + `provenance` via attachMemMeta.
 // `createdAt` is surfaced as an ISO date for the recall_memory display (occurredAt for episodes;
 // facts have none → null = "unknown date", acceptable for durable knowledge).
@@ -157,8 +180,8 @@ function forScope(scope) {
      *   surfaces `mode` so a 0-chunk ingest reads as "stored, not searchable"
      *   rather than a misleading success.
      */
-    async indexBuffer(buffer, filename, { expiresAt = null } = {}) {
-      const r = await view.ingest(toU8(buffer), { filename, expiresAt, ..._bounds });
+    async indexBuffer(buffer, filename, { expiresAt = null, id = null } = {}) {
+      const r = await view.ingest(toU8(buffer), { filename, expiresAt, ...(id ? { id } : {}), ..._bounds });
       return { chunks: r.chunks, mode: r.mode };
     },
     /** Ingest a document from a filesystem path (the /index <path> flow). @returns {Promise<{chunks:number, mode:string}>} */
@@ -169,6 +192,16 @@ function forScope(scope) {
     get(id) {
       return view.get(id);
     },
+    /**
+     * Remove one document — every chunk ingested under `id` — from the bound scope. Only a doc
+     * ingested with an explicit `id` (indexBuffer's opts) can be removed this way; a folder watch
+     * keys each file by one so an edit re-ingests in place and a delete drops it. Fenced like
+     * forgetById: another scope's id matches nothing. @returns {number} rows removed.
+     */
+    removeDoc(id) {
+      if (!id) return 0;
+      return view.forget({ id });
+    },
 
     // --- Native memory ladder (M4) — episodes (scratchpad) → facts (durable), no LLM. ---
 
@@ -293,12 +326,103 @@ function forScope(scope) {
 // --- Top-level convenience API — each delegates to a scope-bound forScope() handle,
 //     so every storage op goes through litectx's scoped() fence + strictScope. ---
 
+// The KB's documents (public + admin) are versioned by the catalog (./catalog.js):
+// indexing a name that is already there retires the previous version. A customer's
+// own uploads (user:<chatId>), expiring rows and explicit-id ingests go straight to
+// litectx, as before.
+const KB_SCOPES = new Set(['public', 'kb', 'admin']);
+function catalog() {
+  if (!_catalog) {
+    _catalog = new DocumentCatalog({
+      file: PATHS.kbCatalog(),
+      archiveDir: PATHS.kbVersions(),
+      keepVersions: _keepVersions,
+      ingest: (buffer, filename, scope, id) => forScope(scope).indexBuffer(buffer, filename, { id }),
+      remove: (scope, id) => forScope(scope).removeDoc(id),
+    });
+  }
+  return _catalog;
+}
+
+function tables() {
+  if (!_tables) _tables = new TableStore({ file: PATHS.kbTables(), dir: PATHS.kbTablesDir() });
+  return _tables;
+}
+
+// A CSV/TSV/XLSX in the KB is a document like any other (versioned, searchable)
+// and also a table: its rows go to the table store for query_table (./tables.js).
+// litectx chunks a CSV as it is; the formats it can't parse get a "Column: value"
+// rendering instead. A CSV that doesn't parse as a table is still indexed; a TSV
+// or .xlsx without rows is refused, rather than stored as an empty version.
+async function indexTable(buffer, filename, scope, { name, source, by, adopt }) {
+  let sheets;
+  try {
+    sheets = readTables(buffer, filename);
+  } catch (err) {
+    if (!/\.csv$/i.test(filename)) throw err;
+    console.warn(`Tables: ${filename} is not a readable table — ${err.message}`);
+    sheets = [];
+  }
+  const ingest = /\.csv$/i.test(filename) ? null : { buffer: Buffer.from(tablesToText(filename, sheets)), filename: `${filename}.md` };
+  const r = await catalog().add(buffer, { name, filename, scope, source, by, ingest, adopt });
+  // Unchanged bytes keep their rows — unless the table store has none yet (a
+  // CSV indexed before tables existed), when re-indexing it is how they get in.
+  const have = tables().of(scope, name);
+  const stored = r.unchanged && have.length ? have : tables().put(scope, name, sheets, { version: r.version });
+  return { ...r, tables: stored.map((t) => ({ sheet: t.sheet, rows: t.rows, columns: t.columns })) };
+}
+
 // `async` so a synchronous toScope() throw (missing scope) surfaces as a rejected
 // promise, uniform with the storage I/O — not a sync throw beside it.
-/** @param {string} scope @returns {Promise<{chunks:number, mode:string}>} */
-const indexBuffer = async (buffer, filename, scope, opts = {}) => forScope(scope).indexBuffer(buffer, filename, opts);
-/** @param {string} scope @returns {Promise<{chunks:number, mode:string}>} */
-const indexFile = async (filePath, scope, opts = {}) => forScope(scope).indexFile(filePath, opts);
+/**
+ * Ingest a document buffer. Into the KB it is a new version of `opts.name`
+ * (default: the filename) — see catalog.add for the extra result fields.
+ * `opts.adopt` names the pre-catalog copy it replaces; by default that is the
+ * filename, the id an /index or upload got before there were versions.
+ * @param {string} scope
+ * @param {{expiresAt?: number, id?: string, name?: string, source?: string, by?: string, adopt?: string}} [opts]
+ * @returns {Promise<{chunks:number, mode:string, version?:number, replaced?:number|null, unchanged?:boolean}>}
+ */
+const indexBuffer = async (buffer, filename, scope, opts = {}) => {
+  if (opts.id || opts.expiresAt || !KB_SCOPES.has(scope)) return forScope(scope).indexBuffer(buffer, filename, opts);
+  const { name = filename, source = null, by = null, adopt = filename } = opts;
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  if (isTableFile(filename)) return indexTable(buf, filename, scope, { name, source, by, adopt });
+  return catalog().add(buf, { name, filename, scope, source, by, adopt });
+};
+/**
+ * The /index <path> flow: a KB version named by the file's absolute path, like
+ * a watched file, so two folders' invoice.pdf are two documents. Replies and
+ * citations show the file name.
+ * @param {string} scope
+ */
+const indexFile = async (filePath, scope, opts = {}) =>
+  indexBuffer(fs.readFileSync(filePath), path.basename(filePath), scope, { name: path.resolve(filePath), source: 'index', ...opts });
+/** Remove a KB document — every version's chunks, archived sources and its table rows (catalog.remove). */
+const removeDocument = async (name, scope, opts = {}) => {
+  const r = await catalog().remove(name, scope, opts);
+  if (r) tables().remove(scope, name);
+  return r;
+};
+/**
+ * The query_table tool: filter/aggregate one KB table visible to `scope` (owner
+ * 'admin' → admin + public; anyone else → public). See TableStore.query.
+ */
+const queryTable = (scope, query = {}) => tables().query(scope, query);
+/**
+ * The /index <url> flow: fetch a page (and, with `depth`, the same-site pages it
+ * links to — ./web.js) into the KB, each a document named by its URL, so a
+ * re-index is a new version and a search hit cites the page.
+ * @param {{depth?: number, by?: string}} [opts]
+ * @returns {Promise<{pages: Array<{url: string, title?: string, result?: object, error?: string}>, truncated: boolean}>}
+ */
+const indexUrl = async (url, scope, { depth = 0, by = null } = {}) => crawl(url, {
+  ..._web, depth, maxSize: _bounds.maxSize,
+  onPage: (page) => indexBuffer(page.buffer, page.filename, scope, { name: page.url, source: 'web', by }),
+});
+/** Live KB documents, or those a typed name refers to (catalog.find). */
+const listDocuments = () => catalog().list();
+const findDocuments = (query, opts = {}) => catalog().find(query, opts);
 // --- Native memory ladder (M4) — each delegates to a scope-bound handle (tenant-fenced). ---
 const rememberEpisode = async (scope, text, opts = {}) => forScope(scope).rememberEpisode(text, opts);
 const rememberFact = async (scope, text, opts = {}) => forScope(scope).rememberFact(text, opts);
@@ -312,9 +436,43 @@ const forgetMemoryById = async (scope, id) => forScope(scope).forgetById(id);
 const recentMemory = async (scope, opts = {}) => forScope(scope).recentMemory(opts);
 const countMemory = async (scope, opts = {}) => forScope(scope).count(opts);
 /** @param {string} query @param {{ scope: string, n?: number }} opts  scope REQUIRED (fail-closed) */
-const search = async (query, { scope, n = 5 } = {}) => forScope(scope).search(query, { n });
+// A KB hit cites its document rather than litectx's row path: the row path
+// carries the catalog's version id, which names the document — a web page by
+// its URL, a file by its file name. The version id rides along so /show can
+// send the file that version was indexed from (documentFile).
+const KB_VERSION_ID = /kb-[0-9a-f]{16}-v\d+/;
+function citeSource(hit) {
+  const m = KB_VERSION_ID.exec(hit.name || '');
+  const doc = m && catalog().byVersionId(m[0]);
+  if (!doc) return hit;
+  if (/^https?:\/\//.test(doc.name)) return { ...hit, name: doc.name, url: doc.name, versionId: m[0] };
+  return { ...hit, name: path.basename(doc.name), versionId: m[0] };
+}
+// A retired version's chunks are still in litectx (catalog.isRetired is their
+// tombstone), so recall asks for more than n when it has to skip some — up to
+// every retired chunk, so n live hits come back whenever there are n.
+const isRetiredHit = (hit) => {
+  const m = KB_VERSION_ID.exec(hit.name || '');
+  return Boolean(m && catalog().isRetired(m[0]));
+};
+const search = async (query, { scope, n = 5 } = {}) => {
+  const most = n + catalog().retiredChunks();
+  for (let want = n; ; want = Math.min(want * 2, most)) {
+    const hits = await forScope(scope).search(query, { n: want });
+    const live = hits.filter((h) => !isRetiredHit(h));
+    if (live.length >= n || hits.length < want || want >= most) return live.slice(0, n).map(citeSource);
+  }
+};
+/**
+ * The file a KB version was indexed from, for sending it back (/show … file,
+ * search_docs) — catalog.sourceFile. Fenced like search: an admin document is
+ * not found for any other scope.
+ */
+const documentFile = (versionId, scope) => (versionId ? catalog().sourceFile(versionId, scope) : null);
 /** Fetch one row by id, fenced to scope (R2 handle fence). */
 const get = (id, scope) => forScope(scope).get(id);
+/** Remove one document ingested under `id` (see removeDoc). @returns {Promise<number>} */
+const removeDoc = async (scope, id) => forScope(scope).removeDoc(id);
 
 /** Reclaim storage for rows past their expiresAt (R5). The retention sweep calls this. */
 async function purge() {
@@ -331,7 +489,9 @@ function raw() { return ctx(); }
 
 module.exports = {
   init, setBounds, raw,
-  indexFile, indexBuffer, search, get, purge, stats,
+  indexFile, indexBuffer, removeDoc, search, get, purge, stats,
+  // KB documents and their versions
+  removeDocument, listDocuments, findDocuments, indexUrl, queryTable, documentFile,
   // M4 native memory ladder
   rememberEpisode, rememberFact, factCandidates, recallMemory, promotionSweep, forgetMemory,
   forgetMemoryById, recentMemory, countMemory,
@@ -0,0 +1,52 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * One page of a PDF as a PNG — what send_file sends when the owner asks for
+ * the page a citation points at ("contract.pdf p.14") rather than the whole
+ * document.
+ *
+ * pdfjs-dist draws the page onto the canvas its Node build brings along
+ * (@napi-rs/canvas). It is ESM-only, so it is imported on first use; a host
+ * where it or the canvas can't load gets a thrown error, and the caller sends
+ * the whole file instead.
+ */
+
+const DEFAULT_SCALE = 2; // 144 dpi: small print stays readable on a phone
+
+let _pdfjs;
+async function pdfjs() {
+  if (!_pdfjs) _pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  return _pdfjs;
+}
+
+// The 14 standard fonts, for PDFs that use them without embedding them.
+const standardFonts = () => path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+/**
+ * @param {string} file - a PDF on disk
+ * @param {number} page - 1-based
+ * @param {{scale?: number}} [opts]
+ * @returns {Promise<Buffer>} the page as PNG
+ */
+async function renderPdfPage(file, page, { scale = DEFAULT_SCALE } = {}) {
+  const { getDocument } = await pdfjs();
+  const data = new Uint8Array(await fs.promises.readFile(file));
+  const doc = await getDocument({ data, isEvalSupported: false, standardFontDataUrl: standardFonts(), verbosity: 0 }).promise;
+  try {
+    if (!Number.isInteger(page) || page < 1 || page > doc.numPages) {
+      throw new Error(`${path.basename(file)} has no page ${page} (it has ${doc.numPages})`);
+    }
+    const p = await doc.getPage(page);
+    const viewport = p.getViewport({ scale });
+    const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await p.render({ canvas, canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = { renderPdfPage };
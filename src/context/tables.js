@@ -0,0 +1,378 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readXlsx } = require('./xlsx');
+
+/**
+ * Tables — CSV and spreadsheet documents kept as rows, for exact answers.
+ *
+ * Chunked as prose, a price list answers "price of SKU 1234" by similarity,
+ * which is to say sometimes. So a .csv/.tsv/.xlsx indexed into the KB is also
+ * stored here as records keyed by its header row, and the `query_table` tool
+ * filters, sorts and aggregates them exactly, citing the rows it used
+ * ("prices.csv row 14" — the row number as the spreadsheet shows it).
+ *
+ * A table belongs to a KB document (catalog.js), by the same (scope, name): a
+ * re-index replaces its rows, /unindex removes them. Scopes are the KB's —
+ * public and admin — and a query sees what recall would: the owner both, a
+ * customer only public. Rows live in one JSON file per table under `dir`, the
+ * list of tables in `file`.
+ */
+
+const TABLE_EXT = new Set(['csv', 'tsv', 'xlsx']);
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+const OPS = ['=', '!=', '<', '<=', '>', '>=', 'contains'];
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+const normScope = (scope) => (scope === 'kb' ? 'public' : scope);
+const tableExt = (filename) => path.extname(filename).slice(1).toLowerCase();
+/** Whether a file is ingested as a table too. */
+const isTableFile = (filename) => TABLE_EXT.has(tableExt(filename));
+
+/**
+ * Parse CSV (RFC 4180: quoted fields, "" escapes, newlines inside quotes). The
+ * delimiter — comma, semicolon or tab — is sniffed from the first line.
+ * @returns {Array<{row: number, cells: string[]}>} row is the line the record starts on
+ */
+function parseCsv(text, delimiter = null) {
+  text = text.replace(/^\uFEFF/, '');
+  if (!delimiter) {
+    const first = text.slice(0, text.search(/\r?\n|$/));
+    delimiter = [',', ';', '\t'].reduce((best, d) => (first.split(d).length > first.split(best).length ? d : best), ',');
+  }
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const endRow = () => {
+    cells.push(field);
+    if (cells.some((c) => c.trim())) rows.push({ row: start, cells: cells.map((c) => c.trim()) });
+    cells = [];
+    field = '';
+    start = line;
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === '\n') line++; field += ch; }
+    } else if (ch === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (ch === delimiter) {
+      cells.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field || cells.length) endRow();
+  return rows;
+}
+
+/**
+ * Rows → a table: the first row is the header. Blank or repeated headers get a
+ * unique name ("Column 3", "Price 2") so every cell is addressable.
+ * @returns {{columns: string[], records: Array<{row: number, values: string[]}>}}
+ */
+function toTable(rows) {
+  if (!rows.length) return { columns: [], records: [] };
+  const width = rows.reduce((w, r) => Math.max(w, r.cells.length), 0);
+  const columns = [];
+  for (let i = 0; i < width; i++) {
+    const base = (rows[0].cells[i] || '').trim() || `Column ${i + 1}`;
+    let name = base;
+    for (let n = 2; columns.includes(name); n++) name = `${base} ${n}`;
+    columns.push(name);
+  }
+  const records = rows.slice(1).map((r) => ({ row: r.row, values: columns.map((_, i) => r.cells[i] ?? '') }));
+  return { columns, records };
+}
+
+/**
+ * The tables in a table file: one for a CSV, one per non-empty sheet for .xlsx.
+ * Throws when there is no row under a header anywhere — there would be nothing
+ * to index.
+ * @returns {Array<{sheet: string|null, columns: string[], records: Array<{row: number, values: string[]}>}>}
+ */
+function readTables(buffer, filename) {
+  const ext = tableExt(filename);
+  if (ext === 'xlsx') {
+    const tables = readXlsx(buffer)
+      .filter((s) => s.rows.length > 1)
+      .map((s) => ({ sheet: s.name, ...toTable(s.rows) }));
+    if (!tables.length) throw new Error('no rows to index — every sheet is empty or has only a header row');
+    return tables;
+  }
+  const table = toTable(parseCsv(buffer.toString('utf8'), ext === 'tsv' ? '\t' : null));
+  if (!table.records.length) throw new Error('no rows to index — the file is empty or has only a header row');
+  return [{ sheet: null, ...table }];
+}
+
+/**
+ * Text for litectx to chunk, so search_docs still finds a spreadsheet: one
+ * "Column: value" line per row under a heading per sheet.
+ */
+function tablesToText(name, tables) {
+  return tables.map((t) => [
+    `# ${t.sheet ? `${name} — ${t.sheet}` : name}`,
+    '',
+    ...t.records.map((r) => `Row ${r.row}: ${t.columns.map((c, i) => `${c}: ${r.values[i]}`).filter((_, i) => r.values[i] !== '').join('; ')}`),
+  ].join('\n')).join('\n\n');
+}
+
+// "$1,299.00", "12 %", "-3.5" → number; anything else → null.
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const s = String(value ?? '').trim().replace(/^[$€£¥]\s*|\s*[$€£¥%]$/g, '').replace(/(\d),(?=\d{3}\b)/g, '$1');
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s) ? Number(s) : null;
+}
+
+const key = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// A column by the name the model used: exact, else ignoring case and punctuation.
+function resolveColumn(columns, name) {
+  if (columns.includes(name)) return columns.indexOf(name);
+  const i = columns.findIndex((c) => key(c) === key(name));
+  if (i < 0) throw new Error(`no column "${name}" — the columns are: ${columns.join(', ')}`);
+  return i;
+}
+
+function matches(cell, op, value) {
+  const a = toNumber(cell);
+  const b = toNumber(value);
+  const numeric = a !== null && b !== null;
+  const x = String(cell).trim().toLowerCase();
+  const y = String(value ?? '').trim().toLowerCase();
+  switch (op) {
+    case '=': return numeric ? a === b : x === y;
+    case '!=': return numeric ? a !== b : x !== y;
+    case 'contains': return x.includes(y);
+    case '<': return numeric ? a < b : x.localeCompare(y) < 0;
+    case '<=': return numeric ? a <= b : x.localeCompare(y) <= 0;
+    case '>': return numeric ? a > b : x.localeCompare(y) > 0;
+    case '>=': return numeric ? a >= b : x.localeCompare(y) >= 0;
+    default: throw new Error(`unknown operator "${op}" — use one of ${OPS.join(' ')}`);
+  }
+}
+
+function aggregate(op, cells) {
+  if (op === 'count') return cells.length;
+  const nums = cells.map(toNumber).filter((n) => n !== null);
+  if (!nums.length) return null;
+  if (op === 'sum') return round(nums.reduce((s, n) => s + n, 0));
+  if (op === 'avg') return round(nums.reduce((s, n) => s + n, 0) / nums.length);
+  // reduce, not Math.min(...nums): spreading a few hundred thousand rows into
+  // arguments overflows the call stack.
+  if (op === 'min') return nums.reduce((m, n) => (n < m ? n : m));
+  if (op === 'max') return nums.reduce((m, n) => (n > m ? n : m));
+  throw new Error(`unknown aggregate "${op}" — use one of ${AGGREGATES.join(', ')}`);
+}
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+/**
+ * Filter, sort and aggregate one table's records. Pure — the store supplies the rows.
+ * @param {{columns: string[], records: Array<{row: number, values: string[]}>}} table
+ * @param {object} q
+ * @param {Array<{column: string, op?: string, value: string|number}>} [q.where] - all must hold
+ * @param {string[]} [q.columns] - the columns to return (default: all)
+ * @param {{op: string, column?: string}} [q.aggregate]
+ * @param {string} [q.group_by] - aggregate per value of this column
+ * @param {{column: string, desc?: boolean}} [q.sort]
+ * @param {number} [q.limit]
+ * @returns {{matched: number, columns: string[], rows: Array<{row: number, values: string[]}>, aggregate?: object}}
+ */
+function runQuery(table, q = {}) {
+  const filters = (q.where || []).map((w) => ({ i: resolveColumn(table.columns, w.column), op: w.op || '=', value: w.value }));
+  let hits = table.records.filter((r) => filters.every((f) => matches(r.values[f.i], f.op, f.value)));
+  if (q.sort?.column) {
+    const i = resolveColumn(table.columns, q.sort.column);
+    const dir = q.sort.desc ? -1 : 1;
+    hits = [...hits].sort((a, b) => {
+      const x = toNumber(a.values[i]);
+      const y = toNumber(b.values[i]);
+      if (x !== null && y !== null) return (x - y) * dir;
+      return String(a.values[i]).localeCompare(String(b.values[i])) * dir;
+    });
+  }
+  const out = { matched: hits.length };
+  if (q.aggregate?.op) {
+    const op = q.aggregate.op;
+    if (op !== 'count' && !q.aggregate.column) throw new Error(`${op} needs a column`);
+    const i = q.aggregate.column ? resolveColumn(table.columns, q.aggregate.column) : -1;
+    const cells = (rows) => rows.map((r) => (i < 0 ? 1 : r.values[i])).filter((v) => i < 0 || String(v).trim() !== '');
+    const agg = { op, column: i < 0 ? null : table.columns[i], value: aggregate(op, cells(hits)) };
+    if (q.group_by) {
+      const g = resolveColumn(table.columns, q.group_by);
+      const groups = new Map();
+      for (const r of hits) {
+        const k = r.values[g];
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(r);
+      }
+      agg.by = table.columns[g];
+      agg.groups = [...groups].map(([k, rows]) => ({ key: k, value: aggregate(op, cells(rows)), rows: rows.map((r) => r.row) }));
+    }
+    out.aggregate = agg;
+  }
+  const pick = (q.columns && q.columns.length) ? q.columns.map((c) => resolveColumn(table.columns, c)) : table.columns.map((_, i) => i);
+  const limit = Math.min(Math.max(1, Number(q.limit) || DEFAULT_LIMIT), MAX_LIMIT);
+  out.columns = pick.map((i) => table.columns[i]);
+  out.rows = hits.slice(0, limit).map((r) => ({ row: r.row, values: pick.map((i) => r.values[i]) }));
+  return out;
+}
+
+class TableStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.file - the list of tables (PATHS.kbTables())
+   * @param {string} opts.dir - one rows file per table (PATHS.kbTablesDir())
+   * @param {() => number} [opts.now]
+   */
+  constructor({ file, dir, now } = {}) {
+    this.file = file;
+    this.dir = dir;
+    this._now = now || (() => Date.now());
+    this.tables = this._load();
+  }
+
+  /**
+   * Store a document's tables, replacing any it had.
+   * @param {string} scope
+   * @param {string} name - the KB document's name (catalog name)
+   * @param {Array<{sheet: string|null, columns: string[], records: Array}>} tables
+   * @param {{version?: number}} [opts]
+   * @returns {Array<{name: string, sheet: string|null, rows: number, columns: string[]}>}
+   */
+  put(scope, name, tables, { version = null } = {}) {
+    scope = normScope(scope);
+    this.remove(scope, name);
+    const at = new Date(this._now()).toISOString();
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const t of tables) {
+      const id = crypto.createHash('sha256').update(`${scope}\u0000${name}\u0000${t.sheet ?? ''}`).digest('hex').slice(0, 16);
+      fs.writeFileSync(path.join(this.dir, `${id}.json`), JSON.stringify({ columns: t.columns, records: t.records }), { mode: 0o600 });
+      this.tables.push({ id, scope, name, sheet: t.sheet, columns: t.columns, rows: t.records.length, version, indexed_at: at });
+    }
+    this._save();
+    return this.of(scope, name);
+  }
+
+  /** Drop a document's tables. @returns {number} tables removed */
+  remove(scope, name) {
+    scope = normScope(scope);
+    const gone = this.tables.filter((t) => t.scope === scope && t.name === name);
+    if (!gone.length) return 0;
+    for (const t of gone) fs.rmSync(path.join(this.dir, `${t.id}.json`), { force: true });
+    this.tables = this.tables.filter((t) => !gone.includes(t));
+    this._save();
+    return gone.length;
+  }
+
+  /** A document's tables. @returns {Array<{name: string, sheet: string|null, rows: number, columns: string[]}>} */
+  of(scope, name) {
+    scope = normScope(scope);
+    return this.tables.filter((t) => t.scope === scope && t.name === name)
+      .map((t) => ({ name: t.name, sheet: t.sheet, rows: t.rows, columns: t.columns }));
+  }
+
+  /**
+   * Tables a caller in `scope` may query: the owner's 'admin' sees admin + public,
+   * anyone else (a customer's user:<chatId>, or 'public') only public.
+   */
+  visible(scope) {
+    const scopes = normScope(scope) === 'admin' ? ['admin', 'public'] : ['public'];
+    return this.tables.filter((t) => scopes.includes(t.scope));
+  }
+
+  /**
+   * Run a query against the one table `q.table` names (document name, its file
+   * name, or "name › sheet"), among those visible to `scope`. With no `q.table`
+   * and a single table in view, that one.
+   * @returns {{table: object, result: object}|{tables: object[]}} the list when it can't tell which
+   */
+  query(scope, q = {}) {
+    const pool = this.visible(scope);
+    const label = (t) => (t.sheet ? `${path.basename(t.name)} › ${t.sheet}` : path.basename(t.name));
+    let picked = pool;
+    if (q.table) {
+      const want = key(q.table);
+      picked = pool.filter((t) => [t.name, path.basename(t.name), label(t), t.sheet || ''].some((n) => key(n) === want));
+      if (!picked.length) picked = pool.filter((t) => key(label(t)).includes(want));
+    }
+    if (picked.length !== 1) return { tables: (picked.length ? picked : pool).map((t) => ({ ...t, label: label(t) })) };
+    const meta = picked[0];
+    const data = JSON.parse(fs.readFileSync(path.join(this.dir, `${meta.id}.json`), 'utf8'));
+    return { table: { ...meta, label: label(meta) }, result: runQuery(data, q) };
+  }
+
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Array.isArray(data.tables) ? data.tables : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Tables: could not read ${this.file} — ${err.message}`);
+      return [];
+    }
+  }
+
+  // Write-then-rename, like the catalog.
+  _save() {
+    const tmp = `${this.file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify({ tables: this.tables }, null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (err) {
+      console.error(`Tables: persist failed — ${err.message}`);
+    }
+  }
+}
+
+const fmtNum = (n) => (n === null ? 'no numbers' : String(n));
+
+/**
+ * The query_table tool's answer: the matching rows, each with the citation the
+ * model should repeat, and the aggregate when one was asked for.
+ */
+function formatQueryResult({ table, result, tables }) {
+  if (tables) {
+    if (!tables.length) return 'No tables indexed. A CSV or spreadsheet indexed into the knowledge base becomes queryable here.';
+    return `Name one of these tables:\n${tables.map((t) => `- ${t.label} [${t.scope}] — ${t.rows} rows; columns: ${t.columns.join(', ')}`).join('\n')}`;
+  }
+  const cite = (row) => `(${table.label} row ${row})`;
+  const lines = [`${table.label} [${table.scope}] — ${result.matched} matching row${result.matched === 1 ? '' : 's'} of ${table.rows}`];
+  const agg = result.aggregate;
+  if (agg) {
+    const what = agg.column ? `${agg.op}(${agg.column})` : agg.op;
+    if (agg.groups) {
+      lines.push(`${what} by ${agg.by}:`);
+      for (const g of agg.groups) lines.push(`- ${g.key || '(blank)'}: ${fmtNum(g.value)} — rows ${g.rows.slice(0, 20).join(', ')}${g.rows.length > 20 ? ', …' : ''}`);
+    } else {
+      lines.push(`${what} = ${fmtNum(agg.value)}`);
+    }
+  }
+  if (result.rows.length) {
+    lines.push('');
+    for (const r of result.rows) {
+      lines.push(`${result.columns.map((c, i) => `${c}: ${r.values[i]}`).join(' | ')} ${cite(r.row)}`);
+    }
+    if (result.matched > result.rows.length) lines.push(`… ${result.matched - result.rows.length} more — narrow the filter or raise the limit.`);
+  }
+  lines.push('', `Cite rows as shown, e.g. ${cite(result.rows[0]?.row ?? 2)}.`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  TableStore, isTableFile, readTables, tablesToText, parseCsv, runQuery, formatQueryResult, OPS, AGGREGATES,
+};
@@ -0,0 +1,360 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logAudit } = require('../governance/audit');
+
+/**
+ * FolderWatcher — directories registered with /watch, kept in sync with the KB.
+ *
+ * A sync walks the folder, hashes every supported file and compares against
+ * what was ingested last time: a new or edited file is (re-)ingested, a file
+ * that is gone is removed from the KB. Each file is a KB document named by its
+ * absolute path, so an edit becomes a new version that retires the old chunks
+ * (see ./catalog.js) instead of piling up a second copy.
+ *
+ * Two triggers run the same sync: fs.watch (debounced, for edits while the
+ * daemon is up) and a periodic sweep, which also runs once at start — that is
+ * what catches everything that changed while multis was stopped, and whatever
+ * fs.watch missed (network drives, inotify limits). The checksums live in the
+ * state file, so a restart doesn't re-ingest unchanged files.
+ *
+ * Syncs of one folder never overlap; a trigger during a sync queues one more.
+ */
+
+const DEFAULT_SWEEP_MINUTES = 10;
+const DEBOUNCE_MS = 2000;
+// A folder with more files than this is probably the wrong folder (a home
+// directory, a repo with node_modules). The rest are left out and reported.
+const MAX_FILES = 2000;
+const DEFAULT_TYPES = ['pdf', 'docx', 'md', 'txt'];
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+class FolderWatcher {
+  /**
+   * @param {object} opts
+   * @param {string} opts.file - where the watched folders are kept (PATHS.watches())
+   * @param {object} opts.indexer - the context module (indexBuffer, removeDocument)
+   * @param {object} [opts.config] - config.documents
+   * @param {() => number} [opts.now] - clock, defaults to Date.now
+   */
+  constructor({ file, indexer, config = {}, now } = {}) {
+    this.file = file;
+    this.indexer = indexer;
+    this.allowedTypes = (config.allowedTypes || DEFAULT_TYPES).map((t) => t.toLowerCase());
+    this.maxSize = config.maxSize ?? null;
+    this.sweepMs = (config.watchSweepMinutes ?? DEFAULT_SWEEP_MINUTES) * 60 * 1000;
+    this._now = now || (() => Date.now());
+    this._watchers = new Map();  // dir → fs.FSWatcher
+    this._debounce = new Map();  // dir → timeout
+    this._syncs = new Map();     // dir → { running, again }
+    this._timer = null;
+    this.folders = this._load();
+  }
+
+  /** The watched folders, as saved. */
+  list() {
+    return this.folders.map((f) => ({ ...f, files: { ...f.files } }));
+  }
+
+  /** The watched folder that is `dir`, or null. */
+  find(dir) {
+    const abs = path.resolve(dir);
+    return this.folders.find((f) => f.dir === abs) || null;
+  }
+
+  /**
+   * Start watching a directory and index what is in it now.
+   * @param {string} dir
+   * @param {'public'|'admin'} scope
+   * @returns {Promise<{dir: string, added: number, updated: number, removed: number, failed: number, skipped: number}>}
+   */
+  async add(dir, scope) {
+    const abs = path.resolve(dir);
+    let stat;
+    try {
+      stat = fs.statSync(abs);
+    } catch {
+      throw new Error(`no such folder: ${dir}`);
+    }
+    if (!stat.isDirectory()) throw new Error(`${dir} is a file — use /index for a single file`);
+    const existing = this.find(abs);
+    if (existing && existing.scope !== scope) {
+      throw new Error(`${dir} is already watched as ${existing.scope} — /unwatch it first`);
+    }
+    const inside = this.folders.find((f) => f.dir !== abs && (abs.startsWith(f.dir + path.sep) || f.dir.startsWith(abs + path.sep)));
+    if (inside) throw new Error(`${dir} overlaps the watched folder ${inside.dir}`);
+    if (!existing) {
+      this.folders.push({ dir: abs, scope, added_at: new Date(this._now()).toISOString(), synced_at: null, files: {} });
+      this._save();
+      if (this._timer) this._watch(abs);
+    }
+    return this.sync(abs);
+  }
+
+  /**
+   * Stop watching a directory and remove its documents from the KB.
+   * @returns {Promise<number>} how many documents were removed
+   */
+  async remove(dir) {
+    const folder = this.find(dir);
+    if (!folder) throw new Error(`${dir} is not watched`);
+    this._unwatch(folder.dir);
+    // Let a sync in flight finish first, so it can't re-add a file after this.
+    await this._syncs.get(folder.dir)?.running?.catch(() => {});
+    let removed = 0;
+    for (const rel of Object.keys(folder.files)) {
+      try {
+        if (await this.indexer.removeDocument(path.join(folder.dir, rel), folder.scope, { by: 'unwatch', missingOk: true })) removed++;
+      } catch (err) {
+        console.warn(`Watch: could not remove ${path.join(folder.dir, rel)} — ${err.message}`);
+      }
+    }
+    this.folders = this.folders.filter((f) => f !== folder);
+    this._save();
+    logAudit({ action: 'unwatch', dir: folder.dir, scope: folder.scope, removed });
+    return removed;
+  }
+
+  /**
+   * Bring one watched folder (or all of them) up to date with the disk.
+   * @param {string} [dir]
+   */
+  async sync(dir) {
+    if (dir === undefined) {
+      const results = [];
+      for (const f of [...this.folders]) results.push(await this.sync(f.dir));
+      return results;
+    }
+    const abs = path.resolve(dir);
+    let state = this._syncs.get(abs);
+    if (state?.running) {
+      // One more pass after the current one, however many triggers arrive meanwhile.
+      if (!state.again) state.again = state.running.then(() => { state.again = null; return this.sync(abs); });
+      return state.again;
+    }
+    state = { running: null, again: null };
+    this._syncs.set(abs, state);
+    state.running = this._sync(abs).finally(() => { state.running = null; });
+    return state.running;
+  }
+
+  /** Sync everything now, then keep watching. Call once the indexer is up. */
+  start() {
+    if (this._timer) return Promise.resolve();
+    for (const f of this.folders) this._watch(f.dir);
+    this._timer = setInterval(() => this._sweep(), this.sweepMs);
+    this._timer.unref?.();
+    return this._sweep();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+    for (const dir of [...this._watchers.keys()]) this._unwatch(dir);
+  }
+
+  async _sweep() {
+    for (const f of [...this.folders]) {
+      try {
+        await this.sync(f.dir);
+      } catch (err) {
+        console.warn(`Watch: sync of ${f.dir} failed — ${err.message}`);
+      }
+    }
+  }
+
+  async _sync(abs) {
+    const folder = this.find(abs);
+    if (!folder) throw new Error(`${abs} is not watched`);
+    const result = { dir: abs, added: 0, updated: 0, removed: 0, failed: 0, skipped: 0 };
+    if (!fs.existsSync(abs)) {
+      // Unmounted or moved: keep what is indexed rather than wipe the folder's
+      // documents over something that may come back.
+      console.warn(`Watch: ${abs} is missing — keeping its documents until it returns or is unwatched`);
+      return result;
+    }
+
+    const found = this._walk(abs);
+    result.skipped = found.skipped;
+    const seen = new Set();
+    for (const rel of found.files) {
+      seen.add(rel);
+      const file = path.join(abs, rel);
+      const prev = folder.files[rel];
+      let buf;
+      try {
+        buf = fs.readFileSync(file);
+      } catch {
+        continue; // deleted mid-walk — the next sync removes it
+      }
+      const hash = sha256(buf);
+      // An entry with an `id` was ingested before the KB catalog: index it once
+      // more, unchanged or not, so the catalog adopts it and drops that copy.
+      const legacy = prev?.id || null;
+      if (prev && prev.sha256 === hash && !legacy) continue;
+      const entry = { sha256: hash, size: buf.length, synced_at: new Date(this._now()).toISOString() };
+      try {
+        const r = await this.indexer.indexBuffer(buf, path.basename(file), folder.scope, { name: file, source: 'watch', adopt: legacy });
+        entry.version = r.version;
+        entry.chunks = r.chunks;
+        entry.mode = r.mode;
+        result[prev ? 'updated' : 'added']++;
+        logAudit({ action: 'index', source: 'watch', filename: file, chunks: r.chunks, scope: folder.scope });
+      } catch (err) {
+        // Recorded with its hash, so a file litectx rejects isn't retried every
+        // sweep — only once it changes.
+        entry.error = err.message;
+        result.failed++;
+        console.warn(`Watch: could not index ${file} — ${err.message}`);
+      }
+      folder.files[rel] = entry;
+    }
+    for (const rel of Object.keys(folder.files)) {
+      if (seen.has(rel)) continue;
+      try {
+        await this.indexer.removeDocument(path.join(abs, rel), folder.scope, { by: 'watch', missingOk: true });
+        delete folder.files[rel];
+        result.removed++;
+        logAudit({ action: 'unindex', source: 'watch', filename: path.join(abs, rel), scope: folder.scope });
+      } catch (err) {
+        console.warn(`Watch: could not remove ${path.join(abs, rel)} — ${err.message}`);
+      }
+    }
+    folder.synced_at = new Date(this._now()).toISOString();
+    this._save();
+    if (result.skipped) console.warn(`Watch: ${abs} has more than ${MAX_FILES} files — ${result.skipped} left out`);
+    return result;
+  }
+
+  /**
+   * Supported files under a folder, as paths relative to it. Hidden files and
+   * folders are skipped, and so are symlinks, so a watch never reaches outside
+   * the folder it was given.
+   */
+  _walk(root) {
+    const files = [];
+    let skipped = 0;
+    const stack = [''];
+    while (stack.length) {
+      const rel = stack.pop();
+      let entries;
+      try {
+        entries = fs.readdirSync(path.join(root, rel), { withFileTypes: true });
+      } catch {
+        continue;
+      }
+      for (const e of entries) {
+        if (e.name.startsWith('.')) continue;
+        const child = rel ? path.join(rel, e.name) : e.name;
+        if (e.isDirectory()) {
+          stack.push(child);
+        } else if (e.isFile() && this._supported(path.join(root, child))) {
+          if (files.length >= MAX_FILES) skipped++;
+          else files.push(child);
+        }
+      }
+    }
+    return { files: files.sort(), skipped };
+  }
+
+  _supported(file) {
+    const ext = path.extname(file).slice(1).toLowerCase();
+    if (!this.allowedTypes.includes(ext)) return false;
+    if (this.maxSize != null) {
+      try {
+        if (fs.statSync(file).size > this.maxSize) return false;
+      } catch {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  _watch(dir) {
+    if (this._watchers.has(dir)) return;
+    try {
+      const w = fs.watch(dir, { recursive: true }, () => this._changed(dir));
+      w.on('error', (err) => {
+        console.warn(`Watch: stopped watching ${dir} for changes (${err.message}) — the periodic sweep still syncs it`);
+        this._unwatch(dir);
+      });
+      this._watchers.set(dir, w);
+    } catch (err) {
+      console.warn(`Watch: can't watch ${dir} for changes (${err.message}) — the periodic sweep still syncs it`);
+    }
+  }
+
+  _unwatch(dir) {
+    this._watchers.get(dir)?.close();
+    this._watchers.delete(dir);
+    clearTimeout(this._debounce.get(dir));
+    this._debounce.delete(dir);
+  }
+
+  // An editor save fires several events; sync once they settle.
+  _changed(dir) {
+    clearTimeout(this._debounce.get(dir));
+    this._debounce.set(dir, setTimeout(() => {
+      this._debounce.delete(dir);
+      this.sync(dir).catch((err) => console.warn(`Watch: sync of ${dir} failed — ${err.message}`));
+    }, DEBOUNCE_MS));
+  }
+
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Array.isArray(data.folders) ? data.folders : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Watch: could not read ${this.file} — ${err.message}`);
+      return [];
+    }
+  }
+
+  // Write-then-rename, so a crash mid-write leaves the previous state intact.
+  _save() {
+    const tmp = `${this.file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify({ folders: this.folders }, null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (err) {
+      console.error(`Watch: persist failed — ${err.message}`);
+    }
+  }
+}
+
+/** A sync result as one line: "2 added, 1 updated, 1 removed". */
+function formatSyncResult(r) {
+  const parts = [];
+  for (const k of ['added', 'updated', 'removed', 'failed']) if (r[k]) parts.push(`${r[k]} ${k}`);
+  if (r.skipped) parts.push(`${r.skipped} left out (over ${MAX_FILES} files)`);
+  return parts.length ? parts.join(', ') : 'no changes';
+}
+
+const when = (iso) => (iso ? iso.slice(0, 16).replace('T', ' ') : 'not yet');
+const home = process.env.HOME || process.env.USERPROFILE;
+const tilde = (dir) => (home && (dir === home || dir.startsWith(home + path.sep)) ? '~' + dir.slice(home.length) : dir);
+
+/**
+ * Watched folders for /docs: each folder with its last sync, then its
+ * documents with theirs (a file litectx rejected shows why).
+ * @param {object[]} folders - FolderWatcher#list()
+ * @param {number} [perFolder] - documents listed per folder before "…and N more" (0: folders only)
+ */
+function formatWatchedFolders(folders, perFolder = 20) {
+  const lines = [];
+  for (const f of folders) {
+    const files = Object.entries(f.files);
+    lines.push(`${tilde(f.dir)} [${f.scope}] — ${files.length} file${files.length === 1 ? '' : 's'}, synced ${when(f.synced_at)}`);
+    for (const [rel, e] of files.slice(0, perFolder)) {
+      lines.push(`  ${rel} — ${e.error ? `not indexed: ${e.error}` : `synced ${when(e.synced_at)}`}`);
+    }
+    if (perFolder > 0 && files.length > perFolder) lines.push(`  …and ${files.length - perFolder} more`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { FolderWatcher, formatSyncResult, formatWatchedFolders, MAX_FILES };
@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * Web pages into the KB — the fetch half of `/index <url>`.
+ *
+ * A page is fetched only from a host on `documents.web.allowDomains` (a domain
+ * there also allows its subdomains), and every redirect hop is checked against
+ * the same list, so an allowed page can't bounce the fetch somewhere else. An
+ * empty list allows nothing: the owner opts each site in.
+ *
+ * HTML is reduced to its readable main content — <main>/<article> when the page
+ * has one, minus navigation, headers, footers, scripts and forms — and handed to
+ * litectx as markdown, headings kept so it chunks by section. Plain text and
+ * markdown go through as they are, PDFs as bytes.
+ *
+ * An allowlisted name must also resolve to a public address, checked on every
+ * hop: a domain pointed at 127.0.0.1 or 10.x can't turn /index into a probe of
+ * the owner's own machine or network. The connection then goes to the address
+ * that was checked — the name is not looked up a second time — so a name that
+ * answers public, then private (DNS rebinding), still never reaches the
+ * private one. An IP address written on the allowlist itself is taken as meant.
+ *
+ * A body is read as it streams and dropped as soon as it passes `maxSize`, so a
+ * server that sends no content-length can't make us hold more than that.
+ *
+ * With a crawl depth, links on each HTML page are followed breadth-first, but
+ * only on the same site (origin) and never past `maxPages`. Dependency-free:
+ * Node's http/https, no DOM.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const DEFAULTS = { maxDepth: 2, maxPages: 20, timeoutMs: 15000 };
+const MAX_REDIRECTS = 5;
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+// Links to these are assets, not pages — not worth a fetch while crawling.
+const ASSET_EXT = /\.(png|jpe?g|gif|webp|svg|ico|css|js|mjs|json|xml|zip|gz|tgz|mp3|mp4|webm|mov|woff2?|ttf|eot)$/i;
+
+/**
+ * Is this URL one the allowlist lets us fetch?
+ * @param {URL|string} url
+ * @param {string[]} allowDomains
+ */
+function isAllowed(url, allowDomains = []) {
+  let u;
+  try { u = new URL(url); } catch { return false; }
+  if (!/^https?:$/.test(u.protocol)) return false;
+  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  return allowDomains.some((d) => {
+    const domain = String(d).toLowerCase().replace(/^\*?\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges.
+const PRIVATE = new net.BlockList();
+for (const [net4, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+  PRIVATE.addSubnet(net4, bits, 'ipv4');
+}
+for (const [net6, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) PRIVATE.addSubnet(net6, bits, 'ipv6');
+
+/** Is this IP address one a page fetch must not reach (loopback, LAN, link-local…)? */
+function isPrivateAddress(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) ip = mapped[1];
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return PRIVATE.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Refuse a host that is, or resolves to, a private address. Returns the
+// addresses checked — the only ones the request may connect to.
+async function checkAddress(url, { allowDomains, lookup }) {
+  const host = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    if (isPrivateAddress(host) && !allowDomains.some((d) => String(d).toLowerCase() === host)) {
+      throw new Error(`${host} is a private address — not fetched`);
+    }
+    return [{ address: host, family: net.isIP(host) }];
+  }
+  const addresses = (await lookup(host)).map((a) => ({ address: a.address, family: a.family || net.isIP(a.address) }));
+  if (!addresses.length) throw new Error(`${host} does not resolve`);
+  const bad = addresses.find((a) => isPrivateAddress(a.address));
+  if (bad) throw new Error(`${host} resolves to a private address (${bad.address}) — not fetched`);
+  return addresses;
+}
+
+// One GET that connects only to `addresses`: the socket's lookup answers from
+// them instead of asking DNS again. TLS still checks the certificate against the
+// URL's name.
+function get(url, { headers, signal, addresses }) {
+  const u = new URL(url);
+  const lookup = (host, opts, cb) => (opts.all
+    ? cb(null, addresses)
+    : cb(null, addresses[0].address, addresses[0].family));
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === 'https:' ? https : http).get(u, { headers, lookup, signal, agent: false }, resolve);
+    req.on('error', reject);
+  });
+}
+
+/** The URL a page is stored under: no fragment, so #sections aren't separate pages. */
+function normalizeUrl(url) {
+  const u = new URL(url);
+  u.hash = '';
+  return u.href;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', copy: '©', reg: '®', trade: '™', laquo: '«', raquo: '»', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+const dropBlocks = (html, tags) => tags.reduce(
+  (h, tag) => h.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?</${tag}\\s*>`, 'gi'), ' '), html);
+
+/**
+ * Readable content of an HTML page, as markdown.
+ * @param {string} html
+ * @param {string} baseUrl - resolves the page's links
+ * @returns {{title: string, markdown: string, links: string[]}} links are absolute, without fragments
+ */
+function extractHtml(html, baseUrl) {
+  html = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  const title = decodeEntities((/<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] || '').replace(/\s+/g, ' ').trim());
+
+  const links = [];
+  for (const m of html.matchAll(/<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+    const href = decodeEntities(m[1] ?? m[2] ?? m[3]).trim();
+    if (!href || /^(mailto|tel|javascript|data):/i.test(href)) continue;
+    try { links.push(normalizeUrl(new URL(href, baseUrl))); } catch { /* not a URL */ }
+  }
+
+  let body = dropBlocks(html, ['head', 'title', 'script', 'style', 'noscript', 'template', 'svg', 'iframe']);
+  const main = /<main\b[^>]*>([\s\S]*?)<\/main\s*>/i.exec(body) || /<article\b[^>]*>([\s\S]*?)<\/article\s*>/i.exec(body);
+  body = main ? main[1] : (/<body\b[^>]*>([\s\S]*?)(<\/body\s*>|$)/i.exec(body)?.[1] ?? body);
+  body = dropBlocks(body, ['nav', 'header', 'footer', 'aside', 'form', 'button', 'select']);
+
+  let text = body
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (m, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|ul|ol|table|tr|blockquote|pre|dl|dt|dd|figure|figcaption)\b[^>]*>/gi, '\n\n')
+    .replace(/<\/t[dh]\s*>/gi, ' | ')
+    .replace(/<[^>]+>/g, '');
+  text = decodeEntities(text)
+    .split('\n')
+    .map((line) => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  if (title && !/^# /m.test(text)) text = `# ${title}\n\n${text}`;
+  return { title, markdown: text, links };
+}
+
+/**
+ * Fetch one URL, following redirects only within the allowlist.
+ * @returns {Promise<{url: string, type: string, buffer: Buffer}>} url is where it ended up
+ */
+async function fetchPage(url, { allowDomains, timeoutMs, maxSize, lookup }) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!isAllowed(current, allowDomains)) throw new Error(`${new URL(current).hostname} is not in documents.web.allowDomains`);
+    const addresses = await checkAddress(current, { allowDomains, lookup });
+    const signal = AbortSignal.timeout(timeoutMs);
+    let res;
+    try {
+      res = await get(current, {
+        headers: { 'user-agent': 'multis (+https://github.com/hamr0/multis)', accept: 'text/html,text/plain,text/markdown,application/pdf;q=0.9,*/*;q=0.1' },
+        signal,
+        addresses,
+      });
+      const location = res.headers.location;
+      if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+        res.destroy();
+        current = normalizeUrl(new URL(location, current));
+        continue;
+      }
+      if (res.statusCode < 200 || res.statusCode >= 300) throw new Error(`HTTP ${res.statusCode}`);
+      const declared = Number(res.headers['content-length']);
+      if (declared > maxSize) throw new Error(`larger than documents.maxSize (${declared} bytes)`);
+      const buffer = await readBody(res, maxSize);
+      const type = (res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      return { url: current, type, buffer };
+    } catch (err) {
+      res?.destroy();
+      throw signal.aborted ? signal.reason : err; // the timeout, not the abort it caused
+    }
+  }
+  throw new Error('too many redirects');
+}
+
+// The body, up to maxSize: leaving the loop past it destroys the stream.
+async function readBody(res, maxSize) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res) {
+    size += chunk.length;
+    if (size > maxSize) throw new Error(`larger than documents.maxSize (over ${maxSize} bytes)`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+// The file name litectx parses a page by: its extension picks the parser.
+function pageFilename(url, ext) {
+  const u = new URL(url);
+  const slug = `${u.hostname}${u.pathname}`.replace(/\/+$/, '').replace(/[^\w.-]+/g, '_').replace(/\.(html?|php|aspx?|txt|md|pdf)$/i, '');
+  return `${slug.slice(0, 120) || 'page'}.${ext}`;
+}
+
+/**
+ * Fetch a page, and with `depth` the same-site pages it links to.
+ * @param {string} url
+ * @param {object} opts
+ * @param {string[]} opts.allowDomains - documents.web.allowDomains
+ * @param {number} [opts.depth] - link levels to follow from the start page (0 = just it)
+ * @param {number} [opts.maxDepth] - the most `depth` may be (documents.web.maxDepth)
+ * @param {number} [opts.maxPages] - documents.web.maxPages
+ * @param {number} [opts.timeoutMs] - per request (documents.web.timeoutMs)
+ * @param {number} [opts.maxSize] - per page (documents.maxSize)
+ * @param {(page: {url: string, filename: string, buffer: Buffer, title: string}) => Promise<object>} opts.onPage
+ *   - stores a page; its result is reported with the page
+ * @param {(host: string) => Promise<Array<{address: string}>>} [opts.lookup] - resolver override (tests)
+ * @returns {Promise<{pages: Array<{url: string, title?: string, result?: object, error?: string}>, truncated: boolean}>}
+ */
+async function crawl(url, opts) {
+  const o = { ...opts };
+  for (const [key, value] of Object.entries({ ...DEFAULTS, maxSize: DEFAULT_MAX_SIZE, allowDomains: [], lookup: (host) => dns.promises.lookup(host, { all: true }) })) {
+    o[key] ??= value; // an unset config key falls back, even when passed as undefined
+  }
+  const start = normalizeUrl(url);
+  if (!isAllowed(start, o.allowDomains)) {
+    throw new Error(`${new URL(start).hostname} is not in documents.web.allowDomains — add it to config.json to index it`);
+  }
+  const depth = Math.max(0, Math.min(o.depth || 0, o.maxDepth));
+  const origin = new URL(start).origin;
+  const seen = new Set([start]);
+  const queue = [{ url: start, level: 0 }];
+  const pages = [];
+  let truncated = false;
+  while (queue.length) {
+    if (pages.length >= o.maxPages) { truncated = true; break; }
+    const { url: next, level } = queue.shift();
+    const page = { url: next };
+    pages.push(page);
+    try {
+      const got = await fetchPage(next, o);
+      if (got.url !== next) {
+        // A redirect to a page already on the list: it is fetched there.
+        if (seen.has(got.url)) { pages.pop(); continue; }
+        seen.add(got.url);
+      }
+      page.url = got.url;
+      let stored;
+      if (got.type === 'text/html' || got.type === 'application/xhtml+xml' || (!got.type && /^\s*</.test(got.buffer.toString('utf8', 0, 200)))) {
+        const { title, markdown, links } = extractHtml(got.buffer.toString('utf8'), got.url);
+        page.title = title;
+        if (level < depth) {
+          for (const link of links) {
+            if (seen.has(link) || new URL(link).origin !== origin || ASSET_EXT.test(new URL(link).pathname)) continue;
+            seen.add(link);
+            queue.push({ url: link, level: level + 1 });
+          }
+        }
+        if (!markdown) throw new Error('no readable text on the page');
+        stored = { filename: pageFilename(got.url, 'md'), buffer: Buffer.from(markdown) };
+      } else if (got.type === 'text/plain' || got.type === 'text/markdown') {
+        stored = { filename: pageFilename(got.url, got.type === 'text/markdown' ? 'md' : 'txt'), buffer: got.buffer };
+      } else if (got.type === 'application/pdf') {
+        stored = { filename: pageFilename(got.url, 'pdf'), buffer: got.buffer };
+      } else {
+        throw new Error(`unsupported content type ${got.type || '(none)'}`);
+      }
+      page.result = await o.onPage({ url: got.url, title: page.title || '', ...stored });
+    } catch (err) {
+      page.error = err.name === 'TimeoutError' ? `timed out after ${o.timeoutMs} ms` : err.message;
+    }
+  }
+  return { pages, truncated };
+}
+
+module.exports = { crawl, extractHtml, isAllowed, isPrivateAddress, normalizeUrl };
@@ -0,0 +1,142 @@
+'use strict';
+
+const zlib = require('zlib');
+
+/**
+ * Minimal .xlsx reader — the cell values of each worksheet, for table ingestion
+ * (./tables.js). An .xlsx file is a zip of XML parts; this reads the zip's
+ * central directory, inflates the parts it needs and pulls the cells out with
+ * the same tag-level parsing web.js uses for HTML. No formulas are evaluated: a
+ * formula cell gives the value Excel cached when it saved the file.
+ *
+ * Dependency-free, like the rest of the context layer. Bounded: an entry
+ * inflates to at most MAX_PART bytes, so a zip bomb fails instead of filling
+ * memory.
+ */
+
+const MAX_PART = 64 * 1024 * 1024;
+// Built-in number formats that show a date (ECMA-376 §18.8.30).
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/** Read a zip's entries: name → () => Buffer (inflated on demand). */
+function readZip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not an .xlsx file (no zip directory)');
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('corrupt .xlsx file (bad zip directory)');
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const skip = nameLen + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    entries.set(name, () => {
+      const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+      const data = buf.subarray(start, start + size);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART });
+      throw new Error(`unsupported zip compression (${method}) in ${name}`);
+    });
+    p += 46 + skip;
+  }
+  return entries;
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const unescapeXml = (s) => s.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, e) => {
+  if (e[0] !== '#') return XML_ENTITIES[e.toLowerCase()];
+  return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+});
+const attr = (tag, name) => {
+  const m = new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`).exec(tag);
+  return m ? unescapeXml(m[1]) : null;
+};
+// The text of an <si> / <is> element: plain <t>, or the runs of rich text.
+const richText = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => unescapeXml(m[1])).join('');
+
+// 'AB12' → 27 (0-based column index)
+function columnIndex(ref) {
+  let n = 0;
+  for (const ch of /^[A-Z]+/.exec(ref)[0]) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// Excel's day count (1900 system) → ISO date, time kept when there is one.
+function serialToDate(serial) {
+  const ms = Math.round((serial - 25569) * 86400000);
+  const iso = new Date(ms).toISOString();
+  return ms % 86400000 === 0 ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+}
+
+// Which cell styles (the `s` attribute) format a number as a date.
+function dateStyles(stylesXml) {
+  if (!stylesXml) return new Set();
+  const custom = new Set();
+  for (const m of stylesXml.matchAll(/<numFmt\b[^>]*>/g)) {
+    const code = (attr(m[0], 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dmy]/i.test(code)) custom.add(Number(attr(m[0], 'numFmtId')));
+  }
+  const xfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(stylesXml)?.[1] || '';
+  const dates = new Set();
+  [...xfs.matchAll(/<xf\b[^>]*>/g)].forEach((m, i) => {
+    const id = Number(attr(m[0], 'numFmtId'));
+    if (DATE_FORMAT_IDS.has(id) || custom.has(id)) dates.add(i);
+  });
+  return dates;
+}
+
+/**
+ * The worksheets of an .xlsx file, in workbook order.
+ * @param {Buffer} buffer
+ * @returns {Array<{name: string, rows: Array<{row: number, cells: string[]}>}>} row is the sheet's own row number
+ */
+function readXlsx(buffer) {
+  const zip = readZip(buffer);
+  const part = (name) => (zip.has(name) ? zip.get(name)().toString('utf8') : null);
+  const workbook = part('xl/workbook.xml');
+  if (!workbook) throw new Error('not an .xlsx file (no workbook)');
+
+  const targets = new Map();
+  for (const m of (part('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\b[^>]*>/g)) {
+    const target = attr(m[0], 'Target') || '';
+    targets.set(attr(m[0], 'Id'), target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+  }
+  const shared = [...(part('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => richText(m[1]));
+  const dates = dateStyles(part('xl/styles.xml'));
+
+  const sheets = [];
+  for (const m of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const file = targets.get(attr(m[0], 'r:id'));
+    const xml = file && part(file);
+    if (!xml) continue;
+    const rows = [];
+    for (const r of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const cells = [];
+      for (const c of (r[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        // Attributes from the <c> tag itself — a <f t="shared"> inside is not the cell type.
+        const ref = attr(c[1], 'r');
+        const type = attr(c[1], 't');
+        const inner = c[2] || '';
+        const v = /<v>([\s\S]*?)<\/v>/.exec(inner)?.[1];
+        let value = '';
+        if (type === 's') value = shared[Number(v)] ?? '';
+        else if (type === 'inlineStr') value = richText(inner);
+        else if (type === 'b') value = v === '1' ? 'TRUE' : 'FALSE';
+        else if (v != null) value = unescapeXml(v);
+        if (value && !type && dates.has(Number(attr(c[1], 's'))) && !Number.isNaN(Number(value))) value = serialToDate(Number(value));
+        cells[ref ? columnIndex(ref) : cells.length] = value;
+      }
+      if (cells.some((x) => x)) rows.push({ row: Number(attr(r[1], 'r')) || rows.length + 1, cells: Array.from(cells, (x) => x ?? '') });
+    }
+    sheets.push({ name: attr(m[0], 'name') || `Sheet${sheets.length + 1}`, rows });
+  }
+  return sheets;
+}
+
+module.exports = { readXlsx };
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { parseBind, tokenEquals } = require('../platforms/base');
+const { readAuditLogs } = require('../governance/audit');
+const { PATHS } = require('../config');
+
+const DEFAULT_BIND = '127.0.0.1:7880';
+const AUDIT_WINDOW = 2000;           // audit lines the dashboard reads back
+const MAX_BODY_BYTES = 16 * 1024;
+const UI_DIR = path.join(__dirname, 'ui');
+const STATIC = {
+  '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/app.js': { file: 'app.js', type: 'text/javascript; charset=utf-8' },
+};
+
+/**
+ * Local admin dashboard — a read-mostly page served by the daemon, for the
+ * owner on the same machine: every known chat with its mode and agent, the
+ * audit log, indexed documents, open asks, scheduled jobs and LLM spend.
+ *
+ * It reads through the router (listChats, pendingAsks, listJobs, listDocuments)
+ * and the log files. The one thing it changes — a chat's mode — goes through
+ * router.setChatMode, i.e. the governed core like /mode, so turning a chat
+ * `off` still asks for the PIN. The dashboard is not a way around governance.
+ *
+ * Auth mirrors the web chat: `dashboard.token` (generated per run and printed
+ * when unset) travels in the URL fragment, and the page sends it back as a
+ * Bearer header on every /api call.
+ */
+class DashboardServer {
+  /**
+   * @param {object} config
+   * @param {Function} router - createMessageRouter's router
+   * @param {object} [opts]
+   * @param {Function} [opts.readAudit] - (limit) => entries, defaults to readAuditLogs
+   * @param {string} [opts.gateLog] - bareguard audit file, for spend
+   */
+  constructor(config, router, { readAudit, gateLog } = {}) {
+    this.config = config;
+    this.router = router;
+    const dc = config.dashboard || {};
+    const { host, port } = parseBind(dc.bind || DEFAULT_BIND, 'dashboard.bind');
+    this.host = host;
+    this.port = port;
+    this.token = dc.token || process.env.MULTIS_DASHBOARD_TOKEN || null;
+    this._readAudit = readAudit || readAuditLogs;
+    this._gateLog = gateLog || PATHS.gateLog();
+    this.server = null;
+  }
+
+  async start() {
+    if (!this.token) {
+      this.token = crypto.randomBytes(16).toString('hex');
+      console.log('Dashboard: no dashboard.token set — generated one for this run');
+    }
+    this.server = http.createServer((req, res) => {
+      this._onRequest(req, res).catch((err) => {
+        console.error(`Dashboard: handler error — ${err.message}`);
+        if (!res.headersSent) json(res, 500, { error: 'internal error' });
+      });
+    });
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.host, () => {
+          this.server.off('error', reject);
+          resolve();
+        });
+      });
+    } catch (err) {
+      console.error(`Dashboard: cannot listen on ${this.host}:${this.port} — ${err.message}`);
+      this.server = null;
+      return false;
+    }
+    this.port = this.server.address().port; // bind port 0 → the one we got
+    const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+    console.log(`Dashboard: http://${host}:${this.port}/#token=${this.token}`);
+    return true;
+  }
+
+  async stop() {
+    if (this.server) {
+      const closed = new Promise((r) => this.server.close(() => r()));
+      this.server.closeAllConnections();
+      await closed;
+      this.server = null;
+    }
+  }
+
+  async _onRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && STATIC[url.pathname]) {
+      const { file, type } = STATIC[url.pathname];
+      res.writeHead(200, {
+        'Content-Type': type,
+        'Cache-Control': 'no-store',
+        'X-Content-Type-Options': 'nosniff',
+        'Referrer-Policy': 'no-referrer',
+        'Content-Security-Policy': "default-src 'self'; style-src 'self' 'unsafe-inline'; frame-ancestors 'none'",
+      });
+      res.end(fs.readFileSync(path.join(UI_DIR, file)));
+      return;
+    }
+
+    const auth = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!tokenEquals(auth?.[1], this.token)) return json(res, 401, { error: 'unauthorized' });
+
+    if (req.method === 'GET' && url.pathname === '/api/overview') {
+      return json(res, 200, {
+        chats: this.router.listChats(),
+        pending: this.router.pendingAsks(),
+        jobs: listJobsSafe(this.router),
+        documents: this.router.listDocuments(),
+        spend: readSpend(this._gateLog, this.config),
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/api/audit') {
+      const filters = Object.fromEntries(['action', 'chat', 'user', 'q'].map((k) => [k, url.searchParams.get(k) || '']));
+      const limit = Math.min(Number(url.searchParams.get('limit')) || 200, AUDIT_WINDOW);
+      const entries = filterAudit(this._readAudit(AUDIT_WINDOW), filters);
+      return json(res, 200, { entries: entries.slice(-limit).reverse() });
+    }
+    const modeMatch = /^\/api\/chats\/(.+)\/mode$/.exec(url.pathname);
+    if (req.method === 'POST' && modeMatch) {
+      const chatId = decodeURIComponent(modeMatch[1]);
+      if (!this.config.chats?.[chatId]) return json(res, 404, { error: 'no such chat' });
+      const body = await readJson(req);
+      if (!body || typeof body.mode !== 'string') return json(res, 400, { error: 'mode is required' });
+      const pin = body.pin == null ? undefined : String(body.pin);
+      const r = await this.router.setChatMode({ chatId, mode: body.mode, pin });
+      return json(res, r.ok ? 200 : (r.needsPin ? 401 : 403), r);
+    }
+    return json(res, 404, { error: 'not found' });
+  }
+}
+
+/**
+ * Narrow audit entries: `action` matches exactly, `chat` and `user` match the
+ * entry's chat / user id, `q` is a case-insensitive search of the whole entry.
+ */
+function filterAudit(entries, { action = '', chat = '', user = '', q = '' } = {}) {
+  const needle = q.toLowerCase();
+  return entries.filter((e) =>
+    (!action || e.action === action)
+    && (!chat || String(e.chatId ?? e.chat_id ?? '') === chat)
+    && (!user || String(e.user_id ?? '') === user)
+    && (!needle || JSON.stringify(e).toLowerCase().includes(needle)));
+}
+
+/**
+ * LLM spend recorded by the gate (logs/gate.jsonl): the total, today's share,
+ * and the per-run cap from security.max_cost_per_run.
+ */
+function readSpend(file, config = {}) {
+  const spend = { totalUsd: 0, todayUsd: 0, calls: 0, capPerRunUsd: config.security?.max_cost_per_run ?? null };
+  let lines;
+  try { lines = fs.readFileSync(file, 'utf8').split('\n'); } catch { return spend; }
+  const today = new Date().toISOString().slice(0, 10);
+  for (const line of lines) {
+    if (!line) continue;
+    let e;
+    try { e = JSON.parse(line); } catch { continue; }
+    const cost = e.result?.costUsd;
+    if (typeof cost !== 'number') continue;
+    spend.totalUsd += cost;
+    spend.calls++;
+    const when = new Date(e.timestamp ?? e.ts ?? NaN);
+    if (!Number.isNaN(when.getTime()) && when.toISOString().slice(0, 10) === today) spend.todayUsd += cost;
+  }
+  return spend;
+}
+
+// The scheduler comes up with the daemon; before that (or without it) show none.
+function listJobsSafe(router) {
+  try { return router.listJobs(); } catch { return []; }
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) { req.destroy(); resolve(null); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8'))); } catch { resolve(null); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { DashboardServer, filterAudit, readSpend };
@@ -0,0 +1,139 @@
+// multis admin dashboard. The token comes from the URL fragment (never part of
+// a page request) and goes back as a Bearer header on every /api call. Mode
+// changes go to the daemon's governed core; `off` comes back asking for the
+// PIN, which is read into a password field and sent with a second request.
+(function () {
+  const token = new URLSearchParams(location.hash.slice(1)).get('token') || '';
+  const status = document.getElementById('status');
+  const notice = document.getElementById('notice');
+  const auditFilter = document.getElementById('audit-filter');
+
+  function api(path, opts) {
+    opts = opts || {};
+    const headers = { Authorization: 'Bearer ' + token };
+    if (opts.body) headers['Content-Type'] = 'application/json';
+    return fetch(path, { method: opts.method || 'GET', headers: headers, body: opts.body ? JSON.stringify(opts.body) : undefined })
+      .then(function (res) { return res.json().then(function (data) { return { status: res.status, data: data }; }); });
+  }
+
+  function el(tag, text, cls) {
+    const node = document.createElement(tag);
+    if (text != null) node.textContent = text;
+    if (cls) node.className = cls;
+    return node;
+  }
+
+  function when(iso) {
+    return iso ? new Date(iso).toLocaleString() : '';
+  }
+
+  function say(text) {
+    notice.textContent = text;
+    notice.style.display = text ? 'block' : 'none';
+  }
+
+  // Fill a table: a header row, then one row per item (cells are text or nodes).
+  function table(id, head, rows) {
+    const t = document.getElementById(id);
+    t.textContent = '';
+    if (!rows.length) { t.appendChild(el('tr')).appendChild(el('td', 'nothing here', 'empty')); return; }
+    const hr = t.appendChild(el('tr'));
+    head.forEach(function (h) { hr.appendChild(el('th', h)); });
+    rows.forEach(function (cells) {
+      const tr = t.appendChild(el('tr'));
+      cells.forEach(function (c) {
+        const td = tr.appendChild(el('td'));
+        if (c instanceof Node) td.appendChild(c); else td.textContent = c == null ? '' : String(c);
+      });
+    });
+  }
+
+  function modePicker(chat) {
+    const select = el('select');
+    chat.modes.concat(chat.modes.indexOf(chat.mode) === -1 ? [chat.mode] : []).forEach(function (m) {
+      const opt = el('option', m);
+      opt.value = m;
+      opt.selected = m === chat.mode;
+      select.appendChild(opt);
+    });
+    select.addEventListener('change', function () { setMode(chat, select.value); });
+    return select;
+  }
+
+  function setMode(chat, mode, pin) {
+    api('/api/chats/' + encodeURIComponent(chat.id) + '/mode', { method: 'POST', body: { mode: mode, pin: pin } })
+      .then(function (r) {
+        if (r.data.ok) { say(chat.name + ' set to ' + mode + '.'); return load(); }
+        if (r.data.needsPin) return askPin(chat, mode, r.data.echo);
+        say('Not changed: ' + (r.data.reason || r.data.error || 'denied'));
+        return load();
+      });
+  }
+
+  function askPin(chat, mode, echo) {
+    say('');
+    const form = el('form');
+    const pin = el('input');
+    pin.type = 'password';
+    pin.inputMode = 'numeric';
+    pin.placeholder = 'PIN';
+    form.append(el('span', 'PIN to ' + (echo || 'set ' + chat.name + ' to ' + mode) + ': '), pin, el('button', 'Confirm'));
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      notice.textContent = '';
+      setMode(chat, mode, pin.value);
+    });
+    notice.textContent = '';
+    notice.appendChild(form);
+    notice.style.display = 'block';
+    pin.focus();
+  }
+
+  function load() {
+    return api('/api/overview').then(function (r) {
+      if (r.status === 401) { status.textContent = 'bad or missing #token= in the URL'; return; }
+      const d = r.data;
+      status.textContent = d.chats.length + ' chats';
+      table('chats', ['Chat', 'Platform', 'Mode', 'From', 'Agent', 'Last active'], d.chats.map(function (c) {
+        return [c.name, [c.platform, c.network].filter(Boolean).join(' · '), modePicker(c), c.source, c.agent || '', when(c.lastActive)];
+      }));
+      table('pending', ['Chat', 'Kind', 'About', 'Expires'], d.pending.map(function (p) {
+        return [p.chatId, p.kind, p.label || '', when(p.expiresAt)];
+      }));
+      table('jobs', ['Id', 'Type', 'Schedule', 'Action'], d.jobs.map(function (j) {
+        return [j.id, j.type + (j.agentic ? ' [agent]' : ''), j.schedule, j.action];
+      }));
+      table('documents', ['File', 'Scope', 'Version', 'Chunks', 'Indexed'], d.documents.map(function (doc) {
+        return [doc.filename, doc.scope, 'v' + doc.version, doc.chunks, when(doc.indexedAt)];
+      }));
+      const s = d.spend;
+      table('spend', ['', ''], [
+        ['Today', '$' + s.todayUsd.toFixed(4)],
+        ['All recorded', '$' + s.totalUsd.toFixed(4) + ' over ' + s.calls + ' LLM calls'],
+        ['Cap per run', s.capPerRunUsd == null ? 'none' : '$' + s.capPerRunUsd],
+      ]);
+    });
+  }
+
+  function loadAudit() {
+    const q = new URLSearchParams(new FormData(auditFilter)).toString();
+    return api('/api/audit?' + q).then(function (r) {
+      if (r.status !== 200) return;
+      table('audit', ['Time', 'Action', 'Chat', 'User', 'Details'], r.data.entries.map(function (e) {
+        const rest = Object.assign({}, e);
+        ['timestamp', 'action', 'chatId', 'chat_id', 'user_id'].forEach(function (k) { delete rest[k]; });
+        return [when(e.timestamp), e.action, e.chatId || e.chat_id || '', e.user_id || '', el('pre', JSON.stringify(rest))];
+      }));
+    });
+  }
+
+  auditFilter.addEventListener('submit', function (e) {
+    e.preventDefault();
+    loadAudit();
+  });
+
+  if (!token) { status.textContent = 'missing #token= in the URL'; return; }
+  load();
+  loadAudit();
+  setInterval(load, 15000);
+})();
@@ -29,7 +29,10 @@
 
 const fs = require('fs');
 const path = require('path');
-const { PATHS, getMultisDir } = require('../config');
+const { PATHS, getMultisDir, reportIssues } = require('../config');
+const { validate, SCHEMAS } = require('../schema');
+const { emitWebhook } = require('./webhooks');
+const metrics = require('../metrics');
 
 let _bareguard = null;
 let _wireGate = null;
@@ -317,12 +320,20 @@ function translateAction(toolName, args, ctx, defaultTranslator = (n, a, c) => (
  */
 function loadGovernance() {
   try {
-    return JSON.parse(fs.readFileSync(PATHS.governance(), 'utf8'));
+    const governance = JSON.parse(fs.readFileSync(PATHS.governance(), 'utf8'));
+    reportIssues('auth/governance.json', validate(governance, SCHEMAS.governance));
+    return governance;
   } catch {
     return { commands: { allowlist: [], denylist: [] }, paths: { allowed: [], denied: [] } };
   }
 }
 
+/** A tool call the gate refused: counted, and sent as a gate_denied webhook (not awaited). */
+function emitDenied(toolName, ctx, reason) {
+  metrics.inc('multis_gate_denials_total', { tool: toolName });
+  emitWebhook('gate_denied', { tool: toolName, reason, chat_id: ctx?.chatId, sender_id: ctx?.senderId, platform: ctx?.platformName });
+}
+
 /**
  * Create a Gate for the multis process. Shared budget + audit across all chats.
  *
@@ -343,7 +354,7 @@ async function createGate(opts = {}) {
 
   const auditPath = opts.fileless
     ? null  // explicit null → fileless in-memory (bareguard 0.4 B4)
-    : (opts.auditPath || path.join(getMultisDir(), 'logs', 'gate.jsonl'));
+    : (opts.auditPath || PATHS.gateLog());
 
   const budgetFile = opts.fileless
     ? undefined
@@ -405,14 +416,18 @@ async function createGate(opts = {}) {
   // destructive command PASSES this floor (not walled) and the core's classifier +
   // ceremony gate it on execute. wireGate.policy throws HaltError on halt severity
   // (caught by Loop) and returns deny strings verbatim on action severity.
-  // Non-owner attempts are recorded so a denial isn't silent.
+  // Non-owner attempts are recorded so a denial isn't silent, and every deny
+  // string (owner check or bareguard) goes out as a gate_denied webhook.
   const policy = async (toolName, args, ctx) => {
     const ownerDeny = ownerCheck(toolName, ctx);
     if (ownerDeny) {
       await recordDeny(toolName, args, ctx, 'denied-owner', ownerDeny);
+      emitDenied(toolName, ctx, ownerDeny);
       return ownerDeny;
     }
-    return wired.policy(toolName, args, ctx);
+    const verdict = await wired.policy(toolName, args, ctx);
+    if (typeof verdict === 'string') emitDenied(toolName, ctx, verdict);
+    return verdict;
   };
 
   return {
@@ -1,5 +1,7 @@
 'use strict';
 
+const { sendPrompt, platformKind } = require('../platforms/base');
+
 /**
  * humanChannel for bareguard Gate. The single approval path for every gate
  * ask/halt — including always-ask confirms (flags) that previously went through
@@ -74,21 +76,22 @@ function createHumanPrompt({ platformRegistry, pinManager, config, autoResponder
     // (park-and-resume); risky actions now escalate to it, so an inline yes/no is
     // no longer the approval path here. Telegram dispatches each update
     // concurrently, so the reply lands in its own context — it still inline-waits.
-    if (reqCtx.platform === 'beeper') {
+    if (platformKind(reqCtx.platform) === 'beeper') {
       try {
         await platform.send(chatId, `${summary}\n\n(Auto-declined — Beeper can't run an inline yes/no. Destructive actions ask for your PIN instead; re-run if you meant it.)`);
       } catch { /* best-effort */ }
       return { decision: 'deny', reason: 'serial-poll transport: ask auto-denied (no inline HITL)' };
     }
 
+    let promptId;
     try {
-      await platform.send(chatId, summary);
+      promptId = await sendPrompt(platform, chatId, summary, { choices: [{ label: 'Approve', value: 'yes' }, { label: 'Deny', value: 'no' }] });
     } catch (err) {
       return { decision: 'deny', reason: `humanChannel: send failed: ${err.message}` };
     }
 
-    // Wait for the reply.
-    const reply = await waitForReply(pending, chatId, senderId, { timeoutMs });
+    // Wait for the reply (typed, a button, or a 👍/👎 on the prompt itself).
+    const reply = await waitForReply(pending, chatId, senderId, { timeoutMs, promptId });
     if (reply == null) {
       return { decision: 'deny', reason: `humanChannel: timeout after ${timeoutMs}ms` };
     }
@@ -163,7 +166,7 @@ function summarizedArgs(action) {
  *
  * @returns {Promise<string|null>} the raw reply text, or null on timeout.
  */
-function waitForReply(pending, chatId, senderId, { timeoutMs } = {}) {
+function waitForReply(pending, chatId, senderId, { timeoutMs, promptId } = {}) {
   return new Promise((resolve) => {
     const done = (text) => {
       clearTimeout(timer);
@@ -174,7 +177,8 @@ function waitForReply(pending, chatId, senderId, { timeoutMs } = {}) {
     if (typeof timer.unref === 'function') timer.unref();
     // No `match` → any next message from this conversation is the reply (the
     // challenge interprets yes/no/PIN/CONFIRM itself), preserving prior behavior.
-    pending.set(chatId, senderId, 'gate_reply', { resolve: done, ttlMs: timeoutMs + 60_000 });
+    // promptId (when the platform returned one) lets a reaction answer only this prompt.
+    pending.set(chatId, senderId, 'gate_reply', { resolve: done, ttlMs: timeoutMs + 60_000, promptId: promptId ?? null });
   });
 }
 
@@ -201,7 +205,7 @@ function createCeremonyPrompt({ platformRegistry, pinManager } = {}) {
     // action so the owner approves what will actually run (POC finding #2).
     const echoLine = opts.echo ? `\n\n  ${opts.echo}\n` : ' ';
     try {
-      await platform.send(ctx.chatId, `🔒 That action needs your PIN.${echoLine}Reply with your PIN:`);
+      await sendPrompt(platform, ctx.chatId, `🔒 That action needs your PIN.${echoLine}Reply with your PIN:`, { input: 'pin' });
     } catch {
       return 'no-channel';
     }
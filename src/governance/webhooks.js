@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+/**
+ * Outbound webhooks — tell another system (a ticketing queue, an on-call bot)
+ * when something needs a human: an escalation, a contact hitting the rate
+ * limit, a governance denial, a scheduled job finishing.
+ *
+ * config.webhooks is a list of { url, secret, events }. Each event is POSTed as
+ * JSON { id, event, timestamp, data } to every hook subscribed to it (no
+ * `events` = all of them). With a secret, the body is signed:
+ *
+ *   X-Multis-Signature: sha256=<hex HMAC-SHA256 of the raw body>
+ *
+ * Delivery is best-effort and fire-and-forget, like the audit log: one attempt,
+ * a failure is logged, and nothing the bot is doing ever waits on it.
+ */
+
+const EVENTS = ['escalation', 'rate_limit', 'gate_denied', 'job_completed'];
+const TIMEOUT_MS = 10000;
+
+let _hooks = [];
+let _fetch = (...args) => fetch(...args);
+
+/**
+ * Set the hooks events go to. Called once at startup with config.webhooks;
+ * an entry without a valid http(s) url is skipped with a warning.
+ * @param {Array<{url: string, secret?: string, events?: string[]}>} [hooks]
+ * @param {object} [opts]
+ * @param {Function} [opts.fetch] - transport override (tests)
+ */
+function configureWebhooks(hooks = [], opts = {}) {
+  _hooks = [];
+  for (const hook of hooks || []) {
+    let url;
+    try { url = new URL(hook?.url); } catch { url = null; }
+    if (!url || !/^https?:$/.test(url.protocol)) {
+      console.warn(`Webhooks: skipping entry with invalid url "${hook?.url}"`);
+      continue;
+    }
+    const unknown = (hook.events || []).filter((e) => !EVENTS.includes(e));
+    if (unknown.length) console.warn(`Webhooks: ${url.host} lists unknown event(s) ${unknown.join(', ')} — known: ${EVENTS.join(', ')}`);
+    _hooks.push({ url: url.href, secret: hook.secret || '', events: hook.events?.length ? hook.events : null });
+  }
+  if (opts.fetch) _fetch = opts.fetch;
+}
+
+/** HMAC-SHA256 of a raw body, in the X-Multis-Signature form. */
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Send an event to every hook subscribed to it.
+ * @param {string} event - one of EVENTS
+ * @param {object} data - event details
+ * @returns {Promise<number>} how many hooks accepted it (callers need not await)
+ */
+async function emitWebhook(event, data = {}) {
+  const targets = _hooks.filter((h) => !h.events || h.events.includes(event));
+  if (!targets.length) return 0;
+  const id = crypto.randomUUID();
+  const body = JSON.stringify({ id, event, timestamp: new Date().toISOString(), data });
+  const results = await Promise.all(targets.map(async (hook) => {
+    const headers = { 'Content-Type': 'application/json', 'X-Multis-Event': event, 'X-Multis-Delivery': id };
+    if (hook.secret) headers['X-Multis-Signature'] = signPayload(body, hook.secret);
+    try {
+      const res = await _fetch(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return true;
+    } catch (err) {
+      console.error(`Webhooks: ${event} to ${new URL(hook.url).host} failed — ${err.message}`);
+      return false;
+    }
+  }));
+  return results.filter(Boolean).length;
+}
+
+module.exports = { configureWebhooks, emitWebhook, signPayload, EVENTS };
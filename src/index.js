@@ -1,10 +1,23 @@
-const { loadConfig, ensureMultisDir, PATHS } = require('./config');
+const { loadConfig, ensureMultisDir, beeperEndpoints, PATHS } = require('./config');
 const { logAudit } = require('./governance/audit');
+const { configureWebhooks } = require('./governance/webhooks');
 const { createMessageRouter } = require('./bot/handlers');
 const { TelegramPlatform } = require('./platforms/telegram');
 const { BeeperPlatform } = require('./platforms/beeper');
+const { MatrixPlatform } = require('./platforms/matrix');
+const { WebPlatform } = require('./platforms/web');
+const { ApiPlatform } = require('./platforms/api');
+const { TerminalPlatform } = require('./platforms/terminal');
+const { DashboardServer } = require('./dashboard/server');
+const { MetricsServer } = require('./metrics/server');
+const metrics = require('./metrics');
+const { EmailPlatform } = require('./platforms/email');
+const { Outbox } = require('./platforms/outbox');
+const { platformKind } = require('./platforms/base');
 const { cleanupLogs } = require('./maintenance/cleanup');
+const { createBackup, pruneBackups, lastBackupAt } = require('./maintenance/backup');
 const context = require('./context');
+const { FolderWatcher } = require('./context/watch');
 const { RateLimiter } = require('./security/rate-limit');
 const { makeWriteGate } = require('./security/write-gate');
 const fs = require('fs');
@@ -38,7 +51,21 @@ async function main() {
   });
   context.setBounds(config.documents);
 
-  const handler = createMessageRouter(config);
+  // Escalations, rate-limit trips, gate denials and job completions → config.webhooks
+  configureWebhooks(config.webhooks);
+
+  // Every platform send goes through the outbox (retries, rate limits, dead letters).
+  const outbox = new Outbox({ file: PATHS.outbox(), config: config.outbox });
+  metrics.registerGauge('multis_outbox_pending', () => {
+    const byPlatform = new Map();
+    for (const item of outbox.pending) byPlatform.set(item.platform, (byPlatform.get(item.platform) || 0) + 1);
+    return [...byPlatform].map(([platform, value]) => ({ labels: { platform }, value }));
+  });
+  metrics.registerGauge('multis_outbox_dead_letters', () => [{ value: outbox.dead.length }]);
+  // Folders registered with /watch, re-indexed as they change (started below,
+  // once the platforms are up — the first sweep can take a while).
+  const watcher = new FolderWatcher({ file: PATHS.watches(), indexer: context, config: config.documents });
+  const handler = createMessageRouter(config, { outbox, watcher });
   const platforms = [];
 
   // Telegram — enabled by default (backward compat)
@@ -53,18 +80,77 @@ async function main() {
     }
   }
 
-  // Beeper — opt-in
+  // Beeper — opt-in; one adapter per beeperbox endpoint (platforms.beeper.endpoints)
   if (config.platforms?.beeper?.enabled) {
     try {
-      const beeper = new BeeperPlatform(config);
-      beeper.onMessage(handler);
-      handler.registerPlatform('beeper', beeper);
-      platforms.push(beeper);
+      for (const endpoint of beeperEndpoints(config)) {
+        if (endpoint.enabled === false) continue;
+        const beeper = new BeeperPlatform(config, endpoint);
+        beeper.onMessage(handler);
+        handler.registerPlatform(beeper.name, beeper);
+        platforms.push(beeper);
+      }
     } catch (err) {
       console.error(`Beeper: ${err.message}`);
     }
   }
 
+  // Matrix — opt-in (native homeserver, no bridge)
+  if (config.platforms?.matrix?.enabled) {
+    try {
+      const matrix = new MatrixPlatform(config);
+      matrix.onMessage(handler);
+      handler.registerPlatform('matrix', matrix);
+      platforms.push(matrix);
+    } catch (err) {
+      console.error(`Matrix: ${err.message}`);
+    }
+  }
+
+  // Web — opt-in (localhost chat UI served by the daemon)
+  if (config.platforms?.web?.enabled) {
+    try {
+      const web = new WebPlatform(config);
+      web.onMessage(handler);
+      handler.registerPlatform('web', web);
+      platforms.push(web);
+    } catch (err) {
+      console.error(`Web: ${err.message}`);
+    }
+  }
+
+  // API — opt-in (localhost REST for other services, acting as the owner)
+  if (config.platforms?.api?.enabled) {
+    try {
+      const api = new ApiPlatform(config);
+      api.onMessage(handler);
+      handler.registerPlatform('api', api);
+      platforms.push(api);
+    } catch (err) {
+      console.error(`API: ${err.message}`);
+    }
+  }
+
+  // Email — opt-in (IMAP/SMTP support mailbox, business mode)
+  if (config.platforms?.email?.enabled) {
+    try {
+      const email = new EmailPlatform(config);
+      email.onMessage(handler);
+      handler.registerPlatform('email', email);
+      platforms.push(email);
+    } catch (err) {
+      console.error(`Email: ${err.message}`);
+    }
+  }
+
+  // Terminal — on by default; the daemon side of `multis chat` (owner-only Unix socket)
+  if (config.platforms?.terminal?.enabled !== false) {
+    const terminal = new TerminalPlatform(config);
+    terminal.onMessage(handler);
+    handler.registerPlatform('terminal', terminal);
+    platforms.push(terminal);
+  }
+
   if (platforms.length === 0) {
     console.error('No platforms configured. Set up at least one platform.');
     process.exit(1);
@@ -77,13 +163,47 @@ async function main() {
 
   for (const p of platforms) {
     const ok = await p.start();
-    if (ok === false && p.name === 'beeper') {
-      console.warn('⚠ Beeper Desktop not reachable. Start Beeper Desktop and restart multis.');
+    if (ok === false && platformKind(p.name) === 'beeper') {
+      console.warn(`⚠ beeperbox for ${p.name} not reachable. Start it and restart multis.`);
+    } else if (ok === false && p.name === 'matrix') {
+      console.warn('⚠ Matrix homeserver not reachable. Check platforms.matrix and restart multis.');
+    } else if (ok === false && p.name === 'email') {
+      console.warn('⚠ Email mailbox not reachable. Check platforms.email and restart multis.');
     }
   }
 
   console.log(`Running on: ${platforms.map(p => p.name).join(', ')}`);
 
+  // Metrics — opt-in (Prometheus /metrics and /healthz)
+  let metricsServer = null;
+  if (config.metrics?.enabled) {
+    try {
+      metricsServer = new MetricsServer(config, handler);
+      if (await metricsServer.start() === false) metricsServer = null;
+    } catch (err) {
+      console.error(`Metrics: ${err.message}`);
+      metricsServer = null;
+    }
+  }
+
+  // Dashboard — opt-in (local admin page; reads through the router, changes modes via the governed core)
+  let dashboard = null;
+  if (config.dashboard?.enabled) {
+    try {
+      dashboard = new DashboardServer(config, handler);
+      if (await dashboard.start() === false) dashboard = null;
+    } catch (err) {
+      console.error(`Dashboard: ${err.message}`);
+      dashboard = null;
+    }
+  }
+
+  // Retry whatever a previous run left queued, now that the platforms are up.
+  outbox.start();
+
+  // Catch up on whatever changed in watched folders while multis was stopped.
+  watcher.start().catch((err) => console.warn(`Watch: ${err.message}`));
+
   // Write PID file for daemon management
   const pidDir = path.dirname(PATHS.pid());
   if (!fs.existsSync(pidDir)) fs.mkdirSync(pidDir, { recursive: true });
@@ -115,12 +235,37 @@ async function main() {
     })();
   }, DAILY_MS);
 
+  // Automatic backups — opt-in. Checked hourly; one is taken once the newest in
+  // backups/ is older than backup.every_hours, then all but backup.keep are pruned.
+  if (config.backup?.enabled) {
+    const everyMs = (config.backup.every_hours || 24) * 60 * 60 * 1000;
+    const passphrase = process.env.MULTIS_BACKUP_PASSPHRASE || undefined;
+    const autoBackup = async () => {
+      const last = lastBackupAt();
+      if (last && Date.now() - last.getTime() < everyMs) return;
+      try {
+        const { file } = await createBackup({ passphrase });
+        const pruned = pruneBackups(undefined, config.backup.keep ?? 7);
+        console.log(`Backup: wrote ${file}${pruned.length ? ` (pruned ${pruned.length} old)` : ''}`);
+        logAudit({ action: 'backup', file, pruned: pruned.length, encrypted: !!passphrase });
+      } catch (err) {
+        console.error(`Backup failed: ${err.message}`);
+      }
+    };
+    autoBackup();
+    setInterval(autoBackup, 60 * 60 * 1000);
+  }
+
   // Graceful shutdown
   const shutdown = async (signal) => {
     console.log(`\nShutting down (${signal})...`);
     logAudit({ action: 'bot_stop', reason: signal });
     // Remove PID file
     try { fs.unlinkSync(PATHS.pid()); } catch { /* ignore */ }
+    outbox.stop();
+    watcher.stop();
+    if (dashboard) await dashboard.stop();
+    if (metricsServer) await metricsServer.stop();
     for (const p of platforms) {
       await p.stop();
     }
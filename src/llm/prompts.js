@@ -3,6 +3,7 @@
  */
 
 const crypto = require('crypto');
+const { citeChunk } = require('../context/citation');
 
 /**
  * Wrap retrieved content (documents, past-message summaries) in a nonce-fenced
@@ -45,7 +46,7 @@ Only claim to have done something you actually did via a tool. If no tool covers
 
 You have persistent memory: the "Memory" section below (if present) holds durable notes from past conversations, and the recall_memory tool searches older summaries. Use them when relevant.
 
-If asked about documents and relevant chunks are present, cite sources. Be direct and concise. Act first, explain after.`;
+If asked about documents and relevant chunks are present, cite sources as each excerpt's header gives them, e.g. (contract.pdf p.14, §3.2). Be direct and concise. Act first, explain after.`;
 }
 
 // Contact-facing persona (M8 personal mode + any non-owner contact reply). A CONTACT is NOT the
@@ -61,12 +62,22 @@ function buildContactPrompt(name) {
 
 Answer the contact's questions helpfully and briefly using ONLY the information in the Memory and document sections below (when present). If the answer isn't there, say you don't have that information and offer to pass the message to the owner — do not guess, and never volunteer information, files, or details that weren't asked for.
 
-You have no access to the owner's machine and no ability to run commands or read files; do not offer or imply otherwise. If relevant document excerpts are present, cite the source. Be friendly, concise, and open about being an assistant rather than the owner.`;
+You have no access to the owner's machine and no ability to run commands or read files; do not offer or imply otherwise. If relevant document excerpts are present, cite the source as the excerpt's header gives it. Be friendly, concise, and open about being an assistant rather than the owner.`;
 }
 
 // Back-compat default (name = multis) for any caller that doesn't thread a name.
 const SYSTEM_PROMPT = baseSystemPrompt();
 
+// One excerpt per chunk, headed by the citation the answer should use
+// ("contract.pdf p.14, §3.2") and, when it says more, the full heading trail.
+function formatDocChunks(chunks) {
+  return chunks.map((chunk, i) => {
+    const trail = (chunk.sectionPath || []).filter(Boolean);
+    const context = trail.length > 1 ? ` — ${trail.join(' > ')}` : '';
+    return `--- Document ${i + 1} [${citeChunk(chunk)}]${context} ---\n${chunk.content}`;
+  });
+}
+
 /**
  * Build a RAG prompt from a question and search chunks.
  * @param {string} question - The user's question
@@ -82,17 +93,7 @@ function buildRAGPrompt(question, chunks, persona, assistantName) {
     };
   }
 
-  const formattedChunks = chunks.map((chunk, i) => {
-    const source = chunk.name || 'unknown';
-    const section = chunk.sectionPath?.join(' > ') || '';
-    const pages = chunk.pageStart != null
-      ? chunk.pageEnd && chunk.pageEnd !== chunk.pageStart
-        ? `pages ${chunk.pageStart}-${chunk.pageEnd}`
-        : `page ${chunk.pageStart}`
-      : '';
-    const meta = [source, section, pages].filter(Boolean).join(', ');
-    return `--- Document ${i + 1} [${meta}] ---\n${chunk.content}`;
-  });
+  const formattedChunks = formatDocChunks(chunks);
 
   // Retrieved chunks are untrusted (indexed docs / captured chats). Fence them
   // like buildMemorySystemPrompt does — the question stays outside the fence.
@@ -118,17 +119,7 @@ function buildMemorySystemPrompt(memoryMd, chunks, persona, assistantName) {
   }
 
   if (chunks && chunks.length > 0) {
-    const formattedChunks = chunks.map((chunk, i) => {
-      const source = chunk.name || 'unknown';
-      const section = chunk.sectionPath?.join(' > ') || '';
-      const pages = chunk.pageStart != null
-        ? chunk.pageEnd && chunk.pageEnd !== chunk.pageStart
-          ? `pages ${chunk.pageStart}-${chunk.pageEnd}`
-          : `page ${chunk.pageStart}`
-        : '';
-      const meta = [source, section, pages].filter(Boolean).join(', ');
-      return `--- Document ${i + 1} [${meta}] ---\n${chunk.content}`;
-    });
+    const formattedChunks = formatDocChunks(chunks);
     parts.push(`\n## Relevant documents\n`
       + fenceUntrusted('excerpts retrieved from indexed documents', formattedChunks.join('\n\n')));
   }
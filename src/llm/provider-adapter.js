@@ -50,4 +50,36 @@ function simpleGenerate(provider) {
   };
 }
 
-module.exports = { createProvider, simpleGenerate };
+/**
+ * Wraps a bareagent provider so each round's text reaches `onText` as the model
+ * writes it. A provider that can stream has stream(messages, tools, options): an
+ * async iterable of { type: 'text', text } pieces, ending in { type: 'done', result }
+ * where result is what generate() would have returned. onText gets the round's
+ * text so far; generate() still resolves to the whole { text, toolCalls, usage },
+ * so the Loop can't tell the difference. A provider without stream() comes back
+ * unchanged — its rounds arrive whole.
+ * @param {Object} provider — bareagent provider
+ * @param {(textSoFar: string) => void} onText
+ * @returns {Object} — a provider whose generate() streams where it can
+ */
+function streamingGenerate(provider, onText) {
+  if (typeof provider.stream !== 'function') return provider;
+  return Object.assign(Object.create(provider), {
+    generate: async (messages, tools, options) => {
+      let text = '';
+      let result = null;
+      for await (const event of provider.stream(messages, tools, options)) {
+        if (event?.type === 'text' && event.text) {
+          text += event.text;
+          onText(text);
+        } else if (event?.type === 'done') {
+          result = event.result;
+        }
+      }
+      if (!result) throw new Error('LLM stream ended without a result');
+      return result;
+    }
+  });
+}
+
+module.exports = { createProvider, simpleGenerate, streamingGenerate };
@@ -0,0 +1,125 @@
+/**
+ * Image understanding — inbound photos for the agent loop.
+ * A vision-capable model gets the image as a native content block on the live
+ * user turn; any other model gets the text a local tesseract binary reads off it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { scrubbedEnv } = require('../skills/executor');
+
+const execFileAsync = promisify(execFile);
+
+// Marks a message that carried a photo; the OCR fallback adds its text after IMAGE_TEXT_MARKER.
+const IMAGE_MARKER = '[image]';
+const IMAGE_TEXT_MARKER = '[image text]';
+
+// Model families that read images, per provider. Anthropic needs no list: every
+// Claude model since 3 does. `llm.vision: true|false` overrides the guess.
+const OPENAI_VISION = /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|vision|^o[134]\b/;
+const OLLAMA_VISION = /llava|bakllava|moondream|minicpm-v|vision|qwen2\.5vl|gemma3|llama4/;
+// The providers imageUserMessage knows how to hand an image to.
+const IMAGE_PROVIDERS = new Set(['anthropic', 'openai', 'ollama']);
+
+/**
+ * Is this attachment a photo the agent should see?
+ * @param {{ mimeType?: string, fileName?: string }} a
+ */
+function isImageAttachment(a) {
+  return !!a && (/^image\//i.test(a.mimeType || '') || /\.(jpe?g|png|gif|webp)$/i.test(a.fileName || ''));
+}
+
+/**
+ * Can this LLM config's model read images? Never for a provider imageUserMessage
+ * has no shape for — not even with `llm.vision: true` — so such a model gets the
+ * OCR text instead of a turn it can't be sent.
+ * @param {{ provider?: string, model?: string, vision?: boolean }} llm
+ */
+function supportsVision(llm = {}) {
+  const provider = (llm.provider || 'anthropic').toLowerCase();
+  if (!IMAGE_PROVIDERS.has(provider)) return false;
+  if (typeof llm.vision === 'boolean') return llm.vision;
+  const model = String(llm.model || '').toLowerCase();
+  if (provider === 'anthropic') return true;
+  if (provider === 'openai') return OPENAI_VISION.test(model);
+  if (provider === 'ollama') return OLLAMA_VISION.test(model);
+  return false;
+}
+
+/**
+ * The image's real media type from its magic bytes — providers reject a block
+ * whose declared type doesn't match, and chat apps label loosely. Null when it
+ * isn't a format the providers accept.
+ * @param {Buffer} buf
+ */
+function sniffImageType(buf) {
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (buf.length >= 6 && /^GIF8[79]a$/.test(buf.toString('latin1', 0, 6))) return 'image/gif';
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+/**
+ * The live user turn carrying images, in the provider's native shape (the loop
+ * hands messages to the provider as-is). Null for a provider with no known shape.
+ * @param {string} provider - config.llm.provider
+ * @param {string} text
+ * @param {Array<{ mimeType: string, data: Buffer }>} images
+ */
+function imageUserMessage(provider, text, images) {
+  switch ((provider || 'anthropic').toLowerCase()) {
+    case 'anthropic':
+      return {
+        role: 'user',
+        content: [
+          ...images.map((img) => ({ type: 'image', source: { type: 'base64', media_type: img.mimeType, data: img.data.toString('base64') } })),
+          { type: 'text', text },
+        ],
+      };
+    case 'openai':
+      return {
+        role: 'user',
+        content: [
+          { type: 'text', text },
+          ...images.map((img) => ({ type: 'image_url', image_url: { url: `data:${img.mimeType};base64,${img.data.toString('base64')}` } })),
+        ],
+      };
+    case 'ollama':
+      return { role: 'user', content: text, images: images.map((img) => img.data.toString('base64')) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read the text off an image with the local tesseract binary (config.vision),
+ * run as argv with no shell and the bot's secrets scrubbed from its env.
+ * @param {Buffer} buffer - the image bytes
+ * @param {object} cfg - config.vision
+ * @returns {Promise<string>} the recognized text, whitespace-collapsed ('' for none)
+ */
+async function ocrImage(buffer, cfg = {}) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'multis-ocr-'));
+  try {
+    const input = path.join(dir, 'image');
+    await fs.promises.writeFile(input, buffer);
+    const { stdout } = await execFileAsync(cfg.ocr_binary || 'tesseract', [input, 'stdout', '-l', cfg.ocr_language || 'eng'], {
+      encoding: 'utf8',
+      timeout: cfg.timeout_ms || 30000,
+      maxBuffer: 1024 * 1024,
+      env: scrubbedEnv(),
+    });
+    return stdout.replace(/\s+/g, ' ').trim();
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  IMAGE_MARKER, IMAGE_TEXT_MARKER,
+  isImageAttachment, supportsVision, sniffImageType, imageUserMessage, ocrImage,
+};
@@ -0,0 +1,366 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { PATHS, getMultisDir, ensureMultisDir, loadConfig } = require('../config');
+
+/**
+ * Backup and restore of the whole ~/.multis tree — config, litectx.db, the
+ * scheduler, PIN sessions, audit and chat logs — as one .tar.gz.
+ *
+ * SQLite files are copied with SQLite's online backup API rather than read
+ * off disk, so a backup taken while the daemon is writing is still a
+ * consistent database. run/ (PID, sockets, watch cursors) is left out: a
+ * restored cursor would replay every message since the backup was taken.
+ *
+ * With a passphrase the archive is encrypted (AES-256-GCM, scrypt-derived key)
+ * and gets a .enc suffix. The first entry, manifest.json, records the multis
+ * version and a SHA-256 per file; restore checks both before touching anything.
+ */
+
+const FORMAT = 1;
+const MANIFEST = 'manifest.json';
+const ENC_MAGIC = Buffer.from('MLTSENC1');
+const SQLITE_MAGIC = Buffer.from('SQLite format 3\u0000');
+const NAME_RE = /^multis-\d{8}-\d{6}\.tar\.gz(\.enc)?$/;
+const PKG_VERSION = require('../../package.json').version;
+const scrypt = promisify(crypto.scrypt);
+
+// Relative paths (posix) left out of a backup.
+function excluded(rel) {
+  const top = rel.split('/')[0];
+  return top === 'run' || top === 'backups'
+    || /-(wal|shm|journal)$/.test(rel) || rel.endsWith('.sock');
+}
+
+/**
+ * Write a backup of the multis directory.
+ *
+ * The daemon takes these on a timer, so nothing here holds the event loop or
+ * the whole archive in memory: each file is first copied into a staging
+ * directory (SQLite through its backup API), which fixes its size and checksum
+ * for the manifest even while the daemon keeps appending to its logs; the tar
+ * is then streamed from there through gzip (and the cipher) to disk.
+ * @param {object} [opts]
+ * @param {string} [opts.out] - archive path; defaults to backups/multis-<stamp>.tar.gz[.enc]
+ * @param {string} [opts.passphrase] - encrypt with this
+ * @returns {Promise<{file: string, files: number, bytes: number}>}
+ */
+async function createBackup({ out, passphrase } = {}) {
+  const dir = getMultisDir();
+  if (!fs.existsSync(PATHS.config())) throw new Error(`nothing to back up — no config in ${dir}`);
+  const file = out || path.join(PATHS.backups(), backupName(new Date(), !!passphrase));
+  const staging = await fsp.mkdtemp(path.join(os.tmpdir(), 'multis-backup-'));
+  const partial = `${file}.partial`;
+  try {
+    const entries = [];
+    for (const rel of walk(dir)) {
+      const src = path.join(dir, ...rel.split('/'));
+      const copy = path.join(staging, String(entries.length));
+      const { mode } = await fsp.stat(src);
+      if (isSqlite(src)) await snapshotSqlite(src, copy);
+      else await fsp.copyFile(src, copy);
+      entries.push({ path: rel, mode: mode & 0o777, file: copy, ...(await hashFile(copy)) });
+    }
+    const manifest = {
+      format: FORMAT,
+      multis_version: PKG_VERSION,
+      created_at: new Date().toISOString(),
+      files: entries.map((e) => ({ path: e.path, size: e.size, sha256: e.sha256 })),
+    };
+    const head = { path: MANIFEST, mode: 0o600, data: Buffer.from(JSON.stringify(manifest, null, 2)) };
+    await fsp.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+    await pipeline(
+      Readable.from(tarStream([head, ...entries])),
+      zlib.createGzip(),
+      ...(passphrase ? [await encryptStream(passphrase)] : []),
+      fs.createWriteStream(partial, { mode: 0o600 }),
+    );
+    await fsp.rename(partial, file);
+    return { file, files: entries.length, bytes: (await fsp.stat(file)).size };
+  } finally {
+    await fsp.rm(partial, { force: true });
+    await fsp.rm(staging, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Open an archive and check it — format, every file against its checksum —
+ * without restoring anything.
+ * @returns {{manifest: object, entries: Array<{path, mode, data}>}}
+ */
+function readBackup(file, { passphrase } = {}) {
+  let archive = fs.readFileSync(file);
+  if (isEncrypted(archive)) {
+    if (!passphrase) throw new Error('this backup is encrypted — a passphrase is needed');
+    archive = decrypt(archive, passphrase);
+  }
+  let entries;
+  try {
+    entries = readTar(zlib.gunzipSync(archive));
+  } catch (err) {
+    throw new Error(`not a multis backup (${err.message})`);
+  }
+  const head = entries.shift();
+  if (head?.path !== MANIFEST) throw new Error('not a multis backup (no manifest)');
+  const manifest = JSON.parse(head.data.toString('utf8'));
+  if (manifest.format !== FORMAT) throw new Error(`backup format ${manifest.format} is not supported by multis ${PKG_VERSION}`);
+  const listed = new Map(manifest.files.map((f) => [f.path, f]));
+  for (const e of entries) {
+    const want = listed.get(e.path);
+    if (!want || want.sha256 !== sha256(e.data)) throw new Error(`backup is damaged — ${e.path} does not match its checksum`);
+    listed.delete(e.path);
+  }
+  if (listed.size) throw new Error(`backup is incomplete — ${[...listed.keys()][0]} is missing`);
+  return { manifest, entries };
+}
+
+/**
+ * Replace the multis directory with a backup. Refuses while the daemon runs,
+ * and refuses a backup from a newer multis unless `force`. The current
+ * directory is kept beside it as <dir>.before-restore-<stamp>; backups/ moves
+ * over so earlier archives stay where they were. The restored config then goes
+ * through loadConfig, which applies any migrations this version has.
+ * @returns {{manifest: object, files: number, previous: string|null, warning: string|null}}
+ */
+function restoreBackup(file, { passphrase, force = false } = {}) {
+  const dir = getMultisDir();
+  const pid = runningPid();
+  if (pid) throw new Error(`multis is running (PID ${pid}) — stop it first: multis stop`);
+  const { manifest, entries } = readBackup(file, { passphrase });
+  if (!force && compareVersions(manifest.multis_version, PKG_VERSION) > 0) {
+    throw new Error(`backup was made by multis ${manifest.multis_version}, this is ${PKG_VERSION} — upgrade first (or --force)`);
+  }
+
+  const fresh = `${dir}.restore-${process.pid}`;
+  fs.rmSync(fresh, { recursive: true, force: true });
+  fs.mkdirSync(fresh, { mode: 0o700 });
+  for (const e of entries) {
+    const target = path.resolve(fresh, ...e.path.split('/'));
+    if (!target.startsWith(fresh + path.sep)) throw new Error(`backup has an unsafe path: ${e.path}`);
+    fs.mkdirSync(path.dirname(target), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(target, e.data, { mode: e.mode || 0o600 });
+  }
+
+  let previous = null;
+  if (fs.existsSync(dir)) {
+    const backups = path.join(dir, 'backups');
+    if (fs.existsSync(backups)) fs.renameSync(backups, path.join(fresh, 'backups'));
+    previous = `${dir}.before-restore-${stamp(new Date())}`;
+    fs.renameSync(dir, previous);
+  }
+  fs.renameSync(fresh, dir);
+
+  // Layout and config migrations, the same ones a daemon start would run.
+  // The files are already in place, so a config that won't load is reported
+  // rather than thrown — `multis doctor` is the place to fix it.
+  let warning = null;
+  try {
+    ensureMultisDir();
+    loadConfig();
+  } catch (err) {
+    warning = `restored config did not load: ${err.message}`;
+  }
+  return { manifest, files: entries.length, previous, warning };
+}
+
+/**
+ * Delete all but the newest `keep` archives in a backups directory.
+ * Only files named like createBackup's are touched.
+ * @returns {string[]} the files removed
+ */
+function pruneBackups(dir = PATHS.backups(), keep = 7) {
+  if (!fs.existsSync(dir)) return [];
+  const old = fs.readdirSync(dir).filter((f) => NAME_RE.test(f)).sort().reverse().slice(Math.max(keep, 1));
+  for (const f of old) fs.unlinkSync(path.join(dir, f));
+  return old;
+}
+
+/** The newest archive's time, or null when there is none. */
+function lastBackupAt(dir = PATHS.backups()) {
+  if (!fs.existsSync(dir)) return null;
+  const newest = fs.readdirSync(dir).filter((f) => NAME_RE.test(f)).sort().pop();
+  return newest ? fs.statSync(path.join(dir, newest)).mtime : null;
+}
+
+// --- files ---------------------------------------------------------------
+
+function walk(root, rel = '') {
+  const out = [];
+  for (const d of fs.readdirSync(path.join(root, rel), { withFileTypes: true })) {
+    const child = rel ? `${rel}/${d.name}` : d.name;
+    if (excluded(child)) continue;
+    if (d.isDirectory()) out.push(...walk(root, child));
+    else if (d.isFile()) out.push(child);
+  }
+  return out;
+}
+
+function isSqlite(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const head = Buffer.alloc(SQLITE_MAGIC.length);
+    return fs.readSync(fd, head, 0, head.length, 0) === head.length && head.equals(SQLITE_MAGIC);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// SQLite's online backup: a consistent copy even with the daemon writing.
+async function snapshotSqlite(src, dest) {
+  const Database = require('better-sqlite3');
+  const db = new Database(src, { readonly: true, fileMustExist: true });
+  try {
+    await db.backup(dest);
+  } finally {
+    db.close();
+  }
+}
+
+function runningPid() {
+  try {
+    const pid = parseInt(fs.readFileSync(PATHS.pid(), 'utf8').trim(), 10);
+    process.kill(pid, 0);
+    return pid;
+  } catch {
+    return null;
+  }
+}
+
+function stamp(d) {
+  const p = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${p(d.getMonth() + 1)}${p(d.getDate())}-${p(d.getHours())}${p(d.getMinutes())}${p(d.getSeconds())}`;
+}
+
+function backupName(date, encrypted) {
+  return `multis-${stamp(date)}.tar.gz${encrypted ? '.enc' : ''}`;
+}
+
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < 3; i++) if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  return 0;
+}
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+async function hashFile(file) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of fs.createReadStream(file)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { size, sha256: hash.digest('hex') };
+}
+
+// --- encryption: magic | salt(16) | iv(12) | ciphertext | tag(16) ----------
+
+function isEncrypted(buf) {
+  return buf.length > ENC_MAGIC.length && buf.subarray(0, ENC_MAGIC.length).equals(ENC_MAGIC);
+}
+
+// A pipeline stage writing the same layout as decrypt reads, chunk by chunk.
+async function encryptStream(passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', await scrypt(passphrase, salt, 32), iv);
+  return async function* (source) {
+    yield Buffer.concat([ENC_MAGIC, salt, iv]);
+    for await (const chunk of source) yield cipher.update(chunk);
+    yield cipher.final();
+    yield cipher.getAuthTag();
+  };
+}
+
+function decrypt(buf, passphrase) {
+  const salt = buf.subarray(8, 24);
+  const iv = buf.subarray(24, 36);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), iv);
+  decipher.setAuthTag(buf.subarray(buf.length - 16));
+  try {
+    return Buffer.concat([decipher.update(buf.subarray(36, buf.length - 16)), decipher.final()]);
+  } catch {
+    throw new Error('wrong passphrase, or the backup is damaged');
+  }
+}
+
+// --- tar (ustar, with a pax header for paths over 100 bytes) ---------------
+
+function tarHeader(name, size, mode, type = '0') {
+  const h = Buffer.alloc(512);
+  h.write(name, 0, 100, 'utf8');
+  h.write(mode.toString(8).padStart(7, '0'), 100);
+  h.write('0000000', 108);
+  h.write('0000000', 116);
+  h.write(size.toString(8).padStart(11, '0'), 124);
+  h.write(Math.floor(Date.now() / 1000).toString(8).padStart(11, '0'), 136);
+  h.write('        ', 148);
+  h.write(type, 156);
+  h.write('ustar\u000000', 257);
+  let sum = 0;
+  for (const b of h) sum += b;
+  h.write(sum.toString(8).padStart(6, '0') + '\u0000 ', 148);
+  return h;
+}
+
+function padded(data) {
+  const rest = data.length % 512;
+  return rest ? [data, Buffer.alloc(512 - rest)] : [data];
+}
+
+// Entries carry their bytes (`data`) or a staged file to stream (`file`, `size`).
+async function* tarStream(entries) {
+  for (const e of entries) {
+    const size = e.data ? e.data.length : e.size;
+    if (Buffer.byteLength(e.path) > 100) {
+      const record = paxRecord('path', e.path);
+      yield* [tarHeader('PaxHeader', record.length, 0o644, 'x'), ...padded(record)];
+    }
+    yield tarHeader(e.path.slice(0, 100), size, e.mode);
+    if (e.data) yield e.data;
+    else yield* fs.createReadStream(e.file);
+    if (size % 512) yield Buffer.alloc(512 - (size % 512));
+  }
+  yield Buffer.alloc(1024);
+}
+
+// "<len> key=value\n", where len counts itself.
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLen = Buffer.byteLength(body);
+  let len = bodyLen;
+  while (String(len).length + bodyLen !== len) len = String(len).length + bodyLen;
+  return Buffer.from(`${len}${body}`);
+}
+
+function readTar(buf) {
+  const entries = [];
+  let off = 0;
+  let longName = null;
+  while (off + 512 <= buf.length) {
+    const h = buf.subarray(off, off + 512);
+    if (h.every((b) => b === 0)) break;
+    const field = (start, len) => h.subarray(start, start + len).toString('utf8').replace(/\u0000.*$/s, '');
+    const size = parseInt(field(124, 12).trim(), 8);
+    const type = field(156, 1) || '0';
+    if (Number.isNaN(size)) throw new Error('bad tar header');
+    const data = buf.subarray(off + 512, off + 512 + size);
+    off += 512 + Math.ceil(size / 512) * 512;
+    if (type === 'x') {
+      longName = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(data.toString('utf8'))?.[1] || null;
+      continue;
+    }
+    if (type === '0') entries.push({ path: longName || field(0, 100), mode: parseInt(field(100, 8).trim(), 8), data: Buffer.from(data) });
+    longName = null;
+  }
+  return entries;
+}
+
+module.exports = { createBackup, readBackup, restoreBackup, pruneBackups, lastBackupAt };
@@ -31,12 +31,17 @@ class ChatMemoryManager {
 
   // --- Daily log (append-only, never indexed) ---
 
-  appendToLog(role, content) {
+  /**
+   * @param {string} role
+   * @param {string} content
+   * @param {{ edited?: boolean }} [opts] - the content is a message's edited text
+   */
+  appendToLog(role, content, { edited = false } = {}) {
     const now = new Date();
     const dateStr = now.toISOString().slice(0, 10);
     const timeStr = now.toISOString().slice(11, 19);
     const logFile = path.join(this.logDir, `${dateStr}.md`);
-    const entry = `### ${timeStr} [${role}]\n${content}\n\n`;
+    const entry = `### ${timeStr} [${role}]${edited ? ' (edited)' : ''}\n${content}\n\n`;
     fs.appendFileSync(logFile, entry);
   }
 }
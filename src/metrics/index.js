@@ -0,0 +1,135 @@
+/**
+ * Process metrics in the Prometheus text format, served at /metrics by
+ * MetricsServer. Counters and histograms live here for the life of the
+ * process; gauges (queue depth) are read from their owner at scrape time.
+ *
+ * Every metric is declared in METRICS below — an undeclared name throws, so a
+ * typo at a call site shows up in tests rather than as a missing series.
+ * Labels stay low-cardinality: platform, mode, capability, outcome — never a
+ * chat id, sender or free text.
+ */
+
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+const METRICS = {
+  multis_messages_received_total: { type: 'counter', help: 'Inbound messages by platform and routing mode (direct = a DM or command with no chat mode)' },
+  multis_llm_rounds_total: { type: 'counter', help: 'LLM calls made by the agent loop, by provider and outcome' },
+  multis_llm_round_seconds: { type: 'histogram', help: 'Latency of one agent-loop LLM call', buckets: LATENCY_BUCKETS },
+  multis_tool_calls_total: { type: 'counter', help: 'Tool calls the agent loop executed, by capability and outcome' },
+  multis_governed_actions_total: { type: 'counter', help: 'Actions through the governed core (slash commands, app verbs, ceremony-capable tools), by capability and outcome' },
+  multis_gate_denials_total: { type: 'counter', help: 'Tool calls and actions refused by governance, by tool' },
+  multis_rate_limit_trips_total: { type: 'counter', help: 'Contacts paused by the rate limiter, by limit' },
+  multis_escalations_total: { type: 'counter', help: 'Escalations sent to the admins, by origin' },
+  multis_scheduler_runs_total: { type: 'counter', help: 'Scheduled jobs that fired, by kind and status' },
+  multis_outbox_pending: { type: 'gauge', help: 'Outbound sends waiting for a retry, by platform' },
+  multis_outbox_dead_letters: { type: 'gauge', help: 'Outbound sends that gave up (see /outbox)' },
+};
+
+let _series = new Map();   // name → Map(labelKey → { labels, value } | histogram state)
+const _gauges = new Map(); // name → () => [{ labels, value }]
+
+function declared(name, type) {
+  const def = METRICS[name];
+  if (!def) throw new Error(`metrics: unknown metric ${name}`);
+  if (def.type !== type) throw new Error(`metrics: ${name} is a ${def.type}, not a ${type}`);
+  return def;
+}
+
+function seriesFor(name, labels) {
+  if (!_series.has(name)) _series.set(name, new Map());
+  const byLabels = _series.get(name);
+  const key = labelString(labels);
+  if (!byLabels.has(key)) byLabels.set(key, { labels: { ...labels }, value: 0 });
+  return byLabels.get(key);
+}
+
+/**
+ * Add to a counter.
+ * @param {string} name - a counter from METRICS
+ * @param {object} [labels]
+ * @param {number} [n]
+ */
+function inc(name, labels = {}, n = 1) {
+  declared(name, 'counter');
+  seriesFor(name, labels).value += n;
+}
+
+/**
+ * Record one observation in a histogram.
+ * @param {string} name - a histogram from METRICS
+ * @param {object} labels
+ * @param {number} value - seconds, for the latency histograms
+ */
+function observe(name, labels, value) {
+  const def = declared(name, 'histogram');
+  const s = seriesFor(name, labels);
+  if (!s.buckets) Object.assign(s, { buckets: def.buckets.map(() => 0), sum: 0, count: 0 });
+  def.buckets.forEach((le, i) => { if (value <= le) s.buckets[i]++; });
+  s.sum += value;
+  s.count++;
+}
+
+/**
+ * Time an async call into a histogram; the promise's outcome is passed through.
+ * @returns {Promise<*>}
+ */
+async function timed(name, labels, fn) {
+  const start = process.hrtime.bigint();
+  try {
+    return await fn();
+  } finally {
+    observe(name, labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+}
+
+/**
+ * Report a gauge from its owner at scrape time (the outbox knows its depth).
+ * Registering the same name again replaces the reader.
+ * @param {string} name - a gauge from METRICS
+ * @param {() => Array<{labels?: object, value: number}>} read
+ */
+function registerGauge(name, read) {
+  declared(name, 'gauge');
+  _gauges.set(name, read);
+}
+
+/** Everything recorded so far, in the Prometheus text exposition format. */
+function render() {
+  const out = [];
+  for (const [name, def] of Object.entries(METRICS)) {
+    out.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+    if (def.type === 'gauge') {
+      let samples = [];
+      try { samples = _gauges.get(name)?.() || []; } catch (err) {
+        console.error(`Metrics: reading ${name} failed — ${err.message}`);
+      }
+      for (const { labels = {}, value } of samples) out.push(`${name}${labelString(labels)} ${value}`);
+      continue;
+    }
+    for (const s of _series.get(name)?.values() || []) {
+      if (def.type === 'counter') {
+        out.push(`${name}${labelString(s.labels)} ${s.value}`);
+        continue;
+      }
+      def.buckets.forEach((le, i) => out.push(`${name}_bucket${labelString({ ...s.labels, le })} ${s.buckets[i]}`));
+      out.push(`${name}_bucket${labelString({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      out.push(`${name}_sum${labelString(s.labels)} ${s.sum}`);
+      out.push(`${name}_count${labelString(s.labels)} ${s.count}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+/** Forget every counter and histogram (tests). Gauge readers stay. */
+function resetMetrics() {
+  _series = new Map();
+}
+
+function labelString(labels) {
+  const parts = Object.entries(labels)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+module.exports = { inc, observe, timed, registerGauge, render, resetMetrics, METRICS };
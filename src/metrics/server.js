@@ -0,0 +1,94 @@
+const http = require('http');
+const { parseBind, tokenEquals } = require('../platforms/base');
+const { render } = require('./index');
+
+const DEFAULT_BIND = '127.0.0.1:9464';
+
+/**
+ * Metrics and health for monitoring a running daemon:
+ *
+ *   GET /metrics  → Prometheus text format (see src/metrics/index.js)
+ *   GET /healthz  → 200 { ok: true, checks } or 503 { ok: false, checks }
+ *
+ * The health checks come from router.health(): each beeperbox endpoint is
+ * reachable, litectx answers, and the LLM provider's circuit breaker is not
+ * open. A failing check turns the whole answer into a 503, so an uptime probe
+ * needs nothing but the status code.
+ *
+ * With `metrics.token` set, both routes want `Authorization: Bearer <token>`
+ * (Prometheus: `authorization: { credentials: ... }`). Without one they are
+ * open — keep the bind on 127.0.0.1 then.
+ */
+class MetricsServer {
+  /**
+   * @param {object} config
+   * @param {Function} router - createMessageRouter's router, for health()
+   */
+  constructor(config, router) {
+    this.config = config;
+    this.router = router;
+    const mc = config.metrics || {};
+    const { host, port } = parseBind(mc.bind || DEFAULT_BIND, 'metrics.bind');
+    this.host = host;
+    this.port = port;
+    this.token = mc.token || process.env.MULTIS_METRICS_TOKEN || null;
+    this.server = null;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this._onRequest(req, res).catch((err) => {
+        console.error(`Metrics: handler error — ${err.message}`);
+        if (!res.headersSent) reply(res, 500, 'application/json', JSON.stringify({ error: 'internal error' }));
+      });
+    });
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.host, () => {
+          this.server.off('error', reject);
+          resolve();
+        });
+      });
+    } catch (err) {
+      console.error(`Metrics: cannot listen on ${this.host}:${this.port} — ${err.message}`);
+      this.server = null;
+      return false;
+    }
+    this.port = this.server.address().port; // bind port 0 → the one we got
+    console.log(`Metrics: http://${this.host}:${this.port}/metrics and /healthz`);
+    return true;
+  }
+
+  async stop() {
+    if (this.server) {
+      const closed = new Promise((r) => this.server.close(() => r()));
+      this.server.closeAllConnections();
+      await closed;
+      this.server = null;
+    }
+  }
+
+  async _onRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (this.token) {
+      const auth = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+      if (!tokenEquals(auth?.[1], this.token)) return reply(res, 401, 'application/json', JSON.stringify({ error: 'unauthorized' }));
+    }
+    if (req.method === 'GET' && url.pathname === '/metrics') {
+      return reply(res, 200, 'text/plain; version=0.0.4; charset=utf-8', render());
+    }
+    if (req.method === 'GET' && url.pathname === '/healthz') {
+      const health = await this.router.health();
+      return reply(res, health.ok ? 200 : 503, 'application/json; charset=utf-8', JSON.stringify(health));
+    }
+    return reply(res, 404, 'application/json', JSON.stringify({ error: 'not found' }));
+  }
+}
+
+function reply(res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+module.exports = { MetricsServer };
@@ -0,0 +1,244 @@
+const http = require('http');
+const { Platform, parseBind, tokenEquals } = require('./base');
+const { Message, looksLikeCommand } = require('./message');
+const { formatMarkdown } = require('./format');
+
+const DEFAULT_BIND = '127.0.0.1:7879';
+const DEFAULT_CHAT_ID = 'api-owner';
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_BACKLOG = 50;              // replies held for a chat no request is waiting on
+// The router keys memory, modes and jobs by chat id across every platform, so a
+// caller's chat_id lives under its own prefix and can never name another
+// platform's chat (a Telegram user id, a Beeper room).
+const CHAT_PREFIX = 'api:';
+
+/**
+ * Local HTTP API — lets other services on the machine act as the owner:
+ *
+ *   POST /v1/messages     { text, chat_id? }  → { chat_id, replies: [...] }
+ *   GET  /v1/messages?chat_id=               → { chat_id, replies: [...] } held since
+ *   GET  /v1/jobs                            → { jobs: [...] }
+ *   GET  /v1/jobs/:id                        → { job }
+ *   POST /v1/escalations  { reason, urgency? } → { notified }
+ *
+ * Every request carries `Authorization: Bearer <platforms.api.token>`. A posted
+ * message is an owner message on platform `api` — it goes through the router
+ * like one typed in the owner's own chat, so commands, the PIN ceremony and the
+ * governance gate all apply. The response carries what the bot sent to that
+ * chat while handling it; a reply sent later (a /remind firing) is held until
+ * the next GET /v1/messages. A prompt (an approval, a PIN) ends the response
+ * early — the handler is waiting on the answer — and the caller POSTs the answer
+ * as its next message; that response then carries what the resumed turn sends,
+ * up to its end or its next prompt. Callers running requests side by side should use
+ * distinct chat_ids, or their replies mix. Inside multis the chat is
+ * `api:<chat_id>`; callers only ever see their own chat_id.
+ *
+ * Unlike the web chat, there is no per-run token: a service has to be
+ * configured with it, so no token means the API stays off.
+ */
+class ApiPlatform extends Platform {
+  constructor(config) {
+    super('api', config);
+    const ac = config.platforms?.api || {};
+    const { host, port } = parseBind(ac.bind || DEFAULT_BIND, 'platforms.api.bind');
+    this.host = host;
+    this.port = port;
+    this.token = ac.token || process.env.MULTIS_API_TOKEN || null;
+    this.server = null;
+    this._collecting = new Map(); // chatId -> { replies, release } for the request in flight
+    this._turns = new Map();      // chatId -> Set of router turns not yet finished
+    this._backlog = new Map();    // chatId -> [reply] nobody was waiting for
+    this._msgSeq = 0;
+  }
+
+  async start() {
+    if (!this.token) {
+      console.error('API: platforms.api.token (or MULTIS_API_TOKEN) is not set — not starting');
+      return false;
+    }
+    this.server = http.createServer((req, res) => {
+      this._onRequest(req, res).catch((err) => {
+        console.error(`API: handler error — ${err.message}`);
+        if (!res.headersSent) json(res, 500, { error: 'internal error' });
+      });
+    });
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.host, () => {
+          this.server.off('error', reject);
+          resolve();
+        });
+      });
+    } catch (err) {
+      console.error(`API: cannot listen on ${this.host}:${this.port} — ${err.message}`);
+      this.server = null;
+      return false;
+    }
+    this.port = this.server.address().port; // bind port 0 → the one we got
+    console.log(`API: listening on http://${this.host}:${this.port}/v1/`);
+    return true;
+  }
+
+  async stop() {
+    if (this.server) {
+      const closed = new Promise((r) => this.server.close(() => r()));
+      this.server.closeAllConnections();
+      await closed;
+      this.server = null;
+    }
+  }
+
+  async send(chatId, text) {
+    const reply = formatMarkdown(text, 'plain');
+    const key = routerChatId(chatId);
+    const collecting = this._collecting.get(key);
+    if (collecting) {
+      collecting.replies.push(reply);
+      return;
+    }
+    const queue = this._backlog.get(key) || [];
+    queue.push(reply);
+    if (queue.length > MAX_BACKLOG) queue.shift();
+    this._backlog.set(key, queue);
+  }
+
+  /**
+   * A prompt goes out with the replies, and ends the request in flight: the turn
+   * that sent it is now waiting on an answer only the caller's next POST can bring.
+   */
+  async sendPrompt(chatId, text) {
+    await this.send(chatId, text);
+    this._collecting.get(routerChatId(chatId))?.release();
+  }
+
+  async sendFile(chatId, filePath, caption) {
+    await this.send(chatId, `[file] ${filePath}${caption ? ` — ${caption}` : ''}`);
+  }
+
+  async _onRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const auth = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!tokenEquals(auth?.[1], this.token)) return json(res, 401, { error: 'unauthorized' });
+
+    if (url.pathname === '/v1/messages' && req.method === 'POST') {
+      const body = await readJson(req);
+      if (!body || typeof body.text !== 'string' || !body.text.trim()) return json(res, 400, { error: 'text is required' });
+      const chatId = chatIdFrom(body.chat_id);
+      if (!chatId) return json(res, 400, { error: 'chat_id must be 1-64 letters, digits, - or _' });
+      const replies = await this._handle(chatId, body.text);
+      return json(res, 200, { chat_id: chatId, replies });
+    }
+    if (url.pathname === '/v1/messages' && req.method === 'GET') {
+      const chatId = chatIdFrom(url.searchParams.get('chat_id'));
+      if (!chatId) return json(res, 400, { error: 'chat_id must be 1-64 letters, digits, - or _' });
+      const replies = this._backlog.get(routerChatId(chatId)) || [];
+      this._backlog.delete(routerChatId(chatId));
+      return json(res, 200, { chat_id: chatId, replies });
+    }
+    const jobMatch = /^\/v1\/jobs(?:\/([\w-]+))?$/.exec(url.pathname);
+    if (jobMatch && req.method === 'GET') {
+      const jobs = this._router('listJobs')();
+      if (!jobMatch[1]) return json(res, 200, { jobs });
+      const job = jobs.find((j) => String(j.id) === jobMatch[1]);
+      return job ? json(res, 200, { job }) : json(res, 404, { error: 'no such job' });
+    }
+    if (url.pathname === '/v1/escalations' && req.method === 'POST') {
+      const body = await readJson(req);
+      if (!body || typeof body.reason !== 'string' || !body.reason.trim()) return json(res, 400, { error: 'reason is required' });
+      const urgency = body.urgency === 'urgent' ? 'urgent' : 'normal';
+      const source = typeof body.source === 'string' && body.source.trim() ? body.source.trim().slice(0, 64) : 'api';
+      const notified = await this._router('escalate')({ reason: body.reason, urgency, source });
+      return json(res, 200, { notified });
+    }
+    return json(res, 404, { error: 'not found' });
+  }
+
+  /**
+   * Route one owner message and collect what the bot sends back to its chat
+   * until the chat's turns are done or one of them prompts (replies held from
+   * before come first). A turn parked on an earlier prompt counts: the answer
+   * this message carries resumes it, and what it sends belongs in this response.
+   * @param {string} callerChatId - the chat_id as the caller named it
+   */
+  async _handle(callerChatId, text) {
+    const chatId = routerChatId(callerChatId);
+    const replies = this._backlog.get(chatId) || [];
+    this._backlog.delete(chatId);
+    if (!this._messageCallback) return replies;
+    const msg = new Message({
+      id: `api-${Date.now()}-${++this._msgSeq}`,
+      platform: 'api',
+      chatId,
+      chatName: 'API',
+      senderId: chatId,
+      senderName: 'owner',
+      isSelf: true,
+      text,
+      raw: null,
+      routeAs: looksLikeCommand(text) ? null : 'natural',
+      isPersonalChat: true,
+      network: 'api',
+    });
+    let release;
+    const prompted = new Promise((resolve) => { release = resolve; });
+    const collecting = { replies, release };
+    this._collecting.set(chatId, collecting);
+    const turns = this._turns.get(chatId) || new Set();
+    this._turns.set(chatId, turns);
+    const turn = Promise.resolve().then(() => this._messageCallback(msg, this));
+    turns.add(turn);
+    const done = () => {
+      turns.delete(turn);
+      if (!turns.size && this._turns.get(chatId) === turns) this._turns.delete(chatId);
+    };
+    turn.then(done, done);
+    try {
+      await Promise.race([Promise.all([...turns]), prompted]);
+    } finally {
+      if (this._collecting.get(chatId) === collecting) this._collecting.delete(chatId);
+    }
+    return replies;
+  }
+
+  // The router (set by onMessage) also carries escalate() and listJobs().
+  _router(method) {
+    const fn = this._messageCallback?.[method];
+    if (typeof fn !== 'function') throw new Error(`router has no ${method}()`);
+    return fn;
+  }
+}
+
+// A chat id from before the prefix (a reminder scheduled then) still finds its chat.
+function routerChatId(chatId) {
+  const id = String(chatId);
+  return id.startsWith(CHAT_PREFIX) ? id : CHAT_PREFIX + id;
+}
+
+function chatIdFrom(value) {
+  if (value == null || value === '') return DEFAULT_CHAT_ID;
+  return /^[\w-]{1,64}$/.test(String(value)) ? String(value) : null;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) { req.destroy(); resolve(null); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8'))); } catch { resolve(null); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { ApiPlatform, DEFAULT_CHAT_ID };
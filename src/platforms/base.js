@@ -1,3 +1,9 @@
+const crypto = require('crypto');
+
+// Hard ceiling on a downloaded attachment (DoS guard) — the sender controls the
+// file. Every adapter's downloadAsset and the router's image path share it.
+const MAX_ASSET_BYTES = 25 * 1024 * 1024;
+
 /**
  * Abstract platform base class.
  * All platform adapters (Telegram, Beeper, etc.) extend this.
@@ -36,6 +42,15 @@ class Platform {
     throw new Error(`${this.name}: sendFile() not implemented`);
   }
 
+  // Optional: sendPrompt(chatId, text, { input: 'pin' } | { choices: [...] })
+  // renders a structured prompt (a PIN form, buttons). Platforms without it get
+  // the plain-text prompt — use the sendPrompt() helper below, not the method.
+
+  // Optional: editMessage(chatId, messageId, text) rewrites a message already
+  // sent, in place. A platform that has it returns the sent message's id from
+  // send(). Platforms without it (Beeper) just get one send of the finished
+  // reply — check with canEditMessages() below.
+
   /**
    * Register callback for incoming messages.
    * Callback receives Message objects.
@@ -45,4 +60,90 @@ class Platform {
   }
 }
 
-module.exports = { Platform };
+/**
+ * Send a prompt the owner answers with their next message. Platforms that can
+ * render one (a PIN field, buttons) get the structured form; the rest get the
+ * text. Either way the answer arrives as an ordinary message.
+ * @param {object} platform
+ * @param {string} chatId
+ * @param {string} text - the full prompt, readable on its own
+ * @param {{ input?: 'pin', choices?: Array<string|{label:string,value:string}> }} prompt
+ */
+async function sendPrompt(platform, chatId, text, prompt) {
+  if (typeof platform.sendPrompt === 'function') return platform.sendPrompt(chatId, text, prompt);
+  return platform.send(chatId, text);
+}
+
+/**
+ * Can this platform rewrite a sent message (for a reply that streams in)?
+ * @param {object} platform
+ */
+function canEditMessages(platform) {
+  return typeof platform?.editMessage === 'function';
+}
+
+/**
+ * Can this platform send a file (its own sendFile, not the base stub)?
+ * @param {object} platform
+ */
+function canSendFiles(platform) {
+  return typeof platform?.sendFile === 'function' && platform.sendFile !== Platform.prototype.sendFile;
+}
+
+/**
+ * The adapter behind a registered platform name: `beeper:work` → `beeper`.
+ * Named Beeper endpoints register as `beeper:<name>`; every other name is its
+ * own kind.
+ * @param {string} name
+ */
+function platformKind(name) {
+  return String(name || '').split(':')[0];
+}
+
+function assetTooLarge(bytes) {
+  return new Error(`Attachment too large: ~${(bytes / 1048576).toFixed(1)} MB exceeds limit of ${(MAX_ASSET_BYTES / 1048576).toFixed(0)} MB`);
+}
+
+/**
+ * Read an attachment download's body, bounded by MAX_ASSET_BYTES on both the
+ * declared length and the bytes actually read.
+ * @param {Response} res - an ok fetch() response
+ * @returns {Promise<Buffer>} the attachment bytes
+ */
+async function readAsset(res) {
+  const declared = Number(res.headers.get('content-length'));
+  if (declared > MAX_ASSET_BYTES) {
+    await res.body?.cancel().catch(() => {});
+    throw assetTooLarge(declared);
+  }
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of res.body) {
+    total += chunk.length;
+    if (total > MAX_ASSET_BYTES) throw assetTooLarge(total);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Split a `host:port` bind setting (IPv6 hosts in brackets) for the local
+ * HTTP servers — web chat, API, dashboard.
+ * @param {string} bind
+ * @param {string} key - the config key, for the error message
+ */
+function parseBind(bind, key) {
+  const m = /^(?:\[([^\]]+)\]|([^:]+)):(\d+)$/.exec(String(bind));
+  if (!m) throw new Error(`Invalid ${key} "${bind}" — expected host:port`);
+  return { host: m[1] || m[2], port: Number(m[3]) };
+}
+
+/** Constant-time token check; a missing token on either side never matches. */
+function tokenEquals(given, expected) {
+  if (!given || !expected) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { Platform, sendPrompt, canEditMessages, canSendFiles, platformKind, MAX_ASSET_BYTES, assetTooLarge, readAsset, parseBind, tokenEquals };
@@ -1,15 +1,40 @@
 const fs = require('fs');
-const { Platform } = require('./base');
+const { Platform, MAX_ASSET_BYTES, assetTooLarge } = require('./base');
 const { Message, looksLikeCommand } = require('./message');
 const { BeeperboxMcpClient } = require('./beeperbox-mcp');
+const { renderMessage } = require('./format');
 
 const DEFAULT_MCP_URL = 'http://localhost:23375';  // beeperbox MCP transport (watch/send)
 const DEFAULT_POLL_INTERVAL = 3000;
 const MAX_PAGES_PER_TICK = 10; // has_more drain cap so one tick can't starve the loop
-const MAX_ASSET_BYTES = 25 * 1024 * 1024; // hard ceiling on a downloaded attachment (DoS guard)
-const { PATHS, defaultModeForRole } = require('../config');
+const { PATHS, defaultModeForRole, beeperEndpoints } = require('../config');
 const { nameIsCalled } = require('../bot/name-match'); // M8: personal-mode name trigger
 
+// How a reply is written per bridged network (Beeper's own chats and anything
+// unlisted take Markdown as-is). SMS-like bridges get plain text in SMS-sized parts.
+const NETWORK_FORMATS = {
+  whatsapp: { dialect: 'whatsapp', maxLength: 4096 },
+  signal: { dialect: 'plain', maxLength: 4000 },
+  imessage: { dialect: 'plain', maxLength: 4000 },
+  sms: { dialect: 'plain', maxLength: 1600 },
+  androidsms: { dialect: 'plain', maxLength: 1600 },
+  gmessages: { dialect: 'plain', maxLength: 1600 },
+  gvoice: { dialect: 'plain', maxLength: 1600 },
+};
+const DEFAULT_FORMAT = { dialect: 'markdown', maxLength: 4000 };
+
+// Recently seen messages kept for quoting a reply whose reply_to carries only an id.
+const RECENT_MESSAGES_MAX = 500;
+
+// A message's reactions as beeperbox lists them: { key, sender: { id, name, is_self } }.
+function reactionsOf(msg) {
+  return (Array.isArray(msg.reactions) ? msg.reactions : []).filter((r) => r?.key);
+}
+
+function reactionKey(r) {
+  return `${r.sender?.id || ''} ${r.key}`;
+}
+
 /**
  * Beeper platform adapter — consumes beeperbox's MCP watch/send verbs.
  *
@@ -24,15 +49,28 @@ const { nameIsCalled } = require('../bot/name-match'); // M8: personal-mode name
  * discovery (list_inbox), and asset bytes (download_asset). It no longer touches
  * the raw Desktop API (:23373) at all. Native (non-beeperbox) Beeper Desktop has
  * no MCP transport and is not a target of this adapter.
+ *
+ * One instance serves one beeperbox. Several (one per Beeper account) run side
+ * by side from `platforms.beeper.endpoints`, each with its own cursor file, role
+ * and mode defaults, and admin chats, registered as `beeper:<name>`.
  */
 class BeeperPlatform extends Platform {
-  constructor(config) {
-    super('beeper', config);
-    const bc = config.platforms?.beeper || {};
-    this.mcpUrl = bc.mcp_url || DEFAULT_MCP_URL;
-    this.mcpToken = bc.mcp_token || process.env.MCP_AUTH_TOKEN || null;
-    this.pollInterval = bc.poll_interval || DEFAULT_POLL_INTERVAL;
-    this.commandPrefix = bc.command_prefix || '/';
+  /**
+   * @param {object} config
+   * @param {object} [endpoint] - one of beeperEndpoints(config); the single
+   *   platforms.beeper endpoint when omitted
+   */
+  constructor(config, endpoint = beeperEndpoints(config)[0]) {
+    super(endpoint.platformName, config);
+    this.account = endpoint.name || '';       // '' for the unnamed endpoint
+    this._tag = this.account ? `Beeper[${this.account}]` : 'Beeper'; // log prefix
+    this._endpoint = endpoint;
+    this.cursorFile = endpoint.cursor_file || PATHS.beeperCursor(this.account);
+    this._adminChats = (endpoint.admin_chats || []).map(String); // where this account escalates
+    this.mcpUrl = endpoint.mcp_url || DEFAULT_MCP_URL;
+    this.mcpToken = endpoint.mcp_token || process.env.MCP_AUTH_TOKEN || null;
+    this.pollInterval = endpoint.poll_interval || DEFAULT_POLL_INTERVAL;
+    this.commandPrefix = endpoint.command_prefix || '/';
     this.mcp = null;                    // BeeperboxMcpClient
     this._cursor = null;                // poll_messages opaque cursor (restart-safe)
     this._pollTimer = null;
@@ -40,8 +78,43 @@ class BeeperPlatform extends Platform {
     this._initialized = false;
     this._personalChats = new Set();    // chatIds that are note-to-self chats
     this._chatMeta = new Map();         // chatId -> { title, isNoteToSelf, network }
-    this._botChatId = bc.bot_chat_id || null; // Telegram bot chat to exclude
+    this._botChatId = endpoint.bot_chat_id || null; // Telegram bot chat to exclude
     this._sendSeq = 0;                  // client_tag uniqueness within this process
+    this._recent = new Map();           // message id -> { text, senderName }, oldest first
+  }
+
+  // Role and mode defaults are read from config on each use, like config.chats,
+  // so an edit takes effect without a restart.
+  _settings() {
+    return beeperEndpoints(this.config).find((e) => e.platformName === this.name) || this._endpoint;
+  }
+
+  /** This account's role (its bot_mode), when it isn't the daemon's. */
+  get botMode() {
+    return this._settings().bot_mode || null;
+  }
+
+  /** The mode a chat with no stored mode gets, when set for this account. */
+  get defaultMode() {
+    return this._settings().default_mode || null;
+  }
+
+  /** Per-network policies (`networks` in the endpoint config), keyed by lower-case network. */
+  get networks() {
+    return Object.fromEntries(Object.entries(this._settings().networks || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  }
+
+  /**
+   * The policy for a chat's network — default mode, rate limits, tools, reply
+   * prefix — or null when its network has none. The network is the one last
+   * seen on the chat, else the one recorded in config.chats.
+   * @param {string} chatId
+   * @returns {{ network: string, default_mode?: string, rate_limit?: object, tools?: string[], reply_prefix?: string }|null}
+   */
+  networkPolicy(chatId) {
+    const network = String(this._chatMeta.get(chatId)?.network || this.config.chats?.[chatId]?.network || '').toLowerCase();
+    const policy = network && this.networks[network];
+    return policy ? { network, ...policy } : null;
   }
 
   async start() {
@@ -53,16 +126,16 @@ class BeeperPlatform extends Platform {
       const accounts = await this.mcp.listAccounts();
       const list = Array.isArray(accounts) ? accounts : accounts?.items || [];
       if (list.length === 0) {
-        console.warn(`Beeper: beeperbox MCP reachable at ${this.mcpUrl} but 0 accounts connected — is Beeper logged in / are bridges linked? Watching will see nothing until an account exists.`);
+        console.warn(`${this._tag}: beeperbox MCP reachable at ${this.mcpUrl} but 0 accounts connected — is Beeper logged in / are bridges linked? Watching will see nothing until an account exists.`);
       } else {
         const nets = list.map((a) => a.network || a.network_label).filter(Boolean).join(', ');
-        console.log(`Beeper: connected via beeperbox MCP at ${this.mcpUrl} (${list.length} account(s): ${nets})`);
+        console.log(`${this._tag}: connected via beeperbox MCP at ${this.mcpUrl} (${list.length} account(s): ${nets})`);
       }
     } catch (err) {
       const hint = (err.code === 401 || err.code === 403)
-        ? 'auth failed — check platforms.beeper.mcp_token / MCP_AUTH_TOKEN'
+        ? `auth failed — check mcp_token for ${this.name} / MCP_AUTH_TOKEN`
         : 'unreachable — is beeperbox running? (container, `node mcp/server.js` lite mode, or remote)';
-      console.error(`Beeper: beeperbox MCP at ${this.mcpUrl} ${hint} — ${err.message}`);
+      console.error(`${this._tag}: beeperbox MCP at ${this.mcpUrl} ${hint} — ${err.message}`);
       return false;
     }
 
@@ -72,21 +145,21 @@ class BeeperPlatform extends Platform {
       const saved = this._loadCursor();
       if (saved) {
         this._cursor = saved;
-        console.log('Beeper: resumed watch cursor from disk');
+        console.log(`${this._tag}: resumed watch cursor from disk`);
       } else {
         const seed = await this.mcp.pollMessages({});
         this._cursor = seed.cursor;
         this._saveCursor();
-        console.log('Beeper: seeded watch cursor (from now)');
+        console.log(`${this._tag}: seeded watch cursor (from now)`);
       }
     } catch (err) {
-      console.error(`Beeper: cursor seed error — ${err.message}`);
+      console.error(`${this._tag}: cursor seed error — ${err.message}`);
       return false;
     }
     this._initialized = true;
 
     this._pollTimer = setInterval(() => this._poll(), this.pollInterval);
-    console.log(`Beeper: polling every ${this.pollInterval}ms for / commands`);
+    console.log(`${this._tag}: polling every ${this.pollInterval}ms for / commands`);
     return true;
   }
 
@@ -97,11 +170,33 @@ class BeeperPlatform extends Platform {
     }
   }
 
-  async send(chatId, text) {
-    // Unique client_tag → beeperbox tags the read-back source:"api" by exact id,
-    // so our own send is skipped on the next poll. No [multis] text prefix.
-    const client_tag = `multis-${process.pid}-${++this._sendSeq}`;
-    await this.mcp.sendMessage({ chat_id: chatId, text, client_tag });
+  /**
+   * @param {string} chatId
+   * @param {string} text
+   * @param {{ replyTo?: string, sendId?: string }} [opts] - replyTo makes the
+   *   first part a reply to that message; sendId (from the outbox) is the same
+   *   on every retry of one send
+   * @returns {Promise<string|null>} the id of the last part sent — the final id
+   *   beeperbox resolved it to, the one a reaction to it carries
+   */
+  async send(chatId, text, opts = {}) {
+    // Written for the chat's network, as known from its last sighting. A contact
+    // chat gets its network's reply prefix; the owner's own chats never do.
+    const network = String(this._chatMeta.get(chatId)?.network || '').toLowerCase();
+    const prefix = this._personalChats.has(chatId) ? '' : this.networkPolicy(chatId)?.reply_prefix || '';
+    let messageId = null;
+    for (const [i, part] of renderMessage(prefix + text, NETWORK_FORMATS[network] || DEFAULT_FORMAT).entries()) {
+      // Unique client_tag → beeperbox tags the read-back source:"api" by exact id,
+      // so our own send is skipped on the next poll. No [multis] text prefix.
+      // A retried send reuses its tags, so beeperbox drops the repeat of a part
+      // that already went through.
+      const client_tag = opts.sendId ? `multis-${opts.sendId}-${i}` : `multis-${process.pid}-${++this._sendSeq}`;
+      const args = { chat_id: chatId, text: part.text, client_tag };
+      if (opts.replyTo != null && i === 0) args.reply_to_message_id = String(opts.replyTo);
+      const sent = await this.mcp.sendMessage(args);
+      messageId = sent?.message_id != null ? String(sent.message_id) : null;
+    }
+    return messageId;
   }
 
   async _poll() {
@@ -129,7 +224,7 @@ class BeeperPlatform extends Platform {
       this._pollErrorLogged = false;
     } catch (err) {
       if (!this._pollErrorLogged) {
-        console.error(`Beeper: poll error — ${err.message}`);
+        console.error(`${this._tag}: poll error — ${err.message}`);
         this._pollErrorLogged = true;
       }
     } finally {
@@ -145,11 +240,34 @@ class BeeperPlatform extends Platform {
   async _handleMessage(msg) {
     const msgId = String(msg.id || '');
     if (!msgId) return;
+    const seen = this._recent.get(msgId);
+    this._remember(msgId, msg);
+
+    // A message sighted before is back because it changed. A new reaction is an
+    // event even on our own send (a reply to a prompt), so it's checked ahead of
+    // the echo-guard; changed text is an edit.
+    if (seen) {
+      for (const r of reactionsOf(msg)) {
+        if (!seen.reactions.has(reactionKey(r))) await this._route(msg, { event: 'reaction', reaction: r.key, sender: r.sender });
+      }
+      if (msg.source === 'api' || (msg.text || '') === seen.text) return;
+      await this._route(msg, { event: 'edit' });
+      return;
+    }
 
     // Echo-guard: beeperbox tags messages it sent via send_message/note_to_self
     // as source:"api" (exact-id matched). Skip our own programmatic sends.
     if (msg.source === 'api') return;
 
+    await this._route(msg, { event: 'message' });
+  }
+
+  /**
+   * Apply the chat's policy to one event on a message and route it: the message
+   * itself, its edit, or a reaction to it (from `sender`, with no text).
+   */
+  async _route(msg, { event, reaction, sender = msg.sender }) {
+    const msgId = String(msg.id);
     const chatId = msg.chat_id;
     if (!chatId) return;
     if (chatId === this._botChatId) return; // skip Telegram bot chat
@@ -162,8 +280,8 @@ class BeeperPlatform extends Platform {
 
     if (!this._messageCallback) return;
 
-    const text = msg.text || '';
-    const isSelf = msg.sender?.is_self === true;
+    const text = event === 'reaction' ? '' : msg.text || '';
+    const isSelf = sender?.is_self === true;
     const isPersonalChat = this._personalChats.has(chatId);
     const mode = this._getChatMode(chatId);
 
@@ -208,21 +326,28 @@ class BeeperPlatform extends Platform {
 
     if (!shouldProcess) return;
 
-    console.log(`Beeper: ${routeAs || 'command'} from ${meta.title || chatId}: ${text.slice(0, 80)}`);
+    const what = event === 'message' ? '' : ` ${event}`;
+    console.log(`${this._tag}: ${routeAs || 'command'}${what} from ${meta.title || chatId}: ${(reaction || text).slice(0, 80)}`);
 
     const normalized = new Message({
-      id: msgId,
+      id: event === 'reaction' ? `${msgId}:${sender?.id || ''}:${reaction}` : msgId,
       platform: 'beeper',
+      account: this.account,
       chatId,
       chatName: meta.title || '',
-      senderId: msg.sender?.id || '',
-      senderName: msg.sender?.name || '',
+      senderId: sender?.id || '',
+      senderName: sender?.name || '',
       isSelf,
       text,
       raw: msg,
       routeAs,
       isPersonalChat,
       network: msg.network || meta.network || '',
+      replyTo: this._quotedMessage(msg.reply_to),
+      threadId: msg.thread_id || null,
+      event,
+      reaction,
+      targetId: event === 'reaction' ? msgId : null,
     });
 
     // Attachments: beeperbox (>=0.7.0) surfaces attachments[] on each message
@@ -231,7 +356,7 @@ class BeeperPlatform extends Platform {
     // consumes; bytes are fetched on demand via the download_asset verb
     // (downloadAsset below), so doc-indexing works over a remote :23375-only
     // beeperbox too — no raw :23373 needed.
-    if (Array.isArray(msg.attachments) && msg.attachments.length) {
+    if (event === 'message' && Array.isArray(msg.attachments) && msg.attachments.length) {
       normalized._attachments = msg.attachments.map((a) => ({
         fileName: a.file_name || '',
         srcURL: a.src_url || '',
@@ -244,10 +369,35 @@ class BeeperPlatform extends Platform {
     try {
       await this._messageCallback(normalized, this);
     } catch (err) {
-      console.error(`Beeper: handler error — ${err.message}`);
+      console.error(`${this._tag}: handler error — ${err.message}`);
     }
   }
 
+  // Every sighted message (our own echoed sends included) is kept briefly, so a
+  // reply to it can be quoted and a change to it recognized.
+  _remember(id, msg) {
+    this._recent.delete(id);
+    this._recent.set(id, { text: msg.text || '', senderName: msg.sender?.name || '', reactions: new Set(reactionsOf(msg).map(reactionKey)) });
+    if (this._recent.size > RECENT_MESSAGES_MAX) this._recent.delete(this._recent.keys().next().value);
+  }
+
+  /**
+   * A message's reply_to as Message.replyTo. beeperbox gives the replied-to id,
+   * or the message itself where the bridge carries it; an id-only reply is quoted
+   * from the messages seen recently.
+   */
+  _quotedMessage(replyTo) {
+    if (!replyTo) return null;
+    const id = String(typeof replyTo === 'object' ? replyTo.id || '' : replyTo);
+    if (!id) return null;
+    const seen = this._recent.get(id);
+    return {
+      id,
+      text: replyTo.text || seen?.text || '',
+      senderName: replyTo.sender?.name || seen?.senderName || '',
+    };
+  }
+
   /**
    * Chat metadata (title, note-to-self flag, network) for routing. poll_messages
    * carries only chat_id/network per message, so the title + note-to-self flag
@@ -270,7 +420,7 @@ class BeeperPlatform extends Platform {
       // transient get_chat failure makes us treat the chat as non-personal for
       // this tick, which silently drops a self-command (it fails the
       // personal-chat gate). Logging makes that visible instead of mysterious.
-      console.error(`Beeper: get_chat(${chatId}) failed — ${err.message}`);
+      console.error(`${this._tag}: get_chat(${chatId}) failed — ${err.message}`);
       return { title: '', isNoteToSelf: false, network: '' };
     }
   }
@@ -289,7 +439,7 @@ class BeeperPlatform extends Platform {
 
   _loadCursor() {
     try {
-      const data = JSON.parse(fs.readFileSync(PATHS.beeperCursor(), 'utf8'));
+      const data = JSON.parse(fs.readFileSync(this.cursorFile, 'utf8'));
       return data.cursor || null;
     } catch {
       return null;
@@ -298,10 +448,10 @@ class BeeperPlatform extends Platform {
 
   _saveCursor() {
     try {
-      fs.writeFileSync(PATHS.beeperCursor(), JSON.stringify({ cursor: this._cursor, savedAt: new Date().toISOString() }));
+      fs.writeFileSync(this.cursorFile, JSON.stringify({ cursor: this._cursor, savedAt: new Date().toISOString() }));
     } catch (err) {
       if (!this._cursorSaveErrorLogged) {
-        console.error(`Beeper: cursor persist failed — ${err.message}`);
+        console.error(`${this._tag}: cursor persist failed — ${err.message}`);
         this._cursorSaveErrorLogged = true;
       }
     }
@@ -325,16 +475,21 @@ class BeeperPlatform extends Platform {
     // the file) and beeperbox returns it base64 in the MCP body. Reject before
     // Buffer.from materializes a huge buffer (base64 length ≈ bytes * 4/3).
     const estBytes = (res.data_base64.length * 3) / 4;
-    if (estBytes > MAX_ASSET_BYTES) {
-      throw new Error(
-        `Attachment too large: ~${(estBytes / 1048576).toFixed(1)} MB exceeds limit of ${(MAX_ASSET_BYTES / 1048576).toFixed(0)} MB`
-      );
-    }
+    if (estBytes > MAX_ASSET_BYTES) throw assetTooLarge(estBytes);
     return Buffer.from(res.data_base64, 'base64');
   }
 
+  /** Owner channels: the note-to-self chats seen so far, plus the configured admin chats. */
   getAdminChatIds() {
-    return [...this._personalChats];
+    return [...new Set([...this._personalChats, ...this._adminChats])];
+  }
+
+  /**
+   * Where an escalation from one of this account's chats goes: its configured
+   * admin_chats. Empty means no preference — every owner channel is told.
+   */
+  getEscalationChatIds() {
+    return [...this._adminChats];
   }
 
   _getChatMode(chatId) {
@@ -343,11 +498,14 @@ class BeeperPlatform extends Platform {
     // — including `personal` — is honored. (Note-to-self still falls through to `personal` below, but
     // the owner isSelf branches in _handleMessage handle that channel before any mode-based routing.)
     if (stored) return stored;
-    if (this.config.platforms?.beeper?.default_mode) return this.config.platforms.beeper.default_mode;
+    // Then the chat's network policy (platforms.beeper.networks), then the account's default.
+    const byNetwork = this.networkPolicy(chatId)?.default_mode;
+    if (byNetwork) return byNetwork;
+    if (this.defaultMode) return this.defaultMode;
     // Personal chats (note-to-self) are admin command channels — never restrict
     if (this._personalChats.has(chatId)) return 'personal';
-    // Non-owner default mode is derived from the owner's role (§3g).
-    return defaultModeForRole(this.config.bot_mode);
+    // Non-owner default mode is derived from the account's role (§3g).
+    return defaultModeForRole(this.botMode || this.config.bot_mode);
   }
 
 }
@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Platform } = require('./base');
+const { Message } = require('./message');
+const { ImapClient } = require('./imap-client');
+const { SmtpClient } = require('./smtp-client');
+const { formatMarkdown } = require('./format');
+const { parseMessage, parseAddress, parseMessageIds, stripQuoted, htmlToText, buildMessage, makeMessageId } = require('./mime');
+const { PATHS } = require('../config');
+const { nameIsCalled } = require('../bot/name-match'); // M8: personal-mode name trigger
+const { isImageAttachment } = require('../llm/vision');
+
+const DEFAULT_POLL_INTERVAL = 60000;
+const MAX_PER_POLL = 20;                   // bounded drain per tick, like Beeper's page cap
+const MAX_MESSAGE_BYTES = 25 * 1024 * 1024; // a raw mail larger than this is skipped (DoS guard)
+const MAX_THREADS = 500;                   // persisted reply context, most recent first
+const MAX_HELD_ASSETS = 50;                // attachments awaiting downloadAsset
+
+/**
+ * Email platform adapter — a support mailbox as a business-mode chat surface.
+ *
+ * Polls one IMAP mailbox by UID (last UID + UIDVALIDITY persisted to
+ * run/email-state.json, restart-resumable like the Beeper cursor), maps each
+ * thread to a chatId via its root Message-ID (References / In-Reply-To), and
+ * answers over SMTP with In-Reply-To/References so the reply lands in the
+ * customer's thread.
+ *
+ * Every sender is a contact: mail carries no authenticated owner signal (From
+ * is trivially forged), so nothing here is ever `isSelf` and no command runs
+ * from a mailbox. Mail is routed by chat mode — `business` by default, since
+ * enabling this adapter is a decision to answer customers.
+ */
+class EmailPlatform extends Platform {
+  constructor(config) {
+    super('email', config);
+    const ec = config.platforms?.email || {};
+    this.address = String(ec.address || '').toLowerCase();
+    if (!this.address) throw new Error('Email address (platforms.email.address) is required');
+    const password = process.env.MULTIS_EMAIL_PASSWORD;
+    this.imapOpts = { user: this.address, password, ...ec.imap };
+    this.smtpOpts = { user: this.address, password, ...ec.smtp };
+    if (!this.imapOpts.host) throw new Error('IMAP host (platforms.email.imap.host) is required');
+    if (!this.smtpOpts.host) throw new Error('SMTP host (platforms.email.smtp.host) is required');
+    this.mailbox = ec.mailbox || 'INBOX';
+    this.pollInterval = ec.poll_interval || DEFAULT_POLL_INTERVAL;
+    this.smtp = new SmtpClient(this.smtpOpts);
+    this._state = { uidValidity: null, lastUid: 0, threads: {} };
+    this._pollTimer = null;
+    this._polling = false;
+    this._initialized = false;
+    this._assets = new Map();               // srcURL -> Buffer (attachments held for downloadAsset)
+  }
+
+  async start() {
+    const saved = this._loadState();
+    try {
+      const imap = await this._openImap();
+      try {
+        const box = await imap.select(this.mailbox);
+        if (saved && saved.uidValidity === box.uidValidity) {
+          this._state = saved;
+          console.log('Email: resumed mailbox position from disk');
+        } else {
+          // First start (or the mailbox was rebuilt): start from now.
+          this._state = { uidValidity: box.uidValidity, lastUid: Math.max(0, (box.uidNext || 1) - 1), threads: saved?.threads || {} };
+          this._saveState();
+          console.log('Email: seeded mailbox position (from now)');
+        }
+      } finally {
+        await imap.logout();
+      }
+    } catch (err) {
+      const hint = err.status === 'NO' ? 'login or mailbox rejected — check platforms.email.imap' : 'unreachable — check platforms.email.imap.host/port';
+      console.error(`Email: IMAP ${this.imapOpts.host} ${hint} — ${err.message}`);
+      return false;
+    }
+    this._initialized = true;
+    this._pollTimer = setInterval(() => this._poll(), this.pollInterval);
+    console.log(`Email: polling ${this.address} every ${this.pollInterval}ms`);
+    return true;
+  }
+
+  async stop() {
+    if (this._pollTimer) {
+      clearInterval(this._pollTimer);
+      this._pollTimer = null;
+    }
+  }
+
+  async send(chatId, text) {
+    // A plain-text body has no size limit worth splitting for — one reply per send.
+    await this._reply(chatId, formatMarkdown(text, 'plain'));
+  }
+
+  async sendFile(chatId, filePath, caption) {
+    await this._reply(chatId, caption || '', {
+      fileName: path.basename(filePath),
+      mimeType: 'application/octet-stream',
+      content: fs.readFileSync(filePath),
+    });
+  }
+
+  async _reply(chatId, text, attachment) {
+    const thread = this._state.threads[chatId];
+    if (!thread) throw new Error(`Email: no thread for ${chatId}`);
+    const messageId = makeMessageId(this.address);
+    const data = buildMessage({
+      from: this.address,
+      to: thread.address,
+      subject: /^re:/i.test(thread.subject) ? thread.subject : `Re: ${thread.subject || ''}`.trim(),
+      text,
+      messageId,
+      inReplyTo: thread.lastMessageId,
+      references: thread.references,
+      attachment,
+    });
+    await this.smtp.send({ from: this.address, to: [thread.address], data });
+    thread.references = [...thread.references, messageId].slice(-20);
+    thread.updatedAt = new Date().toISOString();
+    this._saveState();
+  }
+
+  async _openImap() {
+    const imap = new ImapClient(this.imapOpts);
+    await imap.connect();
+    try {
+      await imap.login();
+    } catch (err) {
+      imap.close();
+      throw err;
+    }
+    return imap;
+  }
+
+  async _poll() {
+    if (!this._initialized) return;
+    if (this._polling) return; // prevent overlapping polls
+    this._polling = true;
+    let imap = null;
+    try {
+      imap = await this._openImap();
+      const box = await imap.select(this.mailbox);
+      if (box.uidValidity !== this._state.uidValidity) {
+        // UIDs were reset server-side — the old position is meaningless.
+        console.warn('Email: UIDVALIDITY changed — reseeding from now');
+        this._state.uidValidity = box.uidValidity;
+        this._state.lastUid = Math.max(0, (box.uidNext || 1) - 1);
+        this._saveState();
+        return;
+      }
+      const uids = (await imap.uidsAfter(this._state.lastUid)).slice(0, MAX_PER_POLL);
+      for (const uid of uids) {
+        const raw = await imap.fetchRaw(uid);
+        // Advance before handling: at-most-once, same contract as the Beeper cursor.
+        this._state.lastUid = uid;
+        this._saveState();
+        if (raw) await this._handleRaw(uid, raw);
+      }
+      this._pollErrorLogged = false;
+    } catch (err) {
+      if (!this._pollErrorLogged) {
+        console.error(`Email: poll error — ${err.message}`);
+        this._pollErrorLogged = true;
+      }
+    } finally {
+      if (imap) await imap.logout().catch(() => {});
+      this._polling = false;
+    }
+  }
+
+  /**
+   * Apply multis policy to one fetched mail and route it. An attachment is
+   * delivered as its own Message (the router's attachment path indexes it
+   * silently and returns), then the text as a second one — so a question with
+   * a file attached is both indexed and answered.
+   */
+  async _handleRaw(uid, raw) {
+    if (raw.length > MAX_MESSAGE_BYTES) {
+      console.warn(`Email: skipping UID ${uid} — ${(raw.length / 1048576).toFixed(1)} MB exceeds limit`);
+      return;
+    }
+    const mail = parseMessage(raw);
+    const from = parseAddress(mail.header('from'));
+    if (!from.address || from.address === this.address) return; // our own / malformed
+    if (isAutomated(mail, from.address)) return;                 // never answer a robot (RFC 3834)
+
+    const messageId = parseMessageIds(mail.header('message-id'))[0] || `<uid-${uid}@${this.address}>`;
+    const related = [...parseMessageIds(mail.header('references')), ...parseMessageIds(mail.header('in-reply-to'))];
+    const chatId = this._threadFor(messageId, related, from.address);
+    const subject = mail.header('subject');
+
+    const prev = this._state.threads[chatId];
+    this._state.threads[chatId] = {
+      subject: prev?.subject || subject,
+      address: prev?.address || from.address, // replies only ever go to who started it
+      name: from.name,
+      lastMessageId: messageId,
+      references: [...new Set([...(prev?.references || related), messageId])].slice(-20),
+      updatedAt: new Date().toISOString(),
+    };
+    this._pruneThreads();
+    this._saveState();
+
+    if (!this._messageCallback) return;
+    const mode = this._getChatMode(chatId);
+    if (mode === 'off') return;
+
+    const body = stripQuoted(mail.text || htmlToText(mail.html));
+    const text = body || subject;
+    let routeAs;
+    if (mode === 'business') routeAs = 'business';
+    else if (mode === 'personal') routeAs = nameIsCalled(text, this.config.assistant_name) ? 'personal' : 'silent';
+    else routeAs = 'silent';
+
+    console.log(`Email: ${routeAs} from ${from.address}: ${text.slice(0, 80)}`);
+
+    const base = {
+      platform: 'email',
+      chatId,
+      chatName: subject || from.address,
+      senderId: from.address,
+      senderName: from.name || from.address,
+      isSelf: false,
+      raw: { uid, messageId, subject },
+      routeAs,
+      network: 'email',
+    };
+
+    const held = mail.attachments.map((a, i) => {
+      const srcURL = `email-att://${uid}/${i}`;
+      this._holdAsset(srcURL, a.content);
+      return { fileName: a.fileName, srcURL, mimeType: a.mimeType, size: a.content.length, isVoiceNote: false };
+    });
+    // Photos ride on the text message, so the model sees them with the question;
+    // a silent chat never looks at them, so they stay with the documents there.
+    const photos = routeAs === 'silent' ? [] : held.filter(isImageAttachment);
+    const docs = held.filter((a) => !photos.includes(a));
+    if (docs.length) {
+      const att = new Message({ ...base, id: `${messageId}#attachments`, text: '' });
+      att._attachments = docs;
+      await this._dispatch(att);
+    }
+    if (body || photos.length) {
+      const msg = new Message({ ...base, id: messageId, text });
+      if (photos.length) msg._attachments = photos;
+      await this._dispatch(msg);
+    }
+  }
+
+  async _dispatch(msg) {
+    try {
+      await this._messageCallback(msg, this);
+    } catch (err) {
+      console.error(`Email: handler error — ${err.message}`);
+    }
+  }
+
+  /**
+   * chatId for a mail: the thread of any Message-ID it references that we have
+   * seen — but only when the mail is from that thread's own correspondent — else
+   * a new thread rooted at its first reference (or itself). Message-IDs travel in
+   * quoted mail and are easy to guess, so a reference alone must not let someone
+   * else join a customer's conversation and receive its replies; the sender is
+   * part of a new thread's id for the same reason. Hashed — Message-IDs are long
+   * and carry `<@>`, chatIds land in config keys and scopes.
+   */
+  _threadFor(messageId, related, sender) {
+    for (const id of related) {
+      for (const [chatId, t] of Object.entries(this._state.threads)) {
+        if (t.address === sender && t.references.includes(id)) return chatId;
+      }
+    }
+    const root = related[0] || messageId;
+    return 'email-' + crypto.createHash('sha256').update(`${sender}\u0000${root}`).digest('hex').slice(0, 16);
+  }
+
+  _pruneThreads() {
+    const entries = Object.entries(this._state.threads);
+    if (entries.length <= MAX_THREADS) return;
+    entries.sort((a, b) => String(b[1].updatedAt).localeCompare(String(a[1].updatedAt)));
+    this._state.threads = Object.fromEntries(entries.slice(0, MAX_THREADS));
+  }
+
+  _holdAsset(srcURL, content) {
+    this._assets.set(srcURL, content);
+    while (this._assets.size > MAX_HELD_ASSETS) this._assets.delete(this._assets.keys().next().value);
+  }
+
+  /**
+   * Attachment bytes for the indexing pipeline. The mail was fetched whole, so
+   * the bytes are already in memory (bounded by MAX_MESSAGE_BYTES); each is
+   * handed out once.
+   * @param {string} srcUrl - email-att://<uid>/<index>
+   * @returns {Promise<Buffer>}
+   */
+  async downloadAsset(srcUrl) {
+    const content = this._assets.get(srcUrl);
+    if (!content) throw new Error('Attachment no longer available — ask the sender to re-send it');
+    this._assets.delete(srcUrl);
+    return content;
+  }
+
+  _getChatMode(chatId) {
+    const stored = this.config.chats?.[chatId]?.mode;
+    if (stored) return stored;
+    return this.config.platforms?.email?.default_mode || 'business';
+  }
+
+  _loadState() {
+    try {
+      const data = JSON.parse(fs.readFileSync(PATHS.emailState(), 'utf8'));
+      return { uidValidity: data.uidValidity ?? null, lastUid: data.lastUid || 0, threads: data.threads || {} };
+    } catch {
+      return null;
+    }
+  }
+
+  _saveState() {
+    try {
+      fs.writeFileSync(PATHS.emailState(), JSON.stringify({ ...this._state, savedAt: new Date().toISOString() }));
+    } catch (err) {
+      if (!this._stateSaveErrorLogged) {
+        console.error(`Email: state persist failed — ${err.message}`);
+        this._stateSaveErrorLogged = true;
+      }
+    }
+  }
+}
+
+/**
+ * Auto-generated mail (bounces, vacation replies, lists, no-reply senders).
+ * Answering these is how two autoresponders end up mailing each other forever.
+ */
+function isAutomated(mail, address) {
+  const auto = mail.header('auto-submitted').toLowerCase();
+  if (auto && auto !== 'no') return true;
+  if (/^(bulk|junk|list|auto_reply)$/i.test(mail.header('precedence').trim())) return true;
+  if (mail.header('list-id') || mail.header('x-autoreply') || mail.header('x-autorespond')) return true;
+  return /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply)@/i.test(address);
+}
+
+module.exports = { EmailPlatform, isAutomated };
@@ -0,0 +1,199 @@
+/**
+ * Outbound text formatting — the agent writes Markdown; each network reads its
+ * own dialect and has its own message-size limit. An adapter's send() runs its
+ * text through renderMessage() with its format, so everything the bot says —
+ * agent answers, tool output, prompts — arrives readable and within the limit.
+ *
+ * Dialects:
+ *   markdown — as written (Beeper's own chats and bridges that render it)
+ *   html     — the tag subset both Telegram (parse_mode: 'HTML') and Matrix
+ *              (formatted_body) accept
+ *   whatsapp — *bold* _italic_ ~strike~ ```mono```
+ *   plain    — markup stripped (SMS-like bridges, web chat, email)
+ */
+
+const FENCE = /^```([\w+-]*)[^\n]*\n([\s\S]*?)^```[ \t]*$/gm;
+
+// Reserve for the "(2/3) " part number (and a fence reopened on a code split).
+const PART_LABEL_ROOM = 12;
+
+const escapeHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttr = (s) => escapeHtml(s).replace(/"/g, '&quot;');
+
+/**
+ * Split text into alternating prose and fenced-code segments.
+ * @returns {Array<{ code: boolean, text: string, lang?: string }>}
+ */
+function segments(text) {
+  const out = [];
+  let last = 0;
+  for (const m of text.matchAll(FENCE)) {
+    if (m.index > last) out.push({ code: false, text: text.slice(last, m.index) });
+    out.push({ code: true, lang: m[1], text: m[2].replace(/\n$/, '') });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) out.push({ code: false, text: text.slice(last) });
+  return out;
+}
+
+// Inline markup → neutral marks, then marks → the dialect. Marks are control
+// characters that can't occur in chat text, so a later pass can't re-read one
+// dialect's output as another construct (WhatsApp's *bold* as Markdown italic).
+const MARK = { b: '\u0001', i: '\u0002', s: '\u0003' };
+const INLINE_OUT = {
+  html: { b: ['<b>', '</b>'], i: ['<i>', '</i>'], s: ['<s>', '</s>'] },
+  whatsapp: { b: ['*', '*'], i: ['_', '_'], s: ['~', '~'] },
+  plain: { b: ['', ''], i: ['', ''], s: ['', ''] },
+};
+
+function formatProse(text, dialect) {
+  // Inline code and links first, out of reach of every other rule.
+  const codes = [];
+  const links = [];
+  let s = text
+    .replace(/`([^`\n]+)`/g, (_, c) => `\u0004${codes.push(c) - 1}\u0004`)
+    .replace(/\[([^\]\n]+)\]\((\S+?)\)/g, (_, label, url) => `\u0005${links.push({ label, url }) - 1}\u0005`);
+  if (dialect === 'html') s = escapeHtml(s);
+
+  s = s
+    .replace(/^[ \t]*#{1,6}[ \t]+(.+?)[ \t#]*$/gm, `${MARK.b}$1${MARK.b}`)
+    .replace(/^([ \t]*)[-*+][ \t]+/gm, '$1• ')
+    .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, `${MARK.b}$1${MARK.b}`)
+    .replace(/(^|[^\w])__(?=\S)([^\n]*?\S)__(?!\w)/g, `$1${MARK.b}$2${MARK.b}`)
+    .replace(/~~(?=\S)([^\n]*?\S)~~/g, `${MARK.s}$1${MARK.s}`)
+    .replace(/(^|[^\w*])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![\w*])/g, `$1${MARK.i}$2${MARK.i}`)
+    .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, `$1${MARK.i}$2${MARK.i}`);
+
+  const out = INLINE_OUT[dialect];
+  for (const [k, mark] of Object.entries(MARK)) {
+    let open = true;
+    s = s.split(mark).reduce((acc, piece, idx) => {
+      if (idx === 0) return piece;
+      const tag = open ? out[k][0] : out[k][1];
+      open = !open;
+      return acc + tag + piece;
+    }, '');
+  }
+
+  s = s.replace(/\u0005(\d+)\u0005/g, (_, n) => {
+    const { label, url } = links[n];
+    if (dialect === 'html') return `<a href="${escapeAttr(url)}">${escapeHtml(label)}</a>`;
+    return label === url ? url : `${label} (${url})`;
+  });
+  return s.replace(/\u0004(\d+)\u0004/g, (_, n) => {
+    const c = codes[n];
+    if (dialect === 'html') return `<code>${escapeHtml(c)}</code>`;
+    if (dialect === 'whatsapp') return `\`${c}\``;
+    return c;
+  });
+}
+
+function formatCode(seg, dialect) {
+  if (dialect === 'html') {
+    const cls = seg.lang ? ` class="language-${escapeAttr(seg.lang)}"` : '';
+    return `<pre><code${cls}>${escapeHtml(seg.text)}</code></pre>`;
+  }
+  if (dialect === 'whatsapp') return `\`\`\`${seg.text}\`\`\``;
+  return seg.text;
+}
+
+/**
+ * Convert Markdown into a network's dialect.
+ * @param {string} text
+ * @param {'markdown'|'html'|'whatsapp'|'plain'} dialect
+ * @returns {string}
+ */
+function formatMarkdown(text, dialect) {
+  if (!text || !INLINE_OUT[dialect]) return text || '';
+  return segments(text)
+    .map((seg) => (seg.code ? formatCode(seg, dialect) : formatProse(seg.text, dialect)))
+    .join('');
+}
+
+// Cut one oversized block: a code block into fenced pieces by line, prose at the
+// last line break, sentence end or space before the limit (hard cut as a last resort).
+function cutBlock(block, limit) {
+  const fence = /^```([\w+-]*)[^\n]*\n([\s\S]*?)\n?```[ \t]*$/.exec(block);
+  if (fence) {
+    const open = `\`\`\`${fence[1]}\n`;
+    const room = limit - open.length - 4;
+    const pieces = [];
+    let cur = '';
+    for (const line of fence[2].split('\n')) {
+      for (const l of line.length > room ? line.match(new RegExp(`[\\s\\S]{1,${room}}`, 'g')) : [line]) {
+        if (cur && cur.length + l.length + 1 > room) { pieces.push(cur); cur = ''; }
+        cur = cur ? `${cur}\n${l}` : l;
+      }
+    }
+    if (cur) pieces.push(cur);
+    return pieces.map((p) => `${open}${p}\n\`\`\``);
+  }
+  const pieces = [];
+  let rest = block;
+  while (rest.length > limit) {
+    const window = rest.slice(0, limit);
+    let at = window.lastIndexOf('\n');
+    if (at < limit / 2) at = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? ')) + 1;
+    if (at < limit / 2) at = window.lastIndexOf(' ');
+    if (at < limit / 2) at = limit;
+    pieces.push(rest.slice(0, at).trimEnd());
+    rest = rest.slice(at).trimStart();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Split Markdown into parts of at most `limit` characters, breaking between
+ * paragraphs and never inside a code block (an oversized one is re-fenced per
+ * part).
+ * @param {string} text
+ * @param {number} limit
+ * @returns {string[]}
+ */
+function splitMessage(text, limit) {
+  if (!text || text.length <= limit) return [text || ''];
+  const blocks = [];
+  for (const seg of segments(text)) {
+    if (seg.code) blocks.push(`\`\`\`${seg.lang}\n${seg.text}\n\`\`\``);
+    else blocks.push(...seg.text.split(/\n{2,}/).map((b) => b.trim()).filter(Boolean));
+  }
+  const parts = [];
+  let cur = '';
+  for (const block of blocks) {
+    for (const piece of block.length > limit ? cutBlock(block, limit) : [block]) {
+      if (cur && cur.length + piece.length + 2 > limit) { parts.push(cur); cur = ''; }
+      cur = cur ? `${cur}\n\n${piece}` : piece;
+    }
+  }
+  if (cur) parts.push(cur);
+  return parts;
+}
+
+/**
+ * A reply ready for one network: split to fit, numbered when there is more than
+ * one part, and converted to the dialect. Each part keeps its Markdown `source`,
+ * for an adapter that has to fall back to sending it unformatted.
+ * @param {string} text - Markdown
+ * @param {{ dialect?: string, maxLength?: number }} format
+ * @returns {Array<{ text: string, source: string }>}
+ */
+function renderMessage(text, { dialect = 'markdown', maxLength = Infinity } = {}) {
+  const fits = (s) => formatMarkdown(s, dialect).length <= maxLength - PART_LABEL_ROOM;
+  let limit = maxLength - PART_LABEL_ROOM;
+  let sources = splitMessage(text, limit);
+  // Markup can lengthen a part (HTML escapes and tags): re-split tighter until
+  // every formatted part fits.
+  while (Number.isFinite(limit) && !sources.every(fits) && limit > 64) {
+    limit = Math.floor(limit * 0.8);
+    sources = splitMessage(text, limit);
+  }
+  return sources.map((source, i) => {
+    const body = formatMarkdown(source, dialect);
+    if (sources.length === 1) return { text: body, source };
+    const label = `(${i + 1}/${sources.length})`;
+    return { text: `${label}${source.startsWith('```') ? '\n' : ' '}${body}`, source: `${label} ${source}` };
+  });
+}
+
+module.exports = { formatMarkdown, splitMessage, renderMessage };
@@ -0,0 +1,180 @@
+// Minimal IMAP4rev1 client for the email platform — LOGIN, SELECT, UID SEARCH,
+// UID FETCH BODY.PEEK[], LOGOUT. Plain TCP or implicit TLS (993). Enough to
+// poll one mailbox for new mail by UID; no IDLE, no flags, no folder
+// management. Zero dependencies, like the beeperbox MCP client: the protocol
+// subset is small and a full IMAP library is not worth the install weight.
+
+const net = require('net');
+const tls = require('tls');
+
+class ImapError extends Error {
+  constructor(message, { status } = {}) {
+    super(message);
+    this.name = 'ImapError';
+    if (status) this.status = status; // NO / BAD
+  }
+}
+
+class ImapClient {
+  /**
+   * @param {object} opts
+   * @param {string} opts.host
+   * @param {number} [opts.port=993]
+   * @param {boolean} [opts.secure=true]  implicit TLS
+   * @param {string} opts.user
+   * @param {string} opts.password
+   * @param {number} [opts.timeout=30000]  per-command timeout (ms)
+   * @param {boolean} [opts.rejectUnauthorized=true]
+   */
+  constructor({ host, port, secure = true, user, password, timeout = 30000, rejectUnauthorized = true } = {}) {
+    if (!host) throw new ImapError('ImapClient: host is required');
+    this.host = host;
+    this.port = port || (secure ? 993 : 143);
+    this.secure = secure;
+    this.user = user;
+    this.password = password;
+    this.timeout = timeout;
+    this.rejectUnauthorized = rejectUnauthorized;
+    this.socket = null;
+    this._buf = Buffer.alloc(0);
+    this._cur = { text: '', literals: [] };
+    this._literal = null;       // bytes still owed to the current literal
+    this._waiter = null;        // { tag, untagged, resolve, reject, timer }
+    this._greeting = null;
+    this._tag = 0;
+  }
+
+  async connect() {
+    await new Promise((resolve, reject) => {
+      const onError = (err) => reject(new ImapError(`IMAP connect ${this.host}:${this.port} failed: ${err.message}`));
+      this._greeting = { resolve, reject };
+      this.socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host, rejectUnauthorized: this.rejectUnauthorized })
+        : net.connect({ host: this.host, port: this.port });
+      this.socket.once('error', onError);
+      this.socket.on('data', (chunk) => this._onData(chunk));
+      this.socket.on('close', () => this._failPending(new ImapError('IMAP connection closed')));
+    });
+    this.socket.on('error', (err) => this._failPending(new ImapError(`IMAP socket error: ${err.message}`)));
+  }
+
+  async login() {
+    await this.command(`LOGIN ${quote(this.user)} ${quote(this.password)}`);
+  }
+
+  /** SELECT a mailbox → { uidValidity, uidNext, exists }. */
+  async select(mailbox = 'INBOX') {
+    const { untagged } = await this.command(`SELECT ${quote(mailbox)}`);
+    const info = { uidValidity: null, uidNext: null, exists: 0 };
+    for (const r of untagged) {
+      let m;
+      if ((m = /\[UIDVALIDITY (\d+)\]/i.exec(r.text))) info.uidValidity = Number(m[1]);
+      if ((m = /\[UIDNEXT (\d+)\]/i.exec(r.text))) info.uidNext = Number(m[1]);
+      if ((m = /^\* (\d+) EXISTS/i.exec(r.text))) info.exists = Number(m[1]);
+    }
+    return info;
+  }
+
+  /** UIDs strictly greater than `afterUid`, ascending. */
+  async uidsAfter(afterUid) {
+    const { untagged } = await this.command(`UID SEARCH UID ${afterUid + 1}:*`);
+    const uids = [];
+    for (const r of untagged) {
+      const m = /^\* SEARCH\b(.*)$/i.exec(r.text);
+      if (m) uids.push(...m[1].trim().split(/\s+/).filter(Boolean).map(Number));
+    }
+    // `n:*` matches the highest UID even when it is below n (RFC 3501 §6.4.8).
+    return uids.filter((u) => u > afterUid).sort((a, b) => a - b);
+  }
+
+  /** Raw RFC 5322 bytes of one message, by UID. PEEK keeps it unread. */
+  async fetchRaw(uid) {
+    const { untagged } = await this.command(`UID FETCH ${uid} (UID BODY.PEEK[])`);
+    const hit = untagged.find((r) => /FETCH/i.test(r.text) && r.literals.length);
+    return hit ? hit.literals[0] : null;
+  }
+
+  async logout() {
+    try { await this.command('LOGOUT'); } catch { /* server may drop first */ }
+    this.close();
+  }
+
+  close() {
+    if (this.socket) { this.socket.destroy(); this.socket = null; }
+  }
+
+  /** Send one tagged command; resolves with { text, untagged } on OK. */
+  command(cmd) {
+    if (!this.socket) return Promise.reject(new ImapError('IMAP not connected'));
+    const tag = `A${++this._tag}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._waiter = null;
+        reject(new ImapError(`IMAP ${cmd.split(' ')[0]} timed out after ${this.timeout}ms`));
+        this.close();
+      }, this.timeout);
+      this._waiter = { tag, untagged: [], resolve, reject, timer, verb: cmd.split(' ')[0] };
+      this.socket.write(`${tag} ${cmd}\r\n`);
+    });
+  }
+
+  // Response reader: lines, with `{n}` literals spliced into the current
+  // response. A response is complete at the CRLF that is not a literal header.
+  _onData(chunk) {
+    this._buf = Buffer.concat([this._buf, chunk]);
+    for (;;) {
+      if (this._literal !== null) {
+        if (this._buf.length < this._literal) return;
+        this._cur.literals.push(this._buf.subarray(0, this._literal));
+        this._buf = this._buf.subarray(this._literal);
+        this._literal = null;
+        continue;
+      }
+      const idx = this._buf.indexOf('\r\n');
+      if (idx === -1) return;
+      const line = this._buf.subarray(0, idx).toString('utf8');
+      this._buf = this._buf.subarray(idx + 2);
+      this._cur.text += line;
+      const lit = /\{(\d+)\}$/.exec(line);
+      if (lit) { this._literal = Number(lit[1]); continue; }
+      const resp = this._cur;
+      this._cur = { text: '', literals: [] };
+      this._onResponse(resp);
+    }
+  }
+
+  _onResponse(resp) {
+    if (this._greeting) {
+      const g = this._greeting;
+      this._greeting = null;
+      if (/^\* (OK|PREAUTH)/i.test(resp.text)) g.resolve();
+      else g.reject(new ImapError(`IMAP greeting rejected: ${resp.text}`));
+      return;
+    }
+    const w = this._waiter;
+    if (!w) return;
+    if (resp.text.startsWith('*')) { w.untagged.push(resp); return; }
+    const m = new RegExp(`^${w.tag} (OK|NO|BAD)\\b ?(.*)$`, 'i').exec(resp.text);
+    if (!m) return; // continuation / unrelated
+    clearTimeout(w.timer);
+    this._waiter = null;
+    if (m[1].toUpperCase() === 'OK') w.resolve({ text: m[2], untagged: w.untagged });
+    else w.reject(new ImapError(`IMAP ${w.verb} failed: ${m[1]} ${m[2]}`, { status: m[1].toUpperCase() }));
+  }
+
+  _failPending(err) {
+    if (this._greeting) { this._greeting.reject(err); this._greeting = null; }
+    if (this._waiter) {
+      clearTimeout(this._waiter.timer);
+      this._waiter.reject(err);
+      this._waiter = null;
+    }
+  }
+}
+
+// IMAP quoted string (RFC 3501 §4.3): escape backslash and double-quote.
+function quote(s) {
+  return `"${String(s ?? '').replace(/[\\"]/g, '\\$&')}"`;
+}
+
+module.exports = { ImapClient, ImapError };
@@ -0,0 +1,457 @@
+const fs = require('fs');
+const path = require('path');
+const { Platform, readAsset } = require('./base');
+const { Message, looksLikeCommand } = require('./message');
+const { renderMessage, formatMarkdown } = require('./format');
+const { PATHS, defaultModeForRole } = require('../config');
+const { nameIsCalled } = require('../bot/name-match'); // M8: personal-mode name trigger
+
+const DEFAULT_SYNC_TIMEOUT = 30000;  // /sync long-poll hold (server-side)
+const DEFAULT_RETRY_DELAY = 5000;    // back-off after a failed /sync
+const REQUEST_SLACK_MS = 15000;      // client abort = sync timeout + slack
+const CLIENT_API = '/_matrix/client/v3';
+// Events cap at 64 KiB of JSON; a reply this long is better read in parts anyway.
+const TEXT_FORMAT = { dialect: 'html', maxLength: 16000 };
+
+// Timeline-only filter: presence and account data are noise for routing, and
+// a bounded timeline keeps a post-outage catch-up sync from being unbounded.
+const SYNC_FILTER = JSON.stringify({
+  presence: { types: [] },
+  account_data: { types: [] },
+  room: { timeline: { limit: 50 }, ephemeral: { types: [] } },
+});
+
+const FILE_MSGTYPES = new Set(['m.file', 'm.image', 'm.audio', 'm.video']);
+
+class MatrixError extends Error {
+  constructor(message, { code, errcode } = {}) {
+    super(message);
+    this.name = 'MatrixError';
+    if (code !== undefined) this.code = code;       // HTTP status
+    if (errcode) this.errcode = errcode;            // M_UNKNOWN_TOKEN, M_LIMIT_EXCEEDED, …
+  }
+}
+
+/**
+ * Native Matrix platform adapter — talks to a homeserver's client-server API
+ * directly (no bridge, no Beeper). multis logs in AS the owner's account via
+ * an access token, so the model mirrors Beeper's: the owner's own messages are
+ * `isSelf`, and one room is the note-to-self owner channel.
+ *
+ * Watch is a `/sync` long-poll whose `next_batch` token is persisted to
+ * run/matrix-since.json — restart-resumable, like the Beeper cursor. Echo
+ * guard is the txnId we put on every send (the homeserver echoes it back in
+ * `unsigned.transaction_id` for our own device) plus the returned event ids.
+ *
+ * Owner channel: `platforms.matrix.admin_room` when set, else any joined room
+ * where we are the only member. Policy (modes, command routing) matches the
+ * Beeper adapter. Unencrypted rooms only — E2EE needs a crypto store this
+ * adapter deliberately does not carry.
+ */
+class MatrixPlatform extends Platform {
+  constructor(config) {
+    super('matrix', config);
+    const mc = config.platforms?.matrix || {};
+    this.homeserver = (mc.homeserver || '').replace(/\/+$/, '');
+    this.accessToken = mc.access_token || process.env.MATRIX_ACCESS_TOKEN || null;
+    if (!this.homeserver) throw new Error('Matrix homeserver URL is required');
+    if (!this.accessToken) throw new Error('Matrix access token is required');
+    this.syncTimeout = mc.sync_timeout ?? DEFAULT_SYNC_TIMEOUT;
+    this.retryDelay = mc.retry_delay ?? DEFAULT_RETRY_DELAY;
+    this.adminRoom = mc.admin_room || null;
+    this.userId = mc.user_id || null;      // resolved via whoami on start()
+    this._since = null;                    // /sync next_batch (restart-safe)
+    this._running = false;
+    this._loop = null;                     // in-flight sync loop promise
+    this._abort = null;                    // AbortController for the held /sync
+    this._initialized = false;
+    this._personalChats = new Set();       // roomIds that are note-to-self rooms
+    this._roomMeta = new Map();            // roomId -> { title, memberCount, members: Map }
+    this._sentTxnIds = new Set();          // echo guard (txnIds of our sends)
+    this._sentEventIds = new Set();        // echo guard (event ids our sends got)
+    this._sendSeq = 0;                     // txnId uniqueness within this process
+    if (this.adminRoom) this._personalChats.add(this.adminRoom);
+  }
+
+  async start() {
+    // Liveness + token check. whoami also gives us our own user id, which is
+    // what makes a message `isSelf`.
+    try {
+      const me = await this._request('GET', '/account/whoami');
+      this.userId = me.user_id;
+      console.log(`Matrix: connected to ${this.homeserver} as ${this.userId}`);
+    } catch (err) {
+      const hint = (err.code === 401 || err.code === 403)
+        ? 'auth failed — check platforms.matrix.access_token / MATRIX_ACCESS_TOKEN'
+        : 'unreachable — check platforms.matrix.homeserver';
+      console.error(`Matrix: homeserver ${this.homeserver} ${hint} — ${err.message}`);
+      return false;
+    }
+
+    // Seed the since token: reuse a persisted one (restart-resumable), else an
+    // immediate sync seeds "from now" — room state is learned, history is not
+    // replayed into the router.
+    try {
+      const saved = this._loadSince();
+      if (saved) {
+        this._since = saved;
+        console.log('Matrix: resumed sync token from disk');
+      } else {
+        const seed = await this._sync(0);
+        this._applyRoomState(seed);
+        this._since = seed.next_batch;
+        this._saveSince();
+        console.log('Matrix: seeded sync token (from now)');
+      }
+    } catch (err) {
+      console.error(`Matrix: sync seed error — ${err.message}`);
+      return false;
+    }
+    this._initialized = true;
+
+    this._running = true;
+    this._loop = this._syncLoop();
+    console.log('Matrix: listening via /sync long-poll');
+    return true;
+  }
+
+  async stop() {
+    this._running = false;
+    if (this._abort) this._abort.abort();
+    if (this._loop) {
+      await this._loop.catch(() => {});
+      this._loop = null;
+    }
+  }
+
+  async send(chatId, text) {
+    for (const part of renderMessage(text, TEXT_FORMAT)) {
+      // body is the plain-text fallback every client shows; formatted_body only
+      // when the reply has markup to carry.
+      const body = formatMarkdown(part.source, 'plain');
+      const content = { msgtype: 'm.text', body };
+      if (part.text !== body) Object.assign(content, { format: 'org.matrix.custom.html', formatted_body: part.text });
+      const txnId = this._nextTxnId();
+      const res = await this._request('PUT',
+        `/rooms/${encodeURIComponent(chatId)}/send/m.room.message/${encodeURIComponent(txnId)}`,
+        { body: content });
+      if (res?.event_id) this._sentEventIds.add(res.event_id);
+    }
+  }
+
+  async sendFile(chatId, filePath, caption) {
+    const data = fs.readFileSync(filePath);
+    const fileName = path.basename(filePath);
+    const upload = await this._request('POST', `/_matrix/media/v3/upload?filename=${encodeURIComponent(fileName)}`,
+      { raw: data, contentType: 'application/octet-stream', absolute: true });
+    const txnId = this._nextTxnId();
+    const res = await this._request('PUT',
+      `/rooms/${encodeURIComponent(chatId)}/send/m.room.message/${encodeURIComponent(txnId)}`,
+      { body: { msgtype: 'm.file', body: caption || fileName, filename: fileName, url: upload.content_uri, info: { size: data.length } } });
+    if (res?.event_id) this._sentEventIds.add(res.event_id);
+  }
+
+  _nextTxnId() {
+    const txnId = `multis-${process.pid}-${Date.now()}-${++this._sendSeq}`;
+    this._sentTxnIds.add(txnId);
+    return txnId;
+  }
+
+  async _syncLoop() {
+    while (this._running) {
+      try {
+        await this._syncOnce(this.syncTimeout);
+        this._syncErrorLogged = false;
+      } catch (err) {
+        if (!this._running) break;
+        if (!this._syncErrorLogged) {
+          console.error(`Matrix: sync error — ${err.message}`);
+          this._syncErrorLogged = true;
+        }
+        // M_LIMIT_EXCEEDED carries the server's own back-off hint.
+        const wait = err.retryAfterMs || this.retryDelay;
+        await new Promise((r) => setTimeout(r, wait));
+      }
+    }
+  }
+
+  /**
+   * One /sync round: learn room state, advance + persist the since token, then
+   * route each new timeline message. The token is saved BEFORE dispatch
+   * (at-most-once delivery, same contract as the Beeper cursor).
+   */
+  async _syncOnce(timeout) {
+    const res = await this._sync(timeout);
+    this._applyRoomState(res);
+    this._since = res.next_batch;
+    this._saveSince();
+
+    for (const [roomId, room] of Object.entries(res.rooms?.join || {})) {
+      for (const ev of room.timeline?.events || []) {
+        if (ev.type === 'm.room.message') this._handleEvent(roomId, ev);
+      }
+    }
+  }
+
+  async _sync(timeout) {
+    const params = new URLSearchParams({ timeout: String(timeout), filter: SYNC_FILTER });
+    if (this._since) params.set('since', this._since);
+    this._abort = new AbortController();
+    try {
+      return await this._request('GET', `/sync?${params}`, {
+        signal: this._abort.signal,
+        timeoutMs: timeout + REQUEST_SLACK_MS,
+      });
+    } finally {
+      this._abort = null;
+    }
+  }
+
+  /**
+   * Fold a sync response's room state (names, membership, summary counts) into
+   * the room metadata cache, and mark note-to-self rooms. Timeline state events
+   * count too — a rename mid-conversation shows up there, not in `state`. A room
+   * is re-judged on every sync it appears in: once someone else joins (or we
+   * leave) it stops being the owner channel, so no prompt or notice goes there.
+   */
+  _applyRoomState(res) {
+    for (const [roomId, room] of Object.entries(res.rooms?.join || {})) {
+      const meta = this._metaFor(roomId);
+      const events = [...(room.state?.events || []), ...(room.timeline?.events || [])];
+      for (const ev of events) {
+        if (ev.type === 'm.room.name') meta.title = ev.content?.name || '';
+        if (ev.type === 'm.room.member' && ev.state_key) {
+          if (ev.content?.membership === 'join') meta.members.set(ev.state_key, ev.content.displayname || '');
+          else meta.members.delete(ev.state_key);
+        }
+      }
+      const count = room.summary?.['m.joined_member_count'];
+      if (typeof count === 'number') meta.memberCount = count;
+      if (this.adminRoom) continue;
+      if (this._isSoloRoom(meta)) this._personalChats.add(roomId);
+      else this._personalChats.delete(roomId);
+    }
+    if (this.adminRoom) return;
+    for (const roomId of Object.keys(res.rooms?.leave || {})) this._personalChats.delete(roomId);
+  }
+
+  _metaFor(roomId) {
+    let meta = this._roomMeta.get(roomId);
+    if (!meta) {
+      meta = { title: '', memberCount: null, members: new Map() };
+      this._roomMeta.set(roomId, meta);
+    }
+    return meta;
+  }
+
+  // A room whose only joined member is us. Anyone else seen joining rules it out
+  // (a sync may carry the join before, or without, a fresh summary count); then
+  // the summary count is authoritative when the server sent one, else the
+  // member events seen.
+  _isSoloRoom(meta) {
+    if ([...meta.members.keys()].some((id) => id !== this.userId)) return false;
+    if (meta.memberCount != null) return meta.memberCount === 1;
+    return meta.members.has(this.userId);
+  }
+
+  /**
+   * Apply multis policy to one m.room.message event and route it. Dispatch is
+   * fire-and-forget (like Telegram): an inline ceremony waits for the owner's
+   * NEXT message, which only arrives on a later /sync — awaiting here would
+   * hold the loop that delivers it.
+   */
+  _handleEvent(roomId, ev) {
+    if (!ev.event_id || !ev.content) return;
+
+    // Echo guard: our own sends, matched by txnId (same device) or event id.
+    const txnId = ev.unsigned?.transaction_id;
+    if (txnId && this._sentTxnIds.has(txnId)) return;
+    if (this._sentEventIds.has(ev.event_id)) return;
+
+    // Edits/redaction-replacements arrive as fresh m.room.message events.
+    if (ev.content['m.relates_to']?.rel_type === 'm.replace') return;
+
+    if (!this._messageCallback) return;
+
+    const content = ev.content;
+    const msgtype = content.msgtype;
+    const isSelf = ev.sender === this.userId;
+    // Other bots speak m.notice; answering them is how bot-to-bot loops start.
+    if (msgtype === 'm.notice' && !isSelf) return;
+
+    const isFile = FILE_MSGTYPES.has(msgtype);
+    // A file event's body is the file name unless a separate `filename` is set,
+    // in which case body is the caption.
+    const text = isFile
+      ? (content.filename && content.body !== content.filename ? content.body || '' : '')
+      : (content.body || '');
+
+    const meta = this._metaFor(roomId);
+    const isPersonalChat = this._personalChats.has(roomId);
+    const mode = this._getChatMode(roomId);
+
+    // Off mode: skip non-self messages entirely. Exception: self-messages in
+    // personal rooms always go through (commands + interactive replies).
+    if (mode === 'off') {
+      if (!isSelf) return;
+      if (!isPersonalChat) return;
+    }
+
+    let routeAs = null;
+    let shouldProcess = false;
+
+    const isCmd = looksLikeCommand(text);
+    if (isSelf && isPersonalChat && isCmd) {
+      shouldProcess = true;
+    } else if (isSelf && isPersonalChat && !isCmd) {
+      routeAs = 'natural';
+      shouldProcess = true;
+    } else if (!isSelf && mode === 'business') {
+      routeAs = 'business';
+      shouldProcess = true;
+    } else if (!isSelf && mode === 'personal') {
+      routeAs = nameIsCalled(text, this.config.assistant_name) ? 'personal' : 'silent';
+      shouldProcess = true;
+    }
+    if (!shouldProcess && mode === 'silent') {
+      routeAs = 'silent';
+      shouldProcess = true;
+    }
+
+    if (!shouldProcess) return;
+
+    const title = meta.title || roomId;
+    console.log(`Matrix: ${routeAs || 'command'} from ${title}: ${text.slice(0, 80)}`);
+
+    const normalized = new Message({
+      id: ev.event_id,
+      platform: 'matrix',
+      chatId: roomId,
+      chatName: meta.title || '',
+      senderId: ev.sender,
+      senderName: meta.members.get(ev.sender) || localpart(ev.sender),
+      isSelf,
+      text,
+      raw: ev,
+      routeAs,
+      isPersonalChat,
+      network: 'matrix',
+    });
+
+    // Same _attachments shape as Beeper, so the handlers' indexing pipeline
+    // consumes it unchanged; bytes are fetched on demand via downloadAsset.
+    if (isFile && content.url) {
+      normalized._attachments = [{
+        fileName: content.filename || content.body || '',
+        srcURL: content.url,
+        mimeType: content.info?.mimetype || '',
+        size: content.info?.size,
+        isVoiceNote: msgtype === 'm.audio' && content['org.matrix.msc3245.voice'] !== undefined,
+      }];
+    }
+
+    Promise.resolve()
+      .then(() => this._messageCallback(normalized, this))
+      .catch((err) => console.error(`Matrix: handler error — ${err.message}`));
+  }
+
+  /**
+   * Fetch an attachment's bytes from the homeserver's authenticated media
+   * endpoint. Bounded by MAX_ASSET_BYTES on both the declared length and the
+   * bytes actually read — the sender controls the file.
+   * @param {string} srcUrl - mxc://server/mediaId
+   * @returns {Promise<Buffer>} the attachment bytes
+   */
+  async downloadAsset(srcUrl) {
+    const m = /^mxc:\/\/([^/]+)\/([^/?#]+)$/.exec(srcUrl || '');
+    if (!m) throw new Error(`Not an mxc:// URL: ${srcUrl}`);
+    const url = `${this.homeserver}/_matrix/client/v1/media/download/${encodeURIComponent(m[1])}/${encodeURIComponent(m[2])}`;
+    const res = await fetch(url, { headers: { Authorization: `Bearer ${this.accessToken}` } });
+    if (!res.ok) throw new MatrixError(`Matrix media download HTTP ${res.status}`, { code: res.status });
+    return readAsset(res);
+  }
+
+  getAdminChatIds() {
+    return [...this._personalChats];
+  }
+
+  _getChatMode(chatId) {
+    const stored = this.config.chats?.[chatId]?.mode;
+    if (stored) return stored;
+    if (this.config.platforms?.matrix?.default_mode) return this.config.platforms.matrix.default_mode;
+    // Note-to-self rooms are admin command channels — never restrict
+    if (this._personalChats.has(chatId)) return 'personal';
+    return defaultModeForRole(this.config.bot_mode);
+  }
+
+  /**
+   * Client-server API call. `path` is relative to /_matrix/client/v3 unless
+   * `absolute` is set. Non-2xx responses throw MatrixError carrying the HTTP
+   * status and the Matrix errcode (and a back-off hint on M_LIMIT_EXCEEDED).
+   */
+  async _request(method, apiPath, { body, raw, contentType, signal, timeoutMs = 30000, absolute = false } = {}) {
+    const url = this.homeserver + (absolute ? apiPath : CLIENT_API + apiPath);
+    const headers = { Authorization: `Bearer ${this.accessToken}` };
+    let payload;
+    if (raw) {
+      payload = raw;
+      headers['Content-Type'] = contentType || 'application/octet-stream';
+    } else if (body !== undefined) {
+      payload = JSON.stringify(body);
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    const onAbort = () => ctrl.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    try {
+      let res;
+      try {
+        res = await fetch(url, { method, headers, body: payload, signal: ctrl.signal });
+      } catch (err) {
+        const reason = err.name === 'AbortError' ? 'aborted' : err.message;
+        throw new MatrixError(`Matrix request failed (${method} ${apiPath.split('?')[0]}): ${reason}`);
+      }
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const err = new MatrixError(
+          `Matrix HTTP ${res.status} (${method} ${apiPath.split('?')[0]}): ${json.errcode || ''} ${json.error || ''}`.trim(),
+          { code: res.status, errcode: json.errcode });
+        if (json.retry_after_ms) err.retryAfterMs = json.retry_after_ms;
+        throw err;
+      }
+      return json;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  _loadSince() {
+    try {
+      const data = JSON.parse(fs.readFileSync(PATHS.matrixSince(), 'utf8'));
+      return data.since || null;
+    } catch {
+      return null;
+    }
+  }
+
+  _saveSince() {
+    try {
+      fs.writeFileSync(PATHS.matrixSince(), JSON.stringify({ since: this._since, savedAt: new Date().toISOString() }));
+    } catch (err) {
+      if (!this._sinceSaveErrorLogged) {
+        console.error(`Matrix: sync token persist failed — ${err.message}`);
+        this._sinceSaveErrorLogged = true;
+      }
+    }
+  }
+}
+
+function localpart(userId) {
+  const m = /^@([^:]+):/.exec(userId || '');
+  return m ? m[1] : userId || '';
+}
+
+module.exports = { MatrixPlatform, MatrixError };
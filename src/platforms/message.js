@@ -9,15 +9,24 @@ function looksLikeCommand(text) {
   return /^\/[a-zA-Z][\w-]*(?:@\S+)?(?:\s|$)/.test(text || '');
 }
 
+// Platforms where multis acts as the owner's own account: the owner's messages
+// are `isSelf`, and only a self-sent `/command` is a command.
+const SELF_ACCOUNT_PLATFORMS = new Set(['beeper', 'matrix', 'web', 'api', 'terminal']);
+
 /**
  * Normalized message across all platforms.
- * Telegram bot messages are always commands.
- * Beeper messages are commands only when prefixed with / from personal chats.
+ * Telegram bot messages are always commands (group chatter arrives mode-routed).
+ * Beeper, Matrix, web, API and terminal messages are commands only when prefixed with / from personal chats.
  */
 class Message {
-  constructor({ id, platform, chatId, chatName, senderId, senderName, isSelf, text, raw, routeAs, network, isPersonalChat }) {
+  constructor({ id, platform, account, chatId, chatName, senderId, senderName, isSelf, text, raw, routeAs, network, isPersonalChat, isGroup, promptReply, replyTo, threadId, event, reaction, targetId }) {
     this.id = id;
     this.platform = platform;
+    /**
+     * @type {string} Which endpoint of the platform it came in on — a named
+     * Beeper endpoint (platforms.beeper.endpoints); '' for the only one.
+     */
+    this.account = account || '';
     this.chatId = chatId;
     this.chatName = chatName || '';
     this.senderId = senderId;
@@ -34,29 +43,72 @@ class Message {
      * a random/silent chat — does not confer owner (PRD §11.1).
      */
     this.isPersonalChat = isPersonalChat || false;
+    /**
+     * @type {boolean} Telegram: a group/supergroup — a shared room every member
+     * reads. Even the owner's turns there are fenced to the group's own
+     * user:<chatId> memory, never the admin scope.
+     */
+    this.isGroup = isGroup || false;
+    /**
+     * @type {boolean} The text is the value of a tapped prompt button (Telegram
+     * inline keyboard), not typed — the router answers it only while a prompt is
+     * parked for this conversation.
+     */
+    this.promptReply = promptReply || false;
+    /**
+     * @type {{ id: string, text: string, senderName: string }|null} The message
+     * this one replies to (quoted text may be '' when the platform didn't carry
+     * it). The router shows it to the model, so "what about this one?" keeps its
+     * referent.
+     */
+    this.replyTo = replyTo || null;
+    /**
+     * @type {string|null} The thread the message was posted in (a Telegram forum
+     * topic). Answers go back to the same thread.
+     */
+    this.threadId = threadId != null ? String(threadId) : null;
+    /**
+     * @type {'message'|'edit'|'reaction'} What happened. An edit carries the
+     * edited message's id and its new text; a reaction carries the emoji in
+     * `reaction` and the reacted-to message in `targetId`, with no text. routeAs
+     * still says how the chat is handled — the event says what arrived.
+     */
+    this.event = event || 'message';
+    this.reaction = reaction || '';
+    this.targetId = targetId != null ? String(targetId) : null;
+  }
+
+  /**
+   * The name the adapter it came in on is registered under (`beeper:work` for a
+   * named endpoint) — where a reply, reminder or prompt for this chat is sent.
+   * @returns {string}
+   */
+  get platformName() {
+    return this.account ? `${this.platform}:${this.account}` : this.platform;
   }
 
   /**
    * Is this message a command for multis?
-   * Telegram: all messages to the bot are commands (it's a dedicated bot).
-   * Beeper: only messages starting with / are commands (restricted to personal chats by platform).
+   * Telegram: all messages to the bot are commands (it's a dedicated bot); in a
+   * group only slash commands reach here unrouted — the rest carry a routeAs.
+   * Beeper/Matrix/web: only messages starting with / are commands (restricted to personal chats by platform).
    */
   isCommand() {
     if (this.platform === 'telegram') return true;
-    if (this.platform === 'beeper') return this.isSelf && looksLikeCommand(this.text);
+    if (SELF_ACCOUNT_PLATFORMS.has(this.platform)) return this.isSelf && looksLikeCommand(this.text);
     return false;
   }
 
   /**
    * Get the command text with platform prefix stripped.
    * Telegram: "/exec ls" -> "exec ls", plain text -> text as-is
-   * Beeper: "/exec ls" -> "exec ls"
+   * Beeper/Matrix/web: "/exec ls" -> "exec ls"
    */
   commandText() {
     if (this.platform === 'telegram') {
       return this.text.startsWith('/') ? this.text.slice(1) : this.text;
     }
-    if (this.platform === 'beeper') {
+    if (SELF_ACCOUNT_PLATFORMS.has(this.platform)) {
       return this.text.startsWith('/') ? this.text.slice(1).trimStart() : this.text;
     }
     return this.text;
@@ -76,4 +128,20 @@ class Message {
   }
 }
 
-module.exports = { Message, looksLikeCommand };
+// Longest quote carried into the model's turn — the referent, not a transcript.
+const MAX_QUOTE_CHARS = 500;
+
+/**
+ * The quoted message as a line in front of the user's text, or '' when there
+ * is nothing to show.
+ * @param {{ text?: string, senderName?: string }|null} replyTo
+ * @returns {string}
+ */
+function quotedContext(replyTo) {
+  const text = String(replyTo?.text || '').replace(/\s+/g, ' ').trim();
+  if (!text) return '';
+  const quote = text.length > MAX_QUOTE_CHARS ? `${text.slice(0, MAX_QUOTE_CHARS)}…` : text;
+  return `[replying to ${replyTo.senderName || 'a message'}: "${quote}"]`;
+}
+
+module.exports = { Message, looksLikeCommand, quotedContext };
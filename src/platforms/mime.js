@@ -0,0 +1,307 @@
+// Minimal RFC 5322 / MIME reader + writer for the email platform.
+//
+// Reads: header unfolding, RFC 2047 encoded-words, RFC 2231 filenames,
+// multipart (nested), base64 / quoted-printable, charset decoding. Writes: a
+// plain-text reply, optionally with one attachment. Not a general-purpose MIME
+// library — just what a support mailbox needs to read a customer mail and
+// answer it.
+
+const crypto = require('crypto');
+
+/**
+ * Parse a raw message into headers, the text body, and attachments.
+ * @param {Buffer|string} raw
+ * @returns {{ headers: Map<string,string[]>, header: (name:string)=>string, text: string, html: string,
+ *   attachments: Array<{ fileName: string, mimeType: string, content: Buffer }> }}
+ */
+function parseMessage(raw) {
+  const buf = Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw), 'utf8');
+  const out = { text: '', html: '', attachments: [] };
+  const { headers, body } = splitEntity(buf);
+  walkEntity(headers, body, out);
+  return {
+    headers,
+    header: (name) => (headers.get(name.toLowerCase()) || [])[0] || '',
+    text: out.text,
+    html: out.html,
+    attachments: out.attachments,
+  };
+}
+
+function splitEntity(buf) {
+  let sep = buf.indexOf('\r\n\r\n');
+  let sepLen = 4;
+  const lf = buf.indexOf('\n\n');
+  if (sep === -1 || (lf !== -1 && lf < sep)) { sep = lf; sepLen = 2; }
+  const headText = sep === -1 ? buf.toString('latin1') : buf.subarray(0, sep).toString('latin1');
+  const body = sep === -1 ? Buffer.alloc(0) : buf.subarray(sep + sepLen);
+  return { headers: parseHeaders(headText), body };
+}
+
+function parseHeaders(text) {
+  const headers = new Map();
+  const lines = text.split(/\r?\n/);
+  const unfolded = [];
+  for (const line of lines) {
+    if (/^[ \t]/.test(line) && unfolded.length) unfolded[unfolded.length - 1] += ' ' + line.trim();
+    else unfolded.push(line);
+  }
+  for (const line of unfolded) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const name = line.slice(0, idx).trim().toLowerCase();
+    // Header bytes were read as latin1; re-read raw UTF-8 (SMTPUTF8 mail) before
+    // decoding encoded-words.
+    const value = decodeWords(Buffer.from(line.slice(idx + 1).trim(), 'latin1').toString('utf8'));
+    if (!headers.has(name)) headers.set(name, []);
+    headers.get(name).push(value);
+  }
+  return headers;
+}
+
+/** Decode RFC 2047 encoded-words (`=?utf-8?B?...?=`, `=?iso-8859-1?Q?...?=`). */
+function decodeWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[bBqQ]\?[^?]*\?=)\s+(?==\?)/g, '$1') // whitespace between adjacent words is dropped
+    .replace(/=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g, (_, charset, enc, data) => {
+      const bytes = enc.toUpperCase() === 'B'
+        ? Buffer.from(data, 'base64')
+        : decodeQuotedPrintable(data.replace(/_/g, ' '), { header: true });
+      return decodeCharset(bytes, charset);
+    });
+}
+
+/** Parse `type/subtype; key=value; key="quoted"` (and RFC 2231 `key*=charset''pct`). */
+function parseParams(value) {
+  const [first, ...rest] = splitParams(value || '');
+  const params = {};
+  for (const part of rest) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    let key = part.slice(0, idx).trim().toLowerCase();
+    let val = part.slice(idx + 1).trim();
+    if (val.startsWith('"') && val.endsWith('"')) val = val.slice(1, -1).replace(/\\(.)/g, '$1');
+    if (key.endsWith('*')) {
+      key = key.slice(0, -1);
+      const m = /^([^']*)'[^']*'(.*)$/.exec(val);
+      if (m) val = decodeCharset(percentBytes(m[2]), m[1] || 'utf-8');
+    }
+    params[key] = val;
+  }
+  return { value: (first || '').trim().toLowerCase(), params };
+}
+
+function percentBytes(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '%' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Split on `;` outside quotes.
+function splitParams(value) {
+  const parts = [];
+  let cur = '';
+  let quoted = false;
+  for (const ch of value) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === ';' && !quoted) { parts.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  parts.push(cur);
+  return parts;
+}
+
+function walkEntity(headers, body, out) {
+  const ct = parseParams((headers.get('content-type') || ['text/plain'])[0]);
+  const disp = parseParams((headers.get('content-disposition') || [''])[0]);
+  const cte = ((headers.get('content-transfer-encoding') || [''])[0]).trim().toLowerCase();
+
+  if (ct.value.startsWith('multipart/') && ct.params.boundary) {
+    for (const part of splitMultipart(body, ct.params.boundary)) {
+      const entity = splitEntity(part);
+      walkEntity(entity.headers, entity.body, out);
+    }
+    return;
+  }
+
+  const content = decodeTransfer(body, cte);
+  const fileName = disp.params.filename || ct.params.name || '';
+  const isAttachment = disp.value === 'attachment' || !!fileName || ct.value === 'message/rfc822';
+  if (!isAttachment && ct.value === 'text/plain' && !out.text) {
+    out.text = decodeCharset(content, ct.params.charset);
+  } else if (!isAttachment && ct.value === 'text/html' && !out.html) {
+    out.html = decodeCharset(content, ct.params.charset);
+  } else if (isAttachment) {
+    out.attachments.push({ fileName: fileName || 'attachment', mimeType: ct.value, content });
+  }
+}
+
+function splitMultipart(body, boundary) {
+  const text = body.toString('latin1');
+  const delim = '--' + boundary;
+  const parts = [];
+  let idx = text.indexOf(delim);
+  while (idx !== -1) {
+    const after = idx + delim.length;
+    if (text.startsWith('--', after)) break; // closing delimiter
+    const start = text.indexOf('\n', after);
+    if (start === -1) break;
+    const next = text.indexOf('\n' + delim, start);
+    const end = next === -1 ? text.length : next;
+    let part = text.slice(start + 1, end);
+    if (part.endsWith('\r')) part = part.slice(0, -1);
+    parts.push(Buffer.from(part, 'latin1'));
+    idx = next === -1 ? -1 : next + 1;
+  }
+  return parts;
+}
+
+function decodeTransfer(body, cte) {
+  if (cte === 'base64') return Buffer.from(body.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  if (cte === 'quoted-printable') return decodeQuotedPrintable(body.toString('latin1'));
+  return body;
+}
+
+function decodeQuotedPrintable(text, { header = false } = {}) {
+  const bytes = [];
+  const src = header ? text : text.replace(/=\r?\n/g, ''); // soft line breaks
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '=' && /^[0-9A-Fa-f]{2}$/.test(src.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(src.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(src.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeCharset(bytes, charset) {
+  const cs = (charset || 'utf-8').trim().toLowerCase();
+  try {
+    return new TextDecoder(cs === 'us-ascii' ? 'utf-8' : cs).decode(bytes);
+  } catch {
+    return bytes.toString('utf8');
+  }
+}
+
+/** `"Name" <addr@host>` → { name, address } (address lowercased). */
+function parseAddress(value) {
+  const v = String(value || '').trim();
+  const m = /^(.*?)<([^>]+)>\s*$/.exec(v);
+  if (m) return { name: m[1].trim().replace(/^"|"$/g, ''), address: m[2].trim().toLowerCase() };
+  return { name: '', address: v.toLowerCase() };
+}
+
+/** All `<id>` tokens in a Message-ID / References / In-Reply-To header. */
+function parseMessageIds(value) {
+  return String(value || '').match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * Strip the quoted history from a reply so only the new text reaches the
+ * model: stops at an "On … wrote:" attribution or the first `>`-quoted block.
+ */
+function stripQuoted(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^>/.test(line)) break;
+    if (/^On .+wrote:\s*$/.test(line) || (/^On .+/.test(line) && /wrote:\s*$/.test(lines[i + 1] || ''))) break;
+    if (/^-{2,}\s*Original Message\s*-{2,}/i.test(line)) break;
+    kept.push(line);
+  }
+  return kept.join('\n').trim();
+}
+
+/** Rough text from an HTML-only mail (no tags, entities for the common few). */
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function encodeHeader(value) {
+  const v = String(value || '');
+  if (/^[\x20-\x7e]*$/.test(v)) return v;
+  return `=?UTF-8?B?${Buffer.from(v, 'utf8').toString('base64')}?=`;
+}
+
+function wrapBase64(buf) {
+  return buf.toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/** A fresh Message-ID under the sender's domain. */
+function makeMessageId(fromAddress) {
+  const domain = String(fromAddress || '').split('@')[1] || 'multis.local';
+  return `<multis.${Date.now()}.${crypto.randomBytes(6).toString('hex')}@${domain}>`;
+}
+
+/**
+ * Build an outgoing message. Bodies go out base64 so any UTF-8 survives any
+ * relay. `Auto-Submitted: auto-replied` (RFC 3834) tells other responders not
+ * to answer us back.
+ */
+function buildMessage({ from, to, subject, text, messageId, inReplyTo, references = [], attachment }) {
+  const head = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${messageId}`,
+  ];
+  if (inReplyTo) head.push(`In-Reply-To: ${inReplyTo}`);
+  if (references.length) head.push(`References: ${references.join(' ')}`);
+  head.push('MIME-Version: 1.0', 'Auto-Submitted: auto-replied');
+
+  const textPart = [
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(Buffer.from(text || '', 'utf8')),
+  ].join('\r\n');
+
+  if (!attachment) return head.join('\r\n') + '\r\n' + textPart;
+
+  const boundary = `multis-${crypto.randomBytes(8).toString('hex')}`;
+  const safeName = String(attachment.fileName).replace(/["\\\r\n]/g, '_');
+  return [
+    ...head,
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    textPart,
+    `--${boundary}`,
+    `Content-Type: ${attachment.mimeType || 'application/octet-stream'}; name="${safeName}"`,
+    `Content-Disposition: attachment; filename="${safeName}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(attachment.content),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+module.exports = {
+  parseMessage,
+  parseAddress,
+  parseMessageIds,
+  stripQuoted,
+  htmlToText,
+  buildMessage,
+  makeMessageId,
+};
@@ -0,0 +1,303 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { platformKind, canSendFiles } = require('./base');
+
+/**
+ * Outbox — every outbound text send, kept on disk until it is delivered.
+ *
+ * attach() wraps an adapter's send(). A message is written to the outbox file
+ * first, then handed to the adapter through that platform's lane: one send at a
+ * time, spaced to the platform's rate limit. A send that fails with a temporary
+ * error (a timeout, Telegram's 429, a 5xx) stays queued and is retried with
+ * exponential backoff, never sooner than the platform's Retry-After. When it
+ * runs out of attempts it moves to the dead-letter list, where /outbox shows it
+ * and can resend it. Because the queue is on disk, a reminder or escalation cut
+ * off by a restart is sent once its platform is back.
+ *
+ * The caller waits for the first attempt only. It gets the adapter's return
+ * value (the message id) when that attempt succeeds, and null when the send was
+ * queued for a retry (or for the end of the platform's Retry-After). A send
+ * that can never succeed (a chat that doesn't exist) throws back to the caller
+ * and is not kept — the caller is still there to handle it. Failures on later
+ * retries go to the dead-letter list instead.
+ *
+ * Each attempt passes a stable `sendId` in the send options. Beeper builds its
+ * client_tag from it and Telegram skips the parts it already sent, so a retry
+ * doesn't deliver a part twice. Elsewhere delivery is at-least-once.
+ *
+ * sendPrompt() and sendFile() keep to the platform's rate limit and Retry-After
+ * too, but are never queued: a failure goes straight back to the caller. A
+ * prompt only means something while its ask is parked in memory — sent again
+ * after a restart it would ask for an answer nothing waits for. A file is often
+ * a temporary copy, deleted once the call returns, so there is nothing to retry
+ * from (sendLongOutput falls back to inline parts).
+ */
+
+const DEFAULT_RATE_PER_MINUTE = { telegram: 1200, beeper: 120, matrix: 120, email: 30 };
+const DRAIN_INTERVAL_MS = 1000;
+// A caller waits out a short pause on its platform; past this, its send is left
+// queued for when the pause is over (a Beeper poll must not stall on a 429).
+const MAX_CALLER_WAIT_MS = 5000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * The wait a platform asked for before the next send, in ms (0 = none given).
+ * Telegram's 429 carries parameters.retry_after in seconds; Matrix's
+ * M_LIMIT_EXCEEDED carries retry_after_ms (see MatrixPlatform._request).
+ */
+function retryAfterMs(err) {
+  const seconds = err?.response?.parameters?.retry_after ?? err?.parameters?.retry_after;
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  if (Number.isFinite(err?.retryAfterMs)) return err.retryAfterMs;
+  return 0;
+}
+
+/**
+ * Will this send fail the same way every time? HTTP 4xx (other than timeout and
+ * rate limit) is the request itself: a missing chat, a blocked bot. SMTP reply
+ * codes run the other way — 4xx means try later, 5xx is final.
+ */
+function isPermanent(err) {
+  const code = Number(err?.code);
+  if (!Number.isInteger(code)) return false;
+  if (err.name === 'SmtpError') return code >= 500;
+  return code >= 400 && code < 500 && code !== 408 && code !== 429;
+}
+
+class Outbox {
+  /**
+   * @param {object} opts
+   * @param {string} opts.file - where the queue is kept (PATHS.outbox())
+   * @param {object} [opts.config] - config.outbox
+   * @param {() => number} [opts.now] - clock, defaults to Date.now
+   */
+  constructor({ file, config = {}, now } = {}) {
+    this.file = file;
+    this.maxAttempts = config.max_attempts ?? 8;
+    this.baseDelayMs = config.base_delay_ms ?? 2000;
+    this.maxDelayMs = config.max_delay_ms ?? 10 * 60 * 1000;
+    this.deadLetterMax = config.dead_letter_max ?? 200;
+    this.ratePerMinute = { ...DEFAULT_RATE_PER_MINUTE, ...config.rate_per_minute };
+    this._now = now || (() => Date.now());
+    this._lanes = new Map();     // platform name → { send, chain, nextAt, gapMs }
+    this._inflight = new Set();  // ids of sends being attempted right now
+    this._timer = null;
+    const saved = this._load();
+    this.pending = saved.pending;
+    this.dead = saved.dead;
+  }
+
+  /**
+   * Route a platform's sends through the outbox: its send() is replaced by one
+   * that queues, and the original becomes the lane's delivery.
+   * @param {string} name - platform name, as registered with the router
+   * @param {object} platform
+   */
+  attach(name, platform) {
+    // A named Beeper endpoint (beeper:work) gets the beeper rate unless it has its own.
+    const rate = this.ratePerMinute[name] ?? this.ratePerMinute[platformKind(name)];
+    this._lanes.set(name, {
+      send: platform.send.bind(platform),
+      chain: Promise.resolve(),
+      nextAt: 0,
+      gapMs: rate > 0 ? 60000 / rate : 0,
+    });
+    platform.send = (chatId, text, opts) => this.send(name, chatId, text, opts);
+    if (typeof platform.sendPrompt === 'function') {
+      const sendPrompt = platform.sendPrompt.bind(platform);
+      platform.sendPrompt = (...args) => this._paced(name, () => sendPrompt(...args));
+    }
+    if (canSendFiles(platform)) {
+      const sendFile = platform.sendFile.bind(platform);
+      platform.sendFile = (...args) => this._paced(name, () => sendFile(...args));
+    }
+  }
+
+  /**
+   * Retry whatever is due, now and every second. Call once every platform is
+   * attached and started: sends for a platform that is not attached can never
+   * go out, and go straight to the dead-letter list.
+   * @returns {Promise} settles when the first round of retries is over
+   */
+  start() {
+    for (const item of [...this.pending]) {
+      if (!this._lanes.has(item.platform)) this._bury(item, `platform ${item.platform} is not enabled`);
+    }
+    this._timer = setInterval(() => this._drain(), DRAIN_INTERVAL_MS);
+    if (typeof this._timer.unref === 'function') this._timer.unref();
+    return this._drain();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Queue a send and make its first attempt.
+   * @returns {Promise<*>} the adapter's result, or null when queued for a retry
+   */
+  async send(name, chatId, text, opts = {}) {
+    if (!this._lanes.has(name)) throw new Error(`Outbox: no platform ${name}`);
+    const now = this._now();
+    const item = { id: crypto.randomUUID(), platform: name, chatId, text, opts: { ...opts }, attempts: 0, createdAt: now, nextAttemptAt: now };
+    this.pending.push(item);
+    const lane = this._lanes.get(name);
+    if (lane.nextAt - now > MAX_CALLER_WAIT_MS) {
+      item.nextAttemptAt = lane.nextAt;
+      this._save();
+      return null;
+    }
+    this._save();
+    return this._attempt(item, { caller: true });
+  }
+
+  /** @returns {{ pending: object[], dead: object[] }} */
+  list() {
+    return { pending: [...this.pending], dead: [...this.dead] };
+  }
+
+  /**
+   * Move dead letters back into the queue for a fresh round of attempts, from
+   * the next drain on.
+   * @param {number} [n] - 1-based position in the dead-letter list; all when omitted
+   * @returns {number} how many were requeued
+   */
+  resend(n) {
+    const picked = n == null ? [...this.dead] : [this.dead[n - 1]].filter(Boolean);
+    if (picked.length === 0) return 0;
+    this.dead = this.dead.filter((d) => !picked.includes(d));
+    const now = this._now();
+    for (const { deadAt, ...item } of picked) this.pending.push({ ...item, attempts: 0, nextAttemptAt: now });
+    this._save();
+    return picked.length;
+  }
+
+  /** Empty the dead-letter list. @returns {number} how many were dropped */
+  clear() {
+    const count = this.dead.length;
+    this.dead = [];
+    this._save();
+    return count;
+  }
+
+  /**
+   * One unqueued delivery (a prompt, a file), spaced like the lane's sends. It
+   * doesn't join the lane's chain: a Telegram prompt without buttons is sent by
+   * the adapter's own send(), which is queued on that chain.
+   */
+  async _paced(name, deliver) {
+    const lane = this._lanes.get(name);
+    const wait = lane.nextAt - this._now();
+    if (wait > MAX_CALLER_WAIT_MS) throw new Error(`Outbox: ${name} is rate-limited for another ${Math.ceil(wait / 1000)}s`);
+    if (wait > 0) await sleep(wait);
+    try {
+      return await deliver();
+    } catch (err) {
+      const retryAfter = retryAfterMs(err);
+      if (retryAfter) lane.nextAt = this._now() + retryAfter;
+      throw err;
+    } finally {
+      lane.nextAt = Math.max(lane.nextAt, this._now() + lane.gapMs);
+    }
+  }
+
+  /** Attempt every due send; resolves once those attempts are over. */
+  _drain() {
+    const now = this._now();
+    const due = this.pending.filter((item) =>
+      !this._inflight.has(item.id) && item.nextAttemptAt <= now && this._lanes.has(item.platform));
+    return Promise.all(due.map((item) => this._attempt(item).catch(() => null)));
+  }
+
+  _attempt(item, { caller = false } = {}) {
+    const lane = this._lanes.get(item.platform);
+    this._inflight.add(item.id);
+    const run = lane.chain.then(async () => {
+      const wait = lane.nextAt - this._now();
+      if (wait > 0) await sleep(wait);
+      try {
+        const result = await lane.send(item.chatId, item.text, { ...item.opts, sendId: item.id });
+        this.pending = this.pending.filter((p) => p !== item);
+        this._save();
+        return result;
+      } catch (err) {
+        return this._failed(item, err, lane, caller);
+      } finally {
+        lane.nextAt = Math.max(lane.nextAt, this._now() + lane.gapMs);
+        this._inflight.delete(item.id);
+      }
+    });
+    lane.chain = run.catch(() => {});
+    return run;
+  }
+
+  _failed(item, err, lane, caller) {
+    item.attempts++;
+    item.lastError = err.message;
+    const retryAfter = retryAfterMs(err);
+    if (retryAfter) lane.nextAt = this._now() + retryAfter;
+
+    if (isPermanent(err) && caller) {
+      this.pending = this.pending.filter((p) => p !== item);
+      this._save();
+      throw err;
+    }
+    if (isPermanent(err) || item.attempts >= this.maxAttempts) {
+      this._bury(item, err.message);
+      return null;
+    }
+    const delay = Math.max(retryAfter, Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (item.attempts - 1)));
+    item.nextAttemptAt = this._now() + delay;
+    this._save();
+    console.error(`Outbox: ${item.platform} send to ${item.chatId} failed (${err.message}) — retry ${item.attempts}/${this.maxAttempts - 1} in ${Math.ceil(delay / 1000)}s`);
+    return null;
+  }
+
+  _bury(item, reason) {
+    this.pending = this.pending.filter((p) => p !== item);
+    this.dead.push({ ...item, lastError: reason, deadAt: this._now() });
+    if (this.dead.length > this.deadLetterMax) this.dead.splice(0, this.dead.length - this.deadLetterMax);
+    this._save();
+    console.error(`Outbox: gave up on ${item.platform} send to ${item.chatId} after ${item.attempts} attempt(s) — ${reason} (see /outbox)`);
+  }
+
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return { pending: data.pending || [], dead: data.dead || [] };
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Outbox: could not read ${this.file} — ${err.message}`);
+      return { pending: [], dead: [] };
+    }
+  }
+
+  // Write-then-rename, so a crash mid-write leaves the previous queue intact.
+  _save() {
+    const tmp = `${this.file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify({ pending: this.pending, dead: this.dead }));
+      fs.renameSync(tmp, this.file);
+      this._saveErrorLogged = false;
+    } catch (err) {
+      if (!this._saveErrorLogged) {
+        console.error(`Outbox: persist failed — ${err.message}`);
+        this._saveErrorLogged = true;
+      }
+    }
+  }
+}
+
+/** One dead letter, as /outbox lists it. */
+function formatDeadLetter(item, n) {
+  const when = new Date(item.deadAt).toISOString().slice(0, 16).replace('T', ' ');
+  const preview = item.text.replace(/\s+/g, ' ').slice(0, 60);
+  return `${n}. ${item.platform} → ${item.chatId} | ${when} | ${item.attempts} tries | ${item.lastError}\n   "${preview}${item.text.length > 60 ? '…' : ''}"`;
+}
+
+module.exports = { Outbox, formatDeadLetter, retryAfterMs, isPermanent };
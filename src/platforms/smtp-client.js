@@ -0,0 +1,181 @@
+// Minimal SMTP submission client for the email platform — EHLO, STARTTLS,
+// AUTH PLAIN/LOGIN, MAIL/RCPT/DATA, QUIT. One connection per message: replies
+// are rare enough that pooling buys nothing. Zero dependencies (see
+// imap-client.js for the rationale).
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+class SmtpError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = 'SmtpError';
+    if (code !== undefined) this.code = code; // SMTP reply code
+  }
+}
+
+class SmtpClient {
+  /**
+   * @param {object} opts
+   * @param {string} opts.host
+   * @param {number} [opts.port]                   default 465 (tls) / 587 (starttls) / 25
+   * @param {'tls'|'starttls'|false} [opts.secure='starttls']
+   * @param {string} [opts.user]
+   * @param {string} [opts.password]
+   * @param {number} [opts.timeout=30000]
+   * @param {boolean} [opts.rejectUnauthorized=true]
+   */
+  constructor({ host, port, secure = 'starttls', user, password, timeout = 30000, rejectUnauthorized = true } = {}) {
+    if (!host) throw new SmtpError('SmtpClient: host is required');
+    this.host = host;
+    this.secure = secure;
+    this.port = port || (secure === 'tls' ? 465 : secure === 'starttls' ? 587 : 25);
+    this.user = user;
+    this.password = password;
+    this.timeout = timeout;
+    this.rejectUnauthorized = rejectUnauthorized;
+  }
+
+  /**
+   * Deliver one message.
+   * @param {{ from: string, to: string[], data: string }} envelope - bare addresses + the full RFC 5322 text
+   */
+  async send({ from, to, data }) {
+    const conn = await this._open();
+    try {
+      await conn.expect(220);
+      let caps = await this._ehlo(conn);
+      if (this.secure === 'starttls') {
+        if (!/^STARTTLS$/im.test(caps)) throw new SmtpError('SMTP server does not offer STARTTLS');
+        await conn.cmd('STARTTLS', 220);
+        await conn.upgrade({ servername: this.host, rejectUnauthorized: this.rejectUnauthorized });
+        caps = await this._ehlo(conn);
+      }
+      if (this.user) await this._auth(conn, caps);
+      await conn.cmd(`MAIL FROM:<${from}>`, 250);
+      for (const rcpt of to) await conn.cmd(`RCPT TO:<${rcpt}>`, [250, 251]);
+      await conn.cmd('DATA', 354);
+      // Dot-stuffing (RFC 5321 §4.5.2) and CRLF normalization.
+      const body = String(data).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      await conn.cmd(`${body}\r\n.`, 250);
+      await conn.cmd('QUIT', 221).catch(() => {});
+    } finally {
+      conn.close();
+    }
+  }
+
+  async _ehlo(conn) {
+    return conn.cmd(`EHLO ${os.hostname() || 'localhost'}`, 250);
+  }
+
+  async _auth(conn, caps) {
+    const mechs = (/^AUTH[ =](.*)$/im.exec(caps)?.[1] || '').toUpperCase().split(/\s+/);
+    if (mechs.includes('PLAIN') || !mechs.includes('LOGIN')) {
+      const token = Buffer.from(`\0${this.user}\0${this.password}`).toString('base64');
+      await conn.cmd(`AUTH PLAIN ${token}`, 235);
+      return;
+    }
+    await conn.cmd('AUTH LOGIN', 334);
+    await conn.cmd(Buffer.from(this.user).toString('base64'), 334);
+    await conn.cmd(Buffer.from(this.password).toString('base64'), 235);
+  }
+
+  _open() {
+    return new Promise((resolve, reject) => {
+      const socket = this.secure === 'tls'
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host, rejectUnauthorized: this.rejectUnauthorized })
+        : net.connect({ host: this.host, port: this.port });
+      const onError = (err) => reject(new SmtpError(`SMTP connect ${this.host}:${this.port} failed: ${err.message}`));
+      socket.once('error', onError);
+      socket.once(this.secure === 'tls' ? 'secureConnect' : 'connect', () => {
+        socket.off('error', onError);
+        resolve(new SmtpConnection(socket, this.timeout));
+      });
+    });
+  }
+}
+
+/** Line-oriented reply reader over one socket (swappable for STARTTLS). */
+class SmtpConnection {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this._lines = [];
+    this._waiter = null;
+    this._attach(socket);
+  }
+
+  _attach(socket) {
+    this.socket = socket;
+    let buf = '';
+    socket.on('data', (chunk) => {
+      buf += chunk.toString('utf8');
+      let idx;
+      while ((idx = buf.indexOf('\r\n')) !== -1) {
+        this._lines.push(buf.slice(0, idx));
+        buf = buf.slice(idx + 2);
+      }
+      this._pump();
+    });
+    socket.on('error', (err) => this._fail(new SmtpError(`SMTP socket error: ${err.message}`)));
+    socket.on('close', () => this._fail(new SmtpError('SMTP connection closed')));
+  }
+
+  // A reply is complete at a line whose 4th char is a space ("250 ok"), not
+  // a hyphen ("250-PIPELINING").
+  _pump() {
+    if (!this._waiter) return;
+    const end = this._lines.findIndex((l) => /^\d{3}(?: |$)/.test(l));
+    if (end === -1) return;
+    const lines = this._lines.splice(0, end + 1);
+    const w = this._waiter;
+    this._waiter = null;
+    clearTimeout(w.timer);
+    const code = Number(lines[end].slice(0, 3));
+    const text = lines.map((l) => l.slice(4)).join('\n');
+    if (w.expected.includes(code)) w.resolve(text);
+    else w.reject(new SmtpError(`SMTP ${w.what} failed: ${code} ${text}`, { code }));
+  }
+
+  _fail(err) {
+    if (!this._waiter) return;
+    const w = this._waiter;
+    this._waiter = null;
+    clearTimeout(w.timer);
+    w.reject(err);
+  }
+
+  expect(expected, what = 'greeting') {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => { this._waiter = null; reject(new SmtpError(`SMTP ${what} timed out`)); }, this.timeout);
+      this._waiter = { expected: [].concat(expected), resolve, reject, timer, what };
+      this._pump();
+    });
+  }
+
+  cmd(line, expected) {
+    const what = /^(AUTH|MAIL|RCPT|DATA|EHLO|STARTTLS|QUIT)\b/.exec(line)?.[1] || 'DATA body';
+    const p = this.expect(expected, what);
+    this.socket.write(line + '\r\n');
+    return p;
+  }
+
+  upgrade(opts) {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners('data');
+      plain.removeAllListeners('close');
+      plain.removeAllListeners('error');
+      const secure = tls.connect({ socket: plain, ...opts }, () => resolve());
+      secure.once('error', (err) => reject(new SmtpError(`SMTP STARTTLS failed: ${err.message}`)));
+      this._lines = [];
+      this._attach(secure);
+    });
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+module.exports = { SmtpClient, SmtpError };
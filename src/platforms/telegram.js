@@ -1,7 +1,22 @@
 const { Telegraf } = require('telegraf');
-const { Platform } = require('./base');
-const { Message } = require('./message');
+const { Platform, readAsset } = require('./base');
+const { Message, looksLikeCommand } = require('./message');
+const { renderMessage, formatMarkdown } = require('./format');
 const { logAudit } = require('../governance/audit');
+const { defaultModeForRole } = require('../config');
+const { nameIsCalled } = require('../bot/name-match'); // M8: personal-mode name trigger
+
+const GROUP_CHAT_TYPES = new Set(['group', 'supergroup']);
+
+// Beyond this many choices a keyboard is a wall of buttons — send the plain
+// numbered text instead (the owner types the number, as before).
+const MAX_PROMPT_BUTTONS = 24;
+
+// Update types the bot asks for: reactions are off unless requested by name.
+const ALLOWED_UPDATES = ['message', 'edited_message', 'callback_query', 'message_reaction'];
+
+// Replies go out as Bot API HTML, split to the 4096-character message limit.
+const TEXT_FORMAT = { dialect: 'html', maxLength: 4096 };
 
 /**
  * Telegram platform adapter.
@@ -15,6 +30,7 @@ class TelegramPlatform extends Platform {
       throw new Error('Telegram bot token is required');
     }
     this.bot = new Telegraf(token);
+    this._partsSent = new Map(); // outbox sendId → parts of it already delivered
   }
 
   async start() {
@@ -32,8 +48,17 @@ class TelegramPlatform extends Platform {
         return;
       }
 
-      const text = ctx.message.text;
-      if (!text) return;
+      // A voice note / audio file has no text (maybe a caption): it rides along as an
+      // attachment the router transcribes (config.transcription) before routing.
+      const audio = ctx.message.voice || ctx.message.audio;
+      // A photo comes in several sizes, smallest first; the largest reads best.
+      const photo = ctx.message.photo?.[ctx.message.photo.length - 1];
+      const text = ctx.message.text || ((audio || photo) && ctx.message.caption) || '';
+      if (!text && !audio && !photo) return;
+
+      const isGroup = GROUP_CHAT_TYPES.has(ctx.chat.type);
+      const routeAs = isGroup ? this._groupRoute(ctx, text) : null;
+      if (routeAs === undefined) return;
 
       const msg = new Message({
         id: ctx.message.message_id,
@@ -45,17 +70,113 @@ class TelegramPlatform extends Platform {
         isSelf: false,
         text,
         raw: ctx,
+        routeAs,
+        isGroup,
+        replyTo: quotedMessage(ctx.message),
+        threadId: ctx.message.is_topic_message ? ctx.message.message_thread_id : null,
       });
+      if (audio) {
+        // Same _attachments shape as Beeper/Matrix; srcURL is the Bot API file_id,
+        // fetched on demand via downloadAsset.
+        msg._attachments = [{
+          fileName: audio.file_name || `voice-${ctx.message.message_id}.ogg`,
+          srcURL: audio.file_id,
+          mimeType: audio.mime_type || 'audio/ogg',
+          size: audio.file_size,
+          isVoiceNote: !!ctx.message.voice,
+        }];
+      } else if (photo) {
+        // Telegram re-encodes photos as JPEG; the router hands them to the model.
+        msg._attachments = [{
+          fileName: `photo-${ctx.message.message_id}.jpg`,
+          srcURL: photo.file_id,
+          mimeType: 'image/jpeg',
+          size: photo.file_size,
+        }];
+      }
+
+      this._dispatch(msg);
+    });
 
-      // Fire-and-forget — do NOT await. An inline ceremony (PIN/approval) suspends
-      // the router waiting for the user's *next* message; awaiting here would block
-      // Telegraf's poll loop from fetching that reply until handlerTimeout (90s),
-      // deadlocking the ceremony. Beeper's independent poll loop never had this; the
-      // doc-upload path below (and Beeper) already dispatch without awaiting.
-      this._messageCallback(msg, this).catch((err) => {
-        console.error('Telegram handler error:', err.message);
-        logAudit({ action: 'error', platform: 'telegram', error: err.message });
+    // An edited text message: the router logs it, and may answer it again.
+    this.bot.on('edited_message', async (ctx) => {
+      const edited = ctx.editedMessage;
+      const text = edited?.text || edited?.caption || '';
+      if (!this._messageCallback || !text) return;
+      if (Date.now() / 1000 - (edited.edit_date || edited.date) > 120) return;
+
+      const isGroup = GROUP_CHAT_TYPES.has(ctx.chat.type);
+      const routeAs = isGroup ? this._groupRoute(ctx, text, edited) : null;
+      if (routeAs === undefined) return;
+      this._dispatch(new Message({
+        id: edited.message_id,
+        platform: 'telegram',
+        chatId: ctx.chat.id,
+        chatName: ctx.chat.title || ctx.chat.first_name || '',
+        senderId: ctx.from.id,
+        senderName: ctx.from.username || ctx.from.first_name || '',
+        text,
+        raw: ctx,
+        routeAs,
+        isGroup,
+        replyTo: quotedMessage(edited),
+        threadId: edited.is_topic_message ? edited.message_thread_id : null,
+        event: 'edit',
+      }));
+    });
+
+    // A reaction added to a message. Telegram reports the chat's whole reaction
+    // set from this user, before and after; only a newly added emoji is an event.
+    this.bot.on('message_reaction', async (ctx) => {
+      const r = ctx.messageReaction;
+      if (!this._messageCallback || !r?.user) return;
+      const before = new Set((r.old_reaction || []).map((x) => x.emoji));
+      const added = (r.new_reaction || []).find((x) => x.type === 'emoji' && !before.has(x.emoji));
+      if (!added) return;
+      const isGroup = GROUP_CHAT_TYPES.has(r.chat.type);
+      if (isGroup && this._getChatMode(r.chat.id) === 'off') return;
+      this._dispatch(new Message({
+        id: `${r.message_id}:${r.user.id}:${r.date}`,
+        platform: 'telegram',
+        chatId: r.chat.id,
+        chatName: r.chat.title || r.chat.first_name || '',
+        senderId: r.user.id,
+        senderName: r.user.username || r.user.first_name || '',
+        raw: ctx,
+        isGroup,
+        event: 'reaction',
+        reaction: added.emoji,
+        targetId: r.message_id,
+      }));
+    });
+
+    // Inline-keyboard taps (sendPrompt). The button's value is delivered as if
+    // the owner had typed it, so the parked ask's accepts/handle contract is
+    // unchanged. Safe to trust: callback data only ever becomes the same text the
+    // same sender could type, and every owner gate downstream still applies.
+    this.bot.on('callback_query', async (ctx) => {
+      const query = ctx.callbackQuery;
+      // Acknowledge first — the client shows a spinner until the query is answered.
+      ctx.answerCbQuery().catch(() => {});
+      if (!this._messageCallback || !query?.data || !ctx.chat) return;
+      // One tap per prompt: strip the keyboard so a double tap (or a tap on an
+      // old prompt) can't answer twice.
+      ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+      const msg = new Message({
+        id: query.id,
+        platform: 'telegram',
+        chatId: ctx.chat.id,
+        chatName: ctx.chat.title || ctx.chat.first_name || '',
+        senderId: ctx.from.id,
+        senderName: ctx.from.username || ctx.from.first_name || '',
+        isSelf: false,
+        text: query.data,
+        raw: ctx,
+        isGroup: GROUP_CHAT_TYPES.has(ctx.chat.type),
+        promptReply: true,
       });
+      this._dispatch(msg);
     });
 
     this.bot.catch((err, ctx) => {
@@ -63,7 +184,7 @@ class TelegramPlatform extends Platform {
       logAudit({ action: 'error', platform: 'telegram', error: err.message });
     });
 
-    this.bot.launch({ dropPendingUpdates: true }).catch(err => {
+    this.bot.launch({ dropPendingUpdates: true, allowedUpdates: ALLOWED_UPDATES }).catch(err => {
       console.error('Telegram: launch error:', err.message);
     });
     console.log('Telegram: bot started');
@@ -73,8 +194,88 @@ class TelegramPlatform extends Platform {
     this.bot.stop('shutdown');
   }
 
-  async send(chatId, text) {
-    await this.bot.telegram.sendMessage(chatId, text);
+  /**
+   * Send Markdown as formatted HTML, in numbered parts when it's over the limit.
+   * `opts.threadId` keeps a forum-topic answer in its topic; `opts.replyTo` makes
+   * the first part a reply to that message. `opts.sendId` is the outbox's id for
+   * the send, the same on every retry of it.
+   * @param {string} chatId
+   * @param {string} text
+   * @param {{ replyTo?: number|string, threadId?: number|string, sendId?: string }} [opts]
+   * @returns {Promise<number>} the id of the last part sent
+   */
+  async send(chatId, text, opts = {}) {
+    const extra = {};
+    if (opts.threadId != null) extra.message_thread_id = Number(opts.threadId);
+    // A retry (same outbox sendId) picks up after the parts that already went out.
+    const done = (opts.sendId && this._partsSent.get(opts.sendId)) || 0;
+    let messageId;
+    for (const [i, part] of renderMessage(text, TEXT_FORMAT).entries()) {
+      if (i < done) continue;
+      const reply = opts.replyTo != null && i === 0
+        ? { reply_parameters: { message_id: Number(opts.replyTo), allow_sending_without_reply: true } }
+        : {};
+      const sent = await this._sendHtml(chatId, part, { ...extra, ...reply });
+      messageId = sent?.message_id;
+      if (opts.sendId) this._partsSent.set(opts.sendId, i + 1);
+    }
+    if (opts.sendId) this._partsSent.delete(opts.sendId);
+    return messageId;
+  }
+
+  /**
+   * Rewrite a sent message in place (a streaming reply). Telegram rejects an
+   * edit that changes nothing; callers only edit when the text moved on. Text
+   * that no longer fits one message throws — the caller sends it instead.
+   * @param {string} chatId
+   * @param {number} messageId - as returned by send()
+   * @param {string} text
+   */
+  async editMessage(chatId, messageId, text) {
+    const parts = renderMessage(text, TEXT_FORMAT);
+    if (parts.length > 1) throw new Error('too long to edit in place');
+    try {
+      await this.bot.telegram.editMessageText(chatId, messageId, undefined, parts[0].text, { parse_mode: 'HTML' });
+    } catch (err) {
+      if (!isParseError(err)) throw err;
+      await this.bot.telegram.editMessageText(chatId, messageId, undefined, parts[0].source);
+    }
+  }
+
+  // Markup Telegram refuses to parse must not cost the message: resend it as the
+  // unformatted source.
+  async _sendHtml(chatId, part, extra = {}) {
+    try {
+      return await this.bot.telegram.sendMessage(chatId, part.text, { parse_mode: 'HTML', ...extra });
+    } catch (err) {
+      if (!isParseError(err)) throw err;
+      return this.bot.telegram.sendMessage(chatId, part.source, extra);
+    }
+  }
+
+  /**
+   * Render a prompt as an inline keyboard: `choices` become buttons whose value
+   * comes back as the reply; a PIN prompt stays typed (a PIN must never be a
+   * button) but gets a Cancel button. The text is sent unchanged, so typing the
+   * answer still works.
+   * @param {string} chatId
+   * @param {string} text
+   * @param {{ input?: 'pin', choices?: Array<string|{label:string,value:string}> }} prompt
+   * @returns {Promise<number>} the prompt's message id, so a reaction to it can answer it
+   */
+  async sendPrompt(chatId, text, prompt = {}) {
+    const buttons = (prompt.choices || []).map((c) => ({
+      text: String(c.label ?? c).slice(0, 60),
+      callback_data: String(c.value ?? c).slice(0, 64),
+    }));
+    if (prompt.input === 'pin') buttons.push({ text: 'Cancel', callback_data: 'cancel' });
+    if (buttons.length === 0 || buttons.length > MAX_PROMPT_BUTTONS) {
+      return this.send(chatId, text);
+    }
+    // Two short answers (Approve / Deny) side by side; a list one per row.
+    const rows = buttons.length <= 2 ? [buttons] : buttons.map((b) => [b]);
+    const sent = await this._sendHtml(chatId, { text: formatMarkdown(text, 'html'), source: text }, { reply_markup: { inline_keyboard: rows } });
+    return sent?.message_id;
   }
 
   async sendFile(chatId, filePath, caption) {
@@ -84,11 +285,41 @@ class TelegramPlatform extends Platform {
     await this.bot.telegram.sendDocument(chatId, { source, filename }, caption ? { caption } : {});
   }
 
+  /**
+   * Fetch an attachment's bytes through the Bot API file endpoint, bounded by
+   * MAX_ASSET_BYTES like every adapter's download.
+   * @param {string} fileId - the attachment's srcURL (a Bot API file_id)
+   * @returns {Promise<Buffer>} the attachment bytes
+   */
+  async downloadAsset(fileId) {
+    const link = await this.bot.telegram.getFileLink(fileId);
+    const res = await fetch(link.href);
+    if (!res.ok) throw new Error(`Telegram file download HTTP ${res.status}`);
+    return readAsset(res);
+  }
+
+  // Fire-and-forget — do NOT await. An inline ceremony (PIN/approval) suspends
+  // the router waiting for the user's *next* message; awaiting here would block
+  // Telegraf's poll loop from fetching that reply until handlerTimeout (90s),
+  // deadlocking the ceremony. Beeper's independent poll loop never had this; the
+  // doc-upload path below (and Beeper) already dispatch without awaiting.
+  _dispatch(msg) {
+    this._messageCallback(msg, this).catch((err) => {
+      console.error('Telegram handler error:', err.message);
+      logAudit({ action: 'error', platform: 'telegram', error: err.message });
+    });
+  }
+
   /**
    * Handle document uploads - Telegram-specific (downloads file, indexes).
    * Calls the message callback with a special document Message.
    */
   async _handleDocument(ctx) {
+    // A group upload is never the owner's admin-scope index: with the chat off
+    // it's dropped, otherwise it's silently indexed into the group's own scope.
+    const isGroup = GROUP_CHAT_TYPES.has(ctx.chat.type);
+    if (isGroup && this._getChatMode(ctx.chat.id) === 'off') return;
+
     // Create message for auth check, then handle doc inline
     const msg = new Message({
       id: ctx.message.message_id,
@@ -100,12 +331,74 @@ class TelegramPlatform extends Platform {
       isSelf: false,
       text: ctx.message.caption || '',
       raw: ctx,
+      routeAs: isGroup ? 'silent' : null,
+      isGroup,
     });
     msg._document = ctx.message.document;
     msg._telegram = ctx.telegram;
 
     this._messageCallback(msg, this);
   }
+
+  /**
+   * Route a group/supergroup message with the same per-chat modes as Beeper
+   * chats. A slash command meant for us stays a command (null) — the router's
+   * owner-id door decides it. Anything else follows the group's mode, and an
+   * engaged mode only answers when the bot is addressed; the rest is observed
+   * as silent. Returns undefined to drop the message.
+   */
+  _groupRoute(ctx, text, message = ctx.message) {
+    if (looksLikeCommand(text)) {
+      // `/help@otherbot` is for another bot in the room.
+      const target = /^\/[\w-]+@(\S+)/.exec(text)?.[1];
+      if (target && target.toLowerCase() !== String(ctx.botInfo?.username || '').toLowerCase()) return undefined;
+      return null;
+    }
+    const mode = this._getChatMode(ctx.chat.id);
+    if (mode === 'business' || mode === 'personal') return this._isAddressed(ctx, text, message) ? mode : 'silent';
+    if (mode === 'silent') return 'silent';
+    return undefined; // off
+  }
+
+  /**
+   * Is the bot addressed in this group message: @mentioned, replied to, or
+   * called by its assistant name (the /name trigger personal mode uses)?
+   */
+  _isAddressed(ctx, text, message) {
+    const me = ctx.botInfo;
+    if (me) {
+      if (message.reply_to_message?.from?.id === me.id) return true;
+      const handle = `@${me.username}`.toLowerCase();
+      for (const e of message.entities || []) {
+        if (e.type === 'mention' && text.slice(e.offset, e.offset + e.length).toLowerCase() === handle) return true;
+        if (e.type === 'text_mention' && e.user?.id === me.id) return true;
+      }
+    }
+    return nameIsCalled(text, this.config.assistant_name);
+  }
+
+  _getChatMode(chatId) {
+    const stored = this.config.chats?.[chatId]?.mode;
+    if (stored) return stored;
+    if (this.config.platforms?.telegram?.default_mode) return this.config.platforms.telegram.default_mode;
+    return defaultModeForRole(this.config.bot_mode);
+  }
+}
+
+// What an inbound message replies to, as Message.replyTo. In a forum topic every
+// message "replies" to the topic's opening service message — that's no referent.
+function quotedMessage(message) {
+  const r = message.reply_to_message;
+  if (!r || r.forum_topic_created) return null;
+  return {
+    id: String(r.message_id),
+    text: r.text || r.caption || '',
+    senderName: r.from?.username || r.from?.first_name || r.sender_chat?.title || '',
+  };
+}
+
+function isParseError(err) {
+  return /can't parse entities/i.test(err?.message || '');
 }
 
 module.exports = { TelegramPlatform };
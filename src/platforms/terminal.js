@@ -0,0 +1,152 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { Platform } = require('./base');
+const { Message, looksLikeCommand } = require('./message');
+const { formatMarkdown } = require('./format');
+const { PATHS } = require('../config');
+
+const OWNER_CHAT_ID = 'terminal-owner';
+const MAX_BACKLOG = 50;              // replies held while no terminal is attached
+
+/**
+ * Terminal chat platform — the daemon side of `multis chat`.
+ *
+ * Listens on a Unix socket (PATHS.chatSocket(), mode 0600) that only the
+ * owner's user account can open; being able to connect is the credential,
+ * so every connection is the owner: `isSelf` + `isPersonalChat`, one shared
+ * conversation across terminals, every slash command and the agent loop.
+ *
+ * Frames are newline-delimited JSON, the same shapes as the web chat:
+ *   client → { type: 'message', text }
+ *   daemon → { type: 'hello', name } | { type: 'message', text }
+ *            | { type: 'prompt', text, input, choices } | { type: 'file', path, caption }
+ * A PIN prompt arrives as `input: 'pin'`, so the client can read it unechoed.
+ */
+class TerminalPlatform extends Platform {
+  constructor(config, { socketPath } = {}) {
+    super('terminal', config);
+    this.socketPath = socketPath || config.platforms?.terminal?.socket || PATHS.chatSocket();
+    this.server = null;
+    this._clients = new Set();
+    this._backlog = [];
+    this._msgSeq = 0;
+  }
+
+  async start() {
+    fs.mkdirSync(path.dirname(this.socketPath), { recursive: true });
+    // A socket file left by a daemon that didn't shut down cleanly blocks listen().
+    try { fs.unlinkSync(this.socketPath); } catch { /* none there */ }
+    this.server = net.createServer((socket) => this._onConnection(socket));
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.socketPath, () => {
+          this.server.off('error', reject);
+          resolve();
+        });
+      });
+      fs.chmodSync(this.socketPath, 0o600);
+    } catch (err) {
+      console.error(`Terminal: cannot listen on ${this.socketPath} — ${err.message}`);
+      if (this.server.listening) this.server.close();
+      this.server = null;
+      return false;
+    }
+    return true;
+  }
+
+  async stop() {
+    for (const socket of this._clients) socket.end();
+    this._clients.clear();
+    if (this.server) {
+      await new Promise((r) => this.server.close(() => r()));
+      this.server = null;
+    }
+  }
+
+  async send(chatId, text) {
+    // A terminal shows text as-is, so Markdown arrives stripped to plain.
+    this._deliver({ type: 'message', text: formatMarkdown(text, 'plain') });
+  }
+
+  async sendPrompt(chatId, text, prompt = {}) {
+    this._deliver({ type: 'prompt', text, input: prompt.input || null, choices: prompt.choices || null });
+  }
+
+  async sendFile(chatId, filePath, caption) {
+    // Same machine — the path is all the terminal needs.
+    this._deliver({ type: 'file', path: filePath, caption: caption || '' });
+  }
+
+  /**
+   * The owner's chat, while a terminal is attached. With none, an escalation
+   * would only join the backlog and still count as delivered, so the caller is
+   * told there is no one here and tries its other channels.
+   */
+  getAdminChatIds() {
+    return this._clients.size ? [OWNER_CHAT_ID] : [];
+  }
+
+  _deliver(frame) {
+    if (this._clients.size) {
+      const line = JSON.stringify(frame) + '\n';
+      for (const socket of this._clients) socket.write(line);
+      return;
+    }
+    // No terminal attached (a reminder firing overnight) — hold it for the next one.
+    this._backlog.push(frame);
+    if (this._backlog.length > MAX_BACKLOG) this._backlog.shift();
+  }
+
+  _onConnection(socket) {
+    this._clients.add(socket);
+    socket.setEncoding('utf8');
+    socket.write(JSON.stringify({ type: 'hello', name: this.config.assistant_name || 'multis' }) + '\n');
+    for (const frame of this._backlog) socket.write(JSON.stringify(frame) + '\n');
+    this._backlog = [];
+
+    let buf = '';
+    socket.on('data', (chunk) => {
+      buf += chunk;
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const line = buf.slice(0, nl);
+        buf = buf.slice(nl + 1);
+        this._onLine(line);
+      }
+    });
+    socket.on('close', () => this._clients.delete(socket));
+    socket.on('error', () => this._clients.delete(socket));
+  }
+
+  _onLine(line) {
+    let frame;
+    try { frame = JSON.parse(line); } catch { return; }
+    if (frame?.type !== 'message' || typeof frame.text !== 'string' || !frame.text.trim()) return;
+    if (!this._messageCallback) return;
+
+    const msg = new Message({
+      id: `terminal-${Date.now()}-${++this._msgSeq}`,
+      platform: 'terminal',
+      chatId: OWNER_CHAT_ID,
+      chatName: 'Terminal',
+      senderId: OWNER_CHAT_ID,
+      senderName: 'owner',
+      isSelf: true,
+      text: frame.text,
+      raw: frame,
+      routeAs: looksLikeCommand(frame.text) ? null : 'natural',
+      isPersonalChat: true,
+      network: 'terminal',
+    });
+
+    // Fire-and-forget, like web: the answer to a prompt is the NEXT line, which
+    // this same handler has to be free to deliver.
+    Promise.resolve()
+      .then(() => this._messageCallback(msg, this))
+      .catch((err) => console.error(`Terminal: handler error — ${err.message}`));
+  }
+}
+
+module.exports = { TerminalPlatform, OWNER_CHAT_ID };
@@ -0,0 +1,137 @@
+// multis local web chat client. Token comes from the URL fragment (never sent
+// to the server as part of the page request); a guest session id is kept in
+// localStorage so a reload resumes the same conversation.
+(function () {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const token = params.get('token') || '';
+  const log = document.getElementById('log');
+  const status = document.getElementById('status');
+  const compose = document.getElementById('compose');
+  const input = document.getElementById('text');
+  let ws = null;
+  let session = localStorage.getItem('multis-session') || '';
+  let retry = 1000;
+
+  function line(text, cls) {
+    const div = document.createElement('div');
+    div.className = 'msg ' + cls;
+    div.textContent = text;
+    log.appendChild(div);
+    log.scrollTop = log.scrollHeight;
+    return div;
+  }
+
+  function authQuery() {
+    return 'token=' + encodeURIComponent(token) + (session ? '&session=' + encodeURIComponent(session) : '');
+  }
+
+  function sendText(text, echo) {
+    if (!ws || ws.readyState !== 1) return;
+    ws.send(JSON.stringify({ type: 'message', text: text }));
+    if (echo !== false) line(text, 'me');
+  }
+
+  // A PIN prompt renders as a password form; the PIN is sent as a normal reply
+  // but never echoed into the transcript.
+  function renderPrompt(frame) {
+    const box = line(frame.text, 'bot prompt');
+    if (frame.input === 'pin') {
+      const form = document.createElement('form');
+      const pin = document.createElement('input');
+      pin.type = 'password';
+      pin.inputMode = 'numeric';
+      pin.autocomplete = 'off';
+      pin.placeholder = 'PIN';
+      const ok = document.createElement('button');
+      ok.type = 'submit';
+      ok.textContent = 'Submit';
+      form.append(pin, ok);
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        if (!pin.value) return;
+        sendText(pin.value, false);
+        line('•••• (PIN sent)', 'sys');
+        form.remove();
+      });
+      box.appendChild(form);
+      pin.focus();
+    } else if (Array.isArray(frame.choices)) {
+      const row = document.createElement('div');
+      row.className = 'choices';
+      frame.choices.forEach(function (c) {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = c.label || c;
+        b.addEventListener('click', function () { sendText(c.value || c); row.remove(); });
+        row.appendChild(b);
+      });
+      box.appendChild(row);
+    }
+  }
+
+  // The download presents the token in a header, never in the link, so it
+  // stays out of server logs and browser history.
+  function renderFile(frame) {
+    const box = line(frame.caption || frame.name, 'bot');
+    const a = document.createElement('a');
+    a.href = '#';
+    a.textContent = '\n⬇ ' + frame.name;
+    a.addEventListener('click', function (e) {
+      e.preventDefault();
+      const headers = { Authorization: 'Bearer ' + token };
+      if (session) headers['X-Multis-Session'] = session;
+      fetch(frame.url, { headers: headers }).then(function (res) {
+        if (!res.ok) throw new Error(res.status === 404 ? 'expired' : 'HTTP ' + res.status);
+        return res.blob();
+      }).then(function (blob) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = frame.name;
+        link.click();
+        setTimeout(function () { URL.revokeObjectURL(link.href); }, 10000);
+      }).catch(function (err) {
+        line('Download failed (' + err.message + ')', 'sys');
+      });
+    });
+    box.appendChild(a);
+  }
+
+  function connect() {
+    if (!token) { status.textContent = 'missing #token= in the URL'; return; }
+    const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    ws = new WebSocket(proto + '//' + location.host + '/ws?' + authQuery());
+    ws.onopen = function () { status.textContent = 'connected'; retry = 1000; };
+    ws.onclose = function () {
+      status.textContent = 'disconnected — retrying…';
+      setTimeout(connect, retry);
+      retry = Math.min(retry * 2, 30000);
+    };
+    ws.onmessage = function (ev) {
+      let frame;
+      try { frame = JSON.parse(ev.data); } catch (e) { return; }
+      if (frame.type === 'hello') {
+        status.textContent = frame.owner ? 'owner' : 'chatting with ' + frame.name;
+        if (!frame.owner) {
+          session = frame.chatId.replace(/^web-guest-/, '');
+          localStorage.setItem('multis-session', session);
+        }
+      } else if (frame.type === 'message') {
+        line(frame.text, 'bot');
+      } else if (frame.type === 'prompt') {
+        renderPrompt(frame);
+      } else if (frame.type === 'file') {
+        renderFile(frame);
+      }
+    };
+  }
+
+  compose.addEventListener('submit', function (e) {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (!text) return;
+    sendText(text);
+    input.value = '';
+  });
+
+  connect();
+})();
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { Platform, parseBind, tokenEquals } = require('./base');
+const { Message, looksLikeCommand } = require('./message');
+const { acceptWebSocket } = require('./websocket');
+const { formatMarkdown } = require('./format');
+const { defaultModeForRole } = require('../config');
+const { nameIsCalled } = require('../bot/name-match'); // M8: personal-mode name trigger
+
+const DEFAULT_BIND = '127.0.0.1:7878';
+const OWNER_CHAT_ID = 'web-owner';
+const MAX_BACKLOG = 50;              // replies held for a chat with no open tab
+const FILE_TTL_MS = 60 * 60 * 1000;  // sendFile download links expire after an hour
+const UI_DIR = path.join(__dirname, 'web-ui');
+const STATIC = {
+  '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/app.js': { file: 'app.js', type: 'text/javascript; charset=utf-8' },
+};
+
+/**
+ * Local web chat platform — a small HTTP + WebSocket chat UI served by the
+ * daemon, for talking to multis from a browser on the same machine.
+ *
+ * Two kinds of session, told apart by the token the browser presents:
+ *   - `token` (owner): the owner's channel — one shared conversation across
+ *     tabs, `isSelf` + `isPersonalChat`, so commands and owner scope work.
+ *   - `guest_token` (optional): a contact session, one conversation per
+ *     browser, routed by chat mode — the business auto-responder demo.
+ *
+ * The page itself is public (no secrets in it); the token lives in the URL
+ * fragment, never reaches server logs, and is presented on the WebSocket
+ * upgrade. A file download presents it in the Authorization header (the page
+ * fetches it), so it never rides in a download URL either. No token
+ * configured → one is generated per run and printed.
+ */
+class WebPlatform extends Platform {
+  constructor(config) {
+    super('web', config);
+    const wc = config.platforms?.web || {};
+    const { host, port } = parseBind(wc.bind || DEFAULT_BIND, 'platforms.web.bind');
+    this.host = host;
+    this.port = port;
+    this.token = wc.token || process.env.MULTIS_WEB_TOKEN || null;
+    this.guestToken = wc.guest_token || null;
+    this.server = null;
+    this._sockets = new Map();   // chatId -> Set<WebSocketConnection>
+    this._backlog = new Map();   // chatId -> [frame] awaiting a connected tab
+    this._files = new Map();     // file id -> { chatId, filePath, name, expires }
+    this._msgSeq = 0;
+  }
+
+  async start() {
+    if (!this.token) {
+      this.token = crypto.randomBytes(16).toString('hex');
+      console.log('Web: no platforms.web.token set — generated one for this run');
+    }
+    this.server = http.createServer((req, res) => this._onRequest(req, res));
+    this.server.on('upgrade', (req, socket, head) => this._onUpgrade(req, socket, head));
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.host, () => {
+          this.server.off('error', reject);
+          resolve();
+        });
+      });
+    } catch (err) {
+      console.error(`Web: cannot listen on ${this.host}:${this.port} — ${err.message}`);
+      this.server = null;
+      return false;
+    }
+    this.port = this.server.address().port; // bind port 0 → the one we got
+    console.log(`Web: chat UI at ${this.url()}#token=${this.token}`);
+    return true;
+  }
+
+  async stop() {
+    for (const set of this._sockets.values()) {
+      for (const ws of set) ws.close(1001, 'shutdown');
+    }
+    this._sockets.clear();
+    if (this.server) {
+      const closed = new Promise((r) => this.server.close(() => r()));
+      this.server.closeAllConnections(); // keep-alive page loads would hold close() open
+      await closed;
+      this.server = null;
+    }
+  }
+
+  url() {
+    const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+    return `http://${host}:${this.port}/`;
+  }
+
+  async send(chatId, text) {
+    // The page shows text as-is, so Markdown arrives stripped to plain.
+    this._deliver(chatId, { type: 'message', text: formatMarkdown(text, 'plain') });
+  }
+
+  /**
+   * Structured prompt (PIN entry, a choice) — the UI renders a form instead of
+   * a plain line. The answer comes back as an ordinary message, so the router's
+   * pending/ask dispatch is unchanged.
+   */
+  async sendPrompt(chatId, text, prompt = {}) {
+    this._deliver(chatId, { type: 'prompt', text, input: prompt.input || null, choices: prompt.choices || null });
+  }
+
+  async sendFile(chatId, filePath, caption) {
+    const id = crypto.randomBytes(12).toString('hex');
+    const name = path.basename(filePath);
+    this._files.set(id, { chatId, filePath, name, expires: Date.now() + FILE_TTL_MS });
+    this._deliver(chatId, { type: 'file', name, url: `/files/${id}`, caption: caption || '' });
+  }
+
+  getAdminChatIds() {
+    return [OWNER_CHAT_ID];
+  }
+
+  _deliver(chatId, frame) {
+    const sockets = this._sockets.get(chatId);
+    if (sockets?.size) {
+      const data = JSON.stringify(frame);
+      for (const ws of sockets) ws.send(data);
+      return;
+    }
+    // No tab open (e.g. a reminder firing overnight) — hold it for the next one.
+    const queue = this._backlog.get(chatId) || [];
+    queue.push(frame);
+    if (queue.length > MAX_BACKLOG) queue.shift();
+    this._backlog.set(chatId, queue);
+  }
+
+  _onRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const headers = {
+      'X-Content-Type-Options': 'nosniff',
+      'Referrer-Policy': 'no-referrer',
+      'Content-Security-Policy': "default-src 'self'; connect-src 'self'; style-src 'self' 'unsafe-inline'; frame-ancestors 'none'",
+    };
+    if (req.method === 'GET' && STATIC[url.pathname]) {
+      const { file, type } = STATIC[url.pathname];
+      res.writeHead(200, { ...headers, 'Content-Type': type, 'Cache-Control': 'no-store' });
+      res.end(fs.readFileSync(path.join(UI_DIR, file)));
+      return;
+    }
+    const fileMatch = /^\/files\/([a-f0-9]{24})$/.exec(url.pathname);
+    if (req.method === 'GET' && fileMatch) {
+      // Header only: a token in the query string would end up in logs and history.
+      const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '')?.[1] || null;
+      const session = this._authenticate(bearer, req.headers['x-multis-session'] || null);
+      const entry = this._files.get(fileMatch[1]);
+      if (!session || !entry || entry.chatId !== session.chatId || entry.expires < Date.now()) {
+        res.writeHead(404, headers);
+        res.end('Not found');
+        return;
+      }
+      res.writeHead(200, {
+        ...headers,
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${entry.name.replace(/["\\\r\n]/g, '_')}"`,
+      });
+      fs.createReadStream(entry.filePath).on('error', () => res.destroy()).pipe(res);
+      return;
+    }
+    res.writeHead(404, headers);
+    res.end('Not found');
+  }
+
+  _onUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    // Cross-site WebSocket hijack guard: a page on another origin can open a
+    // socket to localhost, so the Origin (when a browser sends one) must be ours.
+    if (url.pathname !== '/ws' || !sameOrigin(req.headers.origin, req.headers.host)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    const session = this._authenticate(url.searchParams.get('token'), url.searchParams.get('session'));
+    if (!session) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    const ws = acceptWebSocket(req, socket, head);
+    if (!ws) return;
+
+    const { chatId } = session;
+    if (!this._sockets.has(chatId)) this._sockets.set(chatId, new Set());
+    this._sockets.get(chatId).add(ws);
+    ws.send(JSON.stringify({ type: 'hello', chatId, owner: session.owner, name: this.config.assistant_name || 'multis' }));
+    for (const frame of this._backlog.get(chatId) || []) ws.send(JSON.stringify(frame));
+    this._backlog.delete(chatId);
+
+    ws.on('message', (data) => this._onSocketMessage(session, data));
+    ws.on('close', () => {
+      const set = this._sockets.get(chatId);
+      if (set) { set.delete(ws); if (!set.size) this._sockets.delete(chatId); }
+    });
+  }
+
+  /**
+   * Map a presented token to a session. The owner shares one chat across tabs;
+   * a guest keeps its conversation across reloads via a client-held session id.
+   * Returns null for a bad token.
+   */
+  _authenticate(token, sessionId) {
+    if (tokenEquals(token, this.token)) return { owner: true, chatId: OWNER_CHAT_ID };
+    if (this.guestToken && tokenEquals(token, this.guestToken)) {
+      const id = /^[a-z0-9]{8,64}$/.test(sessionId || '') ? sessionId : crypto.randomBytes(8).toString('hex');
+      return { owner: false, chatId: `web-guest-${id}` };
+    }
+    return null;
+  }
+
+  _onSocketMessage(session, data) {
+    let frame;
+    try { frame = JSON.parse(data); } catch { return; }
+    if (frame?.type !== 'message' || typeof frame.text !== 'string' || !frame.text.trim()) return;
+    if (!this._messageCallback) return;
+
+    const { chatId, owner } = session;
+    const text = frame.text;
+    const mode = this._getChatMode(chatId);
+    let routeAs = null;
+
+    if (owner) {
+      routeAs = looksLikeCommand(text) ? null : 'natural';
+    } else {
+      if (mode === 'off') return;
+      if (mode === 'business') routeAs = 'business';
+      else if (mode === 'personal') routeAs = nameIsCalled(text, this.config.assistant_name) ? 'personal' : 'silent';
+      else routeAs = 'silent';
+    }
+
+    const msg = new Message({
+      id: `web-${Date.now()}-${++this._msgSeq}`,
+      platform: 'web',
+      chatId,
+      chatName: owner ? 'Web (owner)' : 'Web visitor',
+      senderId: chatId,
+      senderName: owner ? 'owner' : 'visitor',
+      isSelf: owner,
+      text,
+      raw: frame,
+      routeAs,
+      isPersonalChat: owner,
+      network: 'web',
+    });
+
+    // Fire-and-forget, like Telegram: an inline ceremony waits for the NEXT
+    // frame, which this same socket handler has to be free to deliver.
+    Promise.resolve()
+      .then(() => this._messageCallback(msg, this))
+      .catch((err) => console.error(`Web: handler error — ${err.message}`));
+  }
+
+  _getChatMode(chatId) {
+    const stored = this.config.chats?.[chatId]?.mode;
+    if (stored) return stored;
+    if (this.config.platforms?.web?.default_mode) return this.config.platforms.web.default_mode;
+    return defaultModeForRole(this.config.bot_mode);
+  }
+}
+
+function sameOrigin(origin, host) {
+  if (!origin) return true; // non-browser client (no Origin header) — the token still gates it
+  try { return new URL(origin).host === host; } catch { return false; }
+}
+
+module.exports = { WebPlatform, OWNER_CHAT_ID };
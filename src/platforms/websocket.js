@@ -0,0 +1,171 @@
+// Minimal RFC 6455 WebSocket server side — just enough for the local web chat.
+//
+// Text frames, fragmentation, ping/pong and close; no extensions (no
+// permessage-deflate), no binary payloads. Zero dependencies: the web platform
+// is meant to run on a bare install, and a localhost chat UI does not justify
+// pulling in a WebSocket library.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024; // a chat message, not a file transfer
+
+const OP = { CONT: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+/**
+ * One accepted WebSocket connection. Emits 'message' (string) and 'close'.
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.closed = false;
+    this._buf = Buffer.alloc(0);
+    this._fragments = null; // collected payloads of a fragmented text message
+    this._fragmentBytes = 0;
+    socket.on('data', (chunk) => this._onData(chunk));
+    socket.on('close', () => this._finish());
+    socket.on('error', () => this._finish());
+  }
+
+  send(text) {
+    if (this.closed) return;
+    this._writeFrame(OP.TEXT, Buffer.from(String(text), 'utf8'));
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this._writeFrame(OP.CLOSE, payload);
+    this.socket.end();
+    this._finish();
+  }
+
+  _finish() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close');
+  }
+
+  _writeFrame(opcode, payload) {
+    const len = payload.length;
+    let header;
+    if (len < 126) {
+      header = Buffer.from([0x80 | opcode, len]);
+    } else if (len < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode; header[1] = 126;
+      header.writeUInt16BE(len, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode; header[1] = 127;
+      header.writeBigUInt64BE(BigInt(len), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  _onData(chunk) {
+    this._buf = Buffer.concat([this._buf, chunk]);
+    while (!this.closed) {
+      const frame = parseFrame(this._buf);
+      if (!frame) return;
+      if (frame.error) { this.close(frame.error, frame.reason); return; }
+      this._buf = this._buf.subarray(frame.consumed);
+      this._onFrame(frame);
+    }
+  }
+
+  _onFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OP.TEXT:
+      case OP.CONT: {
+        if (opcode === OP.TEXT) { this._fragments = []; this._fragmentBytes = 0; }
+        if (!this._fragments) { this.close(1002, 'unexpected continuation'); return; }
+        this._fragmentBytes += payload.length;
+        if (this._fragmentBytes > MAX_MESSAGE_BYTES) { this.close(1009, 'message too big'); return; }
+        this._fragments.push(payload);
+        if (fin) {
+          const text = Buffer.concat(this._fragments).toString('utf8');
+          this._fragments = null;
+          this.emit('message', text);
+        }
+        return;
+      }
+      case OP.BINARY:
+        this.close(1003, 'text only');
+        return;
+      case OP.PING:
+        this._writeFrame(OP.PONG, payload);
+        return;
+      case OP.PONG:
+        return;
+      case OP.CLOSE:
+        this.close(1000);
+        return;
+      default:
+        this.close(1002, 'bad opcode');
+    }
+  }
+}
+
+/**
+ * Parse one frame off the front of `buf`. Returns null when more bytes are
+ * needed, { error, reason } on a protocol violation, else the frame.
+ */
+function parseFrame(buf) {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  const opcode = buf[0] & 0x0f;
+  const masked = (buf[1] & 0x80) !== 0;
+  let len = buf[1] & 0x7f;
+  let offset = 2;
+  // Client→server frames MUST be masked (RFC 6455 §5.1).
+  if (!masked) return { error: 1002, reason: 'unmasked client frame' };
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    const big = buf.readBigUInt64BE(2);
+    if (big > BigInt(MAX_MESSAGE_BYTES)) return { error: 1009, reason: 'message too big' };
+    len = Number(big);
+    offset = 10;
+  }
+  if (len > MAX_MESSAGE_BYTES) return { error: 1009, reason: 'message too big' };
+  if (buf.length < offset + 4 + len) return null;
+  const mask = buf.subarray(offset, offset + 4);
+  const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  return { fin, opcode, payload, consumed: offset + 4 + len };
+}
+
+/**
+ * Complete the HTTP Upgrade handshake on a raw socket (the `upgrade` event of
+ * an http.Server). `head` is whatever the client sent past the handshake.
+ * Returns the connection, or null after rejecting a malformed request with 400.
+ */
+function acceptWebSocket(req, socket, head) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+  const conn = new WebSocketConnection(socket);
+  // Deferred so the caller can attach its 'message' listener first.
+  if (head?.length) setImmediate(() => conn._onData(head));
+  return conn;
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection, MAX_MESSAGE_BYTES };
@@ -0,0 +1,188 @@
+/**
+ * Schema checks for the files in ~/.multis that people edit by hand:
+ * config.json, auth/governance.json and tools.json. The schemas beside this
+ * file are plain JSON Schema, so an editor can use them too. The checker here
+ * covers the subset they use: type, properties, additionalProperties,
+ * required, items, enum, minimum/maximum, minLength, pattern and local $ref.
+ *
+ * Every problem carries its exact path into the file (`platforms.web.bind`,
+ * `webhooks[0].url`). A wrong type or value is an error. A key the schema
+ * doesn't know is only a warning, since multis ignores it. A near miss gets a
+ * "did you mean". Keys starting with "_" are comments and never checked.
+ */
+
+const fs = require('fs');
+
+const SCHEMAS = {
+  config: require('./config.schema.json'),
+  governance: require('./governance.schema.json'),
+  tools: require('./tools.schema.json'),
+};
+
+/**
+ * Check a value against a schema.
+ * @param {*} value
+ * @param {object} schema
+ * @returns {Array<{path: string, level: 'error'|'warning', message: string}>}
+ */
+function validate(value, schema) {
+  const issues = [];
+  walk(value, schema, [], schema, issues);
+  return issues;
+}
+
+/**
+ * Read and check one of the known files. A missing file has no issues (the
+ * caller decides whether that matters); unparseable JSON is one error.
+ * @param {'config'|'governance'|'tools'} kind
+ * @param {string} file
+ */
+function validateFile(kind, file) {
+  if (!fs.existsSync(file)) return [];
+  let value;
+  try {
+    value = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return [{ path: '', level: 'error', message: `not valid JSON — ${err.message}` }];
+  }
+  return validate(value, SCHEMAS[kind]);
+}
+
+function walk(value, schema, at, root, issues) {
+  if (schema.$ref) schema = resolveRef(root, schema.$ref);
+  const report = (message, level = 'error', where = at) => issues.push({ path: formatPath(where), level, message });
+
+  if (schema.type && !matchesType(value, schema.type)) return report(`expected ${describeType(schema.type)}, got ${typeName(value)}`);
+  if (schema.enum && !schema.enum.includes(value)) return report(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) report(`must be at least ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) report(`must be at most ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) report(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) report(`expected ${schema.description || `a match for /${schema.pattern}/`}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => walk(item, schema.items, [...at, i], root, issues));
+  }
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) report('is required', 'error', [...at, key]);
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (key.startsWith('_')) continue;
+      if (props[key]) {
+        walk(child, props[key], [...at, key], root, issues);
+      } else if (schema.additionalProperties === false) {
+        const near = closest(key, Object.keys(props));
+        report(`unknown key${near ? ` — did you mean "${near}"?` : ''}`, 'warning', [...at, key]);
+      } else if (isObject(schema.additionalProperties)) {
+        walk(child, schema.additionalProperties, [...at, key], root, issues);
+      }
+    }
+  }
+}
+
+function resolveRef(root, ref) {
+  const m = /^#\/\$defs\/(.+)$/.exec(ref);
+  const target = m && root.$defs?.[m[1]];
+  if (!target) throw new Error(`schema: cannot resolve ${ref}`);
+  return target;
+}
+
+function matchesType(value, type) {
+  return [].concat(type).some((t) => {
+    switch (t) {
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return isObject(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return typeof value === t;
+    }
+  });
+}
+
+function describeType(type) {
+  const names = { integer: 'a whole number', number: 'a number', string: 'a string', boolean: 'true or false', array: 'a list', object: 'an object', null: 'null' };
+  return [].concat(type).map((t) => names[t] || t).join(' or ');
+}
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'string') return JSON.stringify(value.length > 40 ? value.slice(0, 37) + '...' : value);
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/** The known key nearest a typo, when it is only a few edits away. */
+function closest(key, candidates) {
+  const limit = Math.max(1, Math.floor(key.length / 3));
+  let best = null;
+  let bestDist = Infinity;
+  for (const c of candidates) {
+    const d = editDistance(key.toLowerCase(), c.toLowerCase());
+    if (d < bestDist) { best = c; bestDist = d; }
+  }
+  return bestDist <= limit ? best : null;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * A key path as written in messages and on the `multis config` command line:
+ * dots between plain keys, [n] for list items, ["…"] for keys with other
+ * characters (chat ids like "!abc:beeper.local").
+ * @param {Array<string|number>} segments
+ */
+function formatPath(segments) {
+  let out = '';
+  for (const s of segments) {
+    if (typeof s === 'number') out += `[${s}]`;
+    else if (/^[A-Za-z_$][\w$-]*$/.test(s)) out += (out ? '.' : '') + s;
+    else out += `[${JSON.stringify(s)}]`;
+  }
+  return out;
+}
+
+/**
+ * The reverse of formatPath.
+ * @param {string} text - e.g. `platforms.beeper.endpoints[0].name`
+ * @returns {Array<string|number>}
+ */
+function parsePath(text) {
+  const segments = [];
+  const re = /\.?([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/y;
+  let i = 0;
+  while (i < text.length) {
+    re.lastIndex = i;
+    const m = re.exec(text);
+    const dotted = text[i] === '.';
+    if (!m || (m[1] !== undefined && dotted === (i === 0))) throw new Error(`bad key path "${text}" at character ${i + 1}`);
+    if (m[1] !== undefined) segments.push(m[1]);
+    else if (m[2] !== undefined) segments.push(Number(m[2]));
+    else segments.push(JSON.parse(m[3]));
+    i = re.lastIndex;
+  }
+  if (segments.length === 0) throw new Error('empty key path');
+  return segments;
+}
+
+module.exports = { validate, validateFile, formatPath, parsePath, SCHEMAS };
@@ -31,11 +31,16 @@ class RateLimiter {
 
   /**
    * Try to consume one slot for a sender.
+   * @param {string} senderId
+   * @param {{ burstPerMin?: number, dailyPerSender?: number }} [limits] this
+   *   message's caps when they differ from the limiter's (a network policy)
    * @returns {{allowed: boolean, scope?: 'burst'|'daily', notify?: boolean}}
    *   allowed=false carries the limit that tripped. notify=true exactly once per
    *   block streak (caller sends the canned reply + escalation only then).
    */
-  consume(senderId) {
+  consume(senderId, limits = {}) {
+    const burstPerMin = limits.burstPerMin ?? this.burstPerMin;
+    const dailyPerSender = limits.dailyPerSender ?? this.dailyPerSender;
     const key = String(senderId);
     const now = this._now();
     const minAgo = now - 60_000;
@@ -61,8 +66,8 @@ class RateLimiter {
     const inDay = hits.length;
 
     let scope = null;
-    if (this.dailyPerSender && inDay >= this.dailyPerSender) scope = 'daily';
-    else if (this.burstPerMin && inMinute >= this.burstPerMin) scope = 'burst';
+    if (dailyPerSender && inDay >= dailyPerSender) scope = 'daily';
+    else if (burstPerMin && inMinute >= burstPerMin) scope = 'burst';
 
     if (scope) {
       this._hits.set(key, hits); // persist the pruned list
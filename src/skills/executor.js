@@ -8,8 +8,6 @@ const execFileAsync = promisify(execFile);
 const { logAudit } = require('../governance/audit');
 const { SECRET_ENV_KEYS } = require('../config');
 
-const MAX_OUTPUT = 4000; // Telegram message limit ~4096 chars
-
 // The bot's own secrets live in process.env (loadEnv reads .env). A child shell
 // inherits them by default, so a command — especially one driven by the LLM
 // agent path if prompt-injected — could `echo $ANTHROPIC_API_KEY` and exfiltrate
@@ -27,6 +25,8 @@ function scrubbedEnv() {
  * Async (non-blocking) so a long-running command never stalls the single event
  * loop — a blocking `execSync` here would starve the beeperbox MCP poller/sender
  * and trip its request timeout.
+ * Output comes back whole (maxBuffer caps it at 1 MB): the tool adapter bounds
+ * what reaches the model, and the router sends an oversized result as a file.
  * @param {string} command - Full command string
  * @param {number} userId - User ID for audit
  * @returns {Promise<Object>} - { success, output }
@@ -41,12 +41,8 @@ async function execCommand(command, userId) {
       env: scrubbedEnv()
     });
 
-    const trimmed = stdout.length > MAX_OUTPUT
-      ? stdout.slice(0, MAX_OUTPUT) + '\n... (truncated)'
-      : stdout;
-
     logAudit({ action: 'exec', user_id: userId, command, status: 'success' });
-    return { success: true, output: trimmed || '(no output)' };
+    return { success: true, output: stdout || '(no output)' };
   } catch (err) {
     const stderr = err.stderr || err.message;
     logAudit({ action: 'exec', user_id: userId, command, status: 'error', error: stderr });
@@ -68,7 +64,6 @@ async function execCommand(command, userId) {
  */
 async function execArgv(file, args, userId) {
   const display = `${file} ${args.join(' ')}`;
-  const clamp = (s) => (s.length > MAX_OUTPUT ? s.slice(0, MAX_OUTPUT) + '\n... (truncated)' : s);
   try {
     const { stdout } = await execFileAsync(file, args, {
       encoding: 'utf8',
@@ -77,13 +72,13 @@ async function execArgv(file, args, userId) {
       env: scrubbedEnv()
     });
     logAudit({ action: 'exec', user_id: userId, command: display, status: 'success' });
-    return { success: true, output: clamp(stdout) || '(no output)' };
+    return { success: true, output: stdout || '(no output)' };
   } catch (err) {
     // find/grep exit non-zero on unreadable entries or no-match while still
     // producing valid results — surface partial stdout instead of erroring.
     if (err.stdout) {
       logAudit({ action: 'exec', user_id: userId, command: display, status: 'success' });
-      return { success: true, output: clamp(err.stdout) };
+      return { success: true, output: err.stdout };
     }
     // grep exit 1 == "no lines matched": a clean empty result, not an error.
     if (path.basename(file) === 'grep' && err.code === 1) {
@@ -115,12 +110,8 @@ function readFile(filePath, userId) {
     const stat = fs.statSync(resolved);
     if (stat.isDirectory()) {
       const entries = fs.readdirSync(resolved);
-      const output = entries.join('\n') || '(empty directory)';
-      const trimmed = output.length > MAX_OUTPUT
-        ? output.slice(0, MAX_OUTPUT) + '\n... (truncated)'
-        : output;
       logAudit({ action: 'read', user_id: userId, path: filePath, type: 'directory' });
-      return { success: true, output: trimmed };
+      return { success: true, output: entries.join('\n') || '(empty directory)' };
     }
 
     if (stat.size > 512 * 1024) {
@@ -128,12 +119,8 @@ function readFile(filePath, userId) {
     }
 
     const content = fs.readFileSync(resolved, 'utf8');
-    const trimmed = content.length > MAX_OUTPUT
-      ? content.slice(0, MAX_OUTPUT) + '\n... (truncated)'
-      : content;
-
     logAudit({ action: 'read', user_id: userId, path: filePath, type: 'file' });
-    return { success: true, output: trimmed || '(empty file)' };
+    return { success: true, output: content || '(empty file)' };
   } catch (err) {
     logAudit({ action: 'read', user_id: userId, path: filePath, status: 'error', error: err.message });
     return { success: false, output: `Error: ${err.message}` };
@@ -165,4 +152,4 @@ function listSkills() {
   return skills.join('\n') || 'No skills found.';
 }
 
-module.exports = { execCommand, execArgv, readFile, listSkills };
+module.exports = { execCommand, execArgv, readFile, listSkills, scrubbedEnv };
@@ -4,6 +4,17 @@
  */
 
 const { logAudit } = require('../governance/audit');
+const { getCapabilityForTool } = require('../capabilities/registry');
+const metrics = require('../metrics');
+
+// Ceiling on one tool result handed to the model (≈1000 tokens). The executor
+// returns output whole; the model sees the head and is told how much it missed.
+const MAX_OUTPUT = 4000;
+
+function clampForModel(result) {
+  if (typeof result !== 'string' || result.length <= MAX_OUTPUT) return result;
+  return `${result.slice(0, MAX_OUTPUT)}\n... (truncated — ${result.length - MAX_OUTPUT} more characters)`;
+}
 
 /**
  * Adapt multis tools to bareagent format.
@@ -20,8 +31,10 @@ function adaptTools(tools, ctx) {
     description: tool.description,
     parameters: tool.input_schema,
     execute: async (args) => {
+      const capability = getCapabilityForTool(tool.name)?.name || tool.name;
       try {
         const result = await tool.execute(args || {}, ctx);
+        metrics.inc('multis_tool_calls_total', { capability, outcome: 'ok' });
         logAudit({
           action: 'tool_call',
           tool: tool.name,
@@ -30,8 +43,9 @@ function adaptTools(tools, ctx) {
           chatId: ctx.chatId,
           status: 'success'
         });
-        return result || '(no output)';
+        return clampForModel(result) || '(no output)';
       } catch (err) {
+        metrics.inc('multis_tool_calls_total', { capability, outcome: 'error' });
         logAudit({
           action: 'tool_call',
           tool: tool.name,
@@ -47,4 +61,4 @@ function adaptTools(tools, ctx) {
   }));
 }
 
-module.exports = { adaptTools };
+module.exports = { adaptTools, MAX_OUTPUT };
@@ -13,6 +13,12 @@
 
 const { execCommand, execArgv, readFile } = require('../skills/executor');
 const { rememberWithSupersede } = require('../memory/supersede');
+const { canSendFiles } = require('../platforms/base');
+const { emitWebhook } = require('../governance/webhooks');
+const metrics = require('../metrics');
+const { formatQueryResult, OPS, AGGREGATES } = require('../context/tables');
+const { citeChunk } = require('../context/citation');
+const { renderPdfPage } = require('../context/pdf-page');
 
 // Single-quote shell escaper for the few tools that genuinely need a shell
 // (pipes, `||` fallbacks). Single quotes disable ALL shell expansion; the
@@ -64,23 +70,50 @@ const TOOLS = [
   },
   {
     name: 'send_file',
-    description: 'Send a file to the current chat. Use when the user asks for a file, screenshot, or when output is better as an attachment.',
+    description: 'Send a file to the current chat. Use when the user asks for a file, screenshot, or when output is better as an attachment. For one page of a PDF (a cited page), give its number as page: that page is sent as an image instead of the whole document.',
     platforms: ['linux', 'macos'],
     input_schema: {
       type: 'object',
       properties: {
         path: { type: 'string', description: 'Absolute path to the file to send (~ expands to home)' },
-        caption: { type: 'string', description: 'Optional caption for the file' }
+        caption: { type: 'string', description: 'Optional caption for the file' },
+        page: { type: 'integer', description: 'Optional: for a PDF, send only this page (1-based), as an image' }
       },
       required: ['path']
     },
-    execute: async ({ path: filePath, caption }, ctx) => {
+    execute: async ({ path: filePath, caption, page }, ctx) => {
       const fs = require('fs');
+      const path = require('path');
       const resolved = (filePath || '').replace(/^~/, process.env.HOME || '');
       if (!fs.existsSync(resolved)) return `File not found: ${filePath}`;
-      if (!ctx.platform?.sendFile) return 'File sending not supported on this platform.';
+      if (!canSendFiles(ctx.platform)) return 'File sending not supported on this platform.';
+      const name = path.basename(resolved);
+      if (page != null && !/\.pdf$/i.test(resolved)) return `${name} is not a PDF — page only picks a page of a PDF.`;
+      // The page on its own, drawn to a PNG in a temp dir; if it can't be
+      // drawn, the whole document goes instead and the result says so.
+      let whole = '';
+      if (page != null) {
+        let png;
+        try {
+          png = await renderPdfPage(resolved, Number(page));
+        } catch (err) {
+          console.warn(`send_file: could not render ${name} p.${page} (${err.message}) — sending the whole file`);
+          whole = ` (the whole document: p.${page} could not be rendered — ${err.message})`;
+        }
+        if (png) {
+          const dir = await fs.promises.mkdtemp(path.join(require('os').tmpdir(), 'multis-page-'));
+          try {
+            const out = path.join(dir, `${path.basename(name, path.extname(name))}-p${page}.png`);
+            await fs.promises.writeFile(out, png);
+            await ctx.platform.sendFile(ctx.chatId, out, caption);
+          } finally {
+            await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+          }
+          return `Sent: ${name} p.${page}`;
+        }
+      }
       await ctx.platform.sendFile(ctx.chatId, resolved, caption);
-      return `Sent: ${require('path').basename(resolved)}`;
+      return `Sent: ${name}${whole}`;
     }
   },
   {
@@ -142,7 +175,7 @@ const TOOLS = [
   },
   {
     name: 'search_docs',
-    description: 'Search indexed documents (PDFs, DOCX, etc.) for relevant information. Returns matching excerpts with sources.',
+    description: 'Search indexed documents (PDFs, DOCX, etc.) for relevant information. Returns matching excerpts, each with the citation to use for it, e.g. (contract.pdf p.14, §3.2). For the owner, an excerpt whose source file is on disk also gives its path, and for a single PDF page its page number, for send_file.',
     platforms: ['linux', 'macos'],
     input_schema: {
       type: 'object',
@@ -161,10 +194,61 @@ const TOOLS = [
       if (results.length === 0) return 'No matching documents found.';
       return results.map((r, i) => {
         const preview = r.content.slice(0, 300).replace(/\n/g, ' ');
-        return `[${i + 1}] ${r.name}: ${preview}`;
+        // The owner may ask for the page itself: hand the agent the file (and, for
+        // a passage on one PDF page, the page) send_file needs.
+        const file = ctx.isOwner && r.versionId ? ctx.indexer.documentFile?.(r.versionId, scope) : null;
+        const page = file && /\.pdf$/i.test(file.path) && r.pageStart != null && (r.pageEnd ?? r.pageStart) === r.pageStart ? r.pageStart : null;
+        return `[${i + 1}] (${citeChunk(r)}): ${preview}${file ? `\nfile: ${file.path}${page ? ` page: ${page}` : ''}` : ''}`;
       }).join('\n\n');
     }
   },
+  {
+    name: 'query_table',
+    description: 'Look up exact values in an indexed spreadsheet or CSV (price lists, product catalogs, inventories): filter rows by column, sort, count, sum, average, min or max. Use it instead of search_docs for questions about specific rows or numbers, e.g. "price of SKU 1234" or "items under $20". Call without a table to list the tables and their columns. Cite the rows you use as shown in the result, e.g. (prices.csv row 14).',
+    platforms: ['linux', 'macos'],
+    input_schema: {
+      type: 'object',
+      properties: {
+        table: { type: 'string', description: 'The table: its file name, or "file › sheet" for a spreadsheet with several sheets' },
+        where: {
+          type: 'array',
+          description: 'Filters; a row must match all of them. Numbers compare as numbers ("$19.99" is 19.99).',
+          items: {
+            type: 'object',
+            properties: {
+              column: { type: 'string' },
+              op: { type: 'string', enum: OPS, description: 'Default =. contains is a case-insensitive substring match.' },
+              value: { type: 'string', description: 'Text or a number' },
+            },
+            required: ['column', 'value'],
+          },
+        },
+        columns: { type: 'array', items: { type: 'string' }, description: 'Columns to return (default: all)' },
+        aggregate: {
+          type: 'object',
+          properties: {
+            op: { type: 'string', enum: AGGREGATES },
+            column: { type: 'string', description: 'Required for sum, avg, min and max' },
+          },
+          required: ['op'],
+        },
+        group_by: { type: 'string', description: 'Aggregate per value of this column' },
+        sort: { type: 'object', properties: { column: { type: 'string' }, desc: { type: 'boolean' } }, required: ['column'] },
+        limit: { type: 'number', description: 'Rows to return (default 20, max 100)' },
+      },
+    },
+    execute: async (query, ctx) => {
+      if (!ctx.indexer?.queryTable) return 'Tables not available.';
+      // Same scoping as search_docs: the owner sees admin + public tables, a
+      // customer public only — never another chat's upload (tables are KB-only).
+      const scope = ctx.isOwner ? 'admin' : `user:${ctx.chatId}`;
+      try {
+        return formatQueryResult(await ctx.indexer.queryTable(scope, query));
+      } catch (err) {
+        return `Query error: ${err.message}`;
+      }
+    }
+  },
   {
     name: 'recall_memory',
     description: 'Search your memory of past conversations. Use when the user references something discussed before ("do you remember...", "what did I say about...", "my wife\'s name"), or when answering requires personal context. This searches conversation summaries, NOT documents.',
@@ -233,6 +317,8 @@ const TOOLS = [
       const customerName = ctx.config?.chats?.[ctx.chatId]?.name || ctx.chatId;
       const tag = urgency === 'urgent' ? '[URGENT] ' : '';
       const notification = `${tag}[Escalation] ${customerName}: ${reason}`;
+      emitWebhook('escalation', { reason, urgency: urgency || 'normal', chat_id: ctx.chatId, chat_name: customerName, platform: ctx.platformName });
+      metrics.inc('multis_escalations_total', { via: 'agent' });
 
       // Optional override: send to a single specific chat
       const override = ctx.config?.business?.escalation?.admin_chat;
@@ -241,6 +327,14 @@ const TOOLS = [
         return 'Admin notified. Continue responding naturally to the customer.';
       }
 
+      // A Beeper endpoint with its own admin_chats escalates there, on the
+      // account the customer wrote to
+      const own = ctx.platform?.getEscalationChatIds?.() || [];
+      if (own.length) {
+        for (const chatId of own) await ctx.platform.send(chatId, notification);
+        return 'Admin notified. Continue responding naturally to the customer.';
+      }
+
       // Send to all admin channels
       let sent = 0;
       const registry = ctx.platformRegistry;
@@ -249,7 +343,7 @@ const TOOLS = [
           if (name === 'telegram' && ctx.config?.owner_id) {
             await plat.send(ctx.config.owner_id, notification);
             sent++;
-          } else if (name === 'beeper' && plat.getAdminChatIds) {
+          } else if (plat.getAdminChatIds) { // Beeper/Matrix note-to-self owner channels
             for (const chatId of plat.getAdminChatIds()) {
               await plat.send(chatId, notification);
               sent++;
@@ -7,7 +7,8 @@ const fs = require('fs');
 const path = require('path');
 const { getPlatform } = require('./platform');
 const { TOOLS } = require('./definitions');
-const { getMultisDir } = require('../config');
+const { getMultisDir, reportIssues } = require('../config');
+const { validate, SCHEMAS } = require('../schema');
 
 /**
  * Load tools.json from ~/.multis/tools.json.
@@ -16,12 +17,15 @@ const { getMultisDir } = require('../config');
 function loadToolsConfig() {
   const toolsPath = path.join(getMultisDir(), 'tools.json');
   if (!fs.existsSync(toolsPath)) return {};
+  let toolsConfig;
   try {
-    return JSON.parse(fs.readFileSync(toolsPath, 'utf8'));
+    toolsConfig = JSON.parse(fs.readFileSync(toolsPath, 'utf8'));
   } catch {
     console.warn('Failed to parse tools.json, using defaults.');
     return {};
   }
+  reportIssues('tools.json', validate(toolsConfig, SCHEMAS.tools));
+  return toolsConfig;
 }
 
 /**
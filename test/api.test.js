@@ -0,0 +1,179 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ApiPlatform, DEFAULT_CHAT_ID } = require('../src/platforms/api');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function request(port, method, urlPath, { token = 'api-tok', body } = {}) {
+  return new Promise((resolve, reject) => {
+    const data = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (data) { headers['Content-Type'] = 'application/json'; headers['Content-Length'] = Buffer.byteLength(data); }
+    const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString() || 'null') }));
+    });
+    req.on('error', reject);
+    if (data) req.write(data);
+    req.end();
+  });
+}
+
+function makeConfig(overrides = {}) {
+  return { platforms: { api: { enabled: true, bind: '127.0.0.1:0', token: 'api-tok', ...overrides } } };
+}
+
+// A stand-in for createMessageRouter's router: a handler function that also
+// carries escalate() and listJobs().
+function makeRouter(handle = async () => {}) {
+  const got = { messages: [], escalations: [] };
+  const router = async (msg, platform) => { got.messages.push(msg); await handle(msg, platform); };
+  router.escalate = async (e) => { got.escalations.push(e); return 2; };
+  router.listJobs = () => [
+    { id: 'a1', type: 'one-shot', schedule: '2h', action: 'check inbox' },
+    { id: 'b2', type: 'recurring', schedule: '0 9 * * 1-5', action: 'briefing' },
+  ];
+  return { router, got };
+}
+
+// ---------------------------------------------------------------------------
+// ApiPlatform
+// ---------------------------------------------------------------------------
+
+describe('ApiPlatform', () => {
+  let api;
+
+  afterEach(async () => {
+    if (api) await api.stop();
+    api = null;
+  });
+
+  async function startApi(handle, config = makeConfig()) {
+    api = new ApiPlatform(config);
+    const { router, got } = makeRouter(handle);
+    api.onMessage(router);
+    assert.strictEqual(await api.start(), true);
+    return got;
+  }
+
+  it('stays off without a token', async () => {
+    const saved = process.env.MULTIS_API_TOKEN;
+    delete process.env.MULTIS_API_TOKEN;
+    try {
+      api = new ApiPlatform(makeConfig({ token: '' }));
+      assert.strictEqual(await api.start(), false);
+      assert.strictEqual(api.server, null);
+    } finally {
+      if (saved !== undefined) process.env.MULTIS_API_TOKEN = saved;
+    }
+  });
+
+  it('rejects a malformed bind', () => {
+    assert.throws(() => new ApiPlatform(makeConfig({ bind: 'nonsense' })), /host:port/);
+  });
+
+  it('refuses a missing or wrong token', async () => {
+    await startApi();
+    assert.strictEqual((await request(api.port, 'GET', '/v1/jobs', { token: null })).status, 401);
+    assert.strictEqual((await request(api.port, 'GET', '/v1/jobs', { token: 'wrong' })).status, 401);
+  });
+
+  it('posts an owner message and returns the replies sent while handling it', async () => {
+    const got = await startApi(async (msg, platform) => {
+      await platform.send(msg.chatId, `**done**: ${msg.text}`);
+      await platform.send(msg.chatId, 'second');
+    });
+    const res = await request(api.port, 'POST', '/v1/messages', { body: { text: '/remind 2h check inbox' } });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { chat_id: DEFAULT_CHAT_ID, replies: ['done: /remind 2h check inbox', 'second'] });
+
+    const [msg] = got.messages;
+    assert.strictEqual(msg.platform, 'api');
+    assert.strictEqual(msg.isSelf, true);
+    assert.strictEqual(msg.isPersonalChat, true);
+    assert.strictEqual(msg.isCommand(), true);
+    assert.strictEqual(msg.routeAs, null);
+  });
+
+  it('plain text is routed as a natural-language ask', async () => {
+    const got = await startApi();
+    await request(api.port, 'POST', '/v1/messages', { body: { text: 'what is due today', chat_id: 'ticketing' } });
+    const [msg] = got.messages;
+    assert.strictEqual(msg.chatId, 'api:ticketing');
+    assert.strictEqual(msg.routeAs, 'natural');
+    assert.strictEqual(msg.isCommand(), false);
+  });
+
+  it('validates the message body', async () => {
+    await startApi();
+    assert.strictEqual((await request(api.port, 'POST', '/v1/messages', { body: {} })).status, 400);
+    assert.strictEqual((await request(api.port, 'POST', '/v1/messages', { body: 'not json' })).status, 400);
+    assert.strictEqual((await request(api.port, 'POST', '/v1/messages', { body: { text: 'hi', chat_id: '../x' } })).status, 400);
+  });
+
+  it("keeps a caller's chat_id apart from every other platform's chats", async () => {
+    const got = await startApi(async (msg, platform) => platform.send(msg.chatId, 'ok'));
+    const res = await request(api.port, 'POST', '/v1/messages', { body: { text: '/status', chat_id: '123456789' } });
+    assert.strictEqual(got.messages[0].chatId, 'api:123456789', 'a Telegram-looking id is not the Telegram chat');
+    assert.strictEqual(got.messages[0].senderId, 'api:123456789');
+    assert.deepStrictEqual(res.body, { chat_id: '123456789', replies: ['ok'] });
+  });
+
+  it('returns an approval prompt at once and takes the answer on the next POST', async () => {
+    const { createHumanPrompt } = require('../src/governance/human-channel');
+    const { PendingRegistry } = require('../src/bot/pending');
+    const pending = new PendingRegistry();
+    await startApi(async (msg, platform) => {
+      const waiting = pending.get(msg.chatId, msg.senderId);
+      if (waiting?.kind === 'gate_reply') return waiting.resolve(msg.text);
+      // No Telegram registered, so the approval goes back to the requesting chat.
+      const humanPrompt = createHumanPrompt({ platformRegistry: new Map([['api', platform]]), config: {}, pending, timeoutMs: 5000 });
+      const verdict = await humanPrompt({ kind: 'ask', rule: 'tools.exec', action: { type: 'exec', command: 'ls', _ctx: { platform: 'api', chatId: msg.chatId, senderId: msg.senderId } } });
+      await platform.send(msg.chatId, verdict.decision === 'allow' ? 'Ran it.' : 'Denied.');
+    });
+
+    const started = Date.now();
+    let res = await request(api.port, 'POST', '/v1/messages', { body: { text: 'list my files' } });
+    assert.ok(Date.now() - started < 2000, 'the prompt does not wait out the approval timeout');
+    assert.strictEqual(res.body.replies.length, 1);
+    assert.match(res.body.replies[0], /Approval needed: tools\.exec/);
+
+    res = await request(api.port, 'POST', '/v1/messages', { body: { text: 'yes' } });
+    assert.deepStrictEqual(res.body.replies, ['Ran it.']);
+  });
+
+  it('holds a later reply until the next GET /v1/messages', async () => {
+    await startApi();
+    await api.send(DEFAULT_CHAT_ID, 'Reminder: check inbox');
+    const res = await request(api.port, 'GET', '/v1/messages');
+    assert.deepStrictEqual(res.body.replies, ['Reminder: check inbox']);
+    assert.deepStrictEqual((await request(api.port, 'GET', '/v1/messages')).body.replies, []);
+  });
+
+  it('lists jobs and looks one up by id', async () => {
+    await startApi();
+    const all = await request(api.port, 'GET', '/v1/jobs');
+    assert.deepStrictEqual(all.body.jobs.map((j) => j.id), ['a1', 'b2']);
+    const one = await request(api.port, 'GET', '/v1/jobs/b2');
+    assert.strictEqual(one.body.job.action, 'briefing');
+    assert.strictEqual((await request(api.port, 'GET', '/v1/jobs/zz')).status, 404);
+  });
+
+  it('escalates through the router', async () => {
+    const got = await startApi();
+    const res = await request(api.port, 'POST', '/v1/escalations', { body: { reason: 'disk full on db1', urgency: 'urgent', source: 'monitoring' } });
+    assert.deepStrictEqual(res.body, { notified: 2 });
+    assert.deepStrictEqual(got.escalations, [{ reason: 'disk full on db1', urgency: 'urgent', source: 'monitoring' }]);
+    assert.strictEqual((await request(api.port, 'POST', '/v1/escalations', { body: { urgency: 'urgent' } })).status, 400);
+  });
+
+  it('answers 404 for an unknown route', async () => {
+    await startApi();
+    assert.strictEqual((await request(api.port, 'GET', '/v1/nope')).status, 404);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { setMultisDir, PATHS } = require('../src/config');
+const { createBackup, readBackup, restoreBackup, pruneBackups, lastBackupAt } = require('../src/maintenance/backup');
+
+describe('backup and restore', () => {
+  let root, dir;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-backup-test-'));
+    dir = path.join(root, '.multis');
+    setMultisDir(dir);
+    const write = (rel, text, mode) => {
+      const file = path.join(dir, rel);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, text, { mode });
+    };
+    write('config.json', JSON.stringify({ owner_id: 'u1', llm: { provider: 'anthropic' } }), 0o600);
+    write('data/scheduler.json', '[{"id":"a1"}]');
+    write('auth/pin_sessions.json', '{}', 0o600);
+    write('logs/audit.log', '{"action":"bot_start"}\n');
+    write(`data/memory/chats/${'x'.repeat(120)}/log/2026-10-01.md`, 'a long chat id');
+    write('run/multis.pid', '999999999');
+    write('run/beeper-cursor.json', '{"cursor":"c"}');
+  });
+
+  afterEach(() => {
+    setMultisDir(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const list = (m) => m.files.map((f) => f.path).sort();
+
+  it('archives the tree except run/, with a checksummed manifest', async () => {
+    const { file, files } = await createBackup();
+    assert.strictEqual(path.dirname(file), PATHS.backups());
+    assert.match(path.basename(file), /^multis-\d{8}-\d{6}\.tar\.gz$/);
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+    const { manifest } = readBackup(file);
+    assert.strictEqual(files, 5);
+    assert.deepStrictEqual(list(manifest), [
+      'auth/pin_sessions.json', 'config.json', 'data/memory/chats/' + 'x'.repeat(120) + '/log/2026-10-01.md',
+      'data/scheduler.json', 'logs/audit.log',
+    ]);
+    assert.strictEqual(manifest.multis_version, require('../package.json').version);
+  });
+
+  it('restores into place, keeping the previous directory and the backups', async () => {
+    const { file } = await createBackup();
+    fs.writeFileSync(PATHS.config(), JSON.stringify({ owner_id: 'someone-else' }));
+    fs.rmSync(path.join(dir, 'data/scheduler.json'));
+
+    const { previous, files } = restoreBackup(file);
+    assert.strictEqual(files, 5);
+    assert.strictEqual(JSON.parse(fs.readFileSync(PATHS.config(), 'utf8')).owner_id, 'u1');
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'data/scheduler.json'), 'utf8'), '[{"id":"a1"}]');
+    assert.strictEqual(fs.statSync(path.join(dir, 'auth/pin_sessions.json')).mode & 0o777, 0o600);
+    assert.ok(fs.existsSync(file), 'the archive is still in backups/');
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(previous, 'config.json'), 'utf8')).owner_id, 'someone-else');
+    assert.ok(!fs.existsSync(path.join(dir, 'run/beeper-cursor.json')), 'no stale watch cursor comes back');
+  });
+
+  it('encrypts with a passphrase and will not open without the right one', async () => {
+    const { file } = await createBackup({ passphrase: 'correct horse' });
+    assert.match(file, /\.tar\.gz\.enc$/);
+    assert.throws(() => zlib.gunzipSync(fs.readFileSync(file)));
+    assert.throws(() => readBackup(file), /passphrase is needed/);
+    assert.throws(() => readBackup(file, { passphrase: 'wrong' }), /wrong passphrase/);
+    assert.strictEqual(readBackup(file, { passphrase: 'correct horse' }).manifest.files.length, 5);
+  });
+
+  it('refuses to restore over a running daemon', async () => {
+    const { file } = await createBackup();
+    fs.writeFileSync(PATHS.pid(), String(process.pid));
+    assert.throws(() => restoreBackup(file), /multis is running/);
+    assert.ok(!fs.readdirSync(root).some((f) => f.includes('before-restore')), 'nothing was moved');
+  });
+
+  it('refuses a damaged archive or one from a newer multis', async () => {
+    const { file } = await createBackup();
+    const clean = zlib.gunzipSync(fs.readFileSync(file));
+    const tar = Buffer.from(clean);
+    tar[tar.indexOf('[{"id":"a1"}]') + 3] = 'X'.charCodeAt(0);
+    const damaged = path.join(root, 'damaged.tar.gz');
+    fs.writeFileSync(damaged, zlib.gzipSync(tar));
+    assert.throws(() => restoreBackup(damaged), /damaged — data\/scheduler\.json/);
+
+    // Same length, so the tar header's size still holds
+    const version = require('../package.json').version;
+    const later = version.replace(/\d/g, '9');
+    const text = clean.toString('latin1').replace(`"multis_version": "${version}"`, `"multis_version": "${later}"`);
+    const future = path.join(root, 'future.tar.gz');
+    fs.writeFileSync(future, zlib.gzipSync(Buffer.from(text, 'latin1')));
+    assert.throws(() => restoreBackup(future), new RegExp(`made by multis ${later.replace(/\./g, '\\.')}`));
+  });
+
+  it('prunes all but the newest archives', () => {
+    fs.mkdirSync(PATHS.backups(), { recursive: true });
+    const names = ['multis-20261001-010000.tar.gz', 'multis-20261002-010000.tar.gz', 'multis-20261003-010000.tar.gz.enc', 'notes.txt'];
+    for (const n of names) fs.writeFileSync(path.join(PATHS.backups(), n), '');
+    assert.deepStrictEqual(pruneBackups(undefined, 2), ['multis-20261001-010000.tar.gz']);
+    assert.deepStrictEqual(fs.readdirSync(PATHS.backups()).sort(), names.slice(1).sort());
+    assert.ok(lastBackupAt() instanceof Date);
+  });
+
+  it('snapshots a live SQLite store through the backup API', async () => {
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join(dir, 'data', 'litectx.db'));
+    db.pragma('journal_mode = WAL');
+    db.exec('CREATE TABLE t (v TEXT)');
+    db.prepare('INSERT INTO t VALUES (?)').run('kept');
+    try {
+      const { file } = await createBackup();
+      const { manifest } = readBackup(file);
+      assert.ok(list(manifest).includes('data/litectx.db'));
+      assert.ok(!list(manifest).some((p) => /-(wal|shm)$/.test(p)));
+      db.close();
+      restoreBackup(file);
+      const restored = new Database(path.join(dir, 'data', 'litectx.db'), { readonly: true });
+      assert.strictEqual(restored.prepare('SELECT v FROM t').get().v, 'kept');
+      restored.close();
+    } finally {
+      if (db.open) db.close();
+    }
+  });
+});
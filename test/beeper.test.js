@@ -231,6 +231,57 @@ describe('BeeperPlatform', () => {
       assert.ok(bp.mcp.sends[0].client_tag, 'carries a client_tag');
       assert.notStrictEqual(bp.mcp.sends[0].client_tag, bp.mcp.sends[1].client_tag);
     });
+
+    it('returns the sent message id, so a reaction to a prompt can be matched to it', async () => {
+      const { BeeperPlatform } = loadBeeper();
+      const bp = new BeeperPlatform(makeConfig());
+      bp.mcp = fakeMcp();
+      assert.strictEqual(await bp.send('chat1', 'Approve? (yes/no)'), 'sent');
+    });
+
+    it('writes WhatsApp chats in WhatsApp markup and SMS chats as plain text', async () => {
+      const { BeeperPlatform } = loadBeeper();
+      const bp = new BeeperPlatform(makeConfig());
+      bp.mcp = fakeMcp();
+      bp._chatMeta.set('wa', { title: '', isNoteToSelf: false, network: 'WhatsApp' });
+      bp._chatMeta.set('sms', { title: '', isNoteToSelf: false, network: 'androidsms' });
+      await bp.send('wa', '**Done** — see ~~old~~ notes');
+      await bp.send('sms', '**Done** — see ~~old~~ notes');
+      assert.strictEqual(bp.mcp.sends[0].text, '*Done* — see ~old~ notes');
+      assert.strictEqual(bp.mcp.sends[1].text, 'Done — see old notes');
+    });
+
+    it('sends the first part as a reply when asked to', async () => {
+      const { BeeperPlatform } = loadBeeper();
+      const bp = new BeeperPlatform(makeConfig());
+      bp.mcp = fakeMcp();
+      await bp.send('chat1', 'sure', { replyTo: 'm9' });
+      await bp.send('chat1', 'plain');
+      assert.strictEqual(bp.mcp.sends[0].reply_to_message_id, 'm9');
+      assert.ok(!('reply_to_message_id' in bp.mcp.sends[1]));
+    });
+
+    it('splits a long reply into numbered parts, each with its own client_tag', async () => {
+      const { BeeperPlatform } = loadBeeper();
+      const bp = new BeeperPlatform(makeConfig());
+      bp.mcp = fakeMcp();
+      bp._chatMeta.set('sms', { title: '', isNoteToSelf: false, network: 'sms' });
+      const para = 'word '.repeat(250).trim();
+      await bp.send('sms', `${para}\n\n${para}`);
+      assert.strictEqual(bp.mcp.sends.length, 2);
+      assert.match(bp.mcp.sends[0].text, /^\(1\/2\) /);
+      assert.ok(bp.mcp.sends.every((s) => s.text.length <= 1600));
+      assert.notStrictEqual(bp.mcp.sends[0].client_tag, bp.mcp.sends[1].client_tag);
+    });
+
+    it('a retried outbox send reuses its client_tags', async () => {
+      const { BeeperPlatform } = loadBeeper();
+      const bp = new BeeperPlatform(makeConfig());
+      bp.mcp = fakeMcp();
+      await bp.send('c1', 'Reminder: call Sam', { sendId: 'abc' });
+      await bp.send('c1', 'Reminder: call Sam', { sendId: 'abc' });
+      assert.deepStrictEqual(bp.mcp.sends.map((s) => s.client_tag), ['multis-abc-0', 'multis-abc-0']);
+    });
   });
 
   // -------------------------------------------------------------------------
@@ -550,6 +601,59 @@ describe('BeeperPlatform', () => {
       assert.strictEqual(m.network, 'telegram');
     });
 
+    it('quotes the message a reply points at, from an earlier sighting', async () => {
+      const reply = bbMsg({ id: '11', text: 'what about this one?', is_self: false });
+      reply.reply_to = '10';
+      const bp = makeBp(loadBeeper, {
+        pollQueue: oneTick([bbMsg({ id: '10', text: 'the blue one is $40', is_self: true, sender_name: 'Me', source: 'api' }), reply]),
+        chats: { c1: { title: 'Customer', is_note_to_self: false } },
+      });
+      bp.config.chats = { c1: { mode: 'business' } };
+      const received = [];
+      bp.onMessage(async (msg) => received.push(msg));
+      await bp._poll();
+      assert.strictEqual(received.length, 1, 'our own send is still echo-guarded');
+      assert.deepStrictEqual(received[0].replyTo, { id: '10', text: 'the blue one is $40', senderName: 'Me' });
+    });
+
+    it('a message sighted again with new text is an edit; unchanged, it is nothing', async () => {
+      const bp = makeBp(loadBeeper, {
+        pollQueue: [
+          { cursor: 'a', messages: [bbMsg({ id: '10', text: 'open on sunday' })], has_more: true },
+          { cursor: 'b', messages: [bbMsg({ id: '10', text: 'open on sunday?' }), bbMsg({ id: '10', text: 'open on sunday?' })], has_more: false },
+        ],
+        chats: { c1: { title: 'Customer', is_note_to_self: false } },
+      });
+      bp.config.chats = { c1: { mode: 'business' } };
+      const received = [];
+      bp.onMessage(async (msg) => received.push(msg));
+      await bp._poll();
+      assert.deepStrictEqual(received.map((m) => [m.event, m.text]), [['message', 'open on sunday'], ['edit', 'open on sunday?']]);
+      assert.strictEqual(received[1].routeAs, 'business');
+    });
+
+    it('a new reaction — even on our own send — is a reaction event from the reactor', async () => {
+      const prompt = bbMsg({ id: '20', text: 'Run it?', is_self: true, source: 'api' });
+      const reacted = { ...prompt, reactions: [{ key: '👍', sender: { id: 'me', name: 'Me', is_self: true } }] };
+      const bp = makeBp(loadBeeper, {
+        pollQueue: [
+          { cursor: 'a', messages: [prompt], has_more: true },
+          { cursor: 'b', messages: [reacted], has_more: false },
+        ],
+        chats: { c1: { title: 'Notes', is_note_to_self: true } },
+      });
+      const received = [];
+      bp.onMessage(async (msg) => received.push(msg));
+      await bp._poll();
+      assert.strictEqual(received.length, 1);
+      const [m] = received;
+      assert.strictEqual(m.event, 'reaction');
+      assert.strictEqual(m.reaction, '👍');
+      assert.strictEqual(m.targetId, '20');
+      assert.strictEqual(m.senderId, 'me');
+      assert.strictEqual(m.text, '');
+    });
+
     it('caches chat metadata — get_chat called once per chat', async () => {
       const bp = makeBp(loadBeeper, {
         pollQueue: [
@@ -754,6 +858,139 @@ describe('BeeperPlatform', () => {
       assert.deepStrictEqual(bp.getAdminChatIds().sort(), ['p1', 'p2']);
     });
   });
+
+  // -------------------------------------------------------------------------
+  // Per-network policy (platforms.beeper.networks)
+  // -------------------------------------------------------------------------
+
+  describe('network policy', () => {
+    function withNetworks() {
+      const { BeeperPlatform } = loadBeeper();
+      const bp = new BeeperPlatform(makeConfig({
+        default_mode: 'off',
+        networks: {
+          WhatsApp: { default_mode: 'business', reply_prefix: '🤖 ', rate_limit: { burst_per_min: 2 } },
+          signal: { default_mode: 'silent' },
+        },
+      }));
+      bp._chatMeta.set('wa', { title: 'Amora', isNoteToSelf: false, network: 'whatsapp' });
+      bp._chatMeta.set('sig', { title: 'Sam', isNoteToSelf: false, network: 'signal' });
+      bp._chatMeta.set('tg', { title: 'Tom', isNoteToSelf: false, network: 'telegram' });
+      bp.mcp = fakeMcp();
+      return bp;
+    }
+
+    it("a chat's network sets its mode, between a stored mode and the account default", () => {
+      const bp = withNetworks();
+      bp.config.chats = { sig: { mode: 'personal' } };
+      assert.strictEqual(bp._getChatMode('wa'), 'business');
+      assert.strictEqual(bp._getChatMode('sig'), 'personal');
+      assert.strictEqual(bp._getChatMode('tg'), 'off');
+    });
+
+    it('falls back to the network recorded in config.chats before the chat is seen', () => {
+      const bp = withNetworks();
+      bp.config.chats = { old: { network: 'signal' } };
+      assert.strictEqual(bp._getChatMode('old'), 'silent');
+      assert.deepStrictEqual(bp.networkPolicy('old'), { network: 'signal', default_mode: 'silent' });
+      assert.strictEqual(bp.networkPolicy('tg'), null);
+    });
+
+    it("prefixes a contact's replies with the network's reply_prefix, never the owner's chats", async () => {
+      const bp = withNetworks();
+      bp._chatMeta.set('notes', { title: 'Notes', isNoteToSelf: true, network: 'whatsapp' });
+      bp._personalChats.add('notes');
+      await bp.send('wa', 'hello');
+      await bp.send('notes', 'status');
+      await bp.send('sig', 'hi');
+      assert.deepStrictEqual(bp.mcp.sends.map((s) => s.text), ['🤖 hello', 'status', 'hi']);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // Named endpoints (platforms.beeper.endpoints)
+  // -------------------------------------------------------------------------
+
+  describe('endpoints', () => {
+    function twoEndpoints() {
+      const cfg = makeConfig({
+        mcp_token: 'shared',
+        endpoints: [
+          { name: 'biz', mcp_url: 'http://box-a:23375', bot_mode: 'business', admin_chats: ['!team'] },
+          { name: 'me', mcp_url: 'http://box-b:23375', mcp_token: 'mine', default_mode: 'silent' },
+        ],
+      });
+      cfg.bot_mode = 'personal-assistant';
+      return cfg;
+    }
+
+    it('without endpoints, platforms.beeper is the one endpoint, named beeper', () => {
+      const { beeperEndpoints } = require('../src/config');
+      const [only, ...rest] = beeperEndpoints(makeConfig({ mcp_url: 'http://x:1' }));
+      assert.strictEqual(rest.length, 0);
+      assert.strictEqual(only.platformName, 'beeper');
+      assert.strictEqual(only.mcp_url, 'http://x:1');
+    });
+
+    it('each named endpoint inherits the shared keys and registers as beeper:<name>', () => {
+      const { beeperEndpoints } = require('../src/config');
+      const [biz, me] = beeperEndpoints(twoEndpoints());
+      assert.strictEqual(biz.platformName, 'beeper:biz');
+      assert.strictEqual(biz.mcp_token, 'shared');
+      assert.strictEqual(me.mcp_token, 'mine');
+      assert.strictEqual(me.poll_interval, 100);
+    });
+
+    it('rejects a repeated or unsafe endpoint name', () => {
+      const { beeperEndpoints } = require('../src/config');
+      assert.throws(() => beeperEndpoints(makeConfig({ endpoints: [{ name: 'a' }, { name: 'a' }] })), /listed twice/);
+      assert.throws(() => beeperEndpoints(makeConfig({ endpoints: [{ name: '../x' }] })), /may only use/);
+    });
+
+    it('gives each endpoint its own name, beeperbox, cursor file and mode defaults', () => {
+      const { BeeperPlatform } = loadBeeper();
+      const { beeperEndpoints } = require('../src/config');
+      const cfg = twoEndpoints();
+      const [biz, me] = beeperEndpoints(cfg).map((ep) => new BeeperPlatform(cfg, ep));
+      assert.strictEqual(biz.name, 'beeper:biz');
+      assert.strictEqual(biz.mcpUrl, 'http://box-a:23375');
+      assert.strictEqual(path.basename(biz.cursorFile), 'beeper-cursor-biz.json');
+      assert.strictEqual(path.basename(me.cursorFile), 'beeper-cursor-me.json');
+      assert.strictEqual(biz._getChatMode('c1'), 'business');
+      assert.strictEqual(me._getChatMode('c1'), 'silent');
+    });
+
+    it('escalates to its admin chats, which also count as owner channels', () => {
+      const { BeeperPlatform } = loadBeeper();
+      const { beeperEndpoints } = require('../src/config');
+      const cfg = twoEndpoints();
+      const [biz, me] = beeperEndpoints(cfg).map((ep) => new BeeperPlatform(cfg, ep));
+      biz._personalChats.add('!notes');
+      assert.deepStrictEqual(biz.getEscalationChatIds(), ['!team']);
+      assert.deepStrictEqual(biz.getAdminChatIds().sort(), ['!notes', '!team']);
+      assert.deepStrictEqual(me.getEscalationChatIds(), []);
+    });
+
+    it("tags messages with the endpoint's account and resumes from its own cursor", async () => {
+      const { BeeperPlatform } = loadBeeper();
+      const { beeperEndpoints } = require('../src/config');
+      const cfg = twoEndpoints();
+      const [biz, me] = beeperEndpoints(cfg).map((ep) => new BeeperPlatform(cfg, ep));
+      for (const [bp, cursor] of [[biz, 'cur-biz'], [me, 'cur-me']]) {
+        bp._initialized = true;
+        bp.mcp = fakeMcp({ pollQueue: [{ cursor, messages: [bbMsg({ id: cursor, chat_id: 'cX', text: 'hi' })], has_more: false }] });
+      }
+      const received = [];
+      biz.onMessage(async (m) => received.push(m));
+      await biz._poll();
+      await me._poll();
+      assert.strictEqual(received.length, 1);
+      assert.strictEqual(received[0].account, 'biz');
+      assert.strictEqual(received[0].platformName, 'beeper:biz');
+      assert.strictEqual(biz._loadCursor(), 'cur-biz');
+      assert.strictEqual(me._loadCursor(), 'cur-me');
+    });
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,184 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DocumentCatalog, formatHistory, formatDocuments } = require('../src/context/catalog');
+
+// Stands in for litectx: chunks held by (scope, id).
+function stubStore({ reject = () => false } = {}) {
+  const rows = new Map();
+  return {
+    rows,
+    async ingest(buf, filename, scope, id) {
+      if (reject(buf)) throw new Error('unsupported document');
+      rows.set(`${scope}/${id}`, { filename, text: buf.toString() });
+      return { chunks: 2, mode: 'chunked' };
+    },
+    remove(scope, id) {
+      return rows.delete(`${scope}/${id}`) ? 2 : 0;
+    },
+  };
+}
+
+describe('DocumentCatalog', () => {
+  let root, file, archiveDir, clock;
+  const buf = (s) => Buffer.from(s);
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-catalog-test-'));
+    file = path.join(root, 'kb.json');
+    archiveDir = path.join(root, 'kb-versions');
+    clock = Date.parse('2026-10-01T09:00:00Z');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const catalog = (store, opts = {}) => new DocumentCatalog({
+    file, archiveDir, ingest: store.ingest, remove: store.remove, now: () => (clock += 60_000), ...opts,
+  });
+
+  it('re-indexing a document makes a new version and retires the old one, keeping its chunks', async () => {
+    const store = stubStore();
+    const c = catalog(store);
+    const v1 = await c.add(buf('Widget: 10'), { name: 'prices.md', scope: 'kb', source: 'index', by: 'owner' });
+    assert.deepStrictEqual([v1.scope, v1.version, v1.replaced, v1.unchanged], ['public', 1, null, false]);
+
+    const v2 = await c.add(buf('Widget: 12'), { name: 'prices.md', scope: 'public', source: 'upload', by: 'owner' });
+    assert.deepStrictEqual([v2.version, v2.replaced], [2, 1]);
+    assert.deepStrictEqual([...store.rows.values()].map((r) => r.text), ['Widget: 10', 'Widget: 12'], 'a retired version\'s chunks are kept');
+
+    const doc = c.get('prices.md', 'public');
+    assert.ok(doc.versions[0].retired_at);
+    assert.strictEqual(doc.versions[1].retired_at, null);
+    assert.deepStrictEqual(doc.versions.map((v) => c.isRetired(v.id)), [true, false], 'only the live version is recallable');
+    assert.strictEqual(c.isRetired('prices.md'), false, 'an id the catalog doesn\'t know is left alone');
+    assert.strictEqual(c.retiredChunks(), 2);
+    const archived = doc.versions.map((v) => fs.readFileSync(path.join(archiveDir, v.archived), 'utf8'));
+    assert.deepStrictEqual(archived, ['Widget: 10', 'Widget: 12'], 'a retired version\'s source is kept');
+  });
+
+  it('identical bytes are a no-op', async () => {
+    const store = stubStore();
+    const c = catalog(store);
+    await c.add(buf('Widget: 10'), { name: 'prices.md', scope: 'public' });
+    const again = await c.add(buf('Widget: 10'), { name: 'prices.md', scope: 'public' });
+    assert.deepStrictEqual([again.version, again.unchanged], [1, true]);
+    assert.strictEqual(c.get('prices.md', 'public').versions.length, 1);
+  });
+
+  it('a rejected new version leaves the old one live', async () => {
+    const store = stubStore({ reject: (b) => b.toString() === 'broken' });
+    const c = catalog(store);
+    await c.add(buf('Widget: 10'), { name: 'prices.md', scope: 'public' });
+    await assert.rejects(c.add(buf('broken'), { name: 'prices.md', scope: 'public' }), /unsupported/);
+    assert.strictEqual(store.rows.size, 1);
+    assert.strictEqual(c.get('prices.md', 'public').versions.length, 1);
+  });
+
+  it('adopts a copy indexed before the catalog, once', async () => {
+    const store = stubStore();
+    store.rows.set('public/prices.md', { filename: 'prices.md', text: 'Widget: 9' });
+    store.rows.set('admin/prices.md', { filename: 'prices.md', text: 'admin copy' });
+    const c = catalog(store);
+    await c.add(buf('Widget: 10'), { name: 'prices.md', scope: 'public', adopt: 'prices.md' });
+    assert.deepStrictEqual([...store.rows.keys()], ['admin/prices.md', `public/kb-${c.get('prices.md', 'public').key}-v1`],
+      'the old copy in that scope is gone; the other scope\'s is untouched');
+
+    store.rows.set('public/prices.md', { filename: 'prices.md', text: 'indexed since, by explicit id' });
+    await c.add(buf('Widget: 12'), { name: 'prices.md', scope: 'public', adopt: 'prices.md' });
+    assert.ok(store.rows.has('public/prices.md'), 'only the first catalog version adopts');
+  });
+
+  it('the same name in two scopes is two documents', async () => {
+    const store = stubStore();
+    const c = catalog(store);
+    await c.add(buf('public copy'), { name: 'faq.md', scope: 'public' });
+    await c.add(buf('admin copy'), { name: 'faq.md', scope: 'admin' });
+    assert.strictEqual(store.rows.size, 2);
+    assert.strictEqual(c.find('faq.md').length, 2);
+    assert.deepStrictEqual(c.find('faq.md', { scope: 'admin' }).map((d) => d.scope), ['admin']);
+  });
+
+  it('removing drops the chunks and archives but keeps the history, and survives a restart', async () => {
+    const store = stubStore();
+    const c = catalog(store);
+    await c.add(buf('Widget: 10'), { name: 'prices.md', scope: 'public' });
+    await c.add(buf('Widget: 12'), { name: 'prices.md', scope: 'public' });
+    assert.deepStrictEqual(await c.remove('prices.md', 'kb', { by: 'owner' }), { name: 'prices.md', scope: 'public', versions: 2 });
+    assert.strictEqual(store.rows.size, 0, 'the retired version\'s chunks go too');
+    assert.deepStrictEqual(fs.readdirSync(archiveDir), []);
+    assert.ok(c.get('prices.md', 'public').versions.every((v) => c.isRetired(v.id)));
+
+    const fresh = catalog(store);
+    assert.deepStrictEqual(fresh.list(), []);
+    assert.deepStrictEqual(fresh.find('prices.md'), [], 'a removed document is not offered for removal again');
+    const [doc] = fresh.find('prices.md', { removed: true });
+    assert.strictEqual(doc.removed_by, 'owner');
+    await assert.rejects(fresh.remove('prices.md', 'public'), /not in the knowledge base/);
+    assert.strictEqual(await fresh.remove('prices.md', 'public', { missingOk: true }), null);
+
+    // Indexing it again starts a new version after the removed ones.
+    const back = await fresh.add(buf('Widget: 14'), { name: 'prices.md', scope: 'public' });
+    assert.strictEqual(back.version, 3);
+    assert.strictEqual(fresh.list().length, 1);
+  });
+
+  it('keeps only keepVersions archived sources', async () => {
+    const c = catalog(stubStore(), { keepVersions: 2 });
+    for (const n of [1, 2, 3, 4]) await c.add(buf(`Widget: ${n}`), { name: 'prices.md', scope: 'public' });
+    const doc = c.get('prices.md', 'public');
+    assert.deepStrictEqual(doc.versions.map((v) => Boolean(v.archived)), [false, false, true, true]);
+    assert.strictEqual(fs.readdirSync(path.join(archiveDir, doc.key)).length, 2);
+  });
+
+  it('finds a watched file by its file name', async () => {
+    const c = catalog(stubStore());
+    await c.add(buf('x'), { name: '/home/me/prices/terms.md', scope: 'public', source: 'watch' });
+    assert.deepStrictEqual(c.find('Terms.md').map((d) => d.name), ['/home/me/prices/terms.md']);
+    assert.deepStrictEqual(c.find('/home/me/prices/terms.md').length, 1);
+    assert.deepStrictEqual(c.find('prices'), []);
+  });
+
+  it('hands back the file a version was indexed from, fenced by scope', async () => {
+    const c = catalog(stubStore());
+    await c.add(buf('Widget: 10'), { name: 'prices.md', scope: 'public' });
+    await c.add(buf('Widget: 12'), { name: 'prices.md', scope: 'public' });
+    const [v1, v2] = c.get('prices.md', 'public').versions;
+    const f1 = c.sourceFile(v1.id, 'user:cust1');
+    assert.deepStrictEqual([f1.name, f1.version, fs.readFileSync(f1.path, 'utf8')], ['prices.md', 1, 'Widget: 10'], 'a retired version is its archived copy');
+    assert.strictEqual(fs.readFileSync(c.sourceFile(v2.id, 'admin').path, 'utf8'), 'Widget: 12');
+
+    await c.add(buf('cost 7'), { name: 'costs.md', scope: 'admin' });
+    const secret = c.get('costs.md', 'admin').versions[0].id;
+    assert.strictEqual(c.sourceFile(secret, 'user:cust1'), null, 'an admin document is not found outside admin');
+    assert.ok(c.sourceFile(secret, 'admin'));
+
+    // A watched file whose copy was pruned is still at its path while live.
+    const watched = path.join(root, 'faq.md');
+    fs.writeFileSync(watched, 'Q: hours?');
+    await c.add(buf('Q: hours?'), { name: watched, scope: 'public', source: 'watch' });
+    const w = c.get(watched, 'public').versions[0];
+    fs.rmSync(path.join(archiveDir, w.archived));
+    assert.strictEqual(c.sourceFile(w.id, 'public').path, watched);
+    fs.writeFileSync(watched, 'Q: hours? A: 9-5');
+    assert.strictEqual(c.sourceFile(w.id, 'public'), null, 'an edit not yet synced is not that version');
+    assert.strictEqual(c.sourceFile('kb-0000000000000000-v1', 'admin'), null);
+  });
+
+  it('formats the history newest first and the document list', async () => {
+    const c = catalog(stubStore());
+    await c.add(buf('Widget: 10'), { name: 'prices.md', scope: 'public', source: 'index', by: 'owner' });
+    await c.add(buf('Widget: 12'), { name: 'prices.md', scope: 'public', source: 'upload', by: 'owner' });
+    const lines = formatHistory(c.get('prices.md', 'public')).split('\n');
+    assert.strictEqual(lines[0], 'prices.md [public] — 2 versions');
+    assert.match(lines[1], /^v2 — live · indexed 2026-10-01 09:\d\d · 2 chunks · upload by owner · sha256 [0-9a-f]{12}$/);
+    assert.match(lines[2], /^v1 — retired 2026-10-01 09:\d\d · /);
+    assert.match(formatDocuments(c.list()), /^prices\.md \[public\] — v2, 2 chunks, indexed 2026-10-01 09:\d\d$/);
+
+    await c.remove('prices.md', 'public');
+    assert.match(formatHistory(c.get('prices.md', 'public')), /^prices\.md \[public\] — 2 versions, removed 2026-10-01/);
+  });
+});
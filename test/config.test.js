@@ -468,3 +468,122 @@ describe('saveConfig — secret-file perms (init §10 S1)', () => {
     assert.equal(cfgMode, 0o600, `config.json should be 0600, got ${cfgMode.toString(8)}`);
   });
 });
+
+// config_version + the MIGRATIONS list: each step runs once, in order, on the
+// file as written; a config from a newer multis is reported, not rewritten.
+describe('versioned config migrations', () => {
+  const { migrateConfig, configIssues, loadConfig, setMultisDir, PATHS, CONFIG_VERSION } = require('../src/config');
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-migrate-test-'));
+    setMultisDir(path.join(tmpDir, '.multis'));
+  });
+  after(() => { setMultisDir(null); fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  it('an unversioned config runs every step and is stamped', () => {
+    const config = { platforms: { beeper: { chat_modes: { '!a': 'silent', '!b': 'off' } } }, chats: { '!b': { mode: 'business' } } };
+    assert.deepStrictEqual(migrateConfig(config), ['platforms.beeper.chat_modes → chats[id].mode', 'documents.allowedTypes += tsv, xlsx']);
+    assert.strictEqual(config.config_version, CONFIG_VERSION);
+    assert.deepStrictEqual(config.chats, { '!a': { mode: 'silent' }, '!b': { mode: 'business' } });
+    assert.strictEqual(config.platforms.beeper.chat_modes, undefined);
+    assert.deepStrictEqual(migrateConfig(config), [], 'a current config is left alone');
+  });
+
+  it('adds the spreadsheet types to an allowedTypes copied from an older template', () => {
+    const config = { config_version: 1, documents: { allowedTypes: ['pdf', 'docx', 'txt', 'md', 'csv', 'xlsx'] } };
+    assert.deepStrictEqual(migrateConfig(config), ['documents.allowedTypes += tsv, xlsx']);
+    assert.deepStrictEqual(config.documents.allowedTypes, ['pdf', 'docx', 'txt', 'md', 'csv', 'xlsx', 'tsv']);
+    const unset = { config_version: 1, documents: { maxSize: 1024 } };
+    migrateConfig(unset);
+    assert.strictEqual(unset.documents.allowedTypes, undefined, 'an unset list keeps following the defaults');
+  });
+
+  it('a config from a newer multis is not migrated and is an error', () => {
+    const config = { config_version: CONFIG_VERSION + 1, platforms: { beeper: { chat_modes: { '!a': 'off' } } } };
+    assert.deepStrictEqual(migrateConfig(config), []);
+    assert.ok(config.platforms.beeper.chat_modes, 'untouched');
+    const [first] = configIssues(config);
+    assert.strictEqual(first.path, 'config_version');
+    assert.match(first.message, /newer multis/);
+  });
+
+  it('loadConfig saves the migrated file and logs schema problems once', () => {
+    fs.mkdirSync(path.dirname(PATHS.config()), { recursive: true });
+    fs.writeFileSync(PATHS.config(), JSON.stringify({
+      llm: { provider: 'ollama', max_tool_rounds: 'three' },
+      memroy: { enabled: false },
+      platforms: { beeper: { chat_modes: { '!a': 'silent' } } },
+    }));
+    const logged = [];
+    const orig = { warn: console.warn, error: console.error };
+    console.warn = (m) => logged.push(`warn ${m}`);
+    console.error = (m) => logged.push(`error ${m}`);
+    try {
+      loadConfig();
+      loadConfig();
+    } finally {
+      Object.assign(console, orig);
+    }
+    assert.deepStrictEqual(logged, [
+      'error Config: config.json llm.max_tool_rounds — expected a whole number, got "three"',
+      'warn Config: config.json memroy — unknown key — did you mean "memory"?',
+    ]);
+    const onDisk = JSON.parse(fs.readFileSync(PATHS.config(), 'utf8'));
+    assert.strictEqual(onDisk.config_version, CONFIG_VERSION);
+    assert.strictEqual(onDisk.chats['!a'].mode, 'silent');
+  });
+});
+
+describe('multis config helpers (src/cli/config.js)', () => {
+  const cli = require('../src/cli/config');
+
+  it('getPath / setPath follow the schema path syntax', () => {
+    const config = { memory: { recent_window: 20 } };
+    cli.setPath(config, cli.parsePath('memory.recent_window'), 30);
+    cli.setPath(config, cli.parsePath('webhooks[0].url'), 'https://h.example');
+    cli.setPath(config, cli.parsePath('chats["!abc:beeper.local"].mode'), 'off');
+    assert.deepStrictEqual(config, {
+      memory: { recent_window: 30 },
+      webhooks: [{ url: 'https://h.example' }],
+      chats: { '!abc:beeper.local': { mode: 'off' } },
+    });
+    assert.strictEqual(cli.getPath(config, cli.parsePath('chats["!abc:beeper.local"].mode')), 'off');
+    assert.strictEqual(cli.getPath(config, cli.parsePath('memory.nope')), undefined);
+    assert.throws(() => cli.setPath(config, cli.parsePath('memory.recent_window.x'), 1), /memory\.recent_window is 30, not an object/);
+  });
+
+  it('values parse as JSON when they can, else stay text', () => {
+    assert.strictEqual(cli.parseValue('30'), 30);
+    assert.strictEqual(cli.parseValue('false'), false);
+    assert.strictEqual(cli.parseValue('null'), null);
+    assert.deepStrictEqual(cli.parseValue('["a","b"]'), ['a', 'b']);
+    assert.strictEqual(cli.parseValue('"30"'), '30');
+    assert.strictEqual(cli.parseValue('claude-haiku-4-5'), 'claude-haiku-4-5');
+  });
+
+  it('redact hides non-empty secrets at any depth', () => {
+    assert.deepStrictEqual(cli.redact({ llm: { apiKey: 'sk', model: 'm' }, webhooks: [{ url: 'u', secret: 's' }], platforms: { web: { token: '' } } }),
+      { llm: { apiKey: '••••', model: 'm' }, webhooks: [{ url: 'u', secret: '••••' }], platforms: { web: { token: '' } } });
+  });
+
+  it('newIssues only counts problems a change adds', () => {
+    const before = { memroy: {}, memory: { recent_window: 20 } };
+    assert.deepStrictEqual(cli.newIssues(before, { ...before, memory: { recent_window: 30 } }), []);
+    assert.deepStrictEqual(cli.newIssues(before, { ...before, memory: { recent_window: 'x' } }).map((i) => i.path), ['memory.recent_window']);
+    assert.ok(cli.managedReason(cli.parsePath('security.pin_hash')));
+    assert.strictEqual(cli.managedReason(cli.parsePath('security.pin_timeout_hours')), null);
+  });
+
+  it('diffConfig lists leaf changes by path', () => {
+    assert.deepStrictEqual(cli.diffConfig(
+      { memory: { recent_window: 20, semantic: true }, webhooks: [], _comment: 'a' },
+      { memory: { recent_window: 30 }, webhooks: [{ url: 'u' }], chats: {}, _comment: 'b' },
+    ), [
+      { path: 'memory.recent_window', kind: 'changed', before: 20, after: 30 },
+      { path: 'memory.semantic', kind: 'removed', before: true },
+      { path: 'webhooks', kind: 'changed', before: [], after: [{ url: 'u' }] },
+      { path: 'chats', kind: 'added', after: {} },
+    ]);
+  });
+});
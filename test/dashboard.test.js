@@ -0,0 +1,174 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { DashboardServer, filterAudit, readSpend } = require('../src/dashboard/server');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function request(port, method, urlPath, { token = 'dash-tok', body } = {}) {
+  return new Promise((resolve, reject) => {
+    const data = body === undefined ? null : JSON.stringify(body);
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (data) { headers['Content-Type'] = 'application/json'; headers['Content-Length'] = Buffer.byteLength(data); }
+    const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString();
+        const json = /json/.test(res.headers['content-type'] || '');
+        resolve({ status: res.statusCode, headers: res.headers, body: json ? JSON.parse(text) : text });
+      });
+    });
+    req.on('error', reject);
+    if (data) req.write(data);
+    req.end();
+  });
+}
+
+const AUDIT = [
+  { timestamp: '2026-10-01T09:00:00.000Z', action: 'index', user_id: 'owner', filename: '/docs/a.pdf', chunks: 4, scope: 'public' },
+  { timestamp: '2026-10-01T09:05:00.000Z', action: 'command', user_id: 'u2', chatId: 'c1', command: 'search' },
+  { timestamp: '2026-10-01T09:10:00.000Z', action: 'index_upload', user_id: 'owner', filename: 'notes.md', chunks: 2, scope: 'admin' },
+  { timestamp: '2026-10-02T09:00:00.000Z', action: 'index', user_id: 'owner', filename: '/docs/a.pdf', chunks: 5, scope: 'public' },
+  { timestamp: '2026-10-02T10:00:00.000Z', action: 'tool', user_id: 'u2', chat_id: 'c2', tool: 'exec', status: 'denied' },
+];
+
+// A stand-in for createMessageRouter's router and the methods the dashboard reads.
+function makeRouter() {
+  const calls = [];
+  const router = async () => {};
+  router.listChats = () => [
+    { id: 'c1', name: 'Alice', platform: 'beeper', network: 'whatsapp', mode: 'business', source: 'chat', agent: null, lastActive: null, modes: ['business', 'silent', 'off'] },
+  ];
+  router.pendingAsks = () => [{ chatId: 'c1', senderId: 'u2', kind: 'approval', label: 'refund', createdAt: 1, expiresAt: 2 }];
+  router.listJobs = () => [{ id: 'j1', type: 'recurring', schedule: '0 9 * * *', action: 'briefing' }];
+  router.listDocuments = () => [
+    { filename: '/docs/a.pdf', scope: 'public', version: 2, chunks: 5, source: 'watch', indexedAt: '2026-10-02T09:00:00.000Z' },
+    { filename: 'notes.md', scope: 'admin', version: 1, chunks: 2, source: 'upload', indexedAt: '2026-10-01T09:10:00.000Z' },
+  ];
+  router.setChatMode = async (req) => {
+    calls.push(req);
+    if (req.mode === 'off' && req.pin !== '1234') return { ok: false, needsPin: true, echo: 'set Alice to off' };
+    if (req.mode === 'personal') return { ok: false, reason: 'personal is not allowed for this chat' };
+    return { ok: true, mode: req.mode };
+  };
+  return { router, calls };
+}
+
+// ---------------------------------------------------------------------------
+// DashboardServer
+// ---------------------------------------------------------------------------
+
+describe('DashboardServer', () => {
+  let dash, dir;
+
+  afterEach(async () => {
+    if (dash) await dash.stop();
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dash = null; dir = null;
+  });
+
+  async function startDashboard(dashboard = { token: 'dash-tok' }) {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-dash-'));
+    const gateLog = path.join(dir, 'gate.jsonl');
+    const config = { dashboard: { bind: '127.0.0.1:0', ...dashboard }, chats: { c1: { name: 'Alice' } }, security: { max_cost_per_run: 0.5 } };
+    const { router, calls } = makeRouter();
+    dash = new DashboardServer(config, router, { readAudit: () => AUDIT, gateLog });
+    assert.strictEqual(await dash.start(), true);
+    return { calls, gateLog };
+  }
+
+  it('serves the page without a token but no data', async () => {
+    await startDashboard();
+    const page = await request(dash.port, 'GET', '/', { token: null });
+    assert.strictEqual(page.status, 200);
+    assert.match(page.body, /multis dashboard/);
+    assert.match(page.headers['content-security-policy'], /default-src 'self'/);
+    assert.strictEqual((await request(dash.port, 'GET', '/api/overview', { token: null })).status, 401);
+    assert.strictEqual((await request(dash.port, 'GET', '/api/overview', { token: 'wrong' })).status, 401);
+  });
+
+  it('generates a token for the run when none is configured', async () => {
+    await startDashboard({});
+    assert.match(dash.token, /^[0-9a-f]{32}$/);
+    assert.strictEqual((await request(dash.port, 'GET', '/api/overview', { token: dash.token })).status, 200);
+  });
+
+  it('overview collects chats, asks, jobs, documents and spend', async () => {
+    const { gateLog } = await startDashboard();
+    const now = new Date().toISOString();
+    fs.writeFileSync(gateLog, [
+      JSON.stringify({ timestamp: now, action: { type: 'llm' }, result: { costUsd: 0.02 } }),
+      JSON.stringify({ timestamp: '2026-01-01T00:00:00.000Z', action: { type: 'llm' }, result: { costUsd: 0.1 } }),
+      JSON.stringify({ timestamp: now, action: { type: 'bash' }, decision: 'allow' }),
+      'not json',
+    ].join('\n') + '\n');
+
+    const { status, body } = await request(dash.port, 'GET', '/api/overview');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.chats[0].id, 'c1');
+    assert.strictEqual(body.pending[0].kind, 'approval');
+    assert.strictEqual(body.jobs[0].id, 'j1');
+    assert.deepStrictEqual(body.documents.map((d) => [d.filename, d.version, d.chunks]), [['/docs/a.pdf', 2, 5], ['notes.md', 1, 2]]);
+    assert.strictEqual(body.spend.calls, 2);
+    assert.ok(Math.abs(body.spend.totalUsd - 0.12) < 1e-9);
+    assert.ok(Math.abs(body.spend.todayUsd - 0.02) < 1e-9);
+    assert.strictEqual(body.spend.capPerRunUsd, 0.5);
+  });
+
+  it('audit is filtered and newest first', async () => {
+    await startDashboard();
+    const all = await request(dash.port, 'GET', '/api/audit');
+    assert.strictEqual(all.body.entries[0].action, 'tool');
+    const byChat = await request(dash.port, 'GET', '/api/audit?chat=c2');
+    assert.deepStrictEqual(byChat.body.entries.map((e) => e.tool), ['exec']);
+    const search = await request(dash.port, 'GET', '/api/audit?action=index&q=A.PDF&limit=1');
+    assert.deepStrictEqual(search.body.entries.map((e) => e.chunks), [5]);
+  });
+
+  it('mode changes go through the router, PIN ceremony included', async () => {
+    const { calls } = await startDashboard();
+    const set = await request(dash.port, 'POST', '/api/chats/c1/mode', { body: { mode: 'silent' } });
+    assert.deepStrictEqual([set.status, set.body], [200, { ok: true, mode: 'silent' }]);
+
+    const ask = await request(dash.port, 'POST', '/api/chats/c1/mode', { body: { mode: 'off' } });
+    assert.strictEqual(ask.status, 401);
+    assert.strictEqual(ask.body.needsPin, true);
+    const confirmed = await request(dash.port, 'POST', '/api/chats/c1/mode', { body: { mode: 'off', pin: 1234 } });
+    assert.strictEqual(confirmed.status, 200);
+    assert.deepStrictEqual(calls.at(-1), { chatId: 'c1', mode: 'off', pin: '1234' });
+
+    const denied = await request(dash.port, 'POST', '/api/chats/c1/mode', { body: { mode: 'personal' } });
+    assert.strictEqual(denied.status, 403);
+  });
+
+  it('rejects unknown chats and malformed bodies', async () => {
+    const { calls } = await startDashboard();
+    assert.strictEqual((await request(dash.port, 'POST', '/api/chats/nope/mode', { body: { mode: 'silent' } })).status, 404);
+    assert.strictEqual((await request(dash.port, 'POST', '/api/chats/c1/mode', { body: {} })).status, 400);
+    assert.strictEqual(calls.length, 0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Helpers over the logs
+// ---------------------------------------------------------------------------
+
+describe('dashboard log helpers', () => {
+  it('filterAudit matches action, chat, user and free text', () => {
+    assert.strictEqual(filterAudit(AUDIT, { user: 'u2' }).length, 2);
+    assert.strictEqual(filterAudit(AUDIT, { chat: 'c1' }).length, 1);
+    assert.strictEqual(filterAudit(AUDIT, { q: 'NOTES' })[0].filename, 'notes.md');
+    assert.strictEqual(filterAudit(AUDIT).length, AUDIT.length);
+  });
+
+  it('readSpend is zero without a gate log', () => {
+    assert.deepStrictEqual(readSpend('/nonexistent/gate.jsonl'), { totalUsd: 0, todayUsd: 0, calls: 0, capPerRunUsd: null });
+  });
+});
@@ -0,0 +1,483 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const net = require('net');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function tmpHome() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-test-'));
+  const multisDir = path.join(dir, '.multis');
+  for (const sub of ['data', 'auth', 'logs', 'run']) {
+    fs.mkdirSync(path.join(multisDir, sub), { recursive: true });
+  }
+  return { dir, multisDir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+const ME = 'support@shop.test';
+const PASSWORD = 'pw-123';
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function closeServer(server, sockets) {
+  for (const s of sockets) s.destroy();
+  return new Promise((r) => server.close(r));
+}
+
+// Local IMAP stub: LOGIN, SELECT, UID SEARCH, UID FETCH BODY.PEEK[], LOGOUT
+// over one mailbox whose messages are `{ uid, raw }`.
+async function startImap({ mailbox = [], uidValidity = 1 } = {}) {
+  const state = { mailbox, uidValidity, logins: 0 };
+  const sockets = new Set();
+  const server = net.createServer((sock) => {
+    sockets.add(sock);
+    sock.on('close', () => sockets.delete(sock));
+    sock.write('* OK stub ready\r\n');
+    let buf = '';
+    sock.on('data', (chunk) => {
+      buf += chunk.toString('utf8');
+      let idx;
+      while ((idx = buf.indexOf('\r\n')) !== -1) {
+        const line = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        const [tag, ...rest] = line.split(' ');
+        const cmd = rest.join(' ');
+        if (/^LOGIN /i.test(cmd)) {
+          state.logins++;
+          sock.write(cmd === `LOGIN "${ME}" "${PASSWORD}"` ? `${tag} OK logged in\r\n` : `${tag} NO bad credentials\r\n`);
+        } else if (/^SELECT /i.test(cmd)) {
+          const next = Math.max(0, ...state.mailbox.map((m) => m.uid)) + 1;
+          sock.write(`* ${state.mailbox.length} EXISTS\r\n* OK [UIDVALIDITY ${state.uidValidity}]\r\n* OK [UIDNEXT ${next}]\r\n${tag} OK [READ-WRITE] done\r\n`);
+        } else if (/^UID SEARCH UID (\d+):\*/i.test(cmd)) {
+          const from = Number(/(\d+):\*/.exec(cmd)[1]);
+          let uids = state.mailbox.map((m) => m.uid).filter((u) => u >= from);
+          // `n:*` still matches the highest UID (RFC 3501) — the client must filter.
+          if (!uids.length && state.mailbox.length) uids = [Math.max(...state.mailbox.map((m) => m.uid))];
+          sock.write(`* SEARCH ${uids.join(' ')}\r\n${tag} OK search done\r\n`);
+        } else if (/^UID FETCH (\d+)/i.test(cmd)) {
+          const uid = Number(/^UID FETCH (\d+)/i.exec(cmd)[1]);
+          const msg = state.mailbox.find((m) => m.uid === uid);
+          if (msg) {
+            const raw = Buffer.from(msg.raw);
+            sock.write(Buffer.concat([Buffer.from(`* 1 FETCH (UID ${uid} BODY[] {${raw.length}}\r\n`), raw, Buffer.from(')\r\n')]));
+          }
+          sock.write(`${tag} OK fetch done\r\n`);
+        } else if (/^LOGOUT/i.test(cmd)) {
+          sock.end(`* BYE\r\n${tag} OK bye\r\n`);
+        } else {
+          sock.write(`${tag} BAD unknown\r\n`);
+        }
+      }
+    });
+  });
+  const port = await listen(server);
+  return { port, state, close: () => closeServer(server, sockets) };
+}
+
+// Local SMTP stub: EHLO (AUTH PLAIN), MAIL, RCPT, DATA, QUIT. Records each
+// delivered message as { from, to, data }.
+async function startSmtp() {
+  const sent = [];
+  const sockets = new Set();
+  const server = net.createServer((sock) => {
+    sockets.add(sock);
+    sock.on('close', () => sockets.delete(sock));
+    sock.write('220 stub ESMTP\r\n');
+    let buf = '';
+    let cur = { to: [] };
+    let inData = false;
+    sock.on('data', (chunk) => {
+      buf += chunk.toString('utf8');
+      for (;;) {
+        if (inData) {
+          const end = buf.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          cur.data = buf.slice(0, end).replace(/^\.\./gm, '.');
+          buf = buf.slice(end + 5);
+          sent.push(cur);
+          cur = { to: [] };
+          inData = false;
+          sock.write('250 queued\r\n');
+          continue;
+        }
+        const idx = buf.indexOf('\r\n');
+        if (idx === -1) return;
+        const line = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        if (/^EHLO/i.test(line)) sock.write('250-stub\r\n250 AUTH PLAIN LOGIN\r\n');
+        else if (/^AUTH PLAIN /i.test(line)) {
+          const ok = line.slice(11) === Buffer.from(`\0${ME}\0${PASSWORD}`).toString('base64');
+          sock.write(ok ? '235 ok\r\n' : '535 bad credentials\r\n');
+        } else if (/^MAIL FROM:<(.*)>/i.test(line)) { cur.from = /<(.*)>/.exec(line)[1]; sock.write('250 ok\r\n'); }
+        else if (/^RCPT TO:<(.*)>/i.test(line)) { cur.to.push(/<(.*)>/.exec(line)[1]); sock.write('250 ok\r\n'); }
+        else if (/^DATA/i.test(line)) { inData = true; sock.write('354 go\r\n'); }
+        else if (/^QUIT/i.test(line)) sock.end('221 bye\r\n');
+        else sock.write('500 what\r\n');
+      }
+    });
+  });
+  const port = await listen(server);
+  return { port, sent, close: () => closeServer(server, sockets) };
+}
+
+function mail({ from = 'Alice <alice@customer.test>', subject = 'Order 42', messageId, inReplyTo, references, body = 'Where is my order?', headers = [] }) {
+  return [
+    `From: ${from}`,
+    `To: ${ME}`,
+    `Subject: ${subject}`,
+    `Message-ID: ${messageId}`,
+    ...(inReplyTo ? [`In-Reply-To: ${inReplyTo}`] : []),
+    ...(references ? [`References: ${references}`] : []),
+    ...headers,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    body,
+    '',
+  ].join('\r\n');
+}
+
+function makeConfig(imapPort, smtpPort, overrides = {}) {
+  return {
+    assistant_name: 'multis',
+    platforms: {
+      email: {
+        enabled: true,
+        address: ME,
+        imap: { host: '127.0.0.1', port: imapPort, secure: false, password: PASSWORD },
+        smtp: { host: '127.0.0.1', port: smtpPort, secure: false, password: PASSWORD },
+        poll_interval: 60000,
+        ...overrides,
+      },
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// mime
+// ---------------------------------------------------------------------------
+
+describe('mime', () => {
+  const mime = require('../src/platforms/mime');
+
+  it('parses a multipart mail: encoded subject, quoted-printable text, base64 attachment', () => {
+    const raw = [
+      'From: =?UTF-8?B?SsO8cmdlbg==?= <Juergen@Example.TEST>',
+      'Subject: =?UTF-8?Q?Gr=C3=BC=C3=9Fe?=',
+      'Content-Type: multipart/mixed; boundary="b1"',
+      '',
+      '--b1',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Sch=C3=B6n, see the=',
+      ' file.',
+      '--b1',
+      'Content-Type: application/pdf',
+      "Content-Disposition: attachment; filename*=UTF-8''Rechnung%20M%C3%A4rz.pdf",
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from('%PDF-1.4 test').toString('base64'),
+      '--b1--',
+      '',
+    ].join('\r\n');
+    const m = mime.parseMessage(raw);
+    assert.strictEqual(m.header('subject'), 'Grüße');
+    assert.deepStrictEqual(mime.parseAddress(m.header('from')), { name: 'Jürgen', address: 'juergen@example.test' });
+    assert.strictEqual(m.text.trim(), 'Schön, see the file.');
+    assert.strictEqual(m.attachments.length, 1);
+    assert.strictEqual(m.attachments[0].fileName, 'Rechnung März.pdf');
+    assert.strictEqual(m.attachments[0].content.toString(), '%PDF-1.4 test');
+  });
+
+  it('strips quoted history from a reply', () => {
+    const text = 'Still waiting.\n\nOn Mon, 1 Jan 2026, Shop <support@shop.test> wrote:\n> We shipped it.';
+    assert.strictEqual(mime.stripQuoted(text), 'Still waiting.');
+    assert.strictEqual(mime.stripQuoted('Thanks\n> old'), 'Thanks');
+  });
+
+  it('builds a threaded, auto-replied reply that parses back', () => {
+    const raw = mime.buildMessage({
+      from: ME, to: 'alice@customer.test', subject: 'Re: Order 42', text: 'Shipped — tracking inside.',
+      messageId: '<out-1@shop.test>', inReplyTo: '<in-2@customer.test>', references: ['<in-1@customer.test>', '<in-2@customer.test>'],
+    });
+    const m = mime.parseMessage(raw);
+    assert.strictEqual(m.header('in-reply-to'), '<in-2@customer.test>');
+    assert.deepStrictEqual(mime.parseMessageIds(m.header('references')), ['<in-1@customer.test>', '<in-2@customer.test>']);
+    assert.strictEqual(m.header('auto-submitted'), 'auto-replied');
+    assert.strictEqual(m.text.trim(), 'Shipped — tracking inside.');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// EmailPlatform
+// ---------------------------------------------------------------------------
+
+describe('EmailPlatform', () => {
+  let tmp, origHome, imap, smtp;
+
+  beforeEach(async () => {
+    tmp = tmpHome();
+    origHome = process.env.HOME;
+    process.env.HOME = tmp.dir;
+    smtp = await startSmtp();
+  });
+
+  afterEach(async () => {
+    process.env.HOME = origHome;
+    if (imap) { await imap.close(); imap = null; }
+    await smtp.close();
+    tmp.cleanup();
+  });
+
+  function loadEmail() {
+    const modPath = require.resolve('../src/platforms/email');
+    delete require.cache[modPath];
+    return require(modPath);
+  }
+
+  function collect(ep) {
+    const got = [];
+    ep.onMessage(async (m) => { got.push(m); });
+    return got;
+  }
+
+  async function ready(mailbox = [], overrides = {}, config = {}) {
+    imap = await startImap({ mailbox });
+    const { EmailPlatform } = loadEmail();
+    const ep = new EmailPlatform({ ...makeConfig(imap.port, smtp.port, overrides), ...config });
+    const got = collect(ep);
+    assert.strictEqual(await ep.start(), true);
+    await ep.stop(); // drive polls by hand
+    return { ep, got };
+  }
+
+  describe('constructor', () => {
+    it('requires an address and both hosts', () => {
+      const { EmailPlatform } = loadEmail();
+      assert.throws(() => new EmailPlatform({ platforms: { email: { imap: { host: 'h' }, smtp: { host: 'h' } } } }), /address/);
+      assert.throws(() => new EmailPlatform({ platforms: { email: { address: ME, smtp: { host: 'h' } } } }), /IMAP host/);
+      assert.throws(() => new EmailPlatform({ platforms: { email: { address: ME, imap: { host: 'h' } } } }), /SMTP host/);
+    });
+
+    it('grants no owner channel', () => {
+      const { EmailPlatform } = loadEmail();
+      const ep = new EmailPlatform(makeConfig(1, 1));
+      assert.strictEqual(ep.getAdminChatIds, undefined);
+    });
+  });
+
+  describe('start', () => {
+    it('seeds from now and persists the position — old mail is not replayed', async () => {
+      const { ep, got } = await ready([{ uid: 7, raw: mail({ messageId: '<old@customer.test>' }) }]);
+      await ep._poll();
+      assert.strictEqual(got.length, 0);
+      const state = JSON.parse(fs.readFileSync(path.join(tmp.multisDir, 'run', 'email-state.json'), 'utf8'));
+      assert.strictEqual(state.lastUid, 7);
+      assert.strictEqual(state.uidValidity, 1);
+    });
+
+    it('resumes a persisted position across restart', async () => {
+      fs.writeFileSync(path.join(tmp.multisDir, 'run', 'email-state.json'), JSON.stringify({ uidValidity: 1, lastUid: 3, threads: {} }));
+      const { ep, got } = await ready([
+        { uid: 3, raw: mail({ messageId: '<seen@customer.test>' }) },
+        { uid: 4, raw: mail({ messageId: '<new@customer.test>', body: 'Missed while down' }) },
+      ]);
+      await ep._poll();
+      assert.deepStrictEqual(got.map((m) => m.text), ['Missed while down']);
+    });
+
+    it('reseeds when UIDVALIDITY changed', async () => {
+      fs.writeFileSync(path.join(tmp.multisDir, 'run', 'email-state.json'), JSON.stringify({ uidValidity: 99, lastUid: 1, threads: {} }));
+      const { ep, got } = await ready([{ uid: 5, raw: mail({ messageId: '<x@customer.test>' }) }]);
+      await ep._poll();
+      assert.strictEqual(got.length, 0);
+      assert.strictEqual(ep._state.lastUid, 5);
+    });
+
+    it('returns false when the login is rejected', async () => {
+      imap = await startImap();
+      const { EmailPlatform } = loadEmail();
+      const config = makeConfig(imap.port, smtp.port);
+      config.platforms.email.imap.password = 'wrong';
+      const ep = new EmailPlatform(config);
+      assert.strictEqual(await ep.start(), false);
+      assert.strictEqual(ep._initialized, false);
+    });
+  });
+
+  describe('routing', () => {
+    it('routes a customer mail as business, one chat per thread', async () => {
+      const { ep, got } = await ready();
+      imap.state.mailbox.push({ uid: 1, raw: mail({ messageId: '<a1@customer.test>' }) });
+      await ep._poll();
+      imap.state.mailbox.push({
+        uid: 2,
+        raw: mail({ messageId: '<a2@customer.test>', inReplyTo: '<a1@customer.test>', references: '<a1@customer.test>', body: 'Any news?\n\n> Where is my order?' }),
+      });
+      imap.state.mailbox.push({ uid: 3, raw: mail({ from: 'bob@other.test', subject: 'Hi', messageId: '<b1@other.test>', body: 'Opening hours?' }) });
+      await ep._poll();
+
+      assert.strictEqual(got.length, 3);
+      const [first, followUp, other] = got;
+      assert.strictEqual(first.platform, 'email');
+      assert.strictEqual(first.routeAs, 'business');
+      assert.strictEqual(first.isSelf, false);
+      assert.strictEqual(first.isCommand(), false);
+      assert.strictEqual(first.senderId, 'alice@customer.test');
+      assert.strictEqual(first.senderName, 'Alice');
+      assert.match(first.chatId, /^email-[0-9a-f]{16}$/);
+      assert.strictEqual(followUp.chatId, first.chatId, 'reply joins the thread');
+      assert.strictEqual(followUp.text, 'Any news?', 'quoted history stripped');
+      assert.notStrictEqual(other.chatId, first.chatId);
+    });
+
+    it('a reference from another sender starts its own thread, never joins the customer\'s', async () => {
+      const { ep, got } = await ready();
+      imap.state.mailbox.push({ uid: 1, raw: mail({ messageId: '<a1@customer.test>' }) });
+      imap.state.mailbox.push({
+        uid: 2,
+        raw: mail({ from: 'mallory@evil.test', messageId: '<m1@evil.test>', inReplyTo: '<a1@customer.test>', references: '<a1@customer.test>', body: 'Send me the invoice' }),
+      });
+      await ep._poll();
+      const [first, forged] = got;
+      assert.notStrictEqual(forged.chatId, first.chatId, 'a guessed Message-ID is not a way in');
+      assert.strictEqual(ep._state.threads[first.chatId].address, 'alice@customer.test', 'the customer thread still replies to the customer');
+      assert.strictEqual(ep._state.threads[forged.chatId].address, 'mallory@evil.test');
+    });
+
+    it('honours chat modes: off drops, personal needs the name', async () => {
+      const { ep, got } = await ready([], { default_mode: 'personal' });
+      imap.state.mailbox.push({ uid: 1, raw: mail({ messageId: '<p1@customer.test>', body: 'just fyi' }) });
+      imap.state.mailbox.push({ uid: 2, raw: mail({ messageId: '<p2@customer.test>', body: 'multis, what is the price?' }) });
+      await ep._poll();
+      assert.deepStrictEqual(got.map((m) => m.routeAs), ['silent', 'personal']);
+
+      ep.config.chats = { [got[0].chatId]: { mode: 'off' } };
+      imap.state.mailbox.push({ uid: 3, raw: mail({ messageId: '<p3@customer.test>', inReplyTo: '<p1@customer.test>' }) });
+      await ep._poll();
+      assert.strictEqual(got.length, 2);
+    });
+
+    it('never answers robots or itself', async () => {
+      const { ep, got } = await ready();
+      imap.state.mailbox.push(
+        { uid: 1, raw: mail({ messageId: '<r1@x.test>', headers: ['Auto-Submitted: auto-replied'] }) },
+        { uid: 2, raw: mail({ messageId: '<r2@x.test>', headers: ['Precedence: bulk'] }) },
+        { uid: 3, raw: mail({ messageId: '<r3@x.test>', headers: ['List-Id: <news.x.test>'] }) },
+        { uid: 4, raw: mail({ messageId: '<r4@x.test>', from: 'MAILER-DAEMON@x.test' }) },
+        { uid: 5, raw: mail({ messageId: '<r5@x.test>', from: `Shop <${ME}>` }) },
+      );
+      await ep._poll();
+      assert.strictEqual(got.length, 0);
+      assert.strictEqual(ep._state.lastUid, 5);
+    });
+
+    it('hands attachments to the index path before the text', async () => {
+      const { ep, got } = await ready();
+      const raw = [
+        'From: alice@customer.test',
+        'Subject: Invoice',
+        'Message-ID: <att1@customer.test>',
+        'Content-Type: multipart/mixed; boundary="zz"',
+        '',
+        '--zz',
+        'Content-Type: text/plain',
+        '',
+        'Please check the attached invoice.',
+        '--zz',
+        'Content-Type: application/pdf; name="invoice.pdf"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from('PDFBYTES').toString('base64'),
+        '--zz--',
+        '',
+      ].join('\r\n');
+      imap.state.mailbox.push({ uid: 1, raw });
+      await ep._poll();
+
+      assert.strictEqual(got.length, 2);
+      const [att, text] = got;
+      assert.strictEqual(att.text, '');
+      assert.strictEqual(att.chatId, text.chatId);
+      assert.deepStrictEqual(att._attachments.map((a) => [a.fileName, a.mimeType, a.size]), [['invoice.pdf', 'application/pdf', 8]]);
+      assert.strictEqual(text.text, 'Please check the attached invoice.');
+      assert.strictEqual((await ep.downloadAsset(att._attachments[0].srcURL)).toString(), 'PDFBYTES');
+      await assert.rejects(ep.downloadAsset(att._attachments[0].srcURL), /no longer available/);
+    });
+
+    it('keeps a photo on the text message it was sent with', async () => {
+      const { ep, got } = await ready();
+      const raw = [
+        'From: alice@customer.test',
+        'Subject: Broken part',
+        'Message-ID: <img1@customer.test>',
+        'Content-Type: multipart/mixed; boundary="zz"',
+        '',
+        '--zz',
+        'Content-Type: text/plain',
+        '',
+        'Which part is this?',
+        '--zz',
+        'Content-Type: image/jpeg; name="part.jpg"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from('JPEGBYTES').toString('base64'),
+        '--zz--',
+        '',
+      ].join('\r\n');
+      imap.state.mailbox.push({ uid: 1, raw });
+      await ep._poll();
+
+      assert.strictEqual(got.length, 1);
+      assert.strictEqual(got[0].text, 'Which part is this?');
+      assert.deepStrictEqual(got[0]._attachments.map((a) => [a.fileName, a.mimeType]), [['part.jpg', 'image/jpeg']]);
+    });
+  });
+
+  describe('send', () => {
+    it('replies over SMTP into the customer thread', async () => {
+      const { ep, got } = await ready();
+      const mime = require('../src/platforms/mime');
+      imap.state.mailbox.push({ uid: 1, raw: mail({ messageId: '<t1@customer.test>' }) });
+      await ep._poll();
+      await ep.send(got[0].chatId, 'It ships tomorrow.');
+
+      assert.strictEqual(smtp.sent.length, 1);
+      const out = smtp.sent[0];
+      assert.strictEqual(out.from, ME);
+      assert.deepStrictEqual(out.to, ['alice@customer.test']);
+      const m = mime.parseMessage(out.data);
+      assert.strictEqual(m.header('subject'), 'Re: Order 42');
+      assert.strictEqual(m.header('in-reply-to'), '<t1@customer.test>');
+      assert.deepStrictEqual(mime.parseMessageIds(m.header('references')), ['<t1@customer.test>']);
+      assert.strictEqual(m.text.trim(), 'It ships tomorrow.');
+
+      // The customer's answer to our reply stays in the same chat.
+      const ourId = mime.parseMessageIds(m.header('message-id'))[0];
+      imap.state.mailbox.push({ uid: 2, raw: mail({ messageId: '<t2@customer.test>', inReplyTo: ourId, references: `<t1@customer.test> ${ourId}` }) });
+      await ep._poll();
+      assert.strictEqual(got[1].chatId, got[0].chatId);
+    });
+
+    it('rejects a chat it has no thread for', async () => {
+      const { ep } = await ready();
+      await assert.rejects(ep.send('email-unknown', 'hi'), /no thread/);
+      assert.strictEqual(smtp.sent.length, 0);
+    });
+  });
+
+  describe('isAutomated', () => {
+    it('lets ordinary mail through', () => {
+      const { isAutomated } = loadEmail();
+      const { parseMessage } = require('../src/platforms/mime');
+      assert.strictEqual(isAutomated(parseMessage(mail({ messageId: '<ok@x>', headers: ['Auto-Submitted: no'] })), 'alice@customer.test'), false);
+      assert.strictEqual(isAutomated(parseMessage(mail({ messageId: '<ok@x>' })), 'noreply@x.test'), true);
+    });
+  });
+});
@@ -56,3 +56,21 @@ describe('createHumanPrompt — Beeper asks fail closed (serial-poll, no inline
     assert.strictEqual(beeper.sent.at(-1).chatId, 'self_chat', 'owner notified on their own chat');
   });
 });
+
+describe('createHumanPrompt — the parked approval knows its prompt', () => {
+  it('records the prompt message id, so only a reaction on that prompt answers it', async () => {
+    const pending = new PendingRegistry();
+    const tele = mockPlatform();
+    tele.sendPrompt = async (chatId, text) => { tele.sent.push({ chatId, text }); return 77; };
+    const registry = new Map([['telegram', tele]]);
+    const humanPrompt = createHumanPrompt({ platformRegistry: registry, config: { owner_id: 'owner1' }, pending, timeoutMs: 1000 });
+
+    const p = humanPrompt(askEvent({ senderId: 'owner1', chatId: 'owner1', platform: 'telegram' }));
+    await tick();
+    const [entry] = pending.entries.values();
+    assert.strictEqual(entry.kind, 'gate_reply');
+    assert.strictEqual(entry.promptId, 77);
+    entry.resolve('yes');
+    assert.strictEqual((await p).decision, 'allow');
+  });
+});
@@ -136,6 +136,23 @@ describe('Agent loop with tool calling', () => {
     }
   });
 
+  it("a Beeper network policy narrows a contact's tools", async () => {
+    const env = createTestEnv({ allowed_users: ['user1', 'user2'], owner_id: 'user1' });
+    const platform = { ...mockPlatform(), networkPolicy: () => ({ network: 'whatsapp', tools: ['search_docs'] }) };
+    const provider = mockToolProvider([{ text: 'ok', toolCalls: [] }]);
+    const router = createMessageRouter(env.config, {
+      provider, indexer: stubIndexer(),
+      tools: buildToolRegistry({}, 'linux'),
+      toolsConfig: {},
+      runtimePlatform: 'linux'
+    });
+
+    await router(msg('/ask what do you sell', { senderId: 'user2' }), platform);
+
+    const call = provider.calls[0];
+    assert.deepStrictEqual(call.tools.map(t => t.name), ['search_docs']);
+  });
+
   it('disabled tools are not sent to LLM', async () => {
     const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
     const platform = mockPlatform();
@@ -298,3 +315,112 @@ describe('Agent loop with tool calling', () => {
     assert.match(platform.lastTo('chat1').text, /simple answer/);
   });
 });
+
+describe('Streaming replies', () => {
+  // A platform that can edit (like Telegram): send returns an id, edits are logged.
+  function editablePlatform() {
+    const platform = mockPlatform();
+    const send = platform.send;
+    platform.edits = [];
+    platform.send = async (chatId, text) => { await send(chatId, text); return platform.sent.length; };
+    platform.editMessage = async (chatId, id, text) => { platform.edits.push({ chatId, id, text }); };
+    return platform;
+  }
+
+  const slowSearch = {
+    name: 'search_docs',
+    description: 'Search docs',
+    platforms: ['linux'],
+    input_schema: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] },
+    execute: async () => { await new Promise((r) => setTimeout(r, 30)); return 'Meeting scheduled for 3pm on Monday.'; }
+  };
+
+  function streamingRouter(config) {
+    const provider = mockToolProvider([
+      { text: 'Checking your docs.', toolCalls: [{ id: 'tc1', name: 'search_docs', arguments: { query: 'meeting' } }] },
+      { text: 'The meeting is at 3pm.', toolCalls: [] }
+    ]);
+    return createMessageRouter(config, {
+      provider, indexer: stubIndexer(), tools: [slowSearch], toolsConfig: {}, runtimePlatform: 'linux'
+    });
+  }
+
+  it('shows tool progress while the owner waits, then edits it into the answer', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    env.config.streaming = { enabled: true, edit_interval_ms: 0 };
+    const platform = editablePlatform();
+
+    await streamingRouter(env.config)(msg('/ask when is the meeting'), platform);
+
+    assert.strictEqual(platform.sent.length, 1);
+    assert.match(platform.sent[0].text, /searching docs…/);
+    assert.strictEqual(platform.edits.at(-1).text, 'The meeting is at 3pm.');
+  });
+
+  it('types the answer out token by token where the provider streams', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    env.config.streaming = { enabled: true, edit_interval_ms: 0 };
+    const platform = editablePlatform();
+    const provider = mockToolProvider([{ text: 'The meeting is at 3pm.', toolCalls: [] }]);
+    provider.stream = async function* (messages, tools, options) {
+      for (const piece of ['The meeting ', 'is at ', '3pm.']) {
+        yield { type: 'text', text: piece };
+        await new Promise((r) => setTimeout(r, 10));
+      }
+      yield { type: 'done', result: await provider.generate(messages, tools, options) };
+    };
+    const router = createMessageRouter(env.config, { provider, indexer: stubIndexer(), tools: [], toolsConfig: {}, runtimePlatform: 'linux' });
+
+    await router(msg('/ask when is the meeting'), platform);
+
+    assert.strictEqual(platform.sent.length, 1);
+    assert.match(platform.sent[0].text, /^The meeting/);
+    assert.ok(platform.sent[0].text.length < 'The meeting is at 3pm.'.length, 'the first update is a partial answer');
+    assert.strictEqual(platform.edits.at(-1).text, 'The meeting is at 3pm.');
+  });
+
+  it('sends the finished answer once when streaming is off', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    env.config.streaming = { enabled: false };
+    const platform = editablePlatform();
+
+    await streamingRouter(env.config)(msg('/ask when is the meeting'), platform);
+
+    assert.deepStrictEqual(platform.sent.map((m) => m.text), ['The meeting is at 3pm.']);
+    assert.strictEqual(platform.edits.length, 0);
+  });
+});
+
+describe('Reply context', () => {
+  function recordingPlatform() {
+    const platform = mockPlatform();
+    platform.opts = [];
+    platform.send = async (chatId, text, opts) => { platform.sent.push({ chatId, text }); platform.opts.push(opts); };
+    return platform;
+  }
+
+  it('shows the model the message being replied to', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const provider = mockToolProvider([{ text: 'That one is $40.', toolCalls: [] }]);
+    const router = createMessageRouter(env.config, { provider, indexer: stubIndexer(), tools: [], toolsConfig: {}, runtimePlatform: 'linux' });
+
+    await router(msg('/ask what about this one?', { replyTo: { id: '4', text: 'The blue jacket, size M', senderName: 'Amora' } }), recordingPlatform());
+
+    const live = provider.calls[0].messages.at(-1);
+    assert.strictEqual(live.content, '[replying to Amora: "The blue jacket, size M"]\nwhat about this one?');
+  });
+
+  it('answers in the asking thread, as a reply in a group', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const provider = mockToolProvider([{ text: 'Paid on the 3rd.', toolCalls: [] }, { text: 'Paid on the 3rd.', toolCalls: [] }]);
+    const router = createMessageRouter(env.config, { provider, indexer: stubIndexer(), tools: [], toolsConfig: {}, runtimePlatform: 'linux' });
+
+    const group = recordingPlatform();
+    await router(msg('/ask invoice status?', { id: 'g7', isGroup: true, threadId: '30' }), group);
+    assert.deepStrictEqual(group.opts.at(-1), { threadId: '30', replyTo: 'g7' });
+
+    const dm = recordingPlatform();
+    await router(msg('/ask invoice status?', { id: 'd8' }), dm);
+    assert.deepStrictEqual(dm.opts.at(-1), {}, 'a direct chat needs no quote');
+  });
+});
@@ -1,6 +1,6 @@
 const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert');
-const { execSync } = require('child_process');
+const { execSync, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -56,6 +56,40 @@ describe('CLI commands', () => {
     assert.notStrictEqual(r.code, 0);
   });
 
+  it('chat without a running daemon says start it', () => {
+    const r = run('chat');
+    assert.strictEqual(r.code, 1);
+    assert.match(r.stdout, /not running/);
+  });
+
+  it('chat talks to the daemon over its terminal socket', async () => {
+    const { TerminalPlatform } = require('../../src/platforms/terminal');
+    const runDir = path.join(tmpDir, '.multis', 'run');
+    fs.mkdirSync(runDir, { recursive: true });
+    fs.writeFileSync(path.join(runDir, 'multis.pid'), String(process.pid)); // "running"
+    const terminal = new TerminalPlatform({ assistant_name: 'multis' }, { socketPath: path.join(runDir, 'chat.sock') });
+    terminal.onMessage(async (m, platform) => platform.send(m.chatId, `echo: ${m.text}`));
+    await terminal.start();
+    try {
+      const child = spawn('node', [CLI, 'chat'], { env: { ...process.env, HOME: tmpDir } });
+      let out = '';
+      const seen = (re) => new Promise((resolve) => {
+        const check = () => { if (re.test(out)) resolve(); else setTimeout(check, 10); };
+        check();
+      });
+      child.stdout.on('data', (d) => { out += d; });
+      await seen(/Connected to multis/);
+      child.stdin.write('/status\n');
+      await seen(/echo: \/status/);
+      child.stdin.write('/quit\n');
+      const code = await new Promise((resolve) => child.on('close', resolve));
+      assert.strictEqual(code, 0);
+    } finally {
+      await terminal.stop();
+      fs.unlinkSync(path.join(runDir, 'multis.pid'));
+    }
+  });
+
   it('doctor runs checks and reports results', () => {
     // Create minimal config so doctor has something to check
     const multisDir = path.join(tmpDir, '.multis');
@@ -79,6 +113,55 @@ describe('CLI commands', () => {
     assert.match(r.stdout, /checks passed/);
   });
 
+  it('config validate, set, get and diff work on config.json by key path', () => {
+    const multisDir = path.join(tmpDir, '.multis');
+    fs.mkdirSync(path.join(multisDir, 'auth'), { recursive: true });
+    const configPath = path.join(multisDir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ owner_id: 'test1', llm: { provider: 'ollama', apiKey: 'sk-secret' }, memroy: {} }));
+    fs.writeFileSync(path.join(multisDir, 'auth', 'governance.json'), JSON.stringify({ allowlist: ['.*'] }));
+
+    let r = run('config validate');
+    assert.strictEqual(r.code, 1);
+    assert.match(r.stdout, /warning {2}memroy — unknown key — did you mean "memory"\?/);
+    assert.match(r.stdout, /error {2}commands — is required/);
+
+    r = run('config set memory.recent_window 30');
+    assert.strictEqual(r.code, 0);
+    assert.match(r.stdout, /memory\.recent_window = 30/);
+    assert.strictEqual(JSON.parse(fs.readFileSync(configPath, 'utf-8')).memory.recent_window, 30);
+    assert.ok(fs.existsSync(configPath + '.bak'), 'the previous file is kept');
+
+    r = run('config set memory.recent_window many');
+    assert.strictEqual(r.code, 1);
+    assert.match(r.stdout, /expected a whole number/);
+    r = run('config set memory.recnt_window 5');
+    assert.strictEqual(r.code, 1);
+    assert.match(r.stdout, /did you mean "recent_window"/);
+    assert.strictEqual(JSON.parse(fs.readFileSync(configPath, 'utf-8')).memory.recnt_window, undefined);
+
+    assert.strictEqual(run('config get memory.recent_window').stdout.trim(), '30');
+    assert.strictEqual(run('config get llm.apiKey').stdout.trim(), 'sk-secret');
+    assert.match(run('config get llm').stdout, /"apiKey": "••••"/);
+    assert.match(run('config diff').stdout, /~ memory\.recent_window: 20 → 30/);
+  });
+
+  it('config set refuses to write under a running daemon', () => {
+    const multisDir = path.join(tmpDir, '.multis');
+    const configPath = path.join(multisDir, 'config.json');
+    const pidPath = path.join(multisDir, 'run', 'multis.pid');
+    fs.mkdirSync(path.dirname(pidPath), { recursive: true });
+    fs.writeFileSync(configPath, JSON.stringify({ owner_id: 'test1', memory: { recent_window: 20 } }));
+    fs.writeFileSync(pidPath, String(process.pid)); // "running"
+    try {
+      const r = run('config set memory.recent_window 30');
+      assert.strictEqual(r.code, 1);
+      assert.match(r.stdout, /Stop it first/);
+      assert.strictEqual(JSON.parse(fs.readFileSync(configPath, 'utf-8')).memory.recent_window, 20);
+    } finally {
+      fs.rmSync(pidPath, { force: true });
+    }
+  });
+
   it('status detects stale PID file and cleans up', () => {
     const multisDir = path.join(tmpDir, '.multis');
     fs.mkdirSync(multisDir, { recursive: true });
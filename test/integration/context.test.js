@@ -139,6 +139,22 @@ describe('context wrapper (litectx policy layer)', () => {
     assert.strictEqual(other, null, 'a foreign scope is fenced from the handle (R2)');
   });
 
+  it('a retired version stays stored but out of recall; the live one still fills n', async () => {
+    const before = context.stats().total;
+    for (const price of [10, 11, 12, 13]) {
+      await context.indexBuffer(buf(`# Prices\nThe quorzel costs ${price} euros.`), 'quorzel.md', 'kb');
+    }
+    const [doc] = context.findDocuments('quorzel.md');
+    assert.strictEqual(doc.versions.length, 4);
+
+    const hits = await context.search('quorzel costs euros', { scope: 'public', n: 1 });
+    assert.deepStrictEqual(names(hits).map((c) => /costs (\d+)/.exec(c)[1]), ['13'], 'recall skips three retired versions to the live one');
+    assert.strictEqual(context.stats().total - before, doc.versions.reduce((n, v) => n + v.chunks, 0), 'every version\'s chunks are still stored');
+
+    await context.removeDocument('quorzel.md', 'public');
+    assert.strictEqual(context.stats().total, before, 'removing the document deletes them all');
+  });
+
   // ---------------------------------------------------------------------------
   // SEC2 — untrusted-input parser bounds. multis maps config.documents → litectx
   // (src/index.js: setBounds(config.documents)); litectx 0.18.0 enforces them
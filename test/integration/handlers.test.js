@@ -5,6 +5,7 @@ const { createMessageRouter, buildAgentRegistry, resolveAgent, clearAdminPauses
 const { updateChatMeta, backupConfig, PATHS } = require('../../src/config');
 const { PinManager, hashPin } = require('../../src/security/pin');
 const { PendingRegistry } = require('../../src/bot/pending');
+const { configureWebhooks } = require('../../src/governance/webhooks');
 const { createTestEnv, mockPlatform, mockLLM, msg } = require('../helpers/setup');
 
 // ---------------------------------------------------------------------------
@@ -341,6 +342,76 @@ describe('Telegram owner-only (personal-bot)', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Telegram groups
+// ---------------------------------------------------------------------------
+// A group is a shared room: the adapter mode-routes its chatter (see
+// telegram.test.js), and every turn there — the owner's included — is fenced to
+// the group's own user:<chatId> scope, never admin. Commands keep the owner door.
+describe('Telegram groups', () => {
+  const groupMsg = (text, overrides = {}) => msg(text, { chatId: '-100', isGroup: true, ...overrides });
+
+  it('fences an addressed member question to the group scope', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const indexer = stubIndexer();
+    const router = createMessageRouter(env.config, { llm: mockLLM('answer'), indexer });
+
+    await router(groupMsg('roger, what are the hours?', { senderId: 'member', routeAs: 'personal' }), platform);
+
+    assert.strictEqual(indexer.searchCalls[0].opts.scope, 'user:-100');
+    assert.match(platform.lastTo('-100').text, /^\[/, 'a group reply carries the bot disclosure');
+  });
+
+  it('fences even the owner\'s own /ask in a group — the room reads the reply', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const indexer = stubIndexer();
+    const router = createMessageRouter(env.config, { llm: mockLLM('answer'), indexer });
+
+    await router(groupMsg('/ask what did I note about the lease?'), platform);
+
+    assert.strictEqual(indexer.searchCalls[0].opts.scope, 'user:-100');
+  });
+
+  it('ignores a member\'s command without answering into the group', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer() });
+
+    await router(groupMsg('/exec ls', { senderId: 'member' }), platform);
+
+    assert.strictEqual(platform.sent.length, 0);
+  });
+
+  it('refuses the owner\'s /exec, /read and /pin in a group — nothing reaches the room', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer() });
+
+    await router(groupMsg('/exec echo leaked'), platform);
+    await router(groupMsg('/read /etc/hostname'), platform);
+    await router(groupMsg('/pin'), platform);
+
+    assert.strictEqual(platform.sent.filter((m) => m.chatId === '-100').length, 0);
+    assert.strictEqual(platform.sent.length, 3, 'each refusal goes to the owner\'s DM');
+    assert.ok(platform.sent.every((m) => m.chatId === 'user1' && /doesn't run in a group/.test(m.text)));
+  });
+
+  it('owner /mode in a group sets that group (and refuses off — no PIN in a group)', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1', bot_mode: 'business' });
+    const platform = mockPlatform();
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer() });
+
+    await router(groupMsg('/mode silent', { chatName: 'Team' }), platform);
+    assert.strictEqual(env.config.chats['-100'].mode, 'silent');
+
+    await router(groupMsg('/mode off'), platform);
+    assert.strictEqual(env.config.chats['-100'].mode, 'silent');
+    assert.match(platform.lastTo('-100').text, /PIN/);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // PIN auth
 // ---------------------------------------------------------------------------
@@ -508,7 +579,7 @@ describe('App-verb door — governed-core ceremony (M9 increment 2)', () => {
     throw new Error(`waitFor timed out: ${label}`);
   }
   // A PIN is configured + the session is stale, so a destructive verb must prompt.
-  function buildPin() {
+  function buildPin(deps = {}) {
     const env = createTestEnv({
       allowed_users: ['user1'], owner_id: 'user1',
       security: { pin_hash: hashPin('1234'), pin_timeout_hours: 24, checkpoint_tools: [] },
@@ -523,6 +594,7 @@ describe('App-verb door — governed-core ceremony (M9 increment 2)', () => {
       fileless: true,
       governanceFile: { commands: { allowlist: ['.*'], denylist: [] }, paths: { allowed: ['.*'], denied: [] } },
       memoryBaseDir: env.memoryBaseDir,
+      ...deps,
     });
     router.registerPlatform('telegram', platform);
     router.registerPlatform('beeper', platform);
@@ -696,6 +768,111 @@ describe('App-verb door — governed-core ceremony (M9 increment 2)', () => {
     assert.ok(!platform.sent.some((s) => /PIN/i.test(s.text)), 'no ceremony for a benign mode');
     assert.strictEqual(env.config.chats?.['cust-x']?.mode, 'silent', 'chat set silent immediately');
   });
+
+  it('the dashboard door (router.setChatMode) is the same ceremony: off needs the PIN', async () => {
+    const { env, router } = buildModePicker();
+    assert.deepStrictEqual(await router.setChatMode({ chatId: 'cust-z', mode: 'silent' }), { ok: true, mode: 'silent' });
+    assert.strictEqual(env.config.chats['cust-z'].mode, 'silent');
+
+    const ask = await router.setChatMode({ chatId: 'cust-x', mode: 'off' });
+    assert.strictEqual(ask.needsPin, true);
+    assert.notStrictEqual(env.config.chats['cust-x'].mode, 'off', 'not set off without the PIN');
+    const wrong = await router.setChatMode({ chatId: 'cust-x', mode: 'off', pin: '9999' });
+    assert.strictEqual(wrong.ok, false);
+    assert.notStrictEqual(env.config.chats['cust-x'].mode, 'off', 'not set off on a wrong PIN');
+    assert.strictEqual((await router.setChatMode({ chatId: 'cust-x', mode: 'off', pin: '1234' })).ok, true);
+    assert.strictEqual(env.config.chats['cust-x'].mode, 'off');
+
+    const listed = router.listChats().find((c) => c.id === 'cust-x');
+    assert.strictEqual(listed.mode, 'off');
+    assert.ok(listed.modes.includes('business'));
+  });
+
+  it('the dashboard door refuses silent/off for a note-to-self chat, like /mode', async () => {
+    const { env, platform, router } = buildModePicker();
+    platform._personalChats.add('cust-z');
+    for (const mode of ['silent', 'off']) {
+      const r = await router.setChatMode({ chatId: 'cust-z', mode, pin: '1234' });
+      assert.strictEqual(r.ok, false);
+      assert.match(r.reason, /note-to-self/);
+    }
+    assert.strictEqual(env.config.chats['cust-z'].mode, undefined, 'the chat keeps its mode');
+  });
+
+  it('router.listDocuments lists the live KB catalog for the dashboard', () => {
+    const { router, indexer } = buildPin();
+    indexer.listDocuments = () => [
+      { name: '/docs/a.pdf', scope: 'public', status: 'live', versions: [
+        { version: 1, chunks: 4, source: 'watch', indexed_at: '2026-10-01T09:00:00.000Z' },
+        { version: 2, chunks: 5, source: 'watch', indexed_at: '2026-10-03T09:00:00.000Z' },
+      ] },
+      { name: 'notes.md', scope: 'admin', status: 'live', versions: [
+        { version: 1, chunks: 2, source: 'upload', indexed_at: '2026-10-02T09:00:00.000Z' },
+      ] },
+    ];
+    assert.deepStrictEqual(router.listDocuments(), [
+      { filename: '/docs/a.pdf', scope: 'public', version: 2, chunks: 5, source: 'watch', indexedAt: '2026-10-03T09:00:00.000Z' },
+      { filename: 'notes.md', scope: 'admin', version: 1, chunks: 2, source: 'upload', indexedAt: '2026-10-02T09:00:00.000Z' },
+    ]);
+  });
+
+  // --- /unindex: removing a KB document is destructive → PIN ---
+
+  const kbDoc = (name, scope, versions = 2) => ({ name, scope, status: 'live',
+    versions: Array.from({ length: versions }, (_, i) => ({ version: i + 1, sha256: 'ab'.repeat(32), chunks: 3 })) });
+
+  it('/unindex prompts for the PIN naming the document and its versions, then removes it', async () => {
+    const { platform, router, indexer } = buildPin();
+    const removed = [];
+    indexer.findDocuments = (q, opts) => (q === 'prices.md' && !opts.scope ? [kbDoc('prices.md', 'public')] : []);
+    indexer.removeDocument = async (name, scope, opts) => { removed.push([name, scope, opts.by]); return { name, scope, versions: 2 }; };
+    const p = router(msg('/unindex prices.md'), platform);
+    await waitFor(() => platform.sent.some((s) => /PIN/i.test(s.text)), 'PIN prompt');
+    assert.match(platform.sent.find((s) => /PIN/i.test(s.text)).text, /remove "prices\.md" \[public\] and its 2 versions/);
+    assert.deepStrictEqual(removed, [], 'nothing removed before the PIN');
+    await router(msg('1234'), platform);
+    await p;
+    assert.deepStrictEqual(removed, [['prices.md', 'public', 'user1']]);
+    assert.ok(platform.sent.some((s) => /Removed prices\.md \[public\] from the knowledge base/.test(s.text)));
+  });
+
+  it('/unwatch removes the folder\'s documents only after the PIN', async () => {
+    const removed = [];
+    const watcher = {
+      find: (dir) => (dir === '/srv/prices' ? { dir, scope: 'public', files: { 'a.md': {}, 'b.md': {} } } : null),
+      remove: async (dir) => { removed.push(dir); return 2; },
+    };
+    const { platform, router } = buildPin({ watcher });
+    const p = router(msg('/unwatch /srv/prices'), platform);
+    await waitFor(() => platform.sent.some((s) => /PIN/i.test(s.text)), 'PIN prompt');
+    assert.match(platform.sent.find((s) => /PIN/i.test(s.text)).text, /stop watching "\/srv\/prices" and remove its 2 documents/);
+    assert.deepStrictEqual(removed, [], 'nothing removed before the PIN');
+    await router(msg('1234'), platform);
+    await p;
+    assert.deepStrictEqual(removed, ['/srv/prices']);
+    assert.ok(platform.sent.some((s) => /Stopped watching \/srv\/prices — removed 2 documents/.test(s.text)));
+  });
+
+  it('/unindex with an unknown or ambiguous name removes nothing and says why', async () => {
+    const { platform, router, indexer } = buildPin();
+    let removed = 0;
+    indexer.findDocuments = (q, opts) => (q === 'faq.md'
+      ? [kbDoc('faq.md', 'public'), kbDoc('faq.md', 'admin')].filter((d) => !opts.scope || d.scope === opts.scope)
+      : []);
+    indexer.removeDocument = async () => { removed++; };
+    await router(msg('/unindex nope.md'), platform);
+    assert.match(platform.sent.at(-1).text, /"nope\.md" is not in the document list/);
+    await router(msg('/unindex faq.md'), platform);
+    assert.match(platform.sent.at(-1).text, /Several documents match "faq\.md":\n {2}faq\.md \[public\]\n {2}faq\.md \[admin\]/);
+    assert.ok(!platform.sent.some((s) => /PIN/i.test(s.text)), 'no ceremony until it is one document');
+
+    const p = router(msg('/unindex faq.md admin'), platform);
+    await waitFor(() => platform.sent.some((s) => /PIN/i.test(s.text)), 'PIN prompt');
+    assert.match(platform.sent.find((s) => /PIN/i.test(s.text)).text, /remove "faq\.md" \[admin\]/);
+    await router(msg('cancel'), platform);
+    await p;
+    assert.strictEqual(removed, 0);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -933,6 +1110,117 @@ describe('Business escalation', () => {
     assert.strictEqual(llm.calls.length, 2);
   });
 
+  it("a network policy's rate_limit overrides the global caps for that network", async () => {
+    const env = createTestEnv({
+      allowed_users: ['user1'],
+      owner_id: 'user1',
+      security: { rate_limit: { enabled: true, burst_per_min: 10, daily_per_sender: 100 } },
+      business: { escalation: { escalate_keywords: [], admin_chat: 'admin_chat' } }
+    });
+    const platform = { ...mockPlatform(), networkPolicy: (chatId) => (chatId === 'wa_chat' ? { network: 'whatsapp', rate_limit: { burst_per_min: 1 } } : null) };
+    const llm = mockLLM('answer');
+    const router = createMessageRouter(env.config, { llm, indexer: stubIndexer([], { totalChunks: 1 }) });
+    router.registerPlatform('beeper', platform);
+
+    const send = (chatId, senderId) => router(msg('hello', { platform: 'beeper', senderId, chatId, routeAs: 'business' }), platform);
+    await send('wa_chat', 'cust_wa'); await send('wa_chat', 'cust_wa');
+    await send('tg_chat', 'cust_tg'); await send('tg_chat', 'cust_tg');
+    assert.strictEqual(llm.calls.length, 3, 'the WhatsApp contact is capped at 1/min, the other is not');
+    assert.match(platform.lastTo('wa_chat').text, /flagged a human|limit/i);
+  });
+
+  it("a Beeper endpoint's rate-limit escalation goes to its own admin chats only", async () => {
+    const env = createTestEnv({
+      allowed_users: ['user1'],
+      owner_id: 'user1',
+      security: { rate_limit: { enabled: true, burst_per_min: 1, daily_per_sender: 100 } },
+      business: { escalation: { escalate_keywords: [] } }
+    });
+    const biz = { ...mockPlatform(), name: 'beeper:biz', getEscalationChatIds: () => ['team_chat'], getAdminChatIds: () => ['team_chat'] };
+    const me = { ...mockPlatform(), name: 'beeper:me', getAdminChatIds: () => ['founder_notes'] };
+    const router = createMessageRouter(env.config, { llm: mockLLM('answer'), indexer: stubIndexer([], { totalChunks: 1 }) });
+    router.registerPlatform('beeper:biz', biz);
+    router.registerPlatform('beeper:me', me);
+
+    const send = () => router(
+      msg('hello', { platform: 'beeper', account: 'biz', senderId: 'cust1', chatId: 'cust_chat', routeAs: 'business' }), biz);
+    await send(); await send();
+    assert.match(biz.lastTo('team_chat').text, /Rate limit/i);
+    assert.strictEqual(me.sent.length, 0, "the other account's owner channel is not told");
+  });
+
+  it('a rate-limit trip and an API escalation go out as webhooks', async () => {
+    const env = createTestEnv({
+      allowed_users: ['user1'],
+      owner_id: 'user1',
+      security: { rate_limit: { enabled: true, burst_per_min: 1, daily_per_sender: 100 } },
+      business: { escalation: { escalate_keywords: [] } }
+    });
+    const posted = [];
+    configureWebhooks([{ url: 'https://tickets.example/hook', secret: 'k' }], {
+      fetch: async (url, init) => { posted.push(JSON.parse(init.body)); return { ok: true, status: 200 }; },
+    });
+    try {
+      const platform = mockPlatform();
+      const router = createMessageRouter(env.config, { llm: mockLLM('answer'), indexer: stubIndexer([], { totalChunks: 1 }) });
+      router.registerPlatform('telegram', platform);
+
+      const send = () => router(msg('hello', { senderId: 'cust1', chatId: 'cust_chat', routeAs: 'business' }), platform);
+      await send(); await send();
+      assert.strictEqual(await router.escalate({ reason: 'disk full', urgency: 'urgent', source: 'monitoring' }), 1);
+      assert.match(platform.lastTo('user1').text, /\[URGENT\] \[Escalation\] monitoring: disk full/);
+      await new Promise((r) => setImmediate(r));
+
+      assert.deepStrictEqual(posted.map((p) => p.event), ['rate_limit', 'escalation']);
+      assert.strictEqual(posted[0].data.chat_id, 'cust_chat');
+      assert.deepStrictEqual(posted[1].data, { reason: 'disk full', urgency: 'urgent', source: 'monitoring' });
+    } finally {
+      configureWebhooks([]);
+    }
+  });
+
+  it('router.health checks each beeperbox, litectx and the circuit breaker', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const router = createMessageRouter(env.config, { llm: mockLLM('answer'), indexer: stubIndexer([], { total: 7 }) });
+    const up = mockPlatform();
+    up.mcp = { listAccounts: async () => [] };
+    const down = mockPlatform();
+    down.mcp = { listAccounts: async () => { throw new Error('fetch failed'); } };
+    router.registerPlatform('beeper', up);
+    router.registerPlatform('telegram', mockPlatform());
+
+    let health = await router.health();
+    assert.strictEqual(health.ok, true);
+    assert.deepStrictEqual(Object.keys(health.checks), ['beeper', 'litectx', 'llm']);
+    assert.strictEqual(health.checks.litectx.items, 7);
+    assert.notStrictEqual(health.checks.llm.circuit, 'open');
+
+    router.registerPlatform('beeper:work', down);
+    health = await router.health();
+    assert.strictEqual(health.ok, false);
+    assert.deepStrictEqual(health.checks['beeper:work'], { ok: false, error: 'fetch failed' });
+  });
+
+  it('inbound messages and rate-limit trips are counted for /metrics', async () => {
+    const metrics = require('../../src/metrics');
+    metrics.resetMetrics();
+    const env = createTestEnv({
+      allowed_users: ['user1'],
+      owner_id: 'user1',
+      security: { rate_limit: { enabled: true, burst_per_min: 1, daily_per_sender: 100 } },
+      business: { escalation: { escalate_keywords: [] } }
+    });
+    const platform = mockPlatform();
+    const router = createMessageRouter(env.config, { llm: mockLLM('answer'), indexer: stubIndexer([], { totalChunks: 1 }) });
+    router.registerPlatform('telegram', platform);
+    const send = () => router(msg('hello', { senderId: 'cust1', chatId: 'cust_chat', routeAs: 'business' }), platform);
+    await send(); await send();
+
+    const text = metrics.render();
+    assert.match(text, /^multis_messages_received_total\{platform="telegram",mode="business"\} 2$/m);
+    assert.match(text, /^multis_rate_limit_trips_total\{scope="[a-z]+"\} 1$/m);
+  });
+
   it('rate-limits a personal-mode contact past the burst cap: no unbounded LLM (#3, M8)', async () => {
     // M8 made `personal` a contact-facing auto-respond path (respond-when-named). It must be
     // bounded by the same per-sender limiter as business — else a contact drives unbounded LLM
@@ -1164,6 +1452,62 @@ describe('Owner commands', () => {
     }
   });
 
+  it('/read sends file content as a code block the Markdown converter leaves alone', async () => {
+    const os = require('os');
+    const path = require('path');
+    const { formatMarkdown } = require('../../src/platforms/format');
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-read-'));
+    const file = path.join(dir, 'setup.sh');
+    fs.writeFileSync(file, '# build the package\ncp foo_bar_baz __init__.py *.txt dist/\n');
+    const platform = mockPlatform();
+    const router = createMessageRouter(env.config, {
+      llm: mockLLM(), indexer: stubIndexer(),
+      fileless: true,
+      governanceFile: { commands: { allowlist: ['.*'], denylist: [] }, paths: { allowed: [dir], denied: [] } },
+    });
+
+    try {
+      await router(msg(`/read ${file}`), platform);
+      const html = formatMarkdown(platform.sent[0].text, 'html');
+      assert.strictEqual(html, '<pre><code># build the package\ncp foo_bar_baz __init__.py *.txt dist/</code></pre>');
+      assert.strictEqual(formatMarkdown(platform.sent[0].text, 'plain'), '# build the package\ncp foo_bar_baz __init__.py *.txt dist/');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+      env.cleanup();
+    }
+  });
+
+  it('/read of a long file attaches it whole instead of truncating', async () => {
+    const os = require('os');
+    const path = require('path');
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-read-'));
+    const file = path.join(dir, 'big.log');
+    const content = Array.from({ length: 600 }, (_, i) => `line ${i} of the log`).join('\n');
+    fs.writeFileSync(file, content);
+    const platform = mockPlatform();
+    const files = [];
+    platform.sendFile = async (chatId, filePath, caption) => files.push({ name: path.basename(filePath), body: fs.readFileSync(filePath, 'utf8'), caption });
+    const router = createMessageRouter(env.config, {
+      llm: mockLLM(), indexer: stubIndexer(),
+      fileless: true,
+      governanceFile: { commands: { allowlist: ['.*'], denylist: [] }, paths: { allowed: [dir], denied: [] } },
+    });
+
+    try {
+      await router(msg(`/read ${file}`), platform);
+      assert.strictEqual(platform.sent.length, 0, 'nothing sent inline');
+      assert.strictEqual(files.length, 1);
+      assert.strictEqual(files[0].name, 'big.log');
+      assert.match(files[0].body, /line 599 of the log/);
+      assert.match(files[0].caption, /600 lines\) — attached as big\.log/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+      env.cleanup();
+    }
+  });
+
   it('/read without args shows usage', async () => {
     const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
     const platform = mockPlatform();
@@ -1198,6 +1542,32 @@ describe('Owner commands', () => {
     assert.match(platform.lastTo('chat1').text, /Indexed 5 chunks/);
   });
 
+  it('/index <url> fetches the page with its depth and reports each page', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const calls = [];
+    const indexer = stubIndexer();
+    indexer.indexUrl = async (url, role, opts) => {
+      calls.push([url, role, opts.depth]);
+      return { truncated: false, pages: [
+        { url, result: { chunks: 4, mode: 'chunked', version: 2, replaced: 1 } },
+        { url: 'https://shop.example/gone', error: 'HTTP 404' },
+      ] };
+    };
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer });
+
+    await router(msg('/index https://shop.example/faq --depth 1 public'), platform);
+    assert.deepStrictEqual(calls, [['https://shop.example/faq', 'public', 1]]);
+    const text = platform.lastTo('chat1').text;
+    assert.match(text, /^Indexed 1 of 2 pages \[public\]:/);
+    assert.match(text, /https:\/\/shop\.example\/faq — 4 chunks, v2 replaces v1/);
+    assert.match(text, /https:\/\/shop\.example\/gone — not indexed: HTTP 404/);
+
+    indexer.indexUrl = async () => { throw new Error('shop.example is not in documents.web.allowDomains'); };
+    await router(msg('/index https://shop.example/faq admin'), platform);
+    assert.match(platform.lastTo('chat1').text, /not in documents\.web\.allowDomains/);
+  });
+
   it('/index without args shows usage', async () => {
     const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
     const platform = mockPlatform();
@@ -1242,6 +1612,29 @@ describe('Owner commands', () => {
     assert.match(platform.lastTo('custchat').text, /private assistant/i);
   });
 
+  it('/watch with role hands the folder to the watcher', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const added = [];
+    const watcher = { add: async (dir, scope) => { added.push([dir, scope]); return { dir, added: 2, updated: 0, removed: 0, failed: 0, skipped: 0 }; } };
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer(), watcher });
+
+    await router(msg('/watch /srv/prices public'), platform);
+    assert.deepStrictEqual(added, [['/srv/prices', 'public']]);
+    assert.match(platform.lastTo('chat1').text, /Watching \/srv\/prices \[public\]: 2 added/);
+  });
+
+  it('a non-owner CANNOT /watch a host folder', async () => {
+    const env = createTestEnv({ allowed_users: ['user1', 'cust'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    let called = false;
+    const watcher = { add: async () => { called = true; return {}; }, list: () => [] };
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer(), watcher });
+
+    await router(msg('/watch /etc public', { senderId: 'cust', chatId: 'custchat' }), platform);
+    assert.strictEqual(called, false, 'a folder watch must not run for a non-owner');
+  });
+
   it('owner CAN /index to the admin scope', async () => {
     const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
     const platform = mockPlatform();
@@ -1288,6 +1681,106 @@ describe('Search with results', () => {
     assert.strictEqual(indexer.searchCalls.length, 0, 'search must not run for a non-owner');
     assert.match(platform.lastTo('chat2').text, /private assistant/i);
   });
+
+  const contractHits = () => [
+    { name: 'contract.pdf', content: '3.2 Termination. Either party may end this agreement with 30 days notice in writing.', sectionPath: ['3 Term', '3.2 Termination'], pageStart: 14, pageEnd: 14, versionId: 'kb-0123456789abcdef-v2' },
+    { name: 'https://shop.example/faq', url: 'https://shop.example/faq', content: '## Returns\nWithin 30 days.', sectionPath: ['Returns'] },
+  ];
+
+  it('/search cites page and section; /show expands a result by number or citation', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer(contractHits()) });
+
+    await router(msg('/show 1', { chatId: 'chat-show' }), platform);
+    assert.match(platform.lastTo('chat-show').text, /\/search first/);
+
+    await router(msg('/search notice', { chatId: 'chat-show' }), platform);
+    const list = platform.lastTo('chat-show').text;
+    assert.match(list, /^1\. contract\.pdf p\.14, §3\.2\n/);
+    assert.match(list, /2\. https:\/\/shop\.example\/faq, Returns/);
+    assert.match(list, /\/show <n>/);
+
+    await router(msg('/show 1', { chatId: 'chat-show' }), platform);
+    const shown = platform.lastTo('chat-show').text;
+    assert.match(shown, /^contract\.pdf p\.14, §3\.2\n3 Term > 3\.2 Termination\n\n3\.2 Termination\. Either party/);
+    assert.match(shown, /30 days notice in writing\.$/, 'the whole chunk, not the preview');
+
+    await router(msg('/show (https://shop.example/faq, Returns)', { chatId: 'chat-show' }), platform);
+    assert.match(platform.lastTo('chat-show').text, /^https:\/\/shop\.example\/faq, Returns\nhttps:\/\/shop\.example\/faq\n\n## Returns/);
+    await router(msg('/show 7', { chatId: 'chat-show' }), platform);
+    assert.match(platform.lastTo('chat-show').text, /No result "7".*\(1–2\)/);
+    env.cleanup();
+  });
+
+  it('/show <n> file sends the indexed source through send_file, captioned with the page', async () => {
+    const os = require('os');
+    const path = require('path');
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-show-'));
+    const source = path.join(dir, 'v2-contract.pdf');
+    fs.writeFileSync(source, '%PDF-1.7 stand-in');
+    const platform = mockPlatform();
+    const files = [];
+    platform.sendFile = async (chatId, filePath, caption) => files.push({ chatId, name: path.basename(filePath), caption });
+    const indexer = stubIndexer(contractHits());
+    const asked = [];
+    indexer.documentFile = (versionId, scope) => {
+      asked.push({ versionId, scope });
+      return { path: source, name: 'contract.pdf', scope: 'public', version: 2 };
+    };
+    const router = createMessageRouter(env.config, {
+      llm: mockLLM(), indexer,
+      fileless: true,
+      governanceFile: { commands: { allowlist: ['.*'], denylist: [] }, paths: { allowed: [dir], denied: [] } },
+    });
+
+    try {
+      await router(msg('/search notice', { chatId: 'chat-file' }), platform);
+      await router(msg('/show 1 file', { chatId: 'chat-file' }), platform);
+      assert.deepStrictEqual(asked, [{ versionId: 'kb-0123456789abcdef-v2', scope: 'admin' }]);
+      assert.deepStrictEqual(files, [{ chatId: 'chat-file', name: 'v2-contract.pdf', caption: 'contract.pdf v2 — see p.14, §3.2' }]);
+      assert.match(platform.lastTo('chat-file').text, /^Sent the whole document: p\.14 could not be rendered — /, 'a page that can\'t be drawn says so');
+      await router(msg('/show 2 file', { chatId: 'chat-file' }), platform);
+      assert.match(platform.lastTo('chat-file').text, /is a web page: https:\/\/shop\.example\/faq/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+      env.cleanup();
+    }
+  });
+
+  it('/show <n> file sends just the cited page of a PDF, as an image; a page span gets the whole file', async () => {
+    const os = require('os');
+    const path = require('path');
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-show-'));
+    const source = path.join(dir, 'v1-two-page.pdf');
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'two-page.pdf'), source);
+    const platform = mockPlatform();
+    const files = [];
+    platform.sendFile = async (chatId, filePath, caption) => files.push({ name: path.basename(filePath), png: fs.readFileSync(filePath).subarray(1, 4).toString() === 'PNG', caption });
+    const hit = { name: 'two-page.pdf', content: 'Page two beta', sectionPath: [], versionId: 'kb-0123456789abcdef-v1' };
+    const indexer = stubIndexer([{ ...hit, pageStart: 2, pageEnd: 2 }, { ...hit, content: 'Page one alpha … beta', pageStart: 1, pageEnd: 2 }]);
+    indexer.documentFile = () => ({ path: source, name: 'two-page.pdf', scope: 'public', version: 1 });
+    const router = createMessageRouter(env.config, {
+      llm: mockLLM(), indexer,
+      fileless: true,
+      governanceFile: { commands: { allowlist: ['.*'], denylist: [] }, paths: { allowed: [dir], denied: [] } },
+    });
+
+    try {
+      await router(msg('/search beta', { chatId: 'chat-page' }), platform);
+      await router(msg('/show 1 file', { chatId: 'chat-page' }), platform);
+      await router(msg('/show 2 file', { chatId: 'chat-page' }), platform);
+      assert.deepStrictEqual(files, [
+        { name: 'v1-two-page-p2.png', png: true, caption: 'two-page.pdf v1 — see p.2' },
+        { name: 'v1-two-page.pdf', png: false, caption: 'two-page.pdf v1 — see pp.1–2' },
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+      env.cleanup();
+    }
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -1306,6 +1799,47 @@ describe('Info commands', () => {
     assert.match(platform.sent[0].text, /Indexed items: 42/);
   });
 
+  it('/docs lists watched folders with their files', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const indexer = stubIndexer();
+    indexer.stats = () => ({ total: 3 });
+    const watcher = { list: () => [{ dir: '/srv/prices', scope: 'public', synced_at: '2026-10-19T14:02:00.000Z',
+      files: { 'prices.md': { synced_at: '2026-10-19T14:02:00.000Z' } } }] };
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer, watcher });
+
+    await router(msg('/docs'), platform);
+    assert.match(platform.sent[0].text, /Watched folders:\n\/srv\/prices \[public\] — 1 file, synced 2026-10-19 14:02/);
+    assert.match(platform.sent[0].text, /prices\.md — synced 2026-10-19 14:02/);
+  });
+
+  it('/docs lists KB documents with their version, and /docs <doc> history shows every version', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const indexer = stubIndexer();
+    indexer.stats = () => ({ total: 5 });
+    const v = (version, extra = {}) => ({ version, sha256: 'c0ffee'.repeat(10) + 'abcd', chunks: 4, source: 'upload', by: 'user1',
+      indexed_at: `2026-10-1${version}T09:00:00.000Z`, retired_at: null, ...extra });
+    const doc = { name: 'prices.md', scope: 'public', status: 'live', versions: [v(1, { retired_at: '2026-10-12T09:00:00.000Z' }), v(2)] };
+    const watched = { name: '/srv/prices/terms.md', scope: 'public', status: 'live', versions: [v(1, { source: 'watch' })] };
+    indexer.listDocuments = () => [doc, watched];
+    indexer.findDocuments = (q, opts) => (q === 'prices.md' && opts.removed ? [doc] : []);
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer });
+
+    await router(msg('/docs'), platform);
+    assert.match(platform.sent[0].text, /Documents:\nprices\.md \[public\] — v2, 4 chunks, indexed 2026-10-12 09:00/);
+    assert.doesNotMatch(platform.sent[0].text, /terms\.md/, 'a watched file is listed under its folder, not here');
+
+    await router(msg('/docs prices.md history'), platform);
+    const lines = platform.sent[1].text.split('\n');
+    assert.strictEqual(lines[0], 'prices.md [public] — 2 versions');
+    assert.match(lines[1], /^v2 — live · indexed 2026-10-12 09:00 · 4 chunks · upload by user1 · sha256 c0ffeec0ffee$/);
+    assert.match(lines[2], /^v1 — retired 2026-10-12 09:00/);
+
+    await router(msg('/docs nope.md history'), platform);
+    assert.match(platform.sent[2].text, /No document called "nope\.md"/);
+  });
+
   it('/skills lists available skills', async () => {
     const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
     const platform = mockPlatform();
@@ -1531,6 +2065,16 @@ describe('buildAgentRegistry', () => {
     assert.strictEqual(registry.get('coder').provider, llm);
   });
 
+  it('records the global LLM config for an agent whose own model failed to init', () => {
+    const llm = mockLLM();
+    const registry = buildAgentRegistry({
+      llm: { provider: 'anthropic', model: 'claude-haiku-4-5' }, // no apiKey → the agent's provider can't be built
+      agents: { reader: { persona: 'Reads', model: 'claude-sonnet-4-5' } }
+    }, llm);
+    assert.strictEqual(registry.get('reader').provider, llm);
+    assert.strictEqual(registry.get('reader').llmConfig.model, 'claude-haiku-4-5');
+  });
+
   it('returns fallback when all agents are invalid', () => {
     const llm = mockLLM();
     const registry = buildAgentRegistry({
@@ -1876,6 +2420,152 @@ describe('Beeper file indexing', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Voice notes (config.transcription)
+// ---------------------------------------------------------------------------
+// An audio attachment is transcribed once routing has decided it is heard, and then
+// travels as text — answered, logged and recorded as an episode like a typed
+// message. Off chats and rate-limited contacts never reach whisper. The
+// "whisper" binary here is a real script that prints its input's bytes.
+describe('Voice notes', () => {
+  function voiceSetup({ binary, rateLimit } = {}) {
+    const env = createTestEnv({ allowed_users: ['self1'], owner_id: 'self1', bot_mode: 'business' });
+    if (rateLimit) env.config.security = { ...env.config.security, rate_limit: rateLimit };
+    const whisper = `${env.tmpDir}/whisper`;
+    fs.writeFileSync(whisper, '#!/bin/sh\nwhile [ $# -gt 0 ]; do [ "$1" = -f ] && cat "$2"; shift; done\n', { mode: 0o755 });
+    env.config.transcription = { enabled: true, binary: binary || whisper, model: 'm.bin', ffmpeg: '' };
+    const platform = mockPlatform();
+    platform.downloads = 0;
+    platform.downloadAsset = async () => { platform.downloads++; return Buffer.from('do you open on sundays'); };
+    const indexer = stubIndexer();
+    const episodes = [];
+    indexer.rememberEpisode = async (scope, body) => { episodes.push({ scope, body }); return {}; };
+    const llm = mockLLM('Yes, 10 to 4.');
+    const router = createMessageRouter(env.config, { llm, indexer });
+    const voice = (overrides = {}) => {
+      const m = msg('', { platform: 'beeper', chatId: 'cust1', senderId: 'cust', routeAs: 'business', ...overrides });
+      m._attachments = [{ fileName: 'voice.ogg', srcURL: 'mxc://beeper.local/v1', mimeType: 'audio/ogg', isVoiceNote: true }];
+      return m;
+    };
+    return { env, platform, llm, episodes, router, voice };
+  }
+
+  it('answers a customer voice note from its transcript and records it', async () => {
+    const { platform, llm, episodes, router, voice } = voiceSetup();
+    await router(voice(), platform);
+
+    const last = llm.calls[0].messages.at(-1);
+    assert.strictEqual(last.content, '[voice] do you open on sundays');
+    assert.match(platform.lastTo('cust1').text, /10 to 4/);
+    assert.ok(episodes.some((e) => e.scope === 'user:cust1' && e.body.includes('[voice] do you open on sundays')));
+  });
+
+  it('observes a voice note in a silent chat as its transcript', async () => {
+    const { platform, episodes, router, voice } = voiceSetup();
+    await router(voice({ routeAs: 'silent' }), platform);
+    assert.strictEqual(platform.sent.length, 0);
+    assert.ok(episodes.some((e) => e.body.includes('[voice] do you open on sundays')));
+  });
+
+  it('never fetches or transcribes a voice note in an off chat', async () => {
+    const { platform, router, voice } = voiceSetup();
+    await router(voice({ routeAs: 'off' }), platform);
+    assert.strictEqual(platform.downloads, 0);
+    assert.strictEqual(platform.sent.length, 0);
+  });
+
+  it('a rate-limited contact\'s voice note is archived, never transcribed', async () => {
+    const { platform, llm, router, voice } = voiceSetup({ rateLimit: { burst_per_min: 1, daily_per_sender: 100 } });
+    await router(voice(), platform);
+    await router(voice(), platform);
+    assert.strictEqual(platform.downloads, 1, 'only the message within the limit reaches whisper');
+    assert.strictEqual(llm.calls.length, 1);
+  });
+
+  it('answers the owner\'s captionless voice note in their Telegram DM', async () => {
+    const { platform, llm, router } = voiceSetup();
+    const m = msg('', { platform: 'telegram', chatId: 'self1', senderId: 'self1' });
+    m._attachments = [{ fileName: 'voice.ogg', srcURL: 'tg-file-1', mimeType: 'audio/ogg', isVoiceNote: true }];
+    await router(m, platform);
+
+    assert.strictEqual(platform.downloads, 1);
+    assert.strictEqual(m.text, '[voice] do you open on sundays');
+    assert.strictEqual(llm.calls[0].messages.at(-1).content, '[voice] do you open on sundays');
+    assert.match(platform.lastTo('self1').text, /10 to 4/);
+  });
+
+  it('a failed transcription leaves the customer unanswered, never errors into chat', async () => {
+    const { platform, llm, router, voice } = voiceSetup({ binary: '/nonexistent/whisper' });
+    await router(voice(), platform);
+    assert.strictEqual(llm.calls.length, 0);
+    assert.strictEqual(platform.sent.length, 0);
+  });
+});
+
+describe('Photos', () => {
+  const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+  function photoSetup({ llm: llmCfg = { provider: 'anthropic', apiKey: 'test' }, size } = {}) {
+    const env = createTestEnv({ allowed_users: ['self1'], owner_id: 'self1', bot_mode: 'business' });
+    env.config.llm = llmCfg;
+    const tesseract = `${env.tmpDir}/tesseract`;
+    fs.writeFileSync(tesseract, '#!/bin/sh\necho "  SALE\n  50% off "\n', { mode: 0o755 });
+    env.config.vision = { enabled: true, ocr_binary: tesseract };
+    const platform = mockPlatform();
+    const downloads = [];
+    platform.downloadAsset = async (src) => { downloads.push(src); return PNG; };
+    const llm = mockLLM('That one is in stock.');
+    const router = createMessageRouter(env.config, { llm, indexer: stubIndexer() });
+    const photo = (caption, overrides = {}) => {
+      const m = msg(caption, { platform: 'beeper', chatId: 'cust1', senderId: 'cust', routeAs: 'business', ...overrides });
+      m._attachments = [{ fileName: 'shelf.png', srcURL: 'mxc://beeper.local/p1', mimeType: 'image/png', size }];
+      return m;
+    };
+    return { platform, llm, downloads, router, photo };
+  }
+
+  it('hands a vision model the photo as an image block on the live turn', async () => {
+    const { platform, llm, router, photo } = photoSetup();
+    await router(photo('is this in stock?'), platform);
+
+    const last = llm.calls[0].messages.at(-1);
+    assert.deepStrictEqual(last.content[0].source, { type: 'base64', media_type: 'image/png', data: PNG.toString('base64') });
+    assert.deepStrictEqual(last.content[1], { type: 'text', text: '[image] is this in stock?' });
+    assert.match(platform.lastTo('cust1').text, /in stock/);
+  });
+
+  it('falls back to the OCR text for a model that cannot see', async () => {
+    const { platform, llm, router, photo } = photoSetup({ llm: { provider: 'ollama', model: 'llama3.1' } });
+    await router(photo(''), platform);
+
+    const last = llm.calls[0].messages.at(-1);
+    assert.strictEqual(last.content, '[image]\n[image text] SALE 50% off');
+  });
+
+  it('falls back to the OCR text for a provider with no image shape, even with llm.vision set', async () => {
+    const { platform, llm, router, photo } = photoSetup({ llm: { provider: 'mystery', model: 'm', vision: true } });
+    await router(photo(''), platform);
+
+    const last = llm.calls[0].messages.at(-1);
+    assert.strictEqual(last.content, '[image]\n[image text] SALE 50% off');
+  });
+
+  it('never fetches photos in a silent chat', async () => {
+    const { platform, llm, downloads, router, photo } = photoSetup();
+    await router(photo('', { routeAs: 'silent' }), platform);
+    assert.strictEqual(downloads.length, 0);
+    assert.strictEqual(llm.calls.length, 0);
+  });
+
+  it('refuses an oversized photo before downloading it', async () => {
+    const { platform, llm, downloads, router, photo } = photoSetup({ size: 26 * 1024 * 1024 });
+    await router(photo(''), platform);
+    assert.strictEqual(downloads.length, 0);
+    assert.strictEqual(llm.calls.length, 0);
+    assert.strictEqual(platform.sent.length, 0);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // /mode business menu + wizard
 // ---------------------------------------------------------------------------
@@ -2465,6 +3155,25 @@ describe('/mode chat directory is beeperbox-live, not config-bloating', () => {
     assert.match(text, /Alice/, 'live chats appear too');
     assert.match(text, /OldFriend.*business/, 'its configured mode is shown');
   });
+
+  it("a named endpoint's /mode shows its own chats, with its own role default", async () => {
+    env = createTestEnv({
+      allowed_users: ['user1'], owner_id: 'user1', bot_mode: 'personal-assistant',
+      platforms: { beeper: { enabled: true } },
+      chats: {
+        own1: { name: 'Customer', platform: 'beeper:biz' },
+        other1: { name: 'Grandma', platform: 'beeper:me', mode: 'personal' },
+      },
+    });
+    const biz = { ...beeperWith([]), name: 'beeper:biz', botMode: 'business', defaultMode: null };
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer() });
+    router.registerPlatform('beeper:biz', biz);
+    await router(msg('/mode', { platform: 'beeper', account: 'biz', isSelf: true, senderId: 'user1', chatId: 'oc' }), biz);
+    const text = biz.lastTo('oc').text;
+    assert.match(text, /Customer — business/, "the business account's default, not the daemon's");
+    assert.doesNotMatch(text, /Grandma/, "the other account's chat is not listed");
+    assert.match(text, /modes: business · silent · off/);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -2486,6 +3195,8 @@ function stubIndexer(chunks = [], stats = {}) {
     forgetCalls,
     indexFile: async () => 0,
     indexBuffer: async () => 0,
+    listDocuments: () => [],
+    findDocuments: () => [],
     recallMemory: async () => [],
     factCandidates: async () => [],   // M4 W4: no existing facts → the supersede judge short-circuits (no LLM call)
     rememberEpisode: async () => ({}),
@@ -2500,3 +3211,113 @@ function stubIndexer(chunks = [], stats = {}) {
     stats: () => ({ total: stats.total ?? stats.totalChunks ?? 0 }),
   };
 }
+
+// ---------------------------------------------------------------------------
+// Reactions and edits
+// ---------------------------------------------------------------------------
+
+describe('Reactions and edits', () => {
+  const todaysLog = (env, chatId) => fs.readFileSync(
+    require('path').join(env.memoryBaseDir, chatId, 'log', `${new Date().toISOString().slice(0, 10)}.md`), 'utf8');
+
+  it('a thumbs-up on the parked approval prompt approves it', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const pending = new PendingRegistry();
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer(), pending });
+    const answers = [];
+    pending.set('chat1', 'user1', 'gate_reply', { promptId: 501, resolve: (v) => answers.push(v) });
+
+    await router(msg('', { event: 'reaction', reaction: '👍', targetId: '77' }), mockPlatform());
+    assert.deepStrictEqual(answers, [], 'a reaction on another message answers nothing');
+
+    await router(msg('', { event: 'reaction', reaction: '👍🏽', targetId: '501' }), mockPlatform());
+    assert.deepStrictEqual(answers, ['yes']);
+  });
+
+  it('a reaction answers nothing when the platform gave back no prompt id', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const pending = new PendingRegistry();
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer(), pending });
+    const answers = [];
+    pending.set('chat1', 'user1', 'gate_reply', { promptId: null, resolve: (v) => answers.push(v) });
+
+    await router(msg('', { event: 'reaction', reaction: '👍', targetId: '77' }), mockPlatform());
+    assert.deepStrictEqual(answers, []);
+  });
+
+  it('a PIN ceremony is not answered by a reaction', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const pending = new PendingRegistry();
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer(), pending });
+    const answers = [];
+    pending.set('chat1', 'user1', 'ask', { resolve: (v) => answers.push(v) });
+
+    const platform = mockPlatform();
+    await router(msg('', { event: 'reaction', reaction: '👍', targetId: '501' }), platform);
+    assert.deepStrictEqual(answers, []);
+    assert.strictEqual(platform.sent.length, 0);
+  });
+
+  it("a customer's edited question is answered again", async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const llm = mockLLM('We open at 10 on Sundays.');
+    const router = createMessageRouter(env.config, { llm, indexer: stubIndexer([], { totalChunks: 1 }), memoryBaseDir: env.memoryBaseDir });
+
+    await router(msg('open on sunday?', { event: 'edit', senderId: 'cust1', chatId: 'cust_chat', routeAs: 'business' }), platform);
+
+    assert.strictEqual(llm.calls.length, 1);
+    assert.match(platform.lastTo('cust_chat').text, /Sundays/);
+    assert.match(todaysLog(env, 'cust_chat'), /\[user\] \(edited\)\nopen on sunday\?/);
+  });
+
+  it("the owner's edit is logged, not answered", async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const platform = mockPlatform();
+    const llm = mockLLM();
+    const router = createMessageRouter(env.config, { llm, indexer: stubIndexer(), memoryBaseDir: env.memoryBaseDir });
+
+    await router(msg('/ask what is due friday?', { event: 'edit' }), platform);
+
+    assert.strictEqual(llm.calls.length, 0);
+    assert.strictEqual(platform.sent.length, 0);
+    assert.match(todaysLog(env, 'chat1'), /\[user\] \(edited\)\n\/ask what is due friday\?/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Outbox
+// ---------------------------------------------------------------------------
+
+describe('/outbox', () => {
+  const { Outbox } = require('../../src/platforms/outbox');
+
+  it('lists undelivered sends and requeues them for the owner', async () => {
+    const env = createTestEnv({ allowed_users: ['user1'], owner_id: 'user1' });
+    const outbox = new Outbox({ file: require('path').join(env.tmpDir, 'outbox.json') });
+    const platform = mockPlatform();
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer(), outbox });
+    router.registerPlatform('telegram', platform);
+    outbox.dead.push({ id: 'd1', platform: 'telegram', chatId: 'admin_chat', text: '[Rate limit] Sam hit the burst limit', attempts: 8, lastError: 'ETIMEDOUT', deadAt: Date.UTC(2026, 9, 1, 9, 30) });
+
+    await router(msg('/outbox'), platform);
+    const listing = platform.lastTo('chat1').text;
+    assert.match(listing, /Undelivered \(1\)/);
+    assert.match(listing, /1\. telegram → admin_chat \| 2026-10-01 09:30 \| 8 tries \| ETIMEDOUT/);
+
+    await router(msg('/outbox resend 1'), platform);
+    assert.match(platform.lastTo('chat1').text, /Resending 1 message\./);
+    assert.strictEqual(outbox.list().pending.length, 1);
+    assert.strictEqual(outbox.list().dead.length, 0);
+  });
+
+  it('is owner-only', async () => {
+    const env = createTestEnv({ allowed_users: ['user1', 'user2'], owner_id: 'user1' });
+    const outbox = new Outbox({ file: require('path').join(env.tmpDir, 'outbox.json') });
+    const platform = mockPlatform();
+    const router = createMessageRouter(env.config, { llm: mockLLM(), indexer: stubIndexer(), outbox });
+
+    await router(msg('/outbox clear', { senderId: 'user2', platform: 'beeper' }), platform);
+    assert.match(platform.lastTo('chat1').text, /Owner only/);
+  });
+});
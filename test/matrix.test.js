@@ -0,0 +1,340 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function tmpHome() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'matrix-test-'));
+  const multisDir = path.join(dir, '.multis');
+  for (const sub of ['data', 'auth', 'logs', 'run']) {
+    fs.mkdirSync(path.join(multisDir, sub), { recursive: true });
+  }
+  return { dir, multisDir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+const ME = '@owner:hs.local';
+const TOKEN = 'tok-123';
+
+// Local homeserver stub: serves whoami, /sync (drains a queue of responses,
+// then an empty batch), send (records + returns an event id), media
+// upload/download. Rejects any request without the bearer token.
+function startHomeserver({ syncQueue = [], media = {} } = {}) {
+  const sends = [];
+  const syncs = [];
+  let eventSeq = 0;
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://x');
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      return reply(401, { errcode: 'M_UNKNOWN_TOKEN', error: 'Invalid token' });
+    }
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      if (url.pathname === '/_matrix/client/v3/account/whoami') return reply(200, { user_id: ME });
+      if (url.pathname === '/_matrix/client/v3/sync') {
+        syncs.push(Object.fromEntries(url.searchParams));
+        const next = syncQueue.length ? syncQueue.shift() : { next_batch: 's-end', rooms: {} };
+        return reply(200, next);
+      }
+      const send = /^\/_matrix\/client\/v3\/rooms\/([^/]+)\/send\/m\.room\.message\/([^/]+)$/.exec(url.pathname);
+      if (send && req.method === 'PUT') {
+        const eventId = `$sent${++eventSeq}`;
+        sends.push({ roomId: decodeURIComponent(send[1]), txnId: decodeURIComponent(send[2]), content: JSON.parse(body), eventId });
+        return reply(200, { event_id: eventId });
+      }
+      if (url.pathname === '/_matrix/media/v3/upload') {
+        return reply(200, { content_uri: `mxc://hs.local/up-${url.searchParams.get('filename')}` });
+      }
+      const dl = /^\/_matrix\/client\/v1\/media\/download\/([^/]+)\/([^/]+)$/.exec(url.pathname);
+      if (dl && media[dl[2]]) {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        return res.end(media[dl[2]]);
+      }
+      reply(404, { errcode: 'M_NOT_FOUND', error: 'not found' });
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        sends,
+        syncs,
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
+
+function makeConfig(homeserver, overrides = {}) {
+  return {
+    platforms: {
+      matrix: { enabled: true, homeserver, access_token: TOKEN, sync_timeout: 0, retry_delay: 10, ...overrides },
+    },
+  };
+}
+
+// A /sync response with one joined room carrying the given timeline events.
+function syncBatch(nextBatch, roomId, events, { members = 2, name = '' } = {}) {
+  const state = name ? [{ type: 'm.room.name', state_key: '', content: { name } }] : [];
+  return {
+    next_batch: nextBatch,
+    rooms: {
+      join: {
+        [roomId]: {
+          summary: { 'm.joined_member_count': members },
+          state: { events: state },
+          timeline: { events },
+        },
+      },
+    },
+  };
+}
+
+function textEvent(id, sender, body, extra = {}) {
+  return { type: 'm.room.message', event_id: id, sender, content: { msgtype: 'm.text', body }, ...extra };
+}
+
+// Dispatch is fire-and-forget; let the microtask hop run.
+const flush = () => new Promise((r) => setImmediate(r));
+
+// ---------------------------------------------------------------------------
+// MatrixPlatform
+// ---------------------------------------------------------------------------
+
+describe('MatrixPlatform', () => {
+  let tmp, origHome, hs;
+
+  beforeEach(() => {
+    tmp = tmpHome();
+    origHome = process.env.HOME;
+    process.env.HOME = tmp.dir;
+  });
+
+  afterEach(async () => {
+    process.env.HOME = origHome;
+    if (hs) { await hs.close(); hs = null; }
+    tmp.cleanup();
+  });
+
+  function loadMatrix() {
+    const modPath = require.resolve('../src/platforms/matrix');
+    delete require.cache[modPath];
+    return require(modPath);
+  }
+
+  function collect(mp) {
+    const got = [];
+    mp.onMessage(async (m) => { got.push(m); });
+    return got;
+  }
+
+  describe('constructor', () => {
+    it('requires a homeserver and an access token', () => {
+      const { MatrixPlatform } = loadMatrix();
+      const saved = process.env.MATRIX_ACCESS_TOKEN;
+      delete process.env.MATRIX_ACCESS_TOKEN;
+      try {
+        assert.throws(() => new MatrixPlatform({ platforms: { matrix: { access_token: 't' } } }), /homeserver/);
+        assert.throws(() => new MatrixPlatform({ platforms: { matrix: { homeserver: 'http://hs' } } }), /access token/);
+      } finally {
+        if (saved !== undefined) process.env.MATRIX_ACCESS_TOKEN = saved;
+      }
+    });
+
+    it('treats a configured admin_room as the owner channel', () => {
+      const { MatrixPlatform } = loadMatrix();
+      const mp = new MatrixPlatform(makeConfig('http://hs', { admin_room: '!admin:hs.local' }));
+      assert.deepStrictEqual(mp.getAdminChatIds(), ['!admin:hs.local']);
+    });
+  });
+
+  describe('start', () => {
+    it('resolves its user id, seeds the sync token from now and persists it', async () => {
+      hs = await startHomeserver({ syncQueue: [syncBatch('s-seed', '!r:hs.local', [textEvent('$old', '@bob:hs.local', 'history')])] });
+      const { MatrixPlatform } = loadMatrix();
+      const mp = new MatrixPlatform(makeConfig(hs.url));
+      const got = collect(mp);
+      assert.strictEqual(await mp.start(), true);
+      await mp.stop();
+      assert.strictEqual(mp.userId, ME);
+      assert.strictEqual(hs.syncs[0].since, undefined, 'seed sync has no since');
+      const persisted = JSON.parse(fs.readFileSync(path.join(tmp.multisDir, 'run', 'matrix-since.json'), 'utf8'));
+      assert.ok(persisted.since, 'sync token persisted');
+      assert.strictEqual(got.length, 0, 'seed history is not replayed into the router');
+    });
+
+    it('resumes a persisted sync token across restart (no re-seed)', async () => {
+      fs.writeFileSync(path.join(tmp.multisDir, 'run', 'matrix-since.json'), JSON.stringify({ since: 's-saved' }));
+      hs = await startHomeserver();
+      const { MatrixPlatform } = loadMatrix();
+      const mp = new MatrixPlatform(makeConfig(hs.url));
+      await mp.start();
+      for (let i = 0; i < 100 && !hs.syncs.length; i++) await new Promise((r) => setTimeout(r, 5));
+      await mp.stop();
+      assert.strictEqual(hs.syncs[0].since, 's-saved');
+    });
+
+    it('aborts on a rejected access token', async () => {
+      hs = await startHomeserver();
+      const { MatrixPlatform } = loadMatrix();
+      const mp = new MatrixPlatform(makeConfig(hs.url, { access_token: 'wrong' }));
+      assert.strictEqual(await mp.start(), false);
+      assert.strictEqual(mp._initialized, false);
+    });
+  });
+
+  describe('routing', () => {
+    async function ready(syncQueue, overrides, config = {}) {
+      hs = await startHomeserver({ syncQueue });
+      const { MatrixPlatform } = loadMatrix();
+      const mp = new MatrixPlatform({ ...makeConfig(hs.url, overrides), ...config });
+      mp.userId = ME;
+      mp._initialized = true;
+      return mp;
+    }
+
+    it('routes a self /command from the solo room as an owner command', async () => {
+      const mp = await ready([syncBatch('s1', '!self:hs.local', [textEvent('$1', ME, '/status')], { members: 1 })]);
+      const got = collect(mp);
+      await mp._syncOnce(0);
+      await flush();
+      assert.strictEqual(got.length, 1);
+      const m = got[0];
+      assert.strictEqual(m.platform, 'matrix');
+      assert.strictEqual(m.chatId, '!self:hs.local');
+      assert.strictEqual(m.isSelf, true);
+      assert.strictEqual(m.isPersonalChat, true);
+      assert.strictEqual(m.routeAs, null);
+      assert.deepStrictEqual(m.parseCommand(), { command: 'status', args: undefined });
+      assert.deepStrictEqual(mp.getAdminChatIds(), ['!self:hs.local']);
+    });
+
+    it('routes self plain text in the owner room as natural language', async () => {
+      const mp = await ready([syncBatch('s1', '!self:hs.local', [textEvent('$1', ME, 'what is on today')], { members: 1 })]);
+      const got = collect(mp);
+      await mp._syncOnce(0);
+      await flush();
+      assert.strictEqual(got[0].routeAs, 'natural');
+    });
+
+    it('stops treating the solo room as the owner channel once someone else joins', async () => {
+      const join = { type: 'm.room.member', state_key: '@guest:hs.local', sender: '@guest:hs.local', content: { membership: 'join', displayname: 'Guest' } };
+      const mp = await ready([
+        syncBatch('s1', '!self:hs.local', [textEvent('$1', ME, 'note to self')], { members: 1 }),
+        syncBatch('s2', '!self:hs.local', [join, textEvent('$2', ME, 'what is on today')], { members: 2 }),
+      ]);
+      const got = collect(mp);
+      await mp._syncOnce(0);
+      await flush();
+      assert.deepStrictEqual(mp.getAdminChatIds(), ['!self:hs.local']);
+      const seen = got.length;
+      await mp._syncOnce(0);
+      await flush();
+      assert.deepStrictEqual(mp.getAdminChatIds(), []);
+      assert.ok(got.slice(seen).every((m) => !m.isPersonalChat && m.routeAs !== 'natural'), 'no longer routed as the owner channel');
+    });
+
+    it('auto-responds in a business-mode room, with room name and sender display name', async () => {
+      const ev = [
+        { type: 'm.room.member', state_key: '@bob:hs.local', sender: '@bob:hs.local', event_id: '$m', content: { membership: 'join', displayname: 'Bob' } },
+        textEvent('$1', '@bob:hs.local', 'do you ship abroad?'),
+      ];
+      const mp = await ready([syncBatch('s1', '!shop:hs.local', ev, { name: 'Shop' })], { default_mode: 'business' });
+      const got = collect(mp);
+      await mp._syncOnce(0);
+      await flush();
+      assert.strictEqual(got.length, 1);
+      assert.strictEqual(got[0].routeAs, 'business');
+      assert.strictEqual(got[0].chatName, 'Shop');
+      assert.strictEqual(got[0].senderName, 'Bob');
+      assert.strictEqual(got[0].isCommand(), false);
+    });
+
+    it('drops contact messages in an off-mode room and contact notices', async () => {
+      const mp = await ready([
+        syncBatch('s1', '!a:hs.local', [textEvent('$1', '@bob:hs.local', 'hi')]),
+        syncBatch('s2', '!b:hs.local', [{ ...textEvent('$2', '@bot:hs.local', 'beep'), content: { msgtype: 'm.notice', body: 'beep' } }]),
+      ], { default_mode: 'off' }, {});
+      const got = collect(mp);
+      await mp._syncOnce(0);
+      mp.config.platforms.matrix.default_mode = 'business';
+      await mp._syncOnce(0);
+      await flush();
+      assert.strictEqual(got.length, 0);
+    });
+
+    it('a contact self-command shape outside the owner room is not a command', async () => {
+      const mp = await ready([syncBatch('s1', '!grp:hs.local', [textEvent('$1', '@bob:hs.local', '/exec rm -rf ~')])], { default_mode: 'business' });
+      const got = collect(mp);
+      await mp._syncOnce(0);
+      await flush();
+      assert.strictEqual(got[0].routeAs, 'business');
+      assert.strictEqual(got[0].isCommand(), false);
+    });
+
+    it('skips its own sends (echo guard by txnId and event id)', async () => {
+      const mp = await ready([]);
+      await mp.send('!self:hs.local', 'reply one');
+      await mp.send('!self:hs.local', 'reply two');
+      const [a, b] = hs.sends;
+      assert.notStrictEqual(a.txnId, b.txnId, 'unique txnId per send');
+      assert.deepStrictEqual(a.content, { msgtype: 'm.text', body: 'reply one' });
+      const got = collect(mp);
+      const batch = syncBatch('s1', '!self:hs.local', [
+        textEvent(a.eventId, ME, 'reply one', { unsigned: { transaction_id: a.txnId } }),
+        textEvent(b.eventId, ME, 'reply two'), // other device: no txn id, event id still matches
+      ], { members: 1 });
+      mp._applyRoomState(batch);
+      for (const ev of batch.rooms.join['!self:hs.local'].timeline.events) mp._handleEvent('!self:hs.local', ev);
+      await flush();
+      assert.strictEqual(got.length, 0);
+    });
+
+    it('maps file events to _attachments and downloads them by mxc URL', async () => {
+      const fileEv = {
+        type: 'm.room.message', event_id: '$f', sender: ME,
+        content: { msgtype: 'm.file', body: 'notes.md', url: 'mxc://hs.local/abc', info: { mimetype: 'text/markdown', size: 5 } },
+      };
+      hs = await startHomeserver({ syncQueue: [syncBatch('s1', '!self:hs.local', [fileEv], { members: 1 })], media: { abc: 'hello' } });
+      const { MatrixPlatform } = loadMatrix();
+      const mp = new MatrixPlatform(makeConfig(hs.url));
+      mp.userId = ME;
+      const got = collect(mp);
+      await mp._syncOnce(0);
+      await flush();
+      assert.deepStrictEqual(got[0]._attachments, [{ fileName: 'notes.md', srcURL: 'mxc://hs.local/abc', mimeType: 'text/markdown', size: 5, isVoiceNote: false }]);
+      assert.strictEqual(got[0].text, '', 'a file name body is not message text');
+      const bytes = await mp.downloadAsset('mxc://hs.local/abc');
+      assert.strictEqual(bytes.toString(), 'hello');
+      await assert.rejects(mp.downloadAsset('https://evil/x'), /mxc/);
+    });
+  });
+
+  describe('_getChatMode', () => {
+    it('falls back per-chat → default_mode → personal for owner room → role default', () => {
+      const { MatrixPlatform } = loadMatrix();
+      const cfg = makeConfig('http://hs');
+      cfg.bot_mode = 'business';
+      cfg.chats = { '!pinned:hs': { mode: 'silent' } };
+      const mp = new MatrixPlatform(cfg);
+      mp._personalChats.add('!self:hs');
+      assert.strictEqual(mp._getChatMode('!pinned:hs'), 'silent');
+      assert.strictEqual(mp._getChatMode('!self:hs'), 'personal');
+      assert.strictEqual(mp._getChatMode('!other:hs'), 'business');
+      cfg.platforms.matrix.default_mode = 'off';
+      assert.strictEqual(mp._getChatMode('!other:hs'), 'off');
+    });
+  });
+});
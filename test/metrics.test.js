@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const metrics = require('../src/metrics');
+const { MetricsServer } = require('../src/metrics/server');
+
+function get(port, urlPath, token) {
+  return new Promise((resolve, reject) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    http.get({ host: '127.0.0.1', port, path: urlPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: Buffer.concat(chunks).toString() }));
+    }).on('error', reject);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+describe('metrics registry', () => {
+  beforeEach(() => metrics.resetMetrics());
+
+  it('counts per label set and renders HELP/TYPE for every metric', () => {
+    metrics.inc('multis_messages_received_total', { platform: 'beeper', mode: 'business' });
+    metrics.inc('multis_messages_received_total', { platform: 'beeper', mode: 'business' });
+    metrics.inc('multis_messages_received_total', { platform: 'telegram', mode: 'direct' });
+    const text = metrics.render();
+    assert.match(text, /^# TYPE multis_messages_received_total counter$/m);
+    assert.match(text, /^multis_messages_received_total\{platform="beeper",mode="business"\} 2$/m);
+    assert.match(text, /^multis_messages_received_total\{platform="telegram",mode="direct"\} 1$/m);
+    for (const name of Object.keys(metrics.METRICS)) assert.match(text, new RegExp(`^# HELP ${name} `, 'm'));
+  });
+
+  it('histograms are cumulative with +Inf, sum and count', () => {
+    metrics.observe('multis_llm_round_seconds', { provider: 'anthropic' }, 0.3);
+    metrics.observe('multis_llm_round_seconds', { provider: 'anthropic' }, 4);
+    const text = metrics.render();
+    assert.match(text, /^multis_llm_round_seconds_bucket\{provider="anthropic",le="0\.25"\} 0$/m);
+    assert.match(text, /^multis_llm_round_seconds_bucket\{provider="anthropic",le="0\.5"\} 1$/m);
+    assert.match(text, /^multis_llm_round_seconds_bucket\{provider="anthropic",le="5"\} 2$/m);
+    assert.match(text, /^multis_llm_round_seconds_bucket\{provider="anthropic",le="\+Inf"\} 2$/m);
+    assert.match(text, /^multis_llm_round_seconds_sum\{provider="anthropic"\} 4\.3$/m);
+    assert.match(text, /^multis_llm_round_seconds_count\{provider="anthropic"\} 2$/m);
+  });
+
+  it('timed() records a failing call too and passes the error through', async () => {
+    await assert.rejects(metrics.timed('multis_llm_round_seconds', { provider: 'x' }, async () => { throw new Error('529'); }), /529/);
+    assert.match(metrics.render(), /^multis_llm_round_seconds_count\{provider="x"\} 1$/m);
+  });
+
+  it('gauges are read at scrape time; label values are escaped', () => {
+    let depth = 3;
+    metrics.registerGauge('multis_outbox_pending', () => [{ labels: { platform: 'beeper:"work"' }, value: depth }]);
+    assert.match(metrics.render(), /^multis_outbox_pending\{platform="beeper:\\"work\\""\} 3$/m);
+    depth = 0;
+    assert.match(metrics.render(), /^multis_outbox_pending\{platform="beeper:\\"work\\""\} 0$/m);
+    metrics.registerGauge('multis_outbox_pending', () => []);
+  });
+
+  it('an undeclared or mistyped metric throws', () => {
+    assert.throws(() => metrics.inc('multis_nope_total'), /unknown metric/);
+    assert.throws(() => metrics.inc('multis_llm_round_seconds'), /is a histogram/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// MetricsServer
+// ---------------------------------------------------------------------------
+
+describe('MetricsServer', () => {
+  let server;
+  let health;
+
+  afterEach(async () => {
+    if (server) await server.stop();
+    server = null;
+  });
+
+  async function start(mc = {}) {
+    const router = async () => {};
+    router.health = async () => health;
+    server = new MetricsServer({ metrics: { bind: '127.0.0.1:0', ...mc } }, router);
+    assert.strictEqual(await server.start(), true);
+  }
+
+  it('serves /metrics in the Prometheus text format', async () => {
+    metrics.resetMetrics();
+    metrics.inc('multis_escalations_total', { via: 'agent' });
+    await start();
+    const res = await get(server.port, '/metrics');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.type, /^text\/plain; version=0\.0\.4/);
+    assert.match(res.body, /^multis_escalations_total\{via="agent"\} 1$/m);
+  });
+
+  it('/healthz is 200 when every check passes, 503 when one fails', async () => {
+    await start();
+    health = { ok: true, checks: { litectx: { ok: true, items: 4 }, llm: { ok: true, circuit: 'closed' } } };
+    let res = await get(server.port, '/healthz');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(JSON.parse(res.body), health);
+
+    health = { ok: false, checks: { beeper: { ok: false, error: 'fetch failed' }, llm: { ok: true, circuit: 'closed' } } };
+    res = await get(server.port, '/healthz');
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual(JSON.parse(res.body).checks.beeper.error, 'fetch failed');
+  });
+
+  it('wants the bearer token when one is configured', async () => {
+    await start({ token: 'scrape-tok' });
+    assert.strictEqual((await get(server.port, '/metrics')).status, 401);
+    assert.strictEqual((await get(server.port, '/metrics', 'wrong')).status, 401);
+    assert.strictEqual((await get(server.port, '/metrics', 'scrape-tok')).status, 200);
+    assert.strictEqual((await get(server.port, '/other', 'scrape-tok')).status, 404);
+  });
+});
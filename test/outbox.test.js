@@ -0,0 +1,195 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Outbox, retryAfterMs, isPermanent } = require('../src/platforms/outbox');
+
+function fakeClock(start = 1_000_000) {
+  let t = start;
+  return { now: () => t, advance: (ms) => { t += ms; } };
+}
+
+// A platform whose send fails with the queued errors first, then succeeds.
+function flakyPlatform(...errors) {
+  const calls = [];
+  return {
+    calls,
+    async send(chatId, text, opts) {
+      calls.push({ chatId, text, opts });
+      const err = errors.shift();
+      if (err) throw err;
+      return calls.length;
+    },
+  };
+}
+
+const httpError = (code, extra = {}) => Object.assign(new Error(`HTTP ${code}`), { code }, extra);
+
+describe('Outbox', () => {
+  let dir;
+  let file;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-outbox-'));
+    file = path.join(dir, 'data', 'outbox.json');
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const saved = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  it('sends straight through and returns the adapter result', async () => {
+    const ob = new Outbox({ file });
+    const p = flakyPlatform();
+    ob.attach('chat', p);
+    assert.strictEqual(await p.send('c1', 'hi', { replyTo: '4' }), 1);
+    assert.strictEqual(p.calls[0].opts.replyTo, '4');
+    assert.deepStrictEqual(saved().pending, []);
+  });
+
+  it('keeps a failed send queued and retries it with backoff, under the same sendId', async () => {
+    const clock = fakeClock();
+    const ob = new Outbox({ file, now: clock.now, config: { base_delay_ms: 1000 } });
+    const p = flakyPlatform(new Error('timeout'), new Error('timeout'));
+    ob.attach('chat', p);
+
+    assert.strictEqual(await p.send('c1', 'Reminder: call Sam'), null);
+    assert.strictEqual(saved().pending[0].attempts, 1);
+
+    await ob._drain();
+    assert.strictEqual(p.calls.length, 1, 'not due yet');
+    clock.advance(1000);
+    await ob._drain();
+    assert.strictEqual(p.calls.length, 2);
+    clock.advance(1999);
+    await ob._drain();
+    assert.strictEqual(p.calls.length, 2, 'the second wait is twice as long');
+    clock.advance(1);
+    await ob._drain();
+    assert.strictEqual(p.calls.length, 3);
+    assert.deepStrictEqual(saved().pending, []);
+    assert.strictEqual(new Set(p.calls.map((c) => c.opts.sendId)).size, 1);
+  });
+
+  it("waits out the platform's Retry-After, holding new sends too", async () => {
+    const clock = fakeClock();
+    const ob = new Outbox({ file, now: clock.now });
+    const p = flakyPlatform(httpError(429, { response: { parameters: { retry_after: 30 } } }));
+    ob.attach('chat', p);
+
+    await p.send('c1', 'one');
+    assert.strictEqual(await p.send('c1', 'two'), null);
+    assert.strictEqual(p.calls.length, 1, 'the second send is queued, not attempted');
+    assert.deepStrictEqual(ob.list().pending.map((i) => i.nextAttemptAt - clock.now()), [30000, 30000]);
+
+    clock.advance(30000);
+    await ob._drain();
+    assert.deepStrictEqual(p.calls.map((c) => c.text), ['one', 'one', 'two']);
+  });
+
+  it('paces prompts and files with the lane but never queues them', async () => {
+    const clock = fakeClock();
+    const ob = new Outbox({ file, now: clock.now });
+    const p = flakyPlatform(httpError(429, { response: { parameters: { retry_after: 30 } } }));
+    const prompts = [];
+    p.sendPrompt = async (chatId, text) => { prompts.push(text); throw new Error('timeout'); };
+    p.sendFile = async () => 'file-sent';
+    ob.attach('chat', p);
+
+    await assert.rejects(p.sendPrompt('c1', 'Approve?', { choices: ['yes', 'no'] }), /timeout/);
+    assert.deepStrictEqual(ob.list(), { pending: [], dead: [] }, 'a failed prompt is not kept for retry');
+    assert.strictEqual(await p.sendFile('c1', '/tmp/out.txt'), 'file-sent');
+
+    await p.send('c1', 'one'); // 429 → the platform asked for 30s
+    await assert.rejects(p.sendFile('c1', '/tmp/out.txt'), /rate-limited/);
+    await assert.rejects(p.sendPrompt('c1', 'Approve?', {}), /rate-limited/);
+    assert.strictEqual(prompts.length, 1, 'nothing went out during the Retry-After');
+  });
+
+  it('leaves a platform without its own sendFile without one', async () => {
+    const { Platform, canSendFiles } = require('../src/platforms/base');
+    const ob = new Outbox({ file });
+    const p = new Platform('chat', {});
+    p.send = async () => 1;
+    ob.attach('chat', p);
+    assert.strictEqual(canSendFiles(p), false);
+    assert.strictEqual(p.sendPrompt, undefined);
+  });
+
+  it('throws a permanent failure back to the caller without keeping it', async () => {
+    const ob = new Outbox({ file });
+    const p = flakyPlatform(httpError(400));
+    ob.attach('chat', p);
+    await assert.rejects(p.send('nowhere', 'hi'), /HTTP 400/);
+    assert.deepStrictEqual(ob.list(), { pending: [], dead: [] });
+  });
+
+  it('dead-letters a send that runs out of attempts; resend and clear', async () => {
+    const clock = fakeClock();
+    const ob = new Outbox({ file, now: clock.now, config: { max_attempts: 2 } });
+    const p = flakyPlatform(new Error('timeout'), new Error('still down'), new Error('down again'));
+    ob.attach('chat', p);
+
+    await p.send('c1', 'Escalation: refund request');
+    clock.advance(60_000);
+    await ob._drain();
+    const { pending, dead } = ob.list();
+    assert.strictEqual(pending.length, 0);
+    assert.strictEqual(dead.length, 1);
+    assert.strictEqual(dead[0].lastError, 'still down');
+    assert.strictEqual(saved().dead.length, 1);
+
+    assert.strictEqual(ob.resend(2), 0, 'no such dead letter');
+    assert.strictEqual(ob.resend(1), 1);
+    await ob._drain();
+    assert.deepStrictEqual([ob.list().pending.length, ob.list().dead.length], [1, 0], 'a fresh round of attempts');
+    clock.advance(60_000);
+    await ob._drain();
+    assert.strictEqual(p.calls.length, 4);
+    assert.deepStrictEqual(ob.list(), { pending: [], dead: [] });
+
+    ob.dead.push({ id: 'x', platform: 'chat', text: 'old', attempts: 8 });
+    assert.strictEqual(ob.clear(), 1);
+    assert.deepStrictEqual(saved().dead, []);
+  });
+
+  it('sends what a previous run left queued once restarted', async () => {
+    const first = new Outbox({ file });
+    first.attach('telegram', flakyPlatform(new Error('ETIMEDOUT')));
+    first.attach('matrix', flakyPlatform(new Error('ETIMEDOUT')));
+    await first.send('telegram', 42, 'Reminder: check inbox');
+    await first.send('matrix', '!room', 'hello');
+
+    // Restarted a minute later: the failed sends are due again.
+    const second = new Outbox({ file, now: () => Date.now() + 60_000 });
+    const tg = flakyPlatform();
+    second.attach('telegram', tg);
+    try {
+      await second.start();
+      assert.deepStrictEqual(tg.calls.map((c) => [c.chatId, c.text]), [[42, 'Reminder: check inbox']]);
+      const { pending, dead } = second.list();
+      assert.strictEqual(pending.length, 0);
+      assert.deepStrictEqual(dead.map((d) => d.lastError), ['platform matrix is not enabled']);
+    } finally {
+      second.stop();
+    }
+  });
+});
+
+describe('outbox error classification', () => {
+  it('reads Retry-After from Telegram and Matrix errors', () => {
+    assert.strictEqual(retryAfterMs({ response: { parameters: { retry_after: 5 } } }), 5000);
+    assert.strictEqual(retryAfterMs({ retryAfterMs: 1200 }), 1200);
+    assert.strictEqual(retryAfterMs(new Error('x')), 0);
+  });
+
+  it('retries timeouts, rate limits and server errors; not bad requests', () => {
+    assert.strictEqual(isPermanent(new Error('timeout')), false);
+    assert.strictEqual(isPermanent(httpError(429)), false);
+    assert.strictEqual(isPermanent(httpError(502)), false);
+    assert.strictEqual(isPermanent(httpError(403)), true);
+    assert.strictEqual(isPermanent(Object.assign(httpError(451), { name: 'SmtpError' })), false);
+    assert.strictEqual(isPermanent(Object.assign(httpError(550), { name: 'SmtpError' })), true);
+  });
+});
@@ -1,7 +1,8 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
 
-const { buildMemorySystemPrompt, baseSystemPrompt } = require('../src/llm/prompts');
+const { buildMemorySystemPrompt, buildRAGPrompt, baseSystemPrompt } = require('../src/llm/prompts');
+const { citeChunk } = require('../src/context/citation');
 
 // M8: the bot identifies AS its owner-set assistant_name (not just the cosmetic
 // [Name] prefix), so "what's your name?" answers correctly. Defaults to multis.
@@ -70,3 +71,23 @@ describe('buildMemorySystemPrompt — untrusted-content fencing (#6)', () => {
     assert.strictEqual(prompt, 'persona');
   });
 });
+
+describe('document citations', () => {
+  it('cites page and numbered section, or the heading itself', () => {
+    assert.strictEqual(citeChunk({ name: 'contract.pdf', pageStart: 14, pageEnd: 14, sectionPath: ['3 Term', '3.2 Termination'] }), 'contract.pdf p.14, §3.2');
+    assert.strictEqual(citeChunk({ name: 'contract.pdf', pageStart: 14, pageEnd: 15, sectionPath: ['§7. Liability'] }), 'contract.pdf pp.14–15, §7');
+    assert.strictEqual(citeChunk({ name: 'faq.md', sectionPath: ['Returns policy'] }), 'faq.md, Returns policy');
+    assert.strictEqual(citeChunk({ name: 'notes.txt', sectionPath: [] }), 'notes.txt');
+    assert.strictEqual(citeChunk({}), 'unknown');
+  });
+
+  it('heads each excerpt with its citation and the full heading trail', () => {
+    const { user } = buildRAGPrompt('when can I cancel?', [
+      { name: 'contract.pdf', pageStart: 14, sectionPath: ['3 Term', '3.2 Termination'], content: 'With 30 days notice.' },
+      { name: 'faq.md', sectionPath: ['Returns'], content: 'Within 30 days.' },
+    ]);
+    assert.match(user, /--- Document 1 \[contract\.pdf p\.14, §3\.2\] — 3 Term > 3\.2 Termination ---\nWith 30 days notice\./);
+    assert.match(user, /--- Document 2 \[faq\.md, Returns\] ---\nWithin 30 days\./);
+    assert.match(baseSystemPrompt(), /e\.g\. \(contract\.pdf p\.14, §3\.2\)/);
+  });
+});
@@ -1,6 +1,6 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
-const { createProvider, simpleGenerate } = require('../src/llm/provider-adapter');
+const { createProvider, simpleGenerate, streamingGenerate } = require('../src/llm/provider-adapter');
 
 // ---------------------------------------------------------------------------
 // createProvider
@@ -93,3 +93,31 @@ describe('simpleGenerate', () => {
     assert.strictEqual(result, 'ok');
   });
 });
+
+describe('streamingGenerate', () => {
+  it('passes the text so far to onText and resolves to the whole round', async () => {
+    const seen = [];
+    const fakeProvider = {
+      generate: async () => { throw new Error('generate must not be called'); },
+      async *stream(messages, tools, options) {
+        assert.strictEqual(options.system, 'sys');
+        yield { type: 'text', text: 'The meeting ' };
+        yield { type: 'text', text: 'is at 3pm.' };
+        yield { type: 'done', result: { text: 'The meeting is at 3pm.', toolCalls: [], usage: { outputTokens: 6 } } };
+      }
+    };
+    const result = await streamingGenerate(fakeProvider, (t) => seen.push(t)).generate([], [], { system: 'sys' });
+    assert.deepStrictEqual(seen, ['The meeting ', 'The meeting is at 3pm.']);
+    assert.deepStrictEqual(result, { text: 'The meeting is at 3pm.', toolCalls: [], usage: { outputTokens: 6 } });
+  });
+
+  it('leaves a provider that cannot stream as it is', () => {
+    const fakeProvider = { generate: async () => ({ text: 'ok', toolCalls: [] }) };
+    assert.strictEqual(streamingGenerate(fakeProvider, () => {}), fakeProvider);
+  });
+
+  it('refuses a stream that never delivers its result', async () => {
+    const fakeProvider = { generate: async () => ({}), async *stream() { yield { type: 'text', text: 'half' }; } };
+    await assert.rejects(streamingGenerate(fakeProvider, () => {}).generate([], [], {}), /without a result/);
+  });
+});
@@ -23,6 +23,16 @@ describe('RateLimiter', () => {
     assert.strictEqual(blocked.scope, 'burst');
   });
 
+  it('per-call limits override the defaults for that message', () => {
+    const now = fakeClock();
+    const rl = new RateLimiter({ burstPerMin: 10, dailyPerSender: 100, now });
+    rl.consume('a', { burstPerMin: 1 });
+    const blocked = rl.consume('a', { burstPerMin: 1 });
+    assert.strictEqual(blocked.allowed, false);
+    assert.strictEqual(blocked.scope, 'burst');
+    assert.strictEqual(rl.consume('a').allowed, true, 'the default cap still applies elsewhere');
+  });
+
   it('burst window rolls — slots free up after 60s', () => {
     const now = fakeClock();
     const rl = new RateLimiter({ burstPerMin: 2, dailyPerSender: 100, now });
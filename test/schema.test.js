@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validate, formatPath, parsePath, SCHEMAS } = require('../src/schema');
+
+const TEMPLATE = path.join(__dirname, '..', '.multis-template');
+const template = (name) => JSON.parse(fs.readFileSync(path.join(TEMPLATE, name), 'utf8'));
+
+describe('schema — the shipped files', () => {
+  it('the templates a fresh install copies are valid', () => {
+    assert.deepStrictEqual(validate(template('config.json'), SCHEMAS.config), []);
+    assert.deepStrictEqual(validate(template('governance.json'), SCHEMAS.governance), []);
+    assert.deepStrictEqual(validate(template('tools.json'), SCHEMAS.tools), []);
+  });
+
+  it('tools.schema.json knows exactly the tools multis defines', () => {
+    const { TOOLS } = require('../src/tools/definitions');
+    assert.deepStrictEqual(Object.keys(SCHEMAS.tools.properties.tools.properties).sort(), TOOLS.map((t) => t.name).sort());
+  });
+});
+
+describe('schema — validate', () => {
+  const issues = (config) => validate(config, SCHEMAS.config).map((i) => `${i.level} ${i.path}: ${i.message}`);
+
+  it('reports a wrong type or value at its exact path', () => {
+    assert.deepStrictEqual(issues({
+      llm: { max_tool_rounds: '5' },
+      platforms: { web: { bind: '7878' } },
+      webhooks: [{ url: 'https://ok.example' }, { url: 'ftp://x', events: ['escalation', 'nope'] }],
+      chats: { '!abc:beeper.local': { mode: 'busy', name: 'Ann' } },
+    }), [
+      'error llm.max_tool_rounds: expected a whole number, got "5"',
+      'error platforms.web.bind: expected host:port, like 127.0.0.1:7878',
+      'error webhooks[1].url: expected an http:// or https:// URL',
+      'error webhooks[1].events[1]: must be one of "escalation", "rate_limit", "gate_denied", "job_completed"',
+      'error chats["!abc:beeper.local"].mode: must be one of "business", "personal", "silent", "off"',
+    ]);
+  });
+
+  it('an unknown key is a warning, with the near miss suggested', () => {
+    assert.deepStrictEqual(issues({ memroy: {}, memory: { recnt_window: 5 }, platforms: { web: { tokn: 'x' } }, zzz: 1 }), [
+      'warning memroy: unknown key — did you mean "memory"?',
+      'warning memory.recnt_window: unknown key — did you mean "recent_window"?',
+      'warning platforms.web.tokn: unknown key — did you mean "token"?',
+      'warning zzz: unknown key',
+    ]);
+  });
+
+  it('checks ranges, required keys and $refs; "_" keys are comments', () => {
+    assert.deepStrictEqual(issues({
+      _comment: 'anything',
+      memory: { supersede_threshold: 1.5, recent_window: 0 },
+      agents: { helper: { model: 'x' } },
+      platforms: { beeper: { endpoints: [{ name: 'work space', networks: { whatsapp: { default_mode: 'loud' } } }] } },
+    }), [
+      'error memory.supersede_threshold: must be at most 1',
+      'error memory.recent_window: must be at least 1',
+      'error agents.helper.persona: is required',
+      'error platforms.beeper.endpoints[0].name: expected letters, digits, - and _',
+      'error platforms.beeper.endpoints[0].networks.whatsapp.default_mode: must be one of "business", "personal", "silent", "off"',
+    ]);
+  });
+
+  it('flags the old flat governance.json shape', () => {
+    const got = validate({ allowlist: ['ls'], denylist: [] }, SCHEMAS.governance).map((i) => `${i.level} ${i.path}`);
+    assert.deepStrictEqual(got, ['error commands', 'error paths', 'warning allowlist', 'warning denylist']);
+  });
+});
+
+describe('schema — key paths', () => {
+  it('formatPath and parsePath round-trip', () => {
+    for (const segments of [['memory', 'recent_window'], ['webhooks', 0, 'url'], ['chats', '!abc:beeper.local', 'mode'], ['platforms', 'beeper', 'endpoints', 2, 'networks', 'whatsapp']]) {
+      assert.deepStrictEqual(parsePath(formatPath(segments)), segments);
+    }
+    assert.strictEqual(formatPath(['chats', 'a.b']), 'chats["a.b"]');
+  });
+
+  it('parsePath rejects a malformed path', () => {
+    for (const bad of ['', '.memory', 'memory..enabled', 'memory.', 'webhooks[x]', 'chats["open']) {
+      assert.throws(() => parsePath(bad), /key path/, bad);
+    }
+  });
+});
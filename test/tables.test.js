@@ -0,0 +1,191 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { TableStore, readTables, tablesToText, parseCsv, runQuery, formatQueryResult } = require('../src/context/tables');
+const { readXlsx } = require('../src/context/xlsx');
+
+const PRICES = [
+  'SKU,Name,Price,Category',
+  '1234,Widget,$19.99,Tools',
+  '1235,"Gadget, large",$24.50,Tools',
+  '',
+  '2001,"Sticker ""mini""",1.25,Stationery',
+  '2002,Notebook,"$1,250.00",Stationery',
+].join('\r\n');
+
+// The smallest .xlsx that Excel writes the parts of: a zip (deflated entries,
+// CRCs left 0 — the reader doesn't check them) of workbook, rels, shared
+// strings, styles and sheets.
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const data = zlib.deflateRawSync(Buffer.from(text));
+    const nameBuf = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(text), 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const dir = Buffer.alloc(46);
+    dir.writeUInt32LE(0x02014b50, 0);
+    dir.writeUInt16LE(8, 10);
+    dir.writeUInt32LE(data.length, 20);
+    dir.writeUInt32LE(Buffer.byteLength(text), 24);
+    dir.writeUInt16LE(nameBuf.length, 28);
+    dir.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    central.push(dir, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+  const cd = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(cd.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, end]);
+}
+
+const XLSX = zip({
+  'xl/workbook.xml': '<workbook><sheets><sheet name="Stock" sheetId="1" r:id="rId1"/><sheet name="Notes" sheetId="2" r:id="rId2"/><sheet name="Orders" sheetId="3" r:id="rId3"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="worksheets/sheet2.xml"/><Relationship Id="rId3" Target="/xl/worksheets/sheet3.xml"/></Relationships>',
+  'xl/sharedStrings.xml': '<sst><si><t>Item</t></si><si><t>Qty</t></si><si><r><t>Bolt </t></r><r><t xml:space="preserve">&amp; nut</t></r></si><si><t>Received</t></si></sst>',
+  'xl/styles.xml': '<styleSheet><numFmts><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/></numFmts><cellXfs><xf numFmtId="0"/><xf numFmtId="164"/></cellXfs></styleSheet>',
+  'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+    + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="D1" t="s"><v>3</v></c></row>'
+    + '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3"><f t="shared">1+1</f><v>40</v></c><c r="C3" t="inlineStr"><is><t>spare</t></is></c><c r="D3" s="1"><v>46300</v></c></row>'
+    + '</sheetData></worksheet>',
+  'xl/worksheets/sheet2.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>just a title</t></is></c></row></sheetData></worksheet>',
+  'xl/worksheets/sheet3.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>Order</t></is></c></row><row r="2"><c r="A2"><v>7</v></c></row></sheetData></worksheet>',
+});
+
+describe('tables — reading', () => {
+  it('parses CSV with quotes, escaped quotes, CRLF and blank lines, keeping line numbers', () => {
+    const rows = parseCsv(PRICES);
+    assert.deepStrictEqual(rows.map((r) => r.row), [1, 2, 3, 5, 6]);
+    assert.deepStrictEqual(rows[2].cells, ['1235', 'Gadget, large', '$24.50', 'Tools']);
+    assert.deepStrictEqual(rows[3].cells, ['2001', 'Sticker "mini"', '1.25', 'Stationery']);
+    assert.deepStrictEqual(parseCsv('a;b\n1;"x\ny"\n2;z').map((r) => [r.row, r.cells]), [[1, ['a', 'b']], [2, ['1', 'x\ny']], [4, ['2', 'z']]]);
+  });
+
+  it('reads .xlsx sheets: shared, rich and inline strings, cached formula values, dates, sheet row numbers', () => {
+    const sheets = readXlsx(XLSX);
+    assert.deepStrictEqual(sheets.map((s) => s.name), ['Stock', 'Notes', 'Orders']);
+    assert.deepStrictEqual(sheets[0].rows, [
+      { row: 1, cells: ['Item', 'Qty', '', 'Received'] },
+      { row: 3, cells: ['Bolt & nut', '40', 'spare', '2026-10-05'] },
+    ]);
+    const tables = readTables(XLSX, 'stock.xlsx');
+    assert.deepStrictEqual(tables.map((t) => t.sheet), ['Stock', 'Orders'], 'a sheet with only a header is no table');
+    assert.deepStrictEqual(tables[0].columns, ['Item', 'Qty', 'Column 3', 'Received']);
+    assert.match(tablesToText('stock.xlsx', tables), /^# stock\.xlsx — Stock\n\nRow 3: Item: Bolt & nut; Qty: 40; Column 3: spare; Received: 2026-10-05/);
+    assert.throws(() => readXlsx(Buffer.from('not a zip at all, just text that is long enough')), /not an \.xlsx file/);
+  });
+
+  it('refuses a spreadsheet with no rows under a header', () => {
+    const headersOnly = zip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Notes" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+      'xl/worksheets/sheet1.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>just a title</t></is></c></row></sheetData></worksheet>',
+    });
+    assert.throws(() => readTables(headersOnly, 'notes.xlsx'), /no rows to index — every sheet is empty or has only a header row/);
+    assert.throws(() => readTables(Buffer.from('Item\tQty\n'), 'stock.tsv'), /no rows to index/);
+  });
+});
+
+describe('tables — runQuery', () => {
+  const [table] = readTables(Buffer.from(PRICES), 'prices.csv');
+
+  it('filters exactly, comparing numbers as numbers', () => {
+    assert.deepStrictEqual(runQuery(table, { where: [{ column: 'sku', value: 1234 }] }).rows.map((r) => r.row), [2]);
+    const cheap = runQuery(table, { where: [{ column: 'Price', op: '<', value: '$20' }], columns: ['Name'] });
+    assert.deepStrictEqual(cheap.rows, [{ row: 2, values: ['Widget'] }, { row: 5, values: ['Sticker "mini"'] }]);
+    assert.strictEqual(runQuery(table, { where: [{ column: 'Price', op: '>', value: 1000 }] }).rows[0].values[1], 'Notebook');
+    assert.strictEqual(runQuery(table, { where: [{ column: 'name', op: 'contains', value: 'GADGET' }] }).matched, 1);
+    assert.strictEqual(runQuery(table, { where: [{ column: 'Category', value: 'tools' }, { column: 'Price', op: '>=', value: 20 }] }).matched, 1);
+  });
+
+  it('sorts, limits and aggregates, overall and per group', () => {
+    const sorted = runQuery(table, { sort: { column: 'Price', desc: true }, limit: 2 });
+    assert.deepStrictEqual([sorted.matched, sorted.rows.map((r) => r.row)], [4, [6, 3]]);
+    assert.deepStrictEqual(runQuery(table, { aggregate: { op: 'sum', column: 'Price' } }).aggregate.value, 1295.74);
+    const byCat = runQuery(table, { aggregate: { op: 'avg', column: 'Price' }, group_by: 'category' }).aggregate;
+    assert.deepStrictEqual(byCat.groups, [{ key: 'Tools', value: 22.245, rows: [2, 3] }, { key: 'Stationery', value: 625.625, rows: [5, 6] }]);
+    assert.strictEqual(runQuery(table, { where: [{ column: 'Category', value: 'Tools' }], aggregate: { op: 'count' } }).aggregate.value, 2);
+  });
+
+  it('reads and aggregates a table too long to spread into arguments', () => {
+    const lines = ['SKU,Price'];
+    for (let i = 0; i < 300_000; i++) lines.push(`${i},${(i * 7919) % 100_003}`);
+    const [big] = readTables(Buffer.from(lines.join('\n')), 'big.csv');
+    assert.strictEqual(big.records.length, 300_000);
+    assert.strictEqual(runQuery(big, { aggregate: { op: 'min', column: 'Price' } }).aggregate.value, 0);
+    assert.strictEqual(runQuery(big, { aggregate: { op: 'max', column: 'Price' } }).aggregate.value, 100_002);
+  });
+
+  it('names the columns when one is unknown, and rejects a bad operator', () => {
+    assert.throws(() => runQuery(table, { where: [{ column: 'Colour', value: 'red' }] }), /no column "Colour" — the columns are: SKU, Name, Price, Category/);
+    assert.throws(() => runQuery(table, { where: [{ column: 'SKU', op: '~', value: 1 }] }), /unknown operator/);
+    assert.throws(() => runQuery(table, { aggregate: { op: 'sum' } }), /sum needs a column/);
+  });
+});
+
+describe('tables — TableStore', () => {
+  let root, store;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-tables-test-'));
+    store = new TableStore({ file: path.join(root, 'kb-tables.json'), dir: path.join(root, 'kb-tables') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('stores, replaces and removes a document\'s tables, and survives a restart', () => {
+    const csv = readTables(Buffer.from(PRICES), 'prices.csv');
+    assert.deepStrictEqual(store.put('kb', 'prices.csv', csv), [{ name: 'prices.csv', sheet: null, rows: 4, columns: ['SKU', 'Name', 'Price', 'Category'] }]);
+    store.put('public', 'prices.csv', readTables(Buffer.from('SKU,Price\n1,2'), 'prices.csv'));
+    const fresh = new TableStore({ file: store.file, dir: store.dir });
+    assert.deepStrictEqual(fresh.of('public', 'prices.csv').map((t) => t.rows), [1], 'a re-index replaces the rows');
+    assert.strictEqual(fresh.remove('public', 'prices.csv'), 1);
+    assert.deepStrictEqual(fs.readdirSync(store.dir), []);
+  });
+
+  it('the owner queries admin and public tables, a customer only public', () => {
+    store.put('public', 'prices.csv', readTables(Buffer.from(PRICES), 'prices.csv'));
+    store.put('admin', 'costs.csv', readTables(Buffer.from('SKU,Cost\n1234,7'), 'costs.csv'));
+    assert.strictEqual(store.query('admin', { table: 'costs.csv' }).result.rows[0].values[1], '7');
+    const customer = store.query('user:cust1', { table: 'costs.csv' });
+    assert.deepStrictEqual(customer.tables.map((t) => t.name), ['prices.csv'], 'an admin table is not offered to a customer');
+    assert.strictEqual(store.query('user:cust1', {}).table.name, 'prices.csv', 'the only table in view needs no name');
+    assert.strictEqual(store.query('admin', {}).tables.length, 2);
+  });
+
+  it('picks a sheet by "file › sheet", its sheet name or part of its label', () => {
+    store.put('public', '/srv/stock.xlsx', readTables(XLSX, 'stock.xlsx'));
+    assert.strictEqual(store.query('public', { table: 'stock.xlsx › Orders' }).table.sheet, 'Orders');
+    assert.strictEqual(store.query('public', { table: 'stock.xlsx' }).tables.length, 2, 'two sheets match → list them');
+    assert.strictEqual(store.query('public', { table: 'stock' }).table.sheet, 'Stock');
+    assert.strictEqual(store.query('public', { table: 'ord' }).table.sheet, 'Orders');
+  });
+
+  it('formats rows with citations, aggregates, and the table list', () => {
+    store.put('public', 'prices.csv', readTables(Buffer.from(PRICES), 'prices.csv'));
+    const text = formatQueryResult(store.query('public', { where: [{ column: 'SKU', value: '1234' }] }));
+    assert.match(text, /^prices\.csv \[public\] — 1 matching row of 4\n\nSKU: 1234 \| Name: Widget \| Price: \$19\.99 \| Category: Tools \(prices\.csv row 2\)/);
+    const agg = formatQueryResult(store.query('public', { aggregate: { op: 'max', column: 'Price' }, group_by: 'Category', limit: 1 }));
+    assert.match(agg, /max\(Price\) by Category:\n- Tools: 24\.5 — rows 2, 3\n- Stationery: 1250 — rows 5, 6/);
+    assert.match(agg, /… 3 more/);
+    store.put('admin', 'costs.csv', readTables(Buffer.from('SKU,Cost\n1,7'), 'costs.csv'));
+    assert.match(formatQueryResult(store.query('admin', {})), /^Name one of these tables:\n- prices\.csv \[public\] — 4 rows; columns: SKU, Name, Price, Category/);
+    assert.match(formatQueryResult({ tables: [] }), /No tables indexed/);
+  });
+});
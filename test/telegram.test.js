@@ -0,0 +1,311 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { TelegramPlatform } = require('../src/platforms/telegram');
+const { sendPrompt } = require('../src/platforms/base');
+
+// A TelegramPlatform whose Bot API calls are recorded instead of sent, and
+// whose launch never reaches the network. Updates are fed via handleUpdate.
+function makePlatform() {
+  const tp = new TelegramPlatform({ platforms: { telegram: { bot_token: '123:test' } } });
+  const calls = [];
+  const callApi = async (method, payload) => {
+    calls.push({ method, payload });
+    if (method === 'getMe') return { id: 1, is_bot: true, first_name: 'multis', username: 'multis_bot' };
+    if (method === 'sendMessage') return { message_id: 500 + calls.length, chat: { id: payload.chat_id }, text: payload.text };
+    return true;
+  };
+  tp.bot.telegram.callApi = callApi;
+  // Telegraf gives each update its own client — stub that one too (this runs
+  // before the handlers start() registers).
+  tp.bot.use((ctx, next) => { ctx.telegram.callApi = callApi; return next(); });
+  tp.bot.launch = async () => {};
+  return { tp, calls };
+}
+
+const flush = () => new Promise((r) => setImmediate(r));
+
+function tap(data, { chatId = 42, fromId = 7 } = {}) {
+  return {
+    update_id: 1,
+    callback_query: {
+      id: 'cb1',
+      from: { id: fromId, is_bot: false, first_name: 'Owner', username: 'owner' },
+      chat_instance: 'ci',
+      data,
+      message: { message_id: 99, date: Math.floor(Date.now() / 1000), chat: { id: chatId, type: 'private', first_name: 'Owner' }, text: 'prompt' },
+    },
+  };
+}
+
+describe('TelegramPlatform prompts', () => {
+  let tp, calls;
+
+  beforeEach(() => {
+    ({ tp, calls } = makePlatform());
+  });
+
+  it('renders choices as an inline keyboard (label shown, value answered)', async () => {
+    await sendPrompt(tp, 42, 'Run it?', { choices: [{ label: 'Approve', value: 'yes' }, { label: 'Deny', value: 'no' }] });
+    const [call] = calls;
+    assert.strictEqual(call.method, 'sendMessage');
+    assert.strictEqual(call.payload.text, 'Run it?');
+    assert.deepStrictEqual(call.payload.reply_markup.inline_keyboard, [[
+      { text: 'Approve', callback_data: 'yes' },
+      { text: 'Deny', callback_data: 'no' },
+    ]]);
+  });
+
+  it('puts a pick-one list one button per row', async () => {
+    await tp.sendPrompt(42, 'Pick a chat', { choices: ['1) Amora', '2) Bob', '3) Cleo'].map((label, i) => ({ label, value: String(i + 1) })) });
+    const rows = calls[0].payload.reply_markup.inline_keyboard;
+    assert.strictEqual(rows.length, 3);
+    assert.deepStrictEqual(rows[2], [{ text: '3) Cleo', callback_data: '3' }]);
+  });
+
+  it('returns the prompt message id', async () => {
+    const id = await tp.sendPrompt(42, 'Run it?', { choices: [{ label: 'Approve', value: 'yes' }, { label: 'Deny', value: 'no' }] });
+    assert.strictEqual(id, 501);
+  });
+
+  it('keeps the PIN typed, offering only a Cancel button', async () => {
+    await tp.sendPrompt(42, 'Reply with your PIN:', { input: 'pin' });
+    assert.deepStrictEqual(calls[0].payload.reply_markup.inline_keyboard, [[{ text: 'Cancel', callback_data: 'cancel' }]]);
+  });
+
+  it('falls back to plain text for an oversized list', async () => {
+    const choices = Array.from({ length: 30 }, (_, i) => ({ label: `${i + 1}) chat`, value: String(i + 1) }));
+    await tp.sendPrompt(42, 'Pick a chat', { choices });
+    assert.strictEqual(calls[0].method, 'sendMessage');
+    assert.strictEqual(calls[0].payload.reply_markup, undefined);
+  });
+
+  it('delivers a button tap as a prompt reply from the tapping user', async () => {
+    const got = [];
+    tp.onMessage(async (m) => { got.push(m); });
+    await tp.start();
+    await tp.bot.handleUpdate(tap('yes'));
+    await flush();
+
+    assert.strictEqual(got.length, 1);
+    const [m] = got;
+    assert.strictEqual(m.text, 'yes');
+    assert.strictEqual(m.promptReply, true);
+    assert.strictEqual(m.chatId, 42);
+    assert.strictEqual(m.senderId, 7);
+    assert.strictEqual(m.platform, 'telegram');
+
+    const methods = calls.map((c) => c.method);
+    assert.ok(methods.includes('answerCallbackQuery'), 'tap acknowledged');
+    assert.ok(methods.includes('editMessageReplyMarkup'), 'keyboard removed after one tap');
+  });
+});
+
+function groupMsg(text, { chatId = -100, fromId = 8, type = 'supergroup', entities, replyTo } = {}) {
+  return {
+    update_id: 2,
+    message: {
+      message_id: 5,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: chatId, type, title: 'Team' },
+      from: { id: fromId, is_bot: false, first_name: 'Member', username: 'member' },
+      text,
+      ...(entities ? { entities } : {}),
+      ...(replyTo ? { reply_to_message: replyTo } : {}),
+    },
+  };
+}
+
+describe('TelegramPlatform edits', () => {
+  it('returns the sent message id and edits that message in place', async () => {
+    const { tp, calls } = makePlatform();
+    const id = await tp.send(42, 'searching docs…');
+    await tp.editMessage(42, id, 'Here is the answer.');
+    assert.strictEqual(id, 501);
+    assert.deepStrictEqual(calls[1], { method: 'editMessageText', payload: { chat_id: 42, message_id: 501, inline_message_id: undefined, text: 'Here is the answer.', parse_mode: 'HTML' } });
+  });
+});
+
+describe('TelegramPlatform formatting', () => {
+  it('sends Markdown as HTML', async () => {
+    const { tp, calls } = makePlatform();
+    await tp.send(42, 'Use **care** with `rm -rf` & <tags>');
+    assert.strictEqual(calls[0].payload.parse_mode, 'HTML');
+    assert.strictEqual(calls[0].payload.text, 'Use <b>care</b> with <code>rm -rf</code> &amp; &lt;tags&gt;');
+  });
+
+  it('splits a long reply into numbered parts under the limit', async () => {
+    const { tp, calls } = makePlatform();
+    const para = 'word '.repeat(700).trim();
+    const id = await tp.send(42, `${para}\n\n${para}`);
+    assert.strictEqual(calls.length, 2);
+    assert.ok(calls[0].payload.text.startsWith('(1/2) '));
+    assert.ok(calls[1].payload.text.startsWith('(2/2) '));
+    assert.ok(calls.every((c) => c.payload.text.length <= 4096));
+    assert.strictEqual(id, 502, 'id of the last part');
+  });
+
+  it('a retried outbox send picks up after the parts that went out', async () => {
+    const { tp, calls } = makePlatform();
+    const callApi = tp.bot.telegram.callApi;
+    let failed = false;
+    tp.bot.telegram.callApi = async (method, payload) => {
+      if (payload.text?.startsWith('(2/2)') && !failed) { failed = true; throw new Error('ETIMEDOUT'); }
+      return callApi(method, payload);
+    };
+    const para = 'word '.repeat(700).trim();
+    await assert.rejects(tp.send(42, `${para}\n\n${para}`, { sendId: 's1' }), /ETIMEDOUT/);
+    await tp.send(42, `${para}\n\n${para}`, { sendId: 's1' });
+    assert.deepStrictEqual(calls.map((c) => c.payload.text.slice(0, 5)), ['(1/2)', '(2/2)']);
+  });
+
+  it('resends unformatted when Telegram rejects the markup', async () => {
+    const { tp, calls } = makePlatform();
+    const callApi = tp.bot.telegram.callApi;
+    tp.bot.telegram.callApi = async (method, payload) => {
+      if (payload.parse_mode) {
+        calls.push({ method, payload });
+        throw new Error("400: Bad Request: can't parse entities");
+      }
+      return callApi(method, payload);
+    };
+    await tp.send(42, '**bold**');
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[1].payload.text, '**bold**');
+    assert.strictEqual(calls[1].payload.parse_mode, undefined);
+  });
+});
+
+describe('TelegramPlatform reply threading', () => {
+  it('replies to the asking message and stays in its topic', async () => {
+    const { tp, calls } = makePlatform();
+    const para = 'word '.repeat(700).trim();
+    await tp.send(-100, `${para}\n\n${para}`, { replyTo: '5', threadId: '30' });
+    assert.deepStrictEqual(calls[0].payload.reply_parameters, { message_id: 5, allow_sending_without_reply: true });
+    assert.strictEqual(calls[1].payload.reply_parameters, undefined, 'only the first part is a reply');
+    assert.ok(calls.every((c) => c.payload.message_thread_id === 30));
+  });
+});
+
+describe('TelegramPlatform inbound routing', () => {
+  let tp, got;
+
+  async function deliver(update, config = {}) {
+    Object.assign(tp.config, config);
+    await tp.bot.handleUpdate(update);
+    await flush();
+    return got.pop();
+  }
+
+  beforeEach(async () => {
+    ({ tp } = makePlatform());
+    tp.config.bot_mode = 'business';
+    tp.config.assistant_name = 'Roger';
+    got = [];
+    tp.onMessage(async (m) => { got.push(m); });
+    await tp.start();
+  });
+
+  it('observes unaddressed chatter in an engaged group as silent', async () => {
+    const m = await deliver(groupMsg('lunch at noon?'));
+    assert.strictEqual(m.routeAs, 'silent');
+    assert.strictEqual(m.isGroup, true);
+  });
+
+  it('answers an @mention in the group\'s mode', async () => {
+    const m = await deliver(groupMsg('@multis_bot what are your hours?', { entities: [{ type: 'mention', offset: 0, length: 11 }] }));
+    assert.strictEqual(m.routeAs, 'business');
+  });
+
+  it('answers a reply to one of its messages', async () => {
+    const replyTo = { message_id: 4, date: 0, chat: { id: -100, type: 'supergroup' }, from: { id: 1, is_bot: true, first_name: 'multis' }, text: 'hi' };
+    const m = await deliver(groupMsg('and on sundays?', { replyTo }));
+    assert.strictEqual(m.routeAs, 'business');
+    assert.deepStrictEqual(m.replyTo, { id: '4', text: 'hi', senderName: 'multis' });
+  });
+
+  it('keeps a forum topic\'s thread, without taking the topic opener as a quote', async () => {
+    const opener = { message_id: 30, date: 0, chat: { id: -100, type: 'supergroup' }, from: { id: 8, is_bot: false, first_name: 'Member' }, forum_topic_created: { name: 'Billing' } };
+    const update = groupMsg('@multis_bot invoice status?', { entities: [{ type: 'mention', offset: 0, length: 11 }], replyTo: opener });
+    Object.assign(update.message, { is_topic_message: true, message_thread_id: 30 });
+    const m = await deliver(update);
+    assert.strictEqual(m.threadId, '30');
+    assert.strictEqual(m.replyTo, null);
+  });
+
+  it('answers when its assistant name is called, per the group\'s mode', async () => {
+    const m = await deliver(groupMsg('roger, remind me what we decided'), { chats: { '-100': { mode: 'personal' } } });
+    assert.strictEqual(m.routeAs, 'personal');
+  });
+
+  it('drops everything from a group that is off', async () => {
+    const m = await deliver(groupMsg('@multis_bot hello', { entities: [{ type: 'mention', offset: 0, length: 11 }] }), { chats: { '-100': { mode: 'off' } } });
+    assert.strictEqual(m, undefined);
+  });
+
+  it('leaves a slash command unrouted for the router\'s owner door', async () => {
+    const m = await deliver(groupMsg('/mode silent'), { chats: { '-100': { mode: 'off' } } });
+    assert.strictEqual(m.routeAs, null);
+    assert.strictEqual(m.isCommand(), true);
+  });
+
+  it('ignores a command addressed to another bot', async () => {
+    const m = await deliver(groupMsg('/help@otherbot'));
+    assert.strictEqual(m, undefined);
+  });
+
+  it('passes a voice note on as an audio attachment for the router to transcribe', async () => {
+    const update = groupMsg(undefined, { chatId: 7, type: 'private' });
+    update.message.voice = { file_id: 'F1', duration: 3, mime_type: 'audio/ogg', file_size: 2048 };
+    const m = await deliver(update);
+    assert.strictEqual(m.text, '');
+    assert.deepStrictEqual(m._attachments, [{ fileName: 'voice-5.ogg', srcURL: 'F1', mimeType: 'audio/ogg', size: 2048, isVoiceNote: true }]);
+  });
+
+  it('passes the largest size of a photo on as an image attachment, captioned', async () => {
+    const update = groupMsg(undefined, { chatId: 7, type: 'private' });
+    update.message.caption = 'what does this say?';
+    update.message.photo = [
+      { file_id: 'small', width: 90, height: 60, file_size: 900 },
+      { file_id: 'large', width: 1280, height: 853, file_size: 90000 },
+    ];
+    const m = await deliver(update);
+    assert.strictEqual(m.text, 'what does this say?');
+    assert.deepStrictEqual(m._attachments, [{ fileName: 'photo-5.jpg', srcURL: 'large', mimeType: 'image/jpeg', size: 90000 }]);
+  });
+
+  it('passes an edited message on as an edit event with its new text', async () => {
+    const update = groupMsg(undefined, { chatId: 7, type: 'private' });
+    const m = await deliver({ update_id: 4, edited_message: { ...update.message, text: 'open on sunday?', edit_date: Math.floor(Date.now() / 1000) } });
+    assert.strictEqual(m.event, 'edit');
+    assert.strictEqual(m.id, 5);
+    assert.strictEqual(m.text, 'open on sunday?');
+  });
+
+  it('passes a newly added reaction on as a reaction event on its message', async () => {
+    const reaction = (oldR, newR) => ({
+      update_id: 5,
+      message_reaction: {
+        chat: { id: 7, type: 'private', first_name: 'Owner' }, message_id: 501, user: { id: 7, is_bot: false, first_name: 'Owner' },
+        date: Math.floor(Date.now() / 1000), old_reaction: oldR, new_reaction: newR,
+      },
+    });
+    const m = await deliver(reaction([], [{ type: 'emoji', emoji: '👍' }]));
+    assert.strictEqual(m.event, 'reaction');
+    assert.strictEqual(m.reaction, '👍');
+    assert.strictEqual(m.targetId, '501');
+    assert.strictEqual(m.senderId, 7);
+    assert.strictEqual(m.text, '');
+
+    const removed = await deliver(reaction([{ type: 'emoji', emoji: '👍' }], []));
+    assert.strictEqual(removed, undefined, 'taking a reaction back is no event');
+  });
+
+  it('keeps direct messages unrouted', async () => {
+    const m = await deliver({
+      update_id: 3,
+      message: { message_id: 6, date: Math.floor(Date.now() / 1000), chat: { id: 7, type: 'private', first_name: 'Owner' }, from: { id: 7, is_bot: false, first_name: 'Owner' }, text: 'hello' },
+    });
+    assert.strictEqual(m.routeAs, null);
+    assert.strictEqual(m.isGroup, false);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { TerminalPlatform, OWNER_CHAT_ID } = require('../src/platforms/terminal');
+
+// A line-oriented client for the chat socket, like `multis chat`.
+function connect(socketPath) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(socketPath);
+    const frames = [];
+    const waiters = [];
+    let buf = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      buf += chunk;
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const frame = JSON.parse(buf.slice(0, nl));
+        buf = buf.slice(nl + 1);
+        const w = waiters.shift();
+        if (w) w(frame); else frames.push(frame);
+      }
+    });
+    socket.on('connect', () => resolve({
+      next: () => frames.length ? Promise.resolve(frames.shift()) : new Promise((r) => waiters.push(r)),
+      send: (obj) => socket.write(JSON.stringify(obj) + '\n'),
+      close: () => socket.destroy(),
+    }));
+    socket.on('error', reject);
+  });
+}
+
+describe('TerminalPlatform', () => {
+  let terminal, client, dir;
+
+  afterEach(async () => {
+    if (client) client.close();
+    if (terminal) await terminal.stop();
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    terminal = null; client = null; dir = null;
+  });
+
+  async function startTerminal() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-term-'));
+    terminal = new TerminalPlatform({ assistant_name: 'multis' }, { socketPath: path.join(dir, 'chat.sock') });
+    const got = [];
+    terminal.onMessage(async (m) => { got.push(m); });
+    assert.strictEqual(await terminal.start(), true);
+    return got;
+  }
+
+  const settle = () => new Promise((r) => setTimeout(r, 20));
+
+  it('listens on a socket only the owner account can open', async () => {
+    await startTerminal();
+    assert.strictEqual(fs.statSync(terminal.socketPath).mode & 0o777, 0o600);
+  });
+
+  it('replaces a socket file left by an unclean shutdown', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-term-'));
+    const socketPath = path.join(dir, 'chat.sock');
+    fs.writeFileSync(socketPath, '');
+    terminal = new TerminalPlatform({}, { socketPath });
+    assert.strictEqual(await terminal.start(), true);
+  });
+
+  it('lines arrive as owner Messages: commands and natural text', async () => {
+    const got = await startTerminal();
+    client = await connect(terminal.socketPath);
+    assert.deepStrictEqual(await client.next(), { type: 'hello', name: 'multis' });
+
+    client.send({ type: 'message', text: '/status' });
+    client.send({ type: 'message', text: 'what is on today' });
+    client.send({ type: 'message', text: '   ' });
+    await settle();
+    assert.strictEqual(got.length, 2);
+    const [cmd, ask] = got;
+    assert.strictEqual(cmd.platform, 'terminal');
+    assert.strictEqual(cmd.chatId, OWNER_CHAT_ID);
+    assert.strictEqual(cmd.isSelf, true);
+    assert.strictEqual(cmd.isPersonalChat, true);
+    assert.strictEqual(cmd.isCommand(), true);
+    assert.strictEqual(cmd.routeAs, null);
+    assert.strictEqual(ask.routeAs, 'natural');
+  });
+
+  it('delivers replies, PIN prompts and files as frames', async () => {
+    await startTerminal();
+    client = await connect(terminal.socketPath);
+    await client.next(); // hello
+
+    await terminal.send(OWNER_CHAT_ID, '**Done.**');
+    assert.deepStrictEqual(await client.next(), { type: 'message', text: 'Done.' });
+    await terminal.sendPrompt(OWNER_CHAT_ID, 'Enter your PIN:', { input: 'pin' });
+    assert.deepStrictEqual(await client.next(), { type: 'prompt', text: 'Enter your PIN:', input: 'pin', choices: null });
+    await terminal.sendFile(OWNER_CHAT_ID, '/tmp/out.txt', 'exec output');
+    assert.deepStrictEqual(await client.next(), { type: 'file', path: '/tmp/out.txt', caption: 'exec output' });
+  });
+
+  it('holds replies while no terminal is attached', async () => {
+    await startTerminal();
+    assert.deepStrictEqual(terminal.getAdminChatIds(), [], 'no admin channel to escalate to while detached');
+    await terminal.send(OWNER_CHAT_ID, 'Reminder: check inbox');
+    client = await connect(terminal.socketPath);
+    await client.next(); // hello
+    assert.deepStrictEqual(await client.next(), { type: 'message', text: 'Reminder: check inbox' });
+    assert.deepStrictEqual(terminal.getAdminChatIds(), [OWNER_CHAT_ID]);
+  });
+});
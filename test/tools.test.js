@@ -347,6 +347,64 @@ describe('adaptTools', () => {
     assert.match(result, /42/);
   });
 
+  it('search_docs cites page and section, and gives the owner the source file', async () => {
+    const searchTool = TOOLS.find(t => t.name === 'search_docs');
+    const fileCalls = [];
+    const indexer = {
+      search: async () => [{ name: 'contract.pdf', pageStart: 14, sectionPath: ['3.2 Termination'], content: 'With 30 days notice.', versionId: 'kb-0123456789abcdef-v2' }],
+      documentFile: (versionId, scope) => { fileCalls.push({ versionId, scope }); return { path: '/data/kb-versions/x/v2-contract.pdf' }; },
+    };
+    const owner = await searchTool.execute({ query: 'cancel' }, { isOwner: true, chatId: 'c1', indexer });
+    assert.strictEqual(owner, '[1] (contract.pdf p.14, §3.2): With 30 days notice.\nfile: /data/kb-versions/x/v2-contract.pdf page: 14');
+    assert.deepStrictEqual(fileCalls, [{ versionId: 'kb-0123456789abcdef-v2', scope: 'admin' }]);
+    const customer = await searchTool.execute({ query: 'cancel' }, { isOwner: false, chatId: 'c1', indexer });
+    assert.doesNotMatch(customer, /file:/, 'a customer is never shown a host path');
+    assert.strictEqual(fileCalls.length, 1);
+  });
+
+  it('send_file with a page sends that page of a PDF as an image, else the whole file', async () => {
+    const sendFileTool = TOOLS.find(t => t.name === 'send_file');
+    const sent = [];
+    const platform = {
+      sendFile: async (chatId, filePath, caption) => sent.push({ name: path.basename(filePath), head: fs.readFileSync(filePath).subarray(0, 8), caption }),
+    };
+    const pdf = path.join(__dirname, 'fixtures', 'two-page.pdf');
+    const ctx = { chatId: 'c1', platform };
+
+    assert.strictEqual(await sendFileTool.execute({ path: pdf, caption: 'see p.2', page: 2 }, ctx), 'Sent: two-page.pdf p.2');
+    assert.strictEqual(sent[0].name, 'two-page-p2.png');
+    assert.deepStrictEqual([...sent[0].head], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], 'a PNG, not the PDF');
+    assert.strictEqual(sent[0].caption, 'see p.2');
+
+    const r = await sendFileTool.execute({ path: pdf, page: 9 }, ctx);
+    assert.match(r, /^Sent: two-page\.pdf \(the whole document: p\.9 could not be rendered — .*no page 9 \(it has 2\)\)$/);
+    assert.strictEqual(sent[1].name, 'two-page.pdf');
+
+    const notPdf = await sendFileTool.execute({ path: __filename, page: 1 }, ctx);
+    assert.match(notPdf, /is not a PDF/);
+    assert.strictEqual(sent.length, 2);
+  });
+
+  it('query_table queries in the caller\'s scope and formats the cited rows', async () => {
+    const tableTool = TOOLS.find(t => t.name === 'query_table');
+    const scopes = [];
+    const indexer = {
+      queryTable: async (scope, q) => {
+        scopes.push(scope);
+        assert.deepStrictEqual(q.where, [{ column: 'SKU', value: '1234' }]);
+        return {
+          table: { label: 'prices.csv', scope: 'public', rows: 3 },
+          result: { matched: 1, columns: ['SKU', 'Price'], rows: [{ row: 3, values: ['1234', '$19.99'] }] },
+        };
+      },
+    };
+    const query = { table: 'prices.csv', where: [{ column: 'SKU', value: '1234' }] };
+    const owner = await adaptTools([tableTool], { chatId: 'chat1', isOwner: true, indexer })[0].execute(query);
+    await adaptTools([tableTool], { chatId: 'cust1', isOwner: false, indexer })[0].execute(query);
+    assert.deepStrictEqual(scopes, ['admin', 'user:cust1']);
+    assert.match(owner, /SKU: 1234 \| Price: \$19\.99 \(prices\.csv row 3\)/);
+  });
+
   it('adapted tool catches errors', async () => {
     const badTool = {
       name: 'boom',
@@ -113,6 +113,23 @@ describe('formatChatOverview', () => {
     assert.doesNotMatch(out, /Nadia — business/);
   });
 
+  it('says where each mode comes from: the chat, its network policy or the role', () => {
+    const chats = [
+      { id: '!a', title: 'Amora', network: 'whatsapp' },
+      { id: '!b', title: 'Sig', network: 'signal' },
+      { id: '!c', title: 'Disco', network: 'discord' },
+    ];
+    const config = {
+      bot_mode: 'personal-assistant',
+      platforms: { beeper: { networks: { WhatsApp: { default_mode: 'business' }, signal: { default_mode: 'silent' } } } },
+      chats: { '!b': { mode: 'personal' } },
+    };
+    const out = formatChatOverview(chats, config);
+    assert.match(out, /Amora — business \(whatsapp policy\)/);
+    assert.match(out, /Sig — personal \(set for this chat\)/);
+    assert.match(out, /Disco — personal \(role default\)/);
+  });
+
   it('reports all-off cleanly (no engaged section)', () => {
     const chats = [{ id: '!a', title: 'X' }, { id: '!b', title: 'Y' }];
     const out = formatChatOverview(chats, cfg({ '!a': 'off', '!b': 'off' }));
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { formatMarkdown, splitMessage, renderMessage } = require('../../src/platforms/format');
+
+describe('formatMarkdown', () => {
+  const md = '## Result\n**bold**, *italic*, ~~gone~~ and `a<b`\n- see [docs](https://x.io/a?b=1&c=2)';
+
+  it('html: tags, escapes, links, bullets, headings as bold', () => {
+    assert.strictEqual(formatMarkdown(md, 'html'),
+      '<b>Result</b>\n<b>bold</b>, <i>italic</i>, <s>gone</s> and <code>a&lt;b</code>\n• see <a href="https://x.io/a?b=1&amp;c=2">docs</a>');
+  });
+
+  it('whatsapp: single-character marks, link spelled out', () => {
+    assert.strictEqual(formatMarkdown(md, 'whatsapp'),
+      '*Result*\n*bold*, _italic_, ~gone~ and `a<b`\n• see docs (https://x.io/a?b=1&c=2)');
+  });
+
+  it('plain: markup stripped', () => {
+    assert.strictEqual(formatMarkdown(md, 'plain'),
+      'Result\nbold, italic, gone and a<b\n• see docs (https://x.io/a?b=1&c=2)');
+  });
+
+  it('markdown passes through untouched', () => {
+    assert.strictEqual(formatMarkdown(md, 'markdown'), md);
+  });
+
+  it('leaves code blocks and snake_case alone', () => {
+    const text = 'run my_script_name:\n```sh\necho **not bold** <x>\n```';
+    assert.strictEqual(formatMarkdown(text, 'html'), 'run my_script_name:\n<pre><code class="language-sh">echo **not bold** &lt;x&gt;</code></pre>');
+    assert.strictEqual(formatMarkdown(text, 'plain'), 'run my_script_name:\necho **not bold** <x>');
+  });
+});
+
+describe('splitMessage', () => {
+  it('keeps a short message whole', () => {
+    assert.deepStrictEqual(splitMessage('hi', 100), ['hi']);
+  });
+
+  it('breaks between paragraphs, not inside one', () => {
+    const a = 'a'.repeat(60);
+    const b = 'b'.repeat(60);
+    assert.deepStrictEqual(splitMessage(`${a}\n\n${b}`, 100), [a, b]);
+  });
+
+  it('never splits a code block that fits; re-fences one that does not', () => {
+    const code = '```js\n' + Array.from({ length: 20 }, (_, i) => `line${i}`).join('\n') + '\n```';
+    const parts = splitMessage(`intro\n\n${code}`, 80);
+    assert.strictEqual(parts[0], 'intro');
+    for (const p of parts.slice(1)) {
+      assert.match(p, /^```js\n[\s\S]*\n```$/);
+      assert.ok(p.length <= 80);
+    }
+    assert.strictEqual(parts.slice(1).join('\n').match(/line\d+/g).length, 20);
+  });
+
+  it('cuts an oversized paragraph at a sentence or word', () => {
+    const para = 'One sentence here. '.repeat(10).trim();
+    const parts = splitMessage(para, 50);
+    assert.ok(parts.every((p) => p.length <= 50));
+    assert.ok(parts.every((p) => !/\w$/.test(p) || p.endsWith('here')), 'no word cut in half');
+  });
+});
+
+describe('renderMessage', () => {
+  it('numbers the parts and keeps each within maxLength once formatted', () => {
+    const para = '**x** & y '.repeat(30).trim();
+    const parts = renderMessage(`${para}\n\n${para}\n\n${para}`, { dialect: 'html', maxLength: 400 });
+    assert.ok(parts.length > 1);
+    parts.forEach((p, i) => {
+      assert.ok(p.text.startsWith(`(${i + 1}/${parts.length}) `));
+      assert.ok(p.text.length <= 400);
+      assert.ok(p.source.startsWith(`(${i + 1}/${parts.length}) `), 'source keeps the label for a plain resend');
+    });
+  });
+
+  it('a single part carries no number', () => {
+    assert.deepStrictEqual(renderMessage('**hi**', { dialect: 'whatsapp', maxLength: 100 }), [{ text: '*hi*', source: '**hi**' }]);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { ReplyStream, toolProgressLine } = require('../../src/bot/reply-stream');
+
+// A platform that records every send/edit; send returns an id like Telegram's.
+function editablePlatform({ failEdits = false } = {}) {
+  const log = [];
+  let nextId = 1;
+  return {
+    log,
+    async send(chatId, text) { log.push(['send', text]); return nextId++; },
+    async editMessage(chatId, id, text) {
+      if (failEdits) throw new Error('message can\'t be edited');
+      log.push(['edit', id, text]);
+    },
+  };
+}
+
+const tick = (ms = 0) => new Promise((r) => setTimeout(r, ms));
+
+describe('ReplyStream', () => {
+  it('sends a fast answer once, with no progress message', async () => {
+    const p = editablePlatform();
+    await new ReplyStream(p, 'c1').finish('42');
+    assert.deepStrictEqual(p.log, [['send', '42']]);
+  });
+
+  it('shows tool progress, then edits the same message into the answer', async () => {
+    const p = editablePlatform();
+    const s = new ReplyStream(p, 'c1', { intervalMs: 0 });
+    s.tool('search_docs');
+    await tick();
+    s.interim('Let me check the files too.');
+    s.tool('find_files');
+    await tick();
+    await s.finish('Found it in notes.md.');
+    assert.deepStrictEqual(p.log, [
+      ['send', 'searching docs…'],
+      ['edit', 1, 'Let me check the files too.\n\nsearching docs…\nlooking for files…'],
+      ['edit', 1, 'Found it in notes.md.'],
+    ]);
+  });
+
+  it('coalesces updates that arrive inside the edit interval', async () => {
+    const p = editablePlatform();
+    const s = new ReplyStream(p, 'c1', { intervalMs: 60_000 });
+    s.tool('search_docs');
+    await tick();
+    s.tool('exec');
+    s.tool('read_file');
+    await s.finish('done');
+    // The throttled edit never fired — the answer replaced it.
+    assert.deepStrictEqual(p.log, [['send', 'searching docs…'], ['edit', 1, 'done']]);
+  });
+
+  it('falls back to a plain send when the final edit fails', async () => {
+    const p = editablePlatform({ failEdits: true });
+    const s = new ReplyStream(p, 'c1', { intervalMs: 0 });
+    s.tool('exec');
+    await tick();
+    await s.finish('ok');
+    assert.deepStrictEqual(p.log, [['send', 'running exec…'], ['send', 'ok']]);
+  });
+
+  it('an empty finish stops the stream without sending', async () => {
+    const p = editablePlatform();
+    const s = new ReplyStream(p, 'c1', { intervalMs: 0 });
+    s.tool('exec');
+    await s.finish('');
+    await tick();
+    assert.deepStrictEqual(p.log, []);
+  });
+});
+
+describe('toolProgressLine', () => {
+  it('names known tools plainly and the rest generically', () => {
+    assert.strictEqual(toolProgressLine('search_docs'), 'searching docs…');
+    assert.strictEqual(toolProgressLine('wifi'), 'running wifi…');
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { transcribeAudio, isAudioAttachment } = require('../../src/bot/transcribe');
+
+// Stand-in binaries (real processes, real argv): the fake whisper prints the
+// bytes of its -f input, so a test can see exactly what reached it; the fake
+// ffmpeg "converts" by prefixing the input bytes and writing the last arg.
+let dir, whisper, ffmpeg, failing;
+
+function script(name, body) {
+  const p = path.join(dir, name);
+  fs.writeFileSync(p, `#!/bin/sh\n${body}\n`, { mode: 0o755 });
+  return p;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-transcribe-test-'));
+  whisper = script('whisper', 'while [ $# -gt 0 ]; do [ "$1" = -f ] && cat "$2"; shift; done');
+  ffmpeg = script('ffmpeg', 'while [ $# -gt 0 ]; do [ "$1" = -i ] && in="$2"; out="$1"; shift; done; { printf "wav:"; cat "$in"; } > "$out"');
+  failing = script('broken', 'echo "model not found" >&2; exit 3');
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('transcribeAudio', () => {
+  it('converts with ffmpeg, then returns the whitespace-collapsed transcript', async () => {
+    const text = await transcribeAudio(Buffer.from('  hello \n  there  '), 'voice.ogg', { binary: whisper, ffmpeg, model: 'm.bin' });
+    assert.strictEqual(text, 'wav: hello there');
+  });
+
+  it('hands the input straight to whisper when ffmpeg is disabled', async () => {
+    const text = await transcribeAudio(Buffer.from('raw audio'), 'voice.ogg', { binary: whisper, ffmpeg: '', model: 'm.bin' });
+    assert.strictEqual(text, 'raw audio');
+  });
+
+  it('refuses to run without a model', async () => {
+    await assert.rejects(transcribeAudio(Buffer.from('x'), 'v.ogg', { binary: whisper, ffmpeg: '' }), /model/);
+  });
+
+  it('surfaces a failing binary and leaves no temp files behind', async () => {
+    const before = fs.readdirSync(os.tmpdir()).filter((f) => f.startsWith('multis-voice-')).length;
+    await assert.rejects(transcribeAudio(Buffer.from('x'), 'v.ogg', { binary: failing, ffmpeg: '', model: 'm.bin' }), /model not found/);
+    const afterCount = fs.readdirSync(os.tmpdir()).filter((f) => f.startsWith('multis-voice-')).length;
+    assert.strictEqual(afterCount, before);
+  });
+});
+
+describe('isAudioAttachment', () => {
+  it('matches voice notes and audio/* files, not documents', () => {
+    assert.strictEqual(isAudioAttachment({ isVoiceNote: true, mimeType: '' }), true);
+    assert.strictEqual(isAudioAttachment({ mimeType: 'audio/mpeg' }), true);
+    assert.strictEqual(isAudioAttachment({ mimeType: 'application/pdf' }), false);
+  });
+});
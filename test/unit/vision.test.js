@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { isImageAttachment, supportsVision, sniffImageType, imageUserMessage, ocrImage } = require('../../src/llm/vision');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const JPEG = Buffer.from('ffd8ffe000104a464946', 'hex');
+
+describe('supportsVision', () => {
+  it('guesses per provider and model', () => {
+    assert.strictEqual(supportsVision({ provider: 'anthropic', model: 'claude-haiku-4-5-20251001' }), true);
+    assert.strictEqual(supportsVision({ provider: 'openai', model: 'gpt-4o-mini' }), true);
+    assert.strictEqual(supportsVision({ provider: 'openai', model: 'gpt-3.5-turbo' }), false);
+    assert.strictEqual(supportsVision({ provider: 'ollama', model: 'llava:13b' }), true);
+    assert.strictEqual(supportsVision({ provider: 'ollama', model: 'llama3.1' }), false);
+  });
+
+  it('lets llm.vision override the guess', () => {
+    assert.strictEqual(supportsVision({ provider: 'ollama', model: 'my-finetune', vision: true }), true);
+    assert.strictEqual(supportsVision({ provider: 'anthropic', vision: false }), false);
+  });
+
+  it('never claims vision for a provider with no image message shape', () => {
+    assert.strictEqual(supportsVision({ provider: 'mystery', model: 'x', vision: true }), false);
+  });
+});
+
+describe('sniffImageType', () => {
+  it('reads the type from magic bytes, not the label', () => {
+    assert.strictEqual(sniffImageType(PNG), 'image/png');
+    assert.strictEqual(sniffImageType(JPEG), 'image/jpeg');
+    assert.strictEqual(sniffImageType(Buffer.from('GIF89a....')), 'image/gif');
+    assert.strictEqual(sniffImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp');
+    assert.strictEqual(sniffImageType(Buffer.from('%PDF-1.7')), null);
+  });
+});
+
+describe('imageUserMessage', () => {
+  const images = [{ mimeType: 'image/png', data: PNG }];
+  const b64 = PNG.toString('base64');
+
+  it('builds each provider\'s native shape', () => {
+    assert.deepStrictEqual(imageUserMessage('anthropic', 'what is this?', images).content, [
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: b64 } },
+      { type: 'text', text: 'what is this?' },
+    ]);
+    assert.deepStrictEqual(imageUserMessage('openai', 'what is this?', images).content[1],
+      { type: 'image_url', image_url: { url: `data:image/png;base64,${b64}` } });
+    assert.deepStrictEqual(imageUserMessage('ollama', 'what is this?', images),
+      { role: 'user', content: 'what is this?', images: [b64] });
+  });
+
+  it('returns null for a provider with no known shape', () => {
+    assert.strictEqual(imageUserMessage('mystery', 'x', images), null);
+  });
+});
+
+describe('isImageAttachment', () => {
+  it('matches image/* and photo extensions, not documents', () => {
+    assert.strictEqual(isImageAttachment({ mimeType: 'image/heic' }), true);
+    assert.strictEqual(isImageAttachment({ fileName: 'IMG_0042.JPG', mimeType: '' }), true);
+    assert.strictEqual(isImageAttachment({ fileName: 'report.pdf', mimeType: 'application/pdf' }), false);
+  });
+});
+
+describe('ocrImage', () => {
+  // A stand-in tesseract (real process, real argv): prints its image argument's bytes.
+  let dir, tesseract;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-vision-test-'));
+    tesseract = path.join(dir, 'tesseract');
+    fs.writeFileSync(tesseract, '#!/bin/sh\ncat "$1"\n', { mode: 0o755 });
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('returns the whitespace-collapsed text', async () => {
+    assert.strictEqual(await ocrImage(Buffer.from(' OPEN\n\n 9 - 5 '), { ocr_binary: tesseract }), 'OPEN 9 - 5');
+  });
+
+  it('surfaces a missing binary', async () => {
+    await assert.rejects(ocrImage(PNG, { ocr_binary: path.join(dir, 'nope') }), /ENOENT/);
+  });
+});
@@ -0,0 +1,192 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setMultisDir } = require('../src/config');
+const { FolderWatcher, formatWatchedFolders, formatSyncResult } = require('../src/context/watch');
+
+// Stands in for src/context: records ingests and removals by document name.
+function stubIndexer({ reject = () => false } = {}) {
+  const docs = new Map();
+  const calls = [];
+  return {
+    docs,
+    calls,
+    async indexBuffer(buf, filename, scope, { name, adopt }) {
+      calls.push(['index', filename, scope, name, ...(adopt ? [adopt] : [])]);
+      if (reject(filename)) throw new Error('unsupported document');
+      const version = (docs.get(name)?.version || 0) + 1;
+      docs.set(name, { filename, scope, text: buf.toString(), version });
+      return { chunks: 1, mode: 'chunked', version };
+    },
+    async removeDocument(name, scope, { missingOk } = {}) {
+      calls.push(['remove', scope, name]);
+      if (!docs.has(name)) {
+        if (missingOk) return null;
+        throw new Error(`${name} is not in the knowledge base`);
+      }
+      docs.delete(name);
+      return { name, scope, versions: 1 };
+    },
+  };
+}
+
+describe('FolderWatcher', () => {
+  let root, dir, file;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'multis-watch-test-'));
+    setMultisDir(path.join(root, '.multis'));
+    dir = path.join(root, 'prices');
+    file = path.join(root, '.multis', 'data', 'watches.json');
+    fs.mkdirSync(path.join(dir, 'archive'), { recursive: true });
+    fs.mkdirSync(path.join(dir, '.git'));
+    fs.writeFileSync(path.join(dir, 'prices.md'), '# Prices\nWidget: 10');
+    fs.writeFileSync(path.join(dir, 'archive', 'old.txt'), 'Widget: 8');
+    fs.writeFileSync(path.join(dir, 'photo.jpg'), 'not a document');
+    fs.writeFileSync(path.join(dir, '.git', 'HEAD.md'), 'hidden');
+    fs.symlinkSync(os.tmpdir(), path.join(dir, 'outside'));
+  });
+
+  afterEach(() => {
+    setMultisDir(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const watcher = (indexer, config = { allowedTypes: ['md', 'txt'] }) => new FolderWatcher({ file, indexer, config });
+
+  it('indexes the supported files under a folder, skipping hidden files and symlinks', async () => {
+    const indexer = stubIndexer();
+    const w = watcher(indexer);
+    const r = await w.add(dir, 'public');
+    assert.deepStrictEqual([r.added, r.updated, r.removed, r.failed], [2, 0, 0, 0]);
+    assert.deepStrictEqual([...indexer.docs.values()].map((d) => d.filename).sort(), ['old.txt', 'prices.md']);
+    assert.ok(indexer.docs.has(path.join(dir, 'prices.md')), 'a watched file is named by its path');
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8')).folders;
+    assert.deepStrictEqual(Object.keys(saved[0].files).sort(), [path.join('archive', 'old.txt'), 'prices.md']);
+    assert.strictEqual(saved[0].scope, 'public');
+    assert.ok(saved[0].synced_at);
+  });
+
+  it('re-ingests an edited file in place, drops a deleted one, and survives a restart', async () => {
+    const indexer = stubIndexer();
+    await watcher(indexer).add(dir, 'admin');
+
+    fs.writeFileSync(path.join(dir, 'prices.md'), '# Prices\nWidget: 12');
+    fs.rmSync(path.join(dir, 'archive', 'old.txt'));
+    fs.writeFileSync(path.join(dir, 'terms.txt'), 'Net 30');
+    indexer.calls.length = 0;
+
+    // A fresh watcher over the same state file: what a restart sees.
+    const [r] = await watcher(indexer).sync();
+    assert.deepStrictEqual([r.added, r.updated, r.removed], [1, 1, 1]);
+    const edited = indexer.docs.get(path.join(dir, 'prices.md'));
+    assert.strictEqual(edited.text, '# Prices\nWidget: 12');
+    assert.strictEqual(edited.version, 2, 'an edit is a new version of the same document');
+    assert.strictEqual(indexer.docs.size, 2);
+    assert.deepStrictEqual(indexer.calls.filter((c) => c[0] === 'remove').map((c) => c[1]), ['admin']);
+
+    indexer.calls.length = 0;
+    const [again] = await watcher(indexer).sync();
+    assert.strictEqual(formatSyncResult(again), 'no changes');
+    assert.deepStrictEqual(indexer.calls, [], 'unchanged files are not re-ingested');
+  });
+
+  it('re-indexes a file synced before the KB catalog once, adopting its old copy', async () => {
+    const indexer = stubIndexer();
+    await watcher(indexer).add(dir, 'public');
+    // What a watch from before versioning left behind: an explicit litectx id, no version.
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const entry = state.folders[0].files['prices.md'];
+    entry.id = 'watch-0123456789abcdef01234567';
+    delete entry.version;
+    fs.writeFileSync(file, JSON.stringify(state));
+    indexer.calls.length = 0;
+
+    const w = watcher(indexer);
+    await w.sync(dir);
+    assert.deepStrictEqual(indexer.calls, [['index', 'prices.md', 'public', path.join(dir, 'prices.md'), 'watch-0123456789abcdef01234567']]);
+    assert.strictEqual(w.find(dir).files['prices.md'].id, undefined);
+    indexer.calls.length = 0;
+    await w.sync(dir);
+    assert.deepStrictEqual(indexer.calls, [], 'adopted once');
+  });
+
+  it('records a file litectx rejects and retries it only once it changes', async () => {
+    const indexer = stubIndexer({ reject: (name) => name === 'old.txt' });
+    const w = watcher(indexer);
+    const r = await w.add(dir, 'public');
+    assert.deepStrictEqual([r.added, r.failed], [1, 1]);
+    assert.match(w.find(dir).files[path.join('archive', 'old.txt')].error, /unsupported document/);
+
+    indexer.calls.length = 0;
+    await w.sync(dir);
+    assert.deepStrictEqual(indexer.calls, []);
+    fs.writeFileSync(path.join(dir, 'archive', 'old.txt'), 'Widget: 9');
+    await w.sync(dir);
+    assert.strictEqual(indexer.calls.filter((c) => c[0] === 'index').length, 1);
+  });
+
+  it('leaves out files over documents.maxSize', async () => {
+    fs.writeFileSync(path.join(dir, 'big.md'), 'x'.repeat(200));
+    const indexer = stubIndexer();
+    await watcher(indexer, { allowedTypes: ['md'], maxSize: 100 }).add(dir, 'public');
+    assert.deepStrictEqual([...indexer.docs.values()].map((d) => d.filename), ['prices.md']);
+  });
+
+  it('refuses a file, a missing folder, an overlap or a second scope', async () => {
+    const w = watcher(stubIndexer());
+    await assert.rejects(w.add(path.join(dir, 'prices.md'), 'public'), /is a file/);
+    await assert.rejects(w.add(path.join(root, 'nope'), 'public'), /no such folder/);
+    await w.add(dir, 'public');
+    await assert.rejects(w.add(path.join(dir, 'archive'), 'public'), /overlaps/);
+    await assert.rejects(w.add(root, 'public'), /overlaps/);
+    await assert.rejects(w.add(dir, 'admin'), /already watched as public/);
+  });
+
+  it('unwatching removes the folder and its documents', async () => {
+    const indexer = stubIndexer();
+    const w = watcher(indexer);
+    await w.add(dir, 'public');
+    assert.strictEqual(await w.remove(dir), 2);
+    assert.strictEqual(indexer.docs.size, 0);
+    assert.deepStrictEqual(watcher(indexer).list(), []);
+    await assert.rejects(w.remove(dir), /not watched/);
+  });
+
+  it('keeps the documents of a folder that has gone missing', async () => {
+    const indexer = stubIndexer();
+    const w = watcher(indexer);
+    await w.add(dir, 'public');
+    fs.rmSync(dir, { recursive: true });
+    await w.sync(dir);
+    assert.strictEqual(indexer.docs.size, 2);
+  });
+
+  it('picks up a change while running', async () => {
+    const indexer = stubIndexer();
+    const w = watcher(indexer);
+    await w.add(dir, 'public');
+    await w.start();
+    try {
+      fs.writeFileSync(path.join(dir, 'archive', 'new.md'), 'Gadget: 4');
+      const deadline = Date.now() + 8000;
+      while (indexer.docs.size < 3 && Date.now() < deadline) await new Promise((r) => setTimeout(r, 100));
+      assert.strictEqual(indexer.docs.size, 3);
+    } finally {
+      w.stop();
+    }
+  });
+
+  it('lists each folder and file with its last sync for /docs', async () => {
+    const indexer = stubIndexer({ reject: (name) => name === 'old.txt' });
+    const w = watcher(indexer);
+    await w.add(dir, 'public');
+    const text = formatWatchedFolders(w.list());
+    assert.match(text, /prices \[public\] — 2 files, synced \d{4}-\d\d-\d\d \d\d:\d\d/);
+    assert.match(text, /prices\.md — synced \d{4}-/);
+    assert.match(text, /old\.txt — not indexed: unsupported document/);
+    assert.doesNotMatch(formatWatchedFolders(w.list(), 0), /prices\.md/);
+  });
+});
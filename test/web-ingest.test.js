@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { crawl, extractHtml, isAllowed, isPrivateAddress } = require('../src/context/web');
+
+// A small site: an FAQ linking to two pages, an asset, an external site and a
+// redirect; a page behind a redirect to another host; a slow page.
+const SITE = {
+  '/faq': ['text/html', `<!doctype html><html><head><title>FAQ &amp; Help</title><script>var x = "<h1>no</h1>";</script></head>
+    <body><nav><a href="/faq">Home</a> <a href="/shipping">Shipping</a></nav>
+    <main><h1>Frequently asked</h1><p>Returns are free within <b>30&nbsp;days</b>.</p>
+    <ul><li>Email us</li><li>Call us</li></ul>
+    <p>See <a href="/returns#policy">returns</a>, <a href="/logo.png">logo</a>, <a href="https://elsewhere.example/">partner</a>, <a href="/moved">old page</a>.</p></main>
+    <footer>© Shop</footer></body></html>`],
+  '/shipping': ['text/html; charset=utf-8', '<html><body><h2>Shipping</h2><p>Ships in 2 days. <a href="/deep">deeper</a></p></body></html>'],
+  '/returns': ['text/html', '<html><body><article><h1>Returns</h1><p>Bring the receipt.</p></article></body></html>'],
+  '/deep': ['text/html', '<html><body><p>Two levels down.</p></body></html>'],
+  '/notes.txt': ['text/plain', 'Opening hours: 9-5'],
+  '/logo.png': ['image/png', 'PNG'],
+};
+
+describe('web ingestion — crawl', () => {
+  let server, base;
+  let endlessClosed = false;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url === '/moved') { res.writeHead(301, { location: '/returns' }); return res.end(); }
+      if (req.url === '/away') { res.writeHead(302, { location: 'http://localhost.invalid/x' }); return res.end(); }
+      if (req.url === '/endless') {
+        // No content-length, and it never ends: only the reader can stop it.
+        res.writeHead(200, { 'content-type': 'text/plain' });
+        const timer = setInterval(() => res.write('x'.repeat(16 * 1024)), 5);
+        res.on('close', () => { clearInterval(timer); endlessClosed = true; });
+        return undefined;
+      }
+      if (req.url === '/slow') { setTimeout(() => { res.writeHead(200, { 'content-type': 'text/html' }); res.end('<p>late</p>'); }, 500); return undefined; }
+      const page = SITE[req.url];
+      if (!page) { res.writeHead(404); return res.end(); }
+      res.writeHead(200, { 'content-type': page[0] });
+      return res.end(page[1]);
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((r) => server.close(r)));
+
+  const stored = [];
+  const opts = (extra = {}) => ({
+    allowDomains: ['127.0.0.1'],
+    onPage: async (page) => { stored.push(page); return { chunks: 1 }; },
+    ...extra,
+  });
+
+  it('fetches one page and keeps only its main content, as markdown', async () => {
+    stored.length = 0;
+    const r = await crawl(`${base}/faq`, opts());
+    assert.deepStrictEqual(r.pages.map((p) => [p.url, p.title, p.result]), [[`${base}/faq`, 'FAQ & Help', { chunks: 1 }]]);
+    assert.strictEqual(stored[0].filename, '127.0.0.1_faq.md');
+    const md = stored[0].buffer.toString();
+    assert.match(md, /^# Frequently asked\n\nReturns are free within 30 days\.\n\n- Email us\n- Call us/);
+    assert.doesNotMatch(md, /Home|© Shop|no<\/h1>|var x/, 'navigation, footer and scripts are dropped');
+  });
+
+  it('follows same-site links to the requested depth, skipping assets and other sites', async () => {
+    stored.length = 0;
+    const r = await crawl(`${base}/faq`, opts({ depth: 1 }));
+    assert.deepStrictEqual(r.pages.map((p) => p.url), [`${base}/faq`, `${base}/shipping`, `${base}/returns`], 'a redirect to a listed page is not stored twice');
+    assert.ok(!requests.includes('/logo.png'), 'an asset link is not fetched');
+    assert.ok(!r.pages.some((p) => p.url.includes('/deep')), 'depth 1 stops before /deep');
+    assert.strictEqual(r.truncated, false);
+    assert.match(stored.find((p) => p.url.endsWith('/returns')).buffer.toString(), /^# Returns\n\nBring the receipt\.$/);
+  });
+
+  it('stops at maxPages and caps depth at maxDepth', async () => {
+    const capped = await crawl(`${base}/faq`, opts({ depth: 5, maxPages: 2 }));
+    assert.strictEqual(capped.pages.length, 2);
+    assert.strictEqual(capped.truncated, true);
+    const shallow = await crawl(`${base}/faq`, opts({ depth: 5, maxDepth: 1 }));
+    assert.ok(!shallow.pages.some((p) => p.url.includes('/deep')));
+  });
+
+  it('refuses a host not on the allowlist, including behind a redirect', async () => {
+    await assert.rejects(crawl(`${base}/faq`, opts({ allowDomains: [] })), /127\.0\.0\.1 is not in documents\.web\.allowDomains/);
+    const r = await crawl(`${base}/away`, opts());
+    assert.match(r.pages[0].error, /localhost\.invalid is not in documents\.web\.allowDomains/);
+  });
+
+  it('stops reading a body with no content-length once it passes maxSize', async () => {
+    const r = await crawl(`${base}/endless`, opts({ maxSize: 100 * 1024 }));
+    assert.match(r.pages[0].error, /larger than documents\.maxSize \(over 102400 bytes\)/);
+    const deadline = Date.now() + 2000;
+    while (!endlessClosed && Date.now() < deadline) await new Promise((done) => setTimeout(done, 10));
+    assert.ok(endlessClosed, 'the connection is dropped, not drained');
+  });
+
+  it('refuses an allowlisted name that resolves to a private address', async () => {
+    const port = new URL(base).port;
+    const lookup = async (host) => [{ address: host === 'intranet.example' ? '10.0.0.7' : '93.184.216.34' }];
+    const before = requests.length;
+    const intranet = await crawl(`http://intranet.example:${port}/faq`, opts({ allowDomains: ['intranet.example'], lookup }));
+    assert.match(intranet.pages[0].error, /intranet\.example resolves to a private address \(10\.0\.0\.7\)/);
+    const local = await crawl(`http://localhost:${port}/faq`, opts({ allowDomains: ['localhost'] }));
+    assert.match(local.pages[0].error, /localhost resolves to a private address/);
+    assert.strictEqual(requests.length, before, 'nothing fetched');
+  });
+
+  it('connects to the address it checked, never asking the resolver again', async () => {
+    const port = new URL(base).port;
+    // A rebinding name: public on the first answer, this machine on every later one.
+    const answers = [];
+    const lookup = async () => {
+      answers.push(answers.length ? '127.0.0.1' : '192.0.2.1');
+      return [{ address: answers.at(-1), family: 4 }];
+    };
+    const before = requests.length;
+    const r = await crawl(`http://rebind.example:${port}/faq`, opts({ allowDomains: ['rebind.example'], lookup, timeoutMs: 300 }));
+    assert.match(r.pages[0].error, /192\.0\.2\.1|timed out/, 'it tried the vetted address, unreachable here');
+    assert.deepStrictEqual(answers, ['192.0.2.1'], 'one lookup, the one that was checked');
+    assert.strictEqual(requests.length, before, 'the private address is never reached');
+  });
+
+  it('reports a failing page without stopping, and stores plain text as it is', async () => {
+    stored.length = 0;
+    const missing = await crawl(`${base}/gone`, opts());
+    assert.strictEqual(missing.pages[0].error, 'HTTP 404');
+    const slow = await crawl(`${base}/slow`, opts({ timeoutMs: 50 }));
+    assert.match(slow.pages[0].error, /timed out after 50 ms/);
+    const big = await crawl(`${base}/faq`, opts({ maxSize: 100 }));
+    assert.match(big.pages[0].error, /larger than documents\.maxSize/);
+    const image = await crawl(`${base}/logo.png`, opts());
+    assert.match(image.pages[0].error, /unsupported content type image\/png/);
+    const text = await crawl(`${base}/notes.txt`, opts());
+    assert.ok(text.pages[0].result);
+    assert.deepStrictEqual(stored.map((p) => [p.filename, p.buffer.toString()]), [['127.0.0.1_notes.txt', 'Opening hours: 9-5']]);
+  });
+});
+
+describe('web ingestion — helpers', () => {
+  it('isPrivateAddress flags loopback, LAN, link-local and mapped addresses', () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      assert.strictEqual(isPrivateAddress(ip), true, ip);
+    }
+    for (const ip of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:1.1.1.1']) assert.strictEqual(isPrivateAddress(ip), false, ip);
+  });
+
+  it('isAllowed matches a domain and its subdomains over http(s) only', () => {
+    assert.ok(isAllowed('https://example.com/faq', ['example.com']));
+    assert.ok(isAllowed('https://help.example.com/', ['example.com']));
+    assert.ok(isAllowed('https://help.example.com/', ['*.example.com']));
+    assert.ok(!isAllowed('https://badexample.com/', ['example.com']));
+    assert.ok(!isAllowed('ftp://example.com/', ['example.com']));
+    assert.ok(!isAllowed('file:///etc/passwd', ['example.com']));
+    assert.ok(!isAllowed('not a url', ['example.com']));
+  });
+
+  it('extractHtml falls back to the title for a page without a heading, and decodes entities', () => {
+    const { markdown, links } = extractHtml('<title>Hours</title><p>Mon&ndash;Fri &#8211; 9&#x2013;5, <a href="a.html#x">details</a></p>', 'https://s.example/dir/');
+    assert.strictEqual(markdown, '# Hours\n\nMon–Fri – 9–5, details');
+    assert.deepStrictEqual(links, ['https://s.example/dir/a.html']);
+  });
+});
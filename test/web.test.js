@@ -0,0 +1,197 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { WebPlatform, OWNER_CHAT_ID } = require('../src/platforms/web');
+const { sendPrompt } = require('../src/platforms/base');
+
+// ---------------------------------------------------------------------------
+// Helpers — a tiny WebSocket client (Node 20 has no global WebSocket).
+// ---------------------------------------------------------------------------
+
+function maskedTextFrame(text) {
+  const payload = Buffer.from(text, 'utf8');
+  const mask = crypto.randomBytes(4);
+  const len = payload.length;
+  const header = len < 126 ? Buffer.from([0x81, 0x80 | len]) : Buffer.from([0x81, 0x80 | 126, len >> 8, len & 0xff]);
+  const body = Buffer.from(payload);
+  for (let i = 0; i < body.length; i++) body[i] ^= mask[i & 3];
+  return Buffer.concat([header, mask, body]);
+}
+
+function connect(port, query, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1', port, path: `/ws?${query}`,
+      headers: {
+        Connection: 'Upgrade', Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        ...headers,
+      },
+    });
+    req.on('upgrade', (res, socket, head) => {
+      const frames = [];
+      const waiters = [];
+      let buf = Buffer.alloc(0);
+      const onData = (chunk) => {
+        buf = Buffer.concat([buf, chunk]);
+        while (buf.length >= 2) {
+          let len = buf[1] & 0x7f;
+          let off = 2;
+          if (len === 126) { if (buf.length < 4) return; len = buf.readUInt16BE(2); off = 4; }
+          if (buf.length < off + len) return;
+          const frame = { opcode: buf[0] & 0x0f, data: buf.subarray(off, off + len).toString('utf8') };
+          buf = buf.subarray(off + len);
+          if (frame.opcode !== 1) continue;
+          const parsed = JSON.parse(frame.data);
+          const w = waiters.shift();
+          if (w) w(parsed); else frames.push(parsed);
+        }
+      };
+      socket.on('data', onData);
+      onData(head); // frames sent right after the 101 ride in with the handshake
+      resolve({
+        next: () => frames.length ? Promise.resolve(frames.shift()) : new Promise((r) => waiters.push(r)),
+        send: (obj) => socket.write(maskedTextFrame(JSON.stringify(obj))),
+        close: () => socket.destroy(),
+      });
+    });
+    req.on('response', (res) => resolve({ status: res.statusCode }));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function get(port, urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+    }).on('error', reject);
+  });
+}
+
+function makeConfig(overrides = {}, extra = {}) {
+  return {
+    assistant_name: 'multis',
+    platforms: { web: { enabled: true, bind: '127.0.0.1:0', token: 'owner-tok', ...overrides } },
+    ...extra,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// WebPlatform
+// ---------------------------------------------------------------------------
+
+describe('WebPlatform', () => {
+  let web, client;
+
+  afterEach(async () => {
+    if (client?.close) client.close();
+    if (web) await web.stop();
+    web = null; client = null;
+  });
+
+  async function startWeb(config) {
+    web = new WebPlatform(config);
+    const got = [];
+    web.onMessage(async (m) => { got.push(m); });
+    assert.strictEqual(await web.start(), true);
+    return got;
+  }
+
+  const settle = () => new Promise((r) => setTimeout(r, 20));
+
+  it('rejects a malformed bind', () => {
+    assert.throws(() => new WebPlatform(makeConfig({ bind: 'nonsense' })), /host:port/);
+  });
+
+  it('serves the chat page without a token', async () => {
+    await startWeb(makeConfig());
+    const page = await get(web.port, '/');
+    assert.strictEqual(page.status, 200);
+    assert.match(page.body, /app\.js/);
+    assert.match(page.headers['content-security-policy'], /default-src 'self'/);
+    assert.strictEqual((await get(web.port, '/nope')).status, 404);
+  });
+
+  it('refuses a WebSocket with a bad token or a foreign Origin', async () => {
+    await startWeb(makeConfig());
+    assert.strictEqual((await connect(web.port, 'token=wrong')).status, 401);
+    assert.strictEqual((await connect(web.port, 'token=owner-tok', { Origin: 'http://evil.example' })).status, 403);
+  });
+
+  it('owner session: commands and natural text arrive as owner Messages', async () => {
+    const got = await startWeb(makeConfig());
+    client = await connect(web.port, 'token=owner-tok', { Origin: `http://127.0.0.1:${web.port}` });
+    const hello = await client.next();
+    assert.deepStrictEqual([hello.type, hello.chatId, hello.owner], ['hello', OWNER_CHAT_ID, true]);
+
+    client.send({ type: 'message', text: '/status' });
+    client.send({ type: 'message', text: 'what is on today' });
+    await settle();
+    assert.strictEqual(got.length, 2);
+    const [cmd, ask] = got;
+    assert.strictEqual(cmd.platform, 'web');
+    assert.strictEqual(cmd.isSelf, true);
+    assert.strictEqual(cmd.isPersonalChat, true);
+    assert.deepStrictEqual(cmd.parseCommand(), { command: 'status', args: undefined });
+    assert.strictEqual(ask.routeAs, 'natural');
+  });
+
+  it('guest session routes by chat mode and is never a command', async () => {
+    const got = await startWeb(makeConfig({ guest_token: 'guest-tok', default_mode: 'business' }));
+    client = await connect(web.port, 'token=guest-tok&session=abcdef12');
+    const hello = await client.next();
+    assert.strictEqual(hello.owner, false);
+    assert.strictEqual(hello.chatId, 'web-guest-abcdef12');
+    client.send({ type: 'message', text: '/exec ls' });
+    await settle();
+    assert.strictEqual(got[0].routeAs, 'business');
+    assert.strictEqual(got[0].isSelf, false);
+    assert.strictEqual(got[0].isCommand(), false);
+  });
+
+  it('guest token is refused when guests are not configured', async () => {
+    await startWeb(makeConfig());
+    assert.strictEqual((await connect(web.port, 'token=guest-tok')).status, 401);
+  });
+
+  it('send, PIN prompt and file reach the socket; backlog holds replies while no tab is open', async () => {
+    await startWeb(makeConfig());
+    await web.send(OWNER_CHAT_ID, 'reminder while away');
+    client = await connect(web.port, 'token=owner-tok');
+    await client.next(); // hello
+    assert.deepStrictEqual(await client.next(), { type: 'message', text: 'reminder while away' });
+
+    await sendPrompt(web, OWNER_CHAT_ID, 'Reply with your PIN:', { input: 'pin' });
+    const prompt = await client.next();
+    assert.deepStrictEqual([prompt.type, prompt.input], ['prompt', 'pin']);
+
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'web-test-'));
+    const file = path.join(tmp, 'report.txt');
+    fs.writeFileSync(file, 'report body');
+    try {
+      await web.sendFile(OWNER_CHAT_ID, file, 'here');
+      const f = await client.next();
+      assert.strictEqual(f.name, 'report.txt');
+      assert.strictEqual((await get(web.port, f.url)).status, 404, 'download needs the token');
+      assert.strictEqual((await get(web.port, `${f.url}?token=owner-tok`)).status, 404, 'not from the query string');
+      const dl = await get(web.port, f.url, { Authorization: 'Bearer owner-tok' });
+      assert.strictEqual(dl.status, 200);
+      assert.strictEqual(dl.body, 'report body');
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it('sendPrompt falls back to plain text on platforms without structured prompts', async () => {
+    const sent = [];
+    await sendPrompt({ send: async (chatId, text) => sent.push({ chatId, text }) }, 'c1', 'Reply with your PIN:', { input: 'pin' });
+    assert.deepStrictEqual(sent, [{ chatId: 'c1', text: 'Reply with your PIN:' }]);
+  });
+});
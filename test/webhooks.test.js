@@ -0,0 +1,63 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { configureWebhooks, emitWebhook, signPayload } = require('../src/governance/webhooks');
+
+describe('webhooks', () => {
+  let calls, status;
+  const fakeFetch = async (url, init) => {
+    calls.push({ url, ...init });
+    return { ok: status < 400, status };
+  };
+
+  beforeEach(() => { calls = []; status = 200; });
+  afterEach(() => configureWebhooks([]));
+
+  it('posts an event to every hook subscribed to it', async () => {
+    configureWebhooks([
+      { url: 'https://tickets.example/hook', events: ['escalation'] },
+      { url: 'https://ops.example/all' },
+      { url: 'https://ops.example/denials', events: ['gate_denied'] },
+    ], { fetch: fakeFetch });
+
+    assert.strictEqual(await emitWebhook('escalation', { reason: 'refund' }), 2);
+    assert.deepStrictEqual(calls.map((c) => c.url), ['https://tickets.example/hook', 'https://ops.example/all']);
+    const body = JSON.parse(calls[0].body);
+    assert.strictEqual(body.event, 'escalation');
+    assert.deepStrictEqual(body.data, { reason: 'refund' });
+    assert.ok(body.id && body.timestamp);
+    assert.strictEqual(calls[0].headers['X-Multis-Event'], 'escalation');
+    assert.strictEqual(calls[0].headers['X-Multis-Delivery'], body.id);
+  });
+
+  it('signs the raw body with the hook secret', async () => {
+    configureWebhooks([{ url: 'https://tickets.example/hook', secret: 's3cret' }], { fetch: fakeFetch });
+    await emitWebhook('rate_limit', { chat_id: '!abc' });
+    const [call] = calls;
+    const expected = 'sha256=' + crypto.createHmac('sha256', 's3cret').update(call.body).digest('hex');
+    assert.strictEqual(call.headers['X-Multis-Signature'], expected);
+    assert.strictEqual(signPayload(call.body, 's3cret'), expected);
+  });
+
+  it('sends no signature without a secret', async () => {
+    configureWebhooks([{ url: 'https://tickets.example/hook' }], { fetch: fakeFetch });
+    await emitWebhook('job_completed', {});
+    assert.strictEqual(calls[0].headers['X-Multis-Signature'], undefined);
+  });
+
+  it('skips an entry with a bad url, and a failed delivery never throws', async () => {
+    configureWebhooks([{ url: 'ftp://x' }, { url: 'not a url' }, { url: 'http://127.0.0.1:9/hook' }], { fetch: fakeFetch });
+    status = 500;
+    assert.strictEqual(await emitWebhook('gate_denied', { tool: 'exec' }), 0);
+    assert.strictEqual(calls.length, 1);
+
+    configureWebhooks([{ url: 'http://127.0.0.1:9/hook' }], { fetch: async () => { throw new Error('ECONNREFUSED'); } });
+    assert.strictEqual(await emitWebhook('gate_denied', { tool: 'exec' }), 0);
+  });
+
+  it('does nothing when no hook wants the event', async () => {
+    configureWebhooks([{ url: 'https://tickets.example/hook', events: ['escalation'] }], { fetch: fakeFetch });
+    assert.strictEqual(await emitWebhook('rate_limit', {}), 0);
+    assert.strictEqual(calls.length, 0);
+  });
+});